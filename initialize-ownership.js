@@ -1,15 +1,16 @@
 // initialize-ownership.js
 //
-// This script initializes ownership information in the Excel file
-// It should be run once when upgrading the system to add ownership tracking
+// This script initializes ownership information for stored keywords.
+// It should be run once when upgrading the system to add ownership tracking.
+// If the keyword store is still empty, the configured Excel file is imported first.
 
 require('dotenv').config();
 const path = require('path');
-const XLSX = require('xlsx');
 const fs = require('fs').promises;
 
 // Get configuration
 const { config } = require('./src/config');
+const repository = require('./src/repository');
 
 // Get admin user ID from users.json
 async function getAdminUserId() {
@@ -35,48 +36,31 @@ async function getAdminUserId() {
 // Initialize ownership for existing keywords
 async function initializeKeywordOwnership(excelFile, keywordColumn, adminUserId) {
   try {
-    console.log(`Initializing ownership for keywords in ${excelFile}`);
-    
-    // Check if Excel file exists
-    try {
-      await fs.access(excelFile);
-    } catch (error) {
-      console.error(`Excel file not found at: ${excelFile}`);
-      return false;
+    // Import the Excel sheet if nothing has been imported yet
+    if (repository.listKeywords().length === 0) {
+      try {
+        await fs.access(excelFile);
+        console.log(`Importing keywords from ${excelFile}`);
+        repository.importKeywordsFromExcel(excelFile, keywordColumn, adminUserId);
+      } catch (error) {
+        console.error(`Excel file not found at: ${excelFile}`);
+        return false;
+      }
     }
     
-    // Read the Excel file
-    const workbook = XLSX.readFile(excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    console.log(`Found ${data.length} keywords in Excel file`);
+    const keywords = repository.listKeywords();
+    console.log(`Found ${keywords.length} stored keywords`);
     
-    let updated = false;
-    
-    // Check each row for ownership information
-    for (let i = 0; i < data.length; i++) {
-      // If no ownership info, add it with admin as default owner
-      if (!data[i].OwnerId || !data[i].CreatedBy) {
-        data[i].OwnerId = adminUserId;
-        data[i].CreatedBy = adminUserId;
-        updated = true;
-        console.log(`Added ownership to keyword: ${data[i][keywordColumn]}`);
-      }
-    }
+    // If no ownership info, add it with admin as default owner
+    const updated = repository.assignDefaultOwner(adminUserId);
     
-    // If any rows were updated, write back to the Excel file
-    if (updated) {
-      const newWorksheet = XLSX.utils.json_to_sheet(data);
-      workbook.Sheets[sheetName] = newWorksheet;
-      XLSX.writeFile(workbook, excelFile);
-      console.log('Initialized ownership information for existing keywords');
+    if (updated > 0) {
+      console.log(`Initialized ownership information for ${updated} keywords`);
     } else {
       console.log('All keywords already have ownership information');
     }
     
-    return updated;
+    return updated > 0;
   } catch (error) {
     console.error('Error initializing keyword ownership:', error);
     return false;
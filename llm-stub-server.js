@@ -0,0 +1,319 @@
+// llm-stub-server.js
+//
+// This script runs a local stand-in for the AI providers, so generation can be
+// tested without network access or API credits. It answers:
+// - GET  /v1/models                      (OpenAI-compatible model list)
+// - POST /v1/chat/completions            (OpenAI and OpenAI-compatible servers)
+// - POST /openai/deployments/:name/chat/completions (Azure OpenAI)
+// - POST /v1/messages                    (Anthropic)
+// - POST /v1/images/generations           (image models; answers with a placeholder PNG)
+//
+// Point the AI provider settings at it, e.g. provider "OpenAI-compatible server"
+// with base URL http://localhost:11435/v1, and any model name.
+// Set LLM_STUB_FAILURES to answer that many generation requests with a 429
+// rate limit (with a Retry-After header) first, to try out the retries.
+// Streamed requests ("stream": true) get their reply a few words at a time,
+// LLM_STUB_DELAY milliseconds apart (default 20).
+// Usage: node llm-stub-server.js [port]
+
+const http = require('http');
+const { renderPlaceholder } = require('./src/placeholder-image');
+
+const PORT = parseInt(process.argv[2] || process.env.LLM_STUB_PORT || '11435');
+let failuresLeft = parseInt(process.env.LLM_STUB_FAILURES || '0');
+const STREAM_DELAY = parseInt(process.env.LLM_STUB_DELAY || '20');
+
+/**
+ * Build a canned reply for a prompt: a title, a function call (a recipe, SEO
+ * metadata, an outline, or the first listed categories and tags), a section
+ * of an outline-first article or a short HTML article about the quoted keyword
+ * @param {string} prompt - Text of the last user message
+ * @param {string|null} toolName - Function the request forces, if any
+ * @returns {Object} { text } or { toolName, toolInput }
+ */
+function buildReply(prompt, toolName) {
+  const keywordMatch = prompt.match(/"([^"]+)"/) || prompt.match(/Keyword: (.+)/);
+  const keyword = keywordMatch ? keywordMatch[1].trim() : 'the topic';
+
+  if (toolName === 'suggest_terms') {
+    const listed = label => ((prompt.match(new RegExp(`^${label}: (.*)$`, 'm')) || [])[1] || '')
+      .split(',').map(name => name.trim()).filter(name => name && name !== '(none)');
+    return {
+      toolName,
+      toolInput: { categories: listed('Categories').slice(0, 1), tags: listed('Tags').slice(0, 2) }
+    };
+  }
+
+  if (toolName === 'save_seo_metadata') {
+    const focus = ((prompt.match(/^Keyword: (.+)$/m) || [])[1] || keyword).trim();
+    return {
+      toolName,
+      toolInput: {
+        seoTitle: `Easy ${focus} Recipe`,
+        metaDescription: `Learn how to make ${focus} at home with simple ingredients, clear steps and tips for the best results every time.`,
+        excerpt: `A simple guide to ${focus}, from the ingredients to serving.`
+      }
+    };
+  }
+
+  if (toolName === 'save_outline') {
+    return {
+      toolName,
+      toolInput: {
+        sections: [
+          { heading: `What Is ${keyword}?`, subheadings: [] },
+          { heading: `How to Get Started with ${keyword}`, subheadings: ['What You Need', 'Step by Step'] },
+          { heading: 'Common Mistakes', subheadings: [] },
+          { heading: 'Conclusion', subheadings: [] }
+        ]
+      }
+    };
+  }
+
+  if (toolName === 'save_recipe') {
+    return {
+      toolName,
+      toolInput: {
+        isRecipe: true,
+        description: `A simple ${keyword} recipe.`,
+        ingredients: ['2 cups flour', '1 cup milk', '1 egg'],
+        instructions: ['Mix the ingredients.', 'Cook until golden.'],
+        notes: [],
+        prepTime: '10 minutes',
+        cookTime: '20 minutes',
+        totalTime: '30 minutes',
+        yield: '4 servings',
+        category: null,
+        method: null,
+        cuisine: null,
+        diet: null,
+        keywords: [keyword],
+        nutrition: {
+          servingSize: null, calories: null, sugar: null, sodium: null, fat: null, saturatedFat: null,
+          unsaturatedFat: null, transFat: null, carbohydrates: null, fiber: null, protein: null, cholesterol: null
+        }
+      }
+    };
+  }
+
+  if (/connection successful/i.test(prompt)) {
+    return { text: 'Connection successful' };
+  }
+  if (/title/i.test(prompt) && prompt.length < 600) {
+    return { text: `The Complete Guide to ${keyword}` };
+  }
+
+  const section = prompt.match(/^Write section \d+, "([^"]+)"/m);
+  if (section) {
+    return {
+      text: `<p>Building on the previous section, this part covers ${section[1].toLowerCase()}.</p>\n` +
+        `<p>Some text about ${keyword}.</p>`
+    };
+  }
+
+  const expand = prompt.match(/^This is one section of an article about .*Expand the section to about (\d+) words/m);
+  if (expand) {
+    const sentence = `Here are more details, examples and practical tips about ${keyword}. `;
+    return {
+      text: `<p>${sentence.repeat(Math.ceil(parseInt(expand[1]) / sentence.split(' ').length)).trim()}</p>`
+    };
+  }
+
+  if (/recipe/i.test(keyword)) {
+    return {
+      text: `<p>This is a stand-in recipe for ${keyword}.</p>\n` +
+        `<p><strong>Prep Time:</strong> 10 minutes | <strong>Cook Time:</strong> 20 minutes | <strong>Servings:</strong> 4</p>\n` +
+        `<h2>Ingredients</h2>\n<ul><li>2 cups flour</li><li>1 cup milk</li><li>1 egg</li></ul>\n` +
+        `<h2>Instructions</h2>\n<ol><li>Mix the ingredients.</li><li>Bake until golden.</li></ol>`
+    };
+  }
+
+  return {
+    text: `<p>This is stand-in content about ${keyword}.</p>\n` +
+      `<h2>Why ${keyword} Matters</h2>\n<p>Some text about ${keyword}.</p>\n` +
+      `<h2>Getting Started</h2>\n<ul><li>First tip</li><li>Second tip</li></ul>\n` +
+      `<h2>Conclusion</h2>\n<p>That is all about ${keyword}.</p>`
+  };
+}
+
+/**
+ * Estimate a token count (about four characters per token)
+ * @param {string} text - Text
+ * @returns {number} Tokens
+ */
+function countTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Answer an OpenAI chat completion request
+ * @param {Object} body - Request body
+ * @returns {Object} Chat completion
+ */
+function chatCompletion(body) {
+  const messages = body.messages || [];
+  const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+  const reply = buildReply(prompt, body.tool_choice && body.tool_choice.function ? body.tool_choice.function.name : null);
+  const output = reply.text || JSON.stringify(reply.toolInput);
+  const promptTokens = countTokens(messages.map(message => message.content).join('\n'));
+
+  return {
+    id: `chatcmpl-stub-${Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: body.model,
+    choices: [{
+      index: 0,
+      finish_reason: reply.toolName ? 'tool_calls' : 'stop',
+      message: reply.toolName
+        ? {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_stub', type: 'function', function: { name: reply.toolName, arguments: output } }]
+        }
+        : { role: 'assistant', content: output }
+    }],
+    usage: { prompt_tokens: promptTokens, completion_tokens: countTokens(output), total_tokens: promptTokens + countTokens(output) }
+  };
+}
+
+/**
+ * Answer an Anthropic Messages API request
+ * @param {Object} body - Request body
+ * @returns {Object} Message
+ */
+function anthropicMessage(body) {
+  const messages = body.messages || [];
+  const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+  const reply = buildReply(prompt, body.tool_choice && body.tool_choice.type === 'tool' ? body.tool_choice.name : null);
+
+  return {
+    id: `msg_stub_${Date.now()}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    stop_reason: reply.toolName ? 'tool_use' : 'end_turn',
+    content: reply.toolName
+      ? [{ type: 'tool_use', id: 'toolu_stub', name: reply.toolName, input: reply.toolInput }]
+      : [{ type: 'text', text: reply.text }],
+    usage: {
+      input_tokens: countTokens(`${body.system || ''}\n${prompt}`),
+      output_tokens: countTokens(reply.text || JSON.stringify(reply.toolInput))
+    }
+  };
+}
+
+/**
+ * Send Server-Sent Events one after another, with a pause in between
+ * @param {Object} res - HTTP response
+ * @param {Object[]} events - [{ event (optional), data }]
+ */
+function streamEvents(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+  const next = index => {
+    if (index >= events.length) return res.end();
+
+    const { event, data } = events[index];
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+    setTimeout(() => next(index + 1), STREAM_DELAY);
+  };
+  next(0);
+}
+
+/**
+ * Split a reply into the pieces a streamed answer sends
+ * @param {string} text - Reply
+ * @returns {string[]} A few words each
+ */
+function splitIntoPieces(text) {
+  return text.match(/(\S+\s*){1,3}|\s+/g) || [];
+}
+
+/**
+ * Answer a streamed OpenAI chat completion request
+ * @param {Object} res - HTTP response
+ * @param {Object} body - Request body
+ */
+function streamChatCompletion(res, body) {
+  const completion = chatCompletion(body);
+  const base = { id: completion.id, object: 'chat.completion.chunk', created: completion.created, model: completion.model };
+  const pieces = splitIntoPieces(completion.choices[0].message.content || '');
+
+  streamEvents(res, [
+    ...pieces.map(piece => ({ data: { ...base, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] } })),
+    { data: { ...base, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] } },
+    ...(body.stream_options && body.stream_options.include_usage ? [{ data: { ...base, choices: [], usage: completion.usage } }] : []),
+    { data: '[DONE]' }
+  ]);
+}
+
+/**
+ * Answer a streamed Anthropic Messages API request
+ * @param {Object} res - HTTP response
+ * @param {Object} body - Request body
+ */
+function streamAnthropicMessage(res, body) {
+  const message = anthropicMessage(body);
+  const text = message.content[0].text || '';
+
+  streamEvents(res, [
+    { event: 'message_start', data: { type: 'message_start', message: { ...message, content: [], usage: { input_tokens: message.usage.input_tokens, output_tokens: 0 } } } },
+    { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+    ...splitIntoPieces(text).map(piece => ({
+      event: 'content_block_delta',
+      data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: piece } }
+    })),
+    { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+    { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: message.stop_reason }, usage: { output_tokens: message.usage.output_tokens } } },
+    { event: 'message_stop', data: { type: 'message_stop' } }
+  ]);
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const path = req.url.split('?')[0];
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    console.log(`${req.method} ${req.url}`);
+
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      return send(400, { error: { message: 'Invalid JSON body' } });
+    }
+
+    if (req.method === 'POST' && failuresLeft > 0) {
+      failuresLeft--;
+      res.setHeader('Retry-After', '1');
+      return send(429, { error: { message: 'Rate limit reached (stand-in)' } });
+    }
+    if (req.method === 'GET' && /\/models$/.test(path)) {
+      return send(200, { object: 'list', data: [{ id: 'stub-model', object: 'model' }] });
+    }
+    if (req.method === 'POST' && /\/chat\/completions$/.test(path)) {
+      return body.stream ? streamChatCompletion(res, body) : send(200, chatCompletion(body));
+    }
+    if (req.method === 'POST' && /\/v1\/messages$/.test(path)) {
+      return body.stream ? streamAnthropicMessage(res, body) : send(200, anthropicMessage(body));
+    }
+    if (req.method === 'POST' && /\/images\/generations$/.test(path)) {
+      const image = renderPlaceholder(String(body.prompt || 'Stand-in image').slice(0, 80));
+      return send(200, {
+        created: Math.floor(Date.now() / 1000),
+        data: [{ b64_json: image.data.toString('base64'), revised_prompt: body.prompt }]
+      });
+    }
+    send(404, { error: { message: `No stub for ${req.method} ${path}` } });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`AI provider stand-in listening on http://localhost:${PORT}`);
+});
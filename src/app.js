@@ -7,8 +7,14 @@
 
 // Import required modules
 const { config, validateConfig } = require('./config');
-const { readKeywordsFromExcel, updateExcelWithPublicationStatus, createSampleExcelFile } = require('./excel');
+const { createSampleExcelFile } = require('./excel');
+const repository = require('./repository');
+const sites = require('./sites');
 const { generateArticleContent } = require('./openai');
+const { buildRules } = require('./article-validator');
+const usage = require('./usage');
+const images = require('./images');
+const { assignTaxonomy } = require('./taxonomy');
 const { testWordPressConnection, publishToWordPress } = require('./wordpress');
 
 /**
@@ -36,23 +42,30 @@ async function runAutomation() {
     }
     console.log('✓ Configuration validated');
     
-    // Create sample Excel file if it doesn't exist
-    createSampleExcelFile(config.app.excelFile);
+    // Seed the keyword store from Excel on first run
+    if (repository.listKeywords().length === 0) {
+      createSampleExcelFile(config.app.excelFile);
+      repository.importKeywordsFromExcel(config.app.excelFile, config.app.keywordColumn, null);
+    }
+    
+    // Turn the legacy WordPress settings into the default site on first run
+    sites.migrateFromConfig(config);
+    repository.assignDefaultSite(repository.getDefaultSiteId());
     
     // Step 2: Test WordPress connection
     console.log('\nStep 2: Testing WordPress connection...');
-    const wpConnectionSuccess = await testWordPressConnection(config.wordpress);
+    const wpConnectionSuccess = await testWordPressConnection(sites.getWordPressConfig(sites.getDefaultSite()));
     if (!wpConnectionSuccess) {
       console.error('WordPress connection failed. Please check your credentials and try again.');
       return;
     }
     
-    // Step 3: Read keywords from Excel
-    console.log('\nStep 3: Reading keywords from Excel...');
-    const keywordRows = readKeywordsFromExcel(config.app.excelFile, config.app.keywordColumn);
+    // Step 3: Read pending keywords
+    console.log('\nStep 3: Reading pending keywords...');
+    const keywordRows = repository.listPendingKeywords(config.app.keywordColumn);
     
     if (keywordRows.length === 0) {
-      console.log('No pending keywords found in Excel file. Nothing to do.');
+      console.log('No pending keywords found. Nothing to do.');
       return;
     }
     
@@ -76,18 +89,30 @@ async function runAutomation() {
         // Step 4.1: Generate article content with prompt settings
         console.log('Generating article content...');
         
+        // Each keyword is published to its own site with that site's prompts
+        const site = sites.getSiteForKeyword(keywordRow);
+        if (!sites.isSiteConfigured(site)) {
+          throw new Error(`Site "${site ? site.name : 'unknown'}" is missing WordPress credentials`);
+        }
+        const prompts = sites.resolvePrompts(site, config.prompts);
+        
         // Prepare prompt settings
-        const promptSettings = config.prompts.useMultiPartGeneration || config.prompts.toneVoice || 
-                              config.prompts.seoGuidelines || config.prompts.thingsToAvoid || 
-                              config.prompts.mainPrompt ? {
-          useMultiPartGeneration: config.prompts.useMultiPartGeneration,
-          mainPrompt: config.prompts.mainPrompt || config.app.contentTemplate,
-          part1Prompt: config.prompts.part1Prompt,
-          part2Prompt: config.prompts.part2Prompt,
-          part3Prompt: config.prompts.part3Prompt,
-          toneVoice: config.prompts.toneVoice,
-          seoGuidelines: config.prompts.seoGuidelines,
-          thingsToAvoid: config.prompts.thingsToAvoid
+        const promptSettings = prompts.useMultiPartGeneration || prompts.useOutlineGeneration ||
+                              prompts.toneVoice || prompts.seoGuidelines || prompts.thingsToAvoid || 
+                              prompts.mainPrompt ? {
+          useMultiPartGeneration: prompts.useMultiPartGeneration,
+          useOutlineGeneration: prompts.useOutlineGeneration,
+          outlinePrompt: prompts.outlinePrompt,
+          mainPrompt: prompts.mainPrompt || config.app.contentTemplate,
+          part1Prompt: prompts.part1Prompt,
+          part2Prompt: prompts.part2Prompt,
+          part3Prompt: prompts.part3Prompt,
+          toneVoice: prompts.toneVoice,
+          seoGuidelines: prompts.seoGuidelines,
+          thingsToAvoid: prompts.thingsToAvoid,
+          enableRecipeDetection: prompts.enableRecipeDetection,
+          recipeExtractionMode: prompts.recipeExtractionMode,
+          recipeFormatPrompt: prompts.recipeFormatPrompt
         } : null;
         
         // Generate article with custom prompt settings
@@ -95,21 +120,45 @@ async function runAutomation() {
           config.openai, 
           keyword, 
           config.app.minWords,
-          promptSettings
+          promptSettings,
+          { rules: buildRules(config.validation, config.app.minWords) }
         );
+        const saved = repository.saveArticle(keywordRow.id, article, null, { source: 'automation', promptSettings });
+        usage.recordUsage(article.usage, { keywordId: keywordRow.id, siteId: site.id, articleId: saved.id, purpose: 'automation' });
+        console.log(`Used ${article.usage.totalTokens} tokens ($${article.usage.cost.toFixed(4)})`);
+        
+        // Featured image from the default source in the settings
+        await images.createDefaultImage(keywordRow, article);
+        
+        // Categories, tags and author, suggested by the model if enabled
+        const taxonomyWarnings = await assignTaxonomy(keywordRow, site, article, {
+          suggest: config.taxonomy.suggestTerms
+        });
+        taxonomyWarnings.forEach(warning => console.warn(warning));
         
         // Step 4.2: Publish to WordPress
-        console.log('Publishing to WordPress...');
+        console.log(`Publishing to WordPress site "${site.name}"...`);
+        const wpConfig = sites.getWordPressConfig(site);
+        article.featuredImage = images.loadForPublishing(keywordRow.id);
         const publishData = await publishToWordPress(
-          config.wordpress,
+          wpConfig,
           article,
           keyword,
-          config.app.publishStatus
+          site.publishStatus || config.app.publishStatus,
+          keywordRow['Scheduled Date']
         );
         
-        // Step 4.3: Update Excel with publication status
-        console.log('Updating Excel file...');
-        updateExcelWithPublicationStatus(config.app.excelFile, keywordRow, publishData);
+        // Step 4.3: Record the publication
+        console.log('Recording publication...');
+        repository.recordPublication(keywordRow.id, { ...publishData, usage: article.usage });
+        if (publishData.recipeWarning) {
+          console.warn(publishData.recipeWarning);
+        }
+        if (publishData.mediaId) {
+          images.recordUpload(article.featuredImage.id, wpConfig.apiUrl, publishData);
+        } else if (publishData.imageWarning) {
+          console.warn(publishData.imageWarning);
+        }
         
         console.log(`✓ Successfully processed keyword: ${keyword}`);
         successCount++;
@@ -0,0 +1,210 @@
+// src/article-diff.js
+//
+// This module compares two versions of an article for the version history on
+// the preview page. Each version is split into lines (one per block element),
+// either as HTML or as plain text, and the lines are lined up with a longest
+// common subsequence so both versions can be shown side by side. Lines that
+// changed are compared again word by word to highlight the changed words.
+// The same comparison measures how much people edited a generated article.
+
+// Comparisons larger than this (lines x lines or words x words) are not lined
+// up in detail, to keep the comparison fast
+const MAX_CELLS = 4000000;
+
+// Tags that end a line of the article
+const BLOCK_END = /(<\/(?:p|h[1-6]|li|ul|ol|blockquote|table|tr|div|figure|pre)>|<br\s*\/?>|<(?:ul|ol|table)[^>]*>)/gi;
+
+/**
+ * Decode the HTML entities found in generated articles
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Split an article into the lines that are compared
+ * @param {string} content - Article HTML
+ * @param {string} mode - 'html' to compare the markup, 'text' to compare the visible text
+ * @returns {string[]} Non-empty lines
+ */
+function toLines(content, mode = 'text') {
+  const html = String(content || '').replace(/\r\n?/g, '\n').replace(BLOCK_END, '$1\n');
+
+  const lines = mode === 'html'
+    ? html.split('\n')
+    : decodeEntities(html.replace(/<[^>]*>/g, ' ')).split('\n');
+
+  return lines
+    .map(line => (mode === 'html' ? line.trim() : line.replace(/\s+/g, ' ').trim()))
+    .filter(line => line.length > 0);
+}
+
+/**
+ * Line up two sequences with a longest common subsequence
+ * @param {string[]} a - Old sequence
+ * @param {string[]} b - New sequence
+ * @returns {Object[]} Operations in order: { type: 'same'|'removed'|'added', value }
+ */
+function diffSequences(a, b) {
+  // Too large to line up: everything old is removed and everything new added
+  if ((a.length + 1) * (b.length + 1) > MAX_CELLS) {
+    return [
+      ...a.map(value => ({ type: 'removed', value })),
+      ...b.map(value => ({ type: 'added', value }))
+    ];
+  }
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'same', value: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      operations.push({ type: 'removed', value: a[i++] });
+    } else {
+      operations.push({ type: 'added', value: b[j++] });
+    }
+  }
+  while (i < a.length) operations.push({ type: 'removed', value: a[i++] });
+  while (j < b.length) operations.push({ type: 'added', value: b[j++] });
+
+  return operations;
+}
+
+/**
+ * Compare two lines word by word
+ * @param {string} left - Old line
+ * @param {string} right - New line
+ * @returns {Object} { left, right }: lists of { text, changed } parts
+ */
+function diffWords(left, right) {
+  // Words keep their trailing whitespace so the parts join back into the line
+  const split = line => line.match(/\S+\s*|\s+/g) || [];
+  const parts = { left: [], right: [] };
+
+  diffSequences(split(left), split(right)).forEach(operation => {
+    if (operation.type !== 'added') parts.left.push({ text: operation.value, changed: operation.type === 'removed' });
+    if (operation.type !== 'removed') parts.right.push({ text: operation.value, changed: operation.type === 'added' });
+  });
+  return parts;
+}
+
+/**
+ * Compare two versions of an article for a side-by-side view
+ * @param {Object} before - Older version ({ title, content })
+ * @param {Object} after - Newer version ({ title, content })
+ * @param {string} mode - 'html' or 'text' (see toLines)
+ * @returns {Object} {
+ *   title: { left, right, changed },
+ *   rows: [{ type: 'same'|'changed'|'removed'|'added', left, right, leftParts, rightParts }],
+ *   stats: { added, removed, changed }
+ * }
+ */
+function diffArticles(before, after, mode = 'text') {
+  const operations = diffSequences(toLines(before.content, mode), toLines(after.content, mode));
+  const rows = [];
+  const stats = { added: 0, removed: 0, changed: 0 };
+
+  // A run of removed lines followed by added lines is shown as changed
+  // lines next to each other
+  let index = 0;
+  while (index < operations.length) {
+    if (operations[index].type === 'same') {
+      rows.push({ type: 'same', left: operations[index].value, right: operations[index].value });
+      index++;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < operations.length && operations[index].type === 'removed') removed.push(operations[index++].value);
+    while (index < operations.length && operations[index].type === 'added') added.push(operations[index++].value);
+
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = removed[k];
+      const right = added[k];
+      if (left !== undefined && right !== undefined) {
+        const parts = diffWords(left, right);
+        rows.push({ type: 'changed', left, right, leftParts: parts.left, rightParts: parts.right });
+        stats.changed++;
+      } else if (left !== undefined) {
+        rows.push({ type: 'removed', left, right: null });
+        stats.removed++;
+      } else {
+        rows.push({ type: 'added', left: null, right });
+        stats.added++;
+      }
+    }
+  }
+
+  const title = { left: String(before.title || ''), right: String(after.title || '') };
+  title.changed = title.left !== title.right;
+
+  return { title, rows, stats };
+}
+
+/**
+ * Measure how much of an article people changed: the number of words that
+ * had to be removed or added to turn one version into the other
+ * @param {Object} before - Generated version ({ content })
+ * @param {Object} after - Edited version ({ content })
+ * @returns {Object} { distance, ratio }: words removed plus words added, and
+ *   that number relative to the words of both versions (0 unchanged, 1 rewritten)
+ */
+function measureEdits(before, after) {
+  const toWords = lines => lines.join(' ').split(/\s+/).filter(Boolean);
+  const operations = diffSequences(toLines(before.content, 'text'), toLines(after.content, 'text'));
+  let distance = 0;
+  let total = 0;
+
+  // Lines are lined up first, so only the words of changed lines are
+  // compared (whole articles are often too long to compare word by word)
+  let index = 0;
+  while (index < operations.length) {
+    if (operations[index].type === 'same') {
+      total += 2 * toWords([operations[index++].value]).length;
+      continue;
+    }
+
+    const removed = [];
+    const added = [];
+    while (index < operations.length && operations[index].type !== 'same') {
+      (operations[index].type === 'removed' ? removed : added).push(operations[index++].value);
+    }
+
+    const left = toWords(removed);
+    const right = toWords(added);
+    distance += diffSequences(left, right).filter(operation => operation.type !== 'same').length;
+    total += left.length + right.length;
+  }
+
+  return { distance, ratio: total > 0 ? distance / total : 0 };
+}
+
+module.exports = {
+  toLines,
+  diffArticles,
+  measureEdits
+};
@@ -0,0 +1,242 @@
+// src/article-validator.js
+//
+// This module checks generated articles against the content rules in the
+// settings, and writes the follow-up requests that fix what fails:
+// - Word count: at least the minimum number of words. A short article gets
+//   its shortest section expanded ("expand section X").
+// - Headings: no H1 (the post title is the page's H1) and at least a number
+//   of H2 sections. H1s are turned into H2s without asking the model; too
+//   few sections get the article restructured ("fix structure").
+// - Keyword: the keyword appears in the article. If it does not, the
+//   introduction is rewritten to use it.
+//
+// The generation runs one fix at a time and checks again after each, until
+// every rule passes or the fix passes allowed by the settings are used up
+// (see enforceContentRules in src/openai.js).
+
+// Labels of the checks, in the order they are fixed
+const CHECK_LABELS = {
+  noH1: 'No H1 headings',
+  minH2: 'H2 sections',
+  keyword: 'Keyword',
+  wordCount: 'Word count'
+};
+
+// Extra words asked for when expanding, so a section that comes back a little
+// short still reaches the minimum
+const EXPAND_MARGIN = 1.1;
+
+/**
+ * Build the rules articles are checked against
+ * @param {Object} settings - Content rule settings ({ enabled, minH2, requireKeyword, maxFixPasses })
+ * @param {number} minWords - Minimum word count
+ * @returns {Object|null} { minWords, minH2, requireKeyword, maxFixPasses },
+ *   or null if the checks are turned off
+ */
+function buildRules(settings, minWords) {
+  if (!settings || settings.enabled === false) {
+    return null;
+  }
+  return {
+    minWords: Math.max(parseInt(minWords) || 0, 0),
+    minH2: Math.max(parseInt(settings.minH2) || 0, 0),
+    requireKeyword: settings.requireKeyword !== false,
+    maxFixPasses: Math.max(parseInt(settings.maxFixPasses) || 0, 0)
+  };
+}
+
+/**
+ * Turn HTML into plain text
+ * @param {string} html - HTML
+ * @returns {string} Text with collapsed whitespace
+ */
+function toText(html) {
+  return String(html || '').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Count the words of an article
+ * @param {string} html - Article HTML
+ * @returns {number} Words
+ */
+function countWords(html) {
+  const text = toText(html);
+  return text ? text.split(' ').length : 0;
+}
+
+/**
+ * Split an article at its H2 headings
+ * @param {string} content - Article HTML
+ * @returns {Object[]} [{ heading: text of the H2 (null for the part before
+ *   the first H2), html }]; the html of a section starts with its H2
+ */
+function splitSections(content) {
+  return String(content || '')
+    .split(/(?=<h2[\s>])/i)
+    .filter(html => html.trim())
+    .map(html => {
+      const heading = html.match(/^<h2[^>]*>([\s\S]*?)<\/h2>/i);
+      return { heading: heading ? toText(heading[1]) : null, html };
+    });
+}
+
+/**
+ * Check an article against the content rules
+ * @param {string} content - Article HTML
+ * @param {string} keyword - Keyword of the article
+ * @param {Object} rules - Rules from buildRules
+ * @returns {Object} { passed, wordCount, checks: [{ id, label, passed, message }] }
+ */
+function validateArticle(content, keyword, rules) {
+  const wordCount = countWords(content);
+  const h1Count = (String(content || '').match(/<h1[\s>]/gi) || []).length;
+  const h2Count = (String(content || '').match(/<h2[\s>]/gi) || []).length;
+  const checks = [];
+
+  checks.push({
+    id: 'noH1',
+    passed: h1Count === 0,
+    message: h1Count === 0 ? 'No H1 headings' : `${h1Count} H1 heading${h1Count === 1 ? '' : 's'}; the title is the page's H1`
+  });
+  if (rules.minH2 > 0) {
+    checks.push({
+      id: 'minH2',
+      passed: h2Count >= rules.minH2,
+      message: `${h2Count} H2 section${h2Count === 1 ? '' : 's'} (at least ${rules.minH2})`
+    });
+  }
+  if (rules.requireKeyword && keyword) {
+    const found = toText(content).toLowerCase().includes(String(keyword).trim().toLowerCase());
+    checks.push({
+      id: 'keyword',
+      passed: found,
+      message: found ? `Uses "${keyword}"` : `Does not use "${keyword}"`
+    });
+  }
+  if (rules.minWords > 0) {
+    checks.push({
+      id: 'wordCount',
+      passed: wordCount >= rules.minWords,
+      message: `${wordCount} words (at least ${rules.minWords})`
+    });
+  }
+
+  checks.forEach(check => {
+    check.label = CHECK_LABELS[check.id];
+  });
+  return { passed: checks.every(check => check.passed), wordCount, checks };
+}
+
+/**
+ * Turn H1 headings into H2s
+ * @param {string} content - Article HTML
+ * @returns {string} Article HTML without H1s
+ */
+function demoteH1(content) {
+  return content.replace(/<(\/?)h1(?=[\s>])/gi, '<$1h2');
+}
+
+/**
+ * Send a fix request and return the HTML the model wrote
+ * @param {Object} openai - Chat client
+ * @param {Object} openaiConfig - Generation settings
+ * @param {string} systemMessage - System message with tone guidance
+ * @param {string} prompt - Fix request
+ * @returns {Promise<string>} HTML without code fences
+ */
+async function requestFix(openai, openaiConfig, systemMessage, prompt) {
+  const response = await openai.chat.completions.create({
+    model: openaiConfig.model,
+    messages: [
+      { role: 'system', content: systemMessage },
+      { role: 'user', content: prompt }
+    ],
+    temperature: openaiConfig.temperature,
+    max_tokens: openaiConfig.maxTokens
+  });
+
+  return response.choices[0].message.content.trim()
+    .replace(/^```(?:html)?\s*/i, '')
+    .replace(/\s*```$/, '');
+}
+
+/**
+ * Fix the first failing rule of an article with one follow-up request
+ * @param {Object} openai - Chat client
+ * @param {Object} openaiConfig - Generation settings
+ * @param {string} content - Article HTML (without H1s; see demoteH1)
+ * @param {string} keyword - Keyword of the article
+ * @param {Object} validation - Result of validateArticle for the content
+ * @param {Object} rules - Rules from buildRules
+ * @param {Object} prompt - { systemMessage, instructions: text appended to
+ *   every request (things to avoid, ...) }
+ * @returns {Promise<Object|null>} { content, description }, or null if no
+ *   failing rule can be fixed
+ */
+async function fixArticle(openai, openaiConfig, content, keyword, validation, rules, prompt) {
+  const failing = id => validation.checks.some(check => check.id === id && !check.passed);
+  const sections = splitSections(content);
+  const headings = sections.filter(section => section.heading).map(section => section.heading);
+  const formatting = 'Use <h2>, <h3>, <p>, <ul>, <ol> and <li> tags and no <h1>. Return only the HTML.';
+
+  // Fix structure: the whole article, reorganized under more H2 headings
+  if (failing('minH2')) {
+    const fixed = await requestFix(openai, openaiConfig, prompt.systemMessage,
+      `This article about "${keyword}" has ${headings.length} H2 sections; it needs at least ${rules.minH2}. ` +
+      'Reorganize it into sections under descriptive <h2> headings, moving paragraphs where needed. ' +
+      `Keep all of its content and wording. ${formatting}${prompt.instructions}\n\n${content}`);
+    return { content: fixed, description: `fixed the structure (at least ${rules.minH2} H2 sections)` };
+  }
+
+  // Use the keyword in the introduction (or the first section)
+  if (failing('keyword')) {
+    const target = sections[0];
+    const rewritten = await requestFix(openai, openaiConfig, prompt.systemMessage,
+      `Rewrite this part of an article so it uses the exact phrase "${keyword}" naturally, early on. ` +
+      `Keep its meaning, length and headings. ${formatting}${prompt.instructions}\n\n${target.html}`);
+    return {
+      content: sections.map(section => section === target ? `${rewritten}\n\n` : section.html).join('').trim(),
+      description: `worked "${keyword}" into the ${target.heading ? `section "${target.heading}"` : 'introduction'}`
+    };
+  }
+
+  // Expand the shortest section by the missing words
+  if (failing('wordCount')) {
+    const candidates = sections.filter(section => section.heading).length > 0
+      ? sections.filter(section => section.heading)
+      : sections;
+    const target = candidates.reduce((shortest, section) =>
+      countWords(section.html) < countWords(shortest.html) ? section : shortest);
+    const missing = rules.minWords - validation.wordCount;
+    const targetWords = Math.round((countWords(target.html) + missing) * EXPAND_MARGIN);
+    const others = headings.filter(heading => heading !== target.heading);
+
+    let expanded = await requestFix(openai, openaiConfig, prompt.systemMessage,
+      `This is one section of an article about "${keyword}". The article is ${missing} words short of its minimum of ${rules.minWords}. ` +
+      `Expand the section to about ${targetWords} words with more depth: details, examples and practical tips. ` +
+      'Keep its heading, its points and its formatting.' +
+      (others.length > 0 ? ` Do not cover the topics of the other sections: ${others.join('; ')}.` : '') +
+      ` ${formatting}${prompt.instructions}\n\n${target.html}`);
+
+    // Keep the section's heading if the model left it out
+    const heading = target.html.match(/^<h2[^>]*>[\s\S]*?<\/h2>/i);
+    if (heading && !/^\s*<h2[\s>]/i.test(expanded)) {
+      expanded = `${heading[0]}\n${expanded}`;
+    }
+    return {
+      content: sections.map(section => section === target ? `${expanded}\n\n` : section.html).join('').trim(),
+      description: `expanded ${target.heading ? `section "${target.heading}"` : 'the article'} (${missing} words missing)`
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  buildRules,
+  countWords,
+  splitSections,
+  validateArticle,
+  demoteH1,
+  fixArticle
+};
@@ -0,0 +1,258 @@
+// src/audit-log.js
+//
+// This module is the audit log of the application: an append-only record of
+// who did what, from where and to what. Entries are never changed or removed.
+//
+// Each entry records:
+// - the action ('auth.login', 'keyword.add', 'article.publish', ...)
+// - the actor (user ID and name at the time) and their IP address
+// - the target (a keyword, user, site, prompt profile, experiment, schedule or
+//   the settings)
+// - the values before and after the change, for the fields that changed
+//
+// Secrets (passwords, API keys) are never written to the log.
+
+const store = require('./datastore');
+
+const ACTIONS = {
+  'auth.login': { label: 'Logged in', group: 'Authentication', type: 'info' },
+  'auth.login_failed': { label: 'Failed login', group: 'Authentication', type: 'error' },
+  'auth.logout': { label: 'Logged out', group: 'Authentication', type: 'info' },
+  'keyword.add': { label: 'Added keyword', group: 'Keywords', type: 'info' },
+  'keyword.delete': { label: 'Deleted keyword', group: 'Keywords', type: 'error' },
+  'keyword.import': { label: 'Imported keywords', group: 'Keywords', type: 'info' },
+  'keyword.reset': { label: 'Reset keyword to pending', group: 'Keywords', type: 'info' },
+  'article.generate': { label: 'Generated article', group: 'Articles', type: 'info' },
+  'article.regenerate': { label: 'Regenerated article', group: 'Articles', type: 'info' },
+  'article.edit': { label: 'Edited article', group: 'Articles', type: 'info' },
+  'article.restore': { label: 'Restored article version', group: 'Articles', type: 'info' },
+  'article.review': { label: 'Changed review state', group: 'Articles', type: 'info' },
+  'article.publish': { label: 'Published article', group: 'Articles', type: 'success' },
+  'article.republish': { label: 'Republished article', group: 'Articles', type: 'success' },
+  'settings.update': { label: 'Changed settings', group: 'Settings', type: 'info' },
+  'settings.prompts': { label: 'Changed prompt settings', group: 'Settings', type: 'info' },
+  'settings.prices': { label: 'Changed model prices', group: 'Settings', type: 'info' },
+  'prompt_profile.create': { label: 'Added prompt profile', group: 'Settings', type: 'info' },
+  'prompt_profile.update': { label: 'Changed prompt profile', group: 'Settings', type: 'info' },
+  'prompt_profile.delete': { label: 'Deleted prompt profile', group: 'Settings', type: 'error' },
+  'experiment.create': { label: 'Added prompt experiment', group: 'Settings', type: 'info' },
+  'experiment.update': { label: 'Changed prompt experiment', group: 'Settings', type: 'info' },
+  'experiment.delete': { label: 'Deleted prompt experiment', group: 'Settings', type: 'error' },
+  'schedule.create': { label: 'Added publishing schedule', group: 'Settings', type: 'info' },
+  'schedule.update': { label: 'Changed publishing schedule', group: 'Settings', type: 'info' },
+  'schedule.delete': { label: 'Deleted publishing schedule', group: 'Settings', type: 'error' },
+  'site.create': { label: 'Added site', group: 'Settings', type: 'info' },
+  'site.update': { label: 'Changed site', group: 'Settings', type: 'info' },
+  'site.delete': { label: 'Deleted site', group: 'Settings', type: 'error' },
+  'user.create': { label: 'Created user', group: 'User Management', type: 'info' },
+  'user.update': { label: 'Changed user', group: 'User Management', type: 'info' },
+  'user.delete': { label: 'Deleted user', group: 'User Management', type: 'error' },
+  'user.profile': { label: 'Changed own profile', group: 'User Management', type: 'info' }
+};
+
+// Fields whose values are replaced before they are logged
+const SECRET_FIELD = /password|secret|apikey|api_key|token/i;
+
+/**
+ * List the actions for filter forms, grouped in display order
+ * @returns {Object[]} [{ group, actions: [{ id, label }] }]
+ */
+function listActions() {
+  const groups = [];
+  Object.entries(ACTIONS).forEach(([id, action]) => {
+    let group = groups.find(item => item.group === action.group);
+    if (!group) {
+      group = { group: action.group, actions: [] };
+      groups.push(group);
+    }
+    group.actions.push({ id, label: action.label });
+  });
+  return groups;
+}
+
+/**
+ * Flatten nested settings into dotted keys ({ openai: { model } } becomes
+ * { 'openai.model' })
+ * @param {Object} values - Values to flatten
+ * @param {string} prefix - Key prefix of nested values
+ * @returns {Object} Flat values
+ */
+function flattenValues(values, prefix = '') {
+  const flat = {};
+  Object.entries(values || {}).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenValues(value, name));
+    } else {
+      flat[name] = value === undefined ? null : value;
+    }
+  });
+  return flat;
+}
+
+/**
+ * Replace a secret with a marker that only tells whether it is set
+ * @param {string} key - Dotted key
+ * @param {*} value - Value
+ * @returns {*} The value, or the marker for secrets
+ */
+function maskSecret(key, value) {
+  if (!SECRET_FIELD.test(key.split('.').pop())) return value;
+  return value ? '********' : '';
+}
+
+/**
+ * Keep only the fields that changed between two sets of values. Without
+ * values before (something was created) or after (something was deleted)
+ * that side is null and the other side has every field.
+ * @param {Object|null} before - Values before the change
+ * @param {Object|null} after - Values after the change
+ * @returns {Object} { before, after } with the changed (flattened) fields only
+ */
+function diffValues(before, after) {
+  const flatBefore = flattenValues(before);
+  const flatAfter = flattenValues(after);
+  const changes = { before: before ? {} : null, after: after ? {} : null };
+
+  new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]).forEach(key => {
+    const oldValue = key in flatBefore ? flatBefore[key] : null;
+    const newValue = key in flatAfter ? flatAfter[key] : null;
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    // A changed secret shows as changed without its value
+    const masked = maskSecret(key, newValue);
+    if (changes.before) changes.before[key] = maskSecret(key, oldValue);
+    if (changes.after) changes.after[key] = masked === '********' && oldValue ? '******** (changed)' : masked;
+  });
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {string} action - Action ID (see ACTIONS)
+ * @param {Object} entry - {
+ *   actor: user ({ id, username, name }) or null,
+ *   ip: IP address of the request (null for automation),
+ *   target: { type, id, label } or null,
+ *   before, after: values before and after the change (only changed fields are kept),
+ *   details: anything else worth keeping (not diffed)
+ * }
+ * @returns {Object} Stored entry
+ */
+function recordEntry(action, entry = {}) {
+  if (!ACTIONS[action]) {
+    throw new Error(`Unknown audit action: ${action}`);
+  }
+
+  const changes = entry.before || entry.after
+    ? diffValues(entry.before || null, entry.after || null)
+    : { before: null, after: null };
+  const actor = entry.actor || null;
+  const target = entry.target || null;
+
+  return store.insert('auditLog', {
+    action,
+    actorId: actor ? actor.id : null,
+    actorName: actor ? actor.name || actor.username : null,
+    ip: entry.ip || null,
+    targetType: target ? target.type : null,
+    targetId: target ? target.id || null : null,
+    targetLabel: target ? target.label || '' : '',
+    before: changes.before,
+    after: changes.after,
+    details: entry.details || null,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} filters - {
+ *   userId: only entries by this user,
+ *   from, to: first and last day (YYYY-MM-DD, local time),
+ *   action: only this action
+ * }
+ * @returns {Object[]} Entries with their action `label` and `type`, and the
+ *   `actor` to show (people who were not logged in are anonymous)
+ */
+function listEntries(filters = {}) {
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+  return store.find('auditLog', entry => {
+    if (filters.userId && entry.actorId !== filters.userId) return false;
+    if (filters.action && entry.action !== filters.action) return false;
+
+    const createdAt = new Date(entry.createdAt);
+    if (from && !isNaN(from) && createdAt < from) return false;
+    if (to && !isNaN(to) && createdAt > to) return false;
+    return true;
+  })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(entry => ({
+      ...entry,
+      label: ACTIONS[entry.action].label,
+      type: ACTIONS[entry.action].type,
+      actor: entry.actorName || (entry.ip ? 'Anonymous' : 'Automation')
+    }));
+}
+
+/**
+ * Describe the changed fields of an entry in one line
+ * @param {Object} entry - Audit log entry
+ * @returns {string} "field: old → new; ..." or empty
+ */
+function describeChanges(entry) {
+  const format = value => (value === null || value === undefined || value === '' ? '(empty)' : String(value));
+  return Object.keys(entry.after || entry.before || {})
+    .map(key => {
+      // Created or deleted: only one side has values
+      if (!entry.before) return `${key}: ${format(entry.after[key])}`;
+      if (!entry.after) return `${key}: ${format(entry.before[key])}`;
+      return `${key}: ${format(entry.before[key])} → ${format(entry.after[key])}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Quote a CSV field
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write audit log entries as CSV
+ * @param {Object[]} entries - Entries from listEntries
+ * @returns {string} CSV with a header row
+ */
+function toCsv(entries) {
+  const header = ['Time', 'User', 'User ID', 'IP Address', 'Action', 'Target Type', 'Target', 'Before', 'After', 'Details'];
+  const rows = entries.map(entry => [
+    entry.createdAt,
+    entry.actor,
+    entry.actorId,
+    entry.ip,
+    entry.label,
+    entry.targetType,
+    entry.targetLabel,
+    entry.before ? JSON.stringify(entry.before) : '',
+    entry.after ? JSON.stringify(entry.after) : '',
+    entry.details ? JSON.stringify(entry.details) : ''
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  ACTIONS,
+  listActions,
+  diffValues,
+  recordEntry,
+  listEntries,
+  describeChanges,
+  toCsv
+};
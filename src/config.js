@@ -5,6 +5,8 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const sites = require('./sites');
+const llmProviders = require('./llm-providers');
 
 // Path to configuration file
 const CONFIG_FILE = path.join(__dirname, '../data/config.json');
@@ -19,9 +21,13 @@ const defaultConfig = {
     password: '',
   },
   
-  // OpenAI API configuration
+  // Content generation settings (the section keeps its original name;
+  // `provider` selects OpenAI, Azure OpenAI, Anthropic or a compatible server)
   openai: {
+    provider: 'openai',
     apiKey: '',
+    baseUrl: '', // Azure endpoint or OpenAI-compatible server URL
+    apiVersion: '', // Azure API version
     model: 'gpt-3.5-turbo',
     temperature: 0.7,
     maxTokens: 3500,
@@ -34,12 +40,15 @@ const defaultConfig = {
     minWords: 800,
     publishStatus: 'draft', // 'draft' or 'publish'
     delayBetweenPosts: 5000, // milliseconds
+    jobWorkers: 2, // background jobs processed at the same time
     contentTemplate: 'Write a comprehensive, engaging, and SEO-optimized article about "{keyword}" that follows these guidelines:\n\n1. The article should be at least {minWords} words\n2. Use proper WordPress formatting with H2 and H3 headings (no H1 as that\'s for the title)\n3. Include a compelling introduction that hooks the reader\n4. Break down the topic into logical sections with descriptive headings\n5. Include practical tips, examples, and actionable advice\n6. Add a conclusion that summarizes key points\n7. Optimize for SEO with natural keyword usage\n8. Make the content valuable and informative for the reader', 
   },
   
   // Prompt settings
   prompts: {
     useMultiPartGeneration: false,
+    useOutlineGeneration: false, // Outline first, then the article section by section (takes precedence)
+    outlinePrompt: '',
     mainPrompt: '',
     part1Prompt: 'Write an engaging introduction for an article about "{keyword}". The introduction should hook the reader, explain why the topic is important, and preview what the article will cover. Use approximately {minWords} words.',
     part2Prompt: 'Write the main body content for an article about "{keyword}". This should include detailed information, breakdown of the topic into logical sections with appropriate H2 and H3 headings, practical tips, examples, and actionable advice. Use approximately {minWords} words.',
@@ -48,12 +57,83 @@ const defaultConfig = {
     seoGuidelines: '',
     thingsToAvoid: '',
     articleFormat: '',
-    useArticleFormat: false
+    useArticleFormat: false,
+    enableRecipeDetection: false,
+    recipeExtractionMode: 'llm',
+    recipeFormatPrompt: ''
+  },
+  
+  // Checks of generated articles, fixed with follow-up requests (see src/article-validator.js)
+  validation: {
+    enabled: true,
+    minH2: 3, // H2 sections an article needs
+    requireKeyword: true, // The keyword must appear in the article
+    maxFixPasses: 3 // Follow-up requests per article before giving up
+  },
+  
+  // Featured images (see src/images.js)
+  images: {
+    source: 'none', // Default for new articles: 'none', 'placeholder' or 'ai'
+    model: 'dall-e-3', // Image model (the deployment name on Azure)
+    size: '1792x1024',
+    template: 'auto', // Placeholder colours; 'auto' picks one per article
+    prompt: 'A high-quality, realistic photograph for a blog article about "{keyword}". No text, letters or logos.'
+  },
+  
+  // Categories, tags and author of posts (see src/taxonomy.js)
+  taxonomy: {
+    suggestTerms: false, // Let the model choose categories and tags for rows without any
+    maxTags: 5
+  },
+  
+  // Retries for AI provider and WordPress calls (see src/resilience.js)
+  resilience: {
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    // Requests per minute by provider; 0 for no limit
+    rateLimits: {
+      openai: 60,
+      azure: 60,
+      anthropic: 50,
+      compatible: 0,
+      wordpress: 60
+    }
+  },
+  
+  // Token prices for the usage report and budgets (USD per million tokens)
+  usage: {
+    prices: {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-4': { input: 30, output: 60 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+      'claude-3-5-sonnet': { input: 3, output: 15 },
+      'claude-3-5-haiku': { input: 0.8, output: 4 },
+      'claude-3-opus': { input: 15, output: 75 }
+    }
   },
 };
 
-// Runtime config object
-let config = { ...defaultConfig };
+// Runtime config object. Other modules hold a reference to this object,
+// so it is updated in place rather than reassigned.
+const config = {};
+
+// Replace the runtime config, filling in defaults for missing settings
+function setRuntimeConfig(newValues) {
+  // Copy first: callers often pass the runtime config object itself
+  const newConfig = { ...newValues };
+  Object.keys(config).forEach(key => delete config[key]);
+  Object.keys(defaultConfig).forEach(section => {
+    config[section] = { ...defaultConfig[section], ...(newConfig[section] || {}) };
+  });
+  Object.keys(newConfig).forEach(key => {
+    if (!(key in config)) config[key] = newConfig[key];
+  });
+}
+
+setRuntimeConfig(defaultConfig);
 
 // Load configuration from file
 async function loadConfig() {
@@ -61,7 +141,7 @@ async function loadConfig() {
     // Check if config file exists
     try {
       const data = await fs.readFile(CONFIG_FILE, 'utf8');
-      config = JSON.parse(data);
+      setRuntimeConfig(JSON.parse(data));
       console.log('Configuration loaded from data/config.json');
       return config;
     } catch (error) {
@@ -69,7 +149,7 @@ async function loadConfig() {
       if (error.code === 'ENOENT' || error.name === 'SyntaxError') {
         console.log('Config file not found or invalid. Creating default config...');
         await saveConfig(defaultConfig);
-        config = { ...defaultConfig };
+        setRuntimeConfig(defaultConfig);
         return config;
       }
       throw error;
@@ -96,7 +176,7 @@ async function saveConfig(newConfig) {
     await fs.writeFile(CONFIG_FILE, JSON.stringify(newConfig, null, 2), 'utf8');
     
     // Update runtime config
-    config = { ...newConfig };
+    setRuntimeConfig(newConfig);
     
     console.log('Configuration saved to data/config.json');
     return true;
@@ -110,10 +190,11 @@ async function saveConfig(newConfig) {
 function validateConfig() {
   const missingVars = [];
   
-  if (!config.wordpress.apiUrl) missingVars.push('WordPress API URL');
-  if (!config.wordpress.username) missingVars.push('WordPress Username');
-  if (!config.wordpress.password) missingVars.push('WordPress Password');
-  if (!config.openai.apiKey) missingVars.push('OpenAI API Key');
+  // The legacy WordPress settings count until they are migrated into a site
+  const hasSite = sites.listSites().some(sites.isSiteConfigured) ||
+    sites.isSiteConfigured(config.wordpress);
+  if (!hasSite) missingVars.push('WordPress Site (API URL, Username and Password)');
+  if (!llmProviders.isConfigured(config.openai)) missingVars.push('AI Provider (API Key or Base URL)');
   
   if (missingVars.length > 0) {
     console.error('Error: Missing required configuration values:');
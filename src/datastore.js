@@ -0,0 +1,233 @@
+// src/datastore.js
+//
+// This module provides a small embedded datastore for the application:
+// - Tables of rows (plain objects with an `id`) held in memory
+// - Every mutation is appended to a journal file before it is acknowledged
+// - The journal is periodically compacted into a JSON snapshot
+//
+// Snapshots are written to a temporary file and renamed into place, so a crash
+// never leaves a half-written store behind. Journal entries are idempotent
+// (insert = put by id, update = merge by id, remove = delete by id), which
+// makes replaying the journal on top of a newer snapshot safe.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Location of the snapshot and journal files
+const STORE_FILE = path.join(__dirname, '../data/store.json');
+const JOURNAL_FILE = path.join(__dirname, '../data/store.journal');
+
+// Number of journal entries after which the journal is folded into the snapshot
+const COMPACT_AFTER = 500;
+
+// In-memory state: { tableName: { id: row } }
+let tables = null;
+let journalFd = null;
+let journalEntries = 0;
+
+/**
+ * Generate a unique row ID
+ * @returns {string} Random hex ID
+ */
+function generateId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Apply a journal entry to the in-memory tables
+ * @param {Object} entry - Journal entry ({ op, table, id, row, patch })
+ */
+function applyEntry(entry) {
+  if (!tables[entry.table]) {
+    tables[entry.table] = {};
+  }
+  const table = tables[entry.table];
+
+  switch (entry.op) {
+    case 'insert':
+      table[entry.row.id] = entry.row;
+      break;
+    case 'update':
+      if (table[entry.id]) {
+        table[entry.id] = { ...table[entry.id], ...entry.patch, id: entry.id };
+      }
+      break;
+    case 'remove':
+      delete table[entry.id];
+      break;
+    default:
+      console.warn(`Ignoring unknown datastore operation: ${entry.op}`);
+  }
+}
+
+/**
+ * Load the snapshot and replay the journal (runs once, on first access)
+ */
+function ensureLoaded() {
+  if (tables) return;
+
+  fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+
+  // Load the last snapshot if there is one
+  tables = {};
+  if (fs.existsSync(STORE_FILE)) {
+    const snapshot = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+    tables = snapshot.tables || {};
+  }
+
+  // Replay journal entries written since the snapshot
+  let sawUnreadableEntry = false;
+  if (fs.existsSync(JOURNAL_FILE)) {
+    const lines = fs.readFileSync(JOURNAL_FILE, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        applyEntry(JSON.parse(line));
+        journalEntries++;
+      } catch (error) {
+        // A torn final line from a crash mid-write is expected; skip it
+        console.warn('Skipping unreadable datastore journal entry');
+        sawUnreadableEntry = true;
+      }
+    }
+  }
+
+  journalFd = fs.openSync(JOURNAL_FILE, 'a');
+
+  // Start from a clean journal if the replay was long, or if it contained a
+  // torn entry: appending after the fragment would corrupt the next write
+  if (journalEntries >= COMPACT_AFTER || sawUnreadableEntry) {
+    compact();
+  }
+}
+
+/**
+ * Apply a mutation and persist it to the journal
+ * @param {Object} entry - Journal entry
+ */
+function commit(entry) {
+  ensureLoaded();
+
+  // Persist first so an acknowledged write always survives a restart
+  fs.writeSync(journalFd, JSON.stringify(entry) + '\n');
+  fs.fsyncSync(journalFd);
+
+  applyEntry(entry);
+  journalEntries++;
+
+  if (journalEntries >= COMPACT_AFTER) {
+    compact();
+  }
+}
+
+/**
+ * Write a full snapshot atomically and truncate the journal
+ */
+function compact() {
+  ensureLoaded();
+
+  const tempFile = `${STORE_FILE}.tmp`;
+  const fd = fs.openSync(tempFile, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify({ savedAt: new Date().toISOString(), tables }));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempFile, STORE_FILE);
+
+  fs.ftruncateSync(journalFd, 0);
+  journalEntries = 0;
+}
+
+/**
+ * Get all rows of a table
+ * @param {string} table - Table name
+ * @returns {Object[]} Copies of all rows
+ */
+function all(table) {
+  ensureLoaded();
+  return Object.values(tables[table] || {}).map(row => ({ ...row }));
+}
+
+/**
+ * Find rows matching a predicate
+ * @param {string} table - Table name
+ * @param {Function} predicate - Filter function
+ * @returns {Object[]} Matching rows
+ */
+function find(table, predicate) {
+  return all(table).filter(predicate);
+}
+
+/**
+ * Find the first row matching a predicate
+ * @param {string} table - Table name
+ * @param {Function} predicate - Filter function
+ * @returns {Object|null} Matching row or null
+ */
+function findOne(table, predicate) {
+  return all(table).find(predicate) || null;
+}
+
+/**
+ * Get a row by ID
+ * @param {string} table - Table name
+ * @param {string} id - Row ID
+ * @returns {Object|null} Row or null
+ */
+function get(table, id) {
+  ensureLoaded();
+  const row = tables[table] && tables[table][id];
+  return row ? { ...row } : null;
+}
+
+/**
+ * Insert a new row
+ * @param {string} table - Table name
+ * @param {Object} row - Row data (an `id` is generated if missing)
+ * @returns {Object} The inserted row
+ */
+function insert(table, row) {
+  const newRow = { ...row, id: row.id || generateId() };
+  commit({ op: 'insert', table, row: newRow });
+  return { ...newRow };
+}
+
+/**
+ * Update fields of a single row
+ * @param {string} table - Table name
+ * @param {string} id - Row ID
+ * @param {Object} patch - Fields to change
+ * @returns {Object|null} The updated row or null if not found
+ */
+function update(table, id, patch) {
+  if (!get(table, id)) return null;
+  commit({ op: 'update', table, id, patch });
+  return get(table, id);
+}
+
+/**
+ * Remove a row
+ * @param {string} table - Table name
+ * @param {string} id - Row ID
+ * @returns {boolean} True if a row was removed
+ */
+function remove(table, id) {
+  if (!get(table, id)) return false;
+  commit({ op: 'remove', table, id });
+  return true;
+}
+
+module.exports = {
+  all,
+  find,
+  findOne,
+  get,
+  insert,
+  update,
+  remove,
+  compact,
+  generateId
+};
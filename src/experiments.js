@@ -0,0 +1,348 @@
+// src/experiments.js
+//
+// This module runs prompt A/B experiments. An experiment has two or more
+// variants of the main prompt and the tone & voice; while it runs, every
+// keyword an automation batch generates gets one of the variants, picked at
+// random or in turn (round-robin). The article records which variant it got.
+//
+// The report compares the variants by:
+// - word count of the generated article
+// - readability (Flesch reading ease, higher is easier to read)
+// - how much people edited the article before it was published (see
+//   measureEdits in src/article-diff.js)
+// - page views of the published post, when the site exposes them
+//
+// Experiments are stored in the datastore `experiments` table; only one
+// experiment runs at a time.
+
+const store = require('./datastore');
+const repository = require('./repository');
+const { measureEdits, toLines } = require('./article-diff');
+
+const ASSIGNMENT_MODES = {
+  random: 'Random',
+  round_robin: 'Round-robin'
+};
+
+// Prompt settings a variant replaces; empty fields keep the keyword's prompts
+const VARIANT_FIELDS = ['mainPrompt', 'toneVoice'];
+
+/**
+ * List all experiments, newest first
+ * @returns {Object[]} Experiments
+ */
+function listExperiments() {
+  return store.all('experiments').sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get an experiment by ID
+ * @param {string} id - Experiment ID
+ * @returns {Object|null} Experiment or null
+ */
+function getExperiment(id) {
+  return id ? store.get('experiments', id) : null;
+}
+
+/**
+ * Get the experiment that is running
+ * @returns {Object|null} Running experiment or null
+ */
+function getRunningExperiment() {
+  return store.findOne('experiments', experiment => experiment.status === 'running');
+}
+
+/**
+ * List the articles generated for an experiment
+ * @param {string} id - Experiment ID
+ * @returns {Object[]} Article rows
+ */
+function listExperimentArticles(id) {
+  return store.find('articles', row => row.experiment && row.experiment.id === id);
+}
+
+/**
+ * Validate and normalize experiment input
+ * @param {Object} data - Raw experiment data ({ name, description, assignment, variants })
+ * @param {Object|null} existing - Experiment being edited (its variants keep their IDs)
+ * @returns {Object} Normalized experiment fields
+ */
+function normalizeExperiment(data, existing = null) {
+  const name = String(data.name || '').trim();
+  if (!name) {
+    throw new Error('Experiment name is required');
+  }
+
+  const variants = (Array.isArray(data.variants) ? data.variants : []).map((variant, index) => {
+    const known = existing && existing.variants.find(item => item.id === variant.id);
+    const normalized = {
+      id: known ? known.id : store.generateId(),
+      name: String(variant.name || '').trim() || `Variant ${String.fromCharCode(65 + index)}`
+    };
+    VARIANT_FIELDS.forEach(field => {
+      normalized[field] = String(variant[field] || '').trim();
+    });
+    return normalized;
+  });
+
+  if (variants.length < 2) {
+    throw new Error('An experiment needs at least two variants');
+  }
+  if (variants.some(variant => VARIANT_FIELDS.every(field => !variant[field]))) {
+    throw new Error('Every variant needs a main prompt or a tone & voice');
+  }
+
+  return {
+    name,
+    description: String(data.description || '').trim(),
+    assignment: ASSIGNMENT_MODES[data.assignment] ? data.assignment : 'random',
+    variants
+  };
+}
+
+/**
+ * Create an experiment. New experiments are stopped until they are started.
+ * @param {Object} data - Experiment fields
+ * @param {string} userId - User creating the experiment
+ * @returns {Object} The new experiment
+ */
+function createExperiment(data, userId) {
+  return store.insert('experiments', {
+    ...normalizeExperiment(data),
+    status: 'stopped',
+    nextVariant: 0,
+    createdBy: userId,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Update an experiment. Its variants cannot change once articles were
+ * generated with them, so the results stay comparable.
+ * @param {string} id - Experiment ID
+ * @param {Object} data - Experiment fields
+ * @returns {Object} The updated experiment
+ */
+function updateExperiment(id, data) {
+  const experiment = getExperiment(id);
+  if (!experiment) {
+    throw new Error('Experiment not found');
+  }
+
+  const fields = normalizeExperiment(data, experiment);
+  const variantsChanged = JSON.stringify(fields.variants) !== JSON.stringify(experiment.variants);
+  if (variantsChanged && listExperimentArticles(id).length > 0) {
+    throw new Error('The variants cannot change after articles were generated with them; create a new experiment instead');
+  }
+
+  return store.update('experiments', id, fields);
+}
+
+/**
+ * Start or stop an experiment. Starting one stops the experiment that was running.
+ * @param {string} id - Experiment ID
+ * @param {boolean} running - True to start, false to stop
+ * @returns {Object} The updated experiment
+ */
+function setExperimentRunning(id, running) {
+  if (!getExperiment(id)) {
+    throw new Error('Experiment not found');
+  }
+
+  if (running) {
+    store.find('experiments', experiment => experiment.status === 'running' && experiment.id !== id)
+      .forEach(experiment => store.update('experiments', experiment.id, { status: 'stopped' }));
+  }
+  return store.update('experiments', id, { status: running ? 'running' : 'stopped' });
+}
+
+/**
+ * Delete an experiment. Its articles keep their variant record.
+ * @param {string} id - Experiment ID
+ * @returns {boolean} True if the experiment was deleted
+ */
+function deleteExperiment(id) {
+  return store.remove('experiments', id);
+}
+
+/**
+ * Pick the variant for the next article of a running experiment
+ * @param {string} id - Experiment ID
+ * @returns {Object|null} Variant, or null if the experiment is no longer running
+ */
+function assignVariant(id) {
+  const experiment = getExperiment(id);
+  if (!experiment || experiment.status !== 'running') return null;
+
+  if (experiment.assignment === 'round_robin') {
+    const index = (experiment.nextVariant || 0) % experiment.variants.length;
+    store.update('experiments', id, { nextVariant: index + 1 });
+    return experiment.variants[index];
+  }
+  return experiment.variants[Math.floor(Math.random() * experiment.variants.length)];
+}
+
+/**
+ * Apply a variant's prompts on top of a keyword's prompt settings
+ * @param {Object|string|null} promptSettings - Prompt settings (or just a content template)
+ * @param {Object} variant - Variant
+ * @returns {Object} Prompt settings for the variant
+ */
+function applyVariant(promptSettings, variant) {
+  const settings = promptSettings && typeof promptSettings === 'object'
+    ? { ...promptSettings }
+    : { mainPrompt: promptSettings || '' };
+
+  VARIANT_FIELDS.forEach(field => {
+    if (variant[field]) {
+      settings[field] = variant[field];
+    }
+  });
+
+  // A variant's main prompt is used even if the settings write in parts
+  // or from an outline
+  if (variant.mainPrompt) {
+    settings.useMultiPartGeneration = false;
+    settings.useOutlineGeneration = false;
+  }
+  return settings;
+}
+
+//====================================================
+// REPORT
+//====================================================
+
+/**
+ * Count the syllables of an English word (vowel groups, without a silent e)
+ * @param {string} word - Word
+ * @returns {number} Syllables (at least 1)
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (letters.length <= 3) return 1;
+
+  const groups = letters.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Score how easy an article is to read (Flesch reading ease)
+ * @param {string} content - Article HTML
+ * @returns {number|null} Score (usually 0-100, higher is easier), or null without text
+ */
+function scoreReadability(content) {
+  const text = toLines(content, 'text').join('\n');
+  const words = text.split(/\s+/).filter(word => /[A-Za-z]/.test(word));
+  if (words.length === 0) return null;
+
+  // Every line ends a sentence, even headings and list items without a full stop
+  const sentences = Math.max(1, text.split(/[.!?]+(?:\s|$)|\n/).filter(sentence => sentence.trim()).length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+
+  return 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+}
+
+/**
+ * Find the version of a keyword's article that was published from a
+ * generated article: the first published version after it, as long as only
+ * edits were made in between. A later generated, refreshed or restored
+ * version is another article, so the search stops there.
+ * @param {Object} article - Generated article row
+ * @returns {Object|null} Published article row or null if it was not published
+ */
+function findPublishedVersion(article) {
+  if (article.status === 'published') return article;
+
+  const later = repository.listArticleVersions(article.keywordId)
+    .filter(version => version.id !== article.id && version.createdAt >= article.createdAt);
+  for (const version of later) {
+    if (version.source !== 'edit') return null;
+    if (version.status === 'published') return version;
+  }
+  return null;
+}
+
+/**
+ * List the results of an experiment: one row per generated article
+ * @param {Object} experiment - Experiment
+ * @param {string} keywordColumn - Column name containing keywords
+ * @returns {Object[]} [{ articleId, keywordId, keyword, variantId, createdAt,
+ *   wordCount, readability, published, postId, siteId, edits, views }]
+ *   (edits is null until the article is published; views is filled in by the caller)
+ */
+function listResults(experiment, keywordColumn) {
+  return listExperimentArticles(experiment.id).map(article => {
+    const keywordRow = repository.getKeyword(article.keywordId);
+    const published = findPublishedVersion(article);
+    const publication = published ? repository.getLastPublication(article.keywordId) : null;
+
+    return {
+      articleId: article.id,
+      keywordId: article.keywordId,
+      keyword: keywordRow ? keywordRow[keywordColumn] || '' : '',
+      variantId: article.experiment.variantId,
+      createdAt: article.createdAt,
+      wordCount: article.wordCount || 0,
+      readability: scoreReadability(article.content),
+      published: !!published,
+      postId: publication ? publication.postId : null,
+      siteId: publication ? publication.siteId : null,
+      edits: published ? measureEdits(article, published) : null,
+      views: null
+    };
+  }).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Average the values that are known
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Average, or null if no value is known
+ */
+function average(values) {
+  const known = values.filter(value => value !== null && value !== undefined);
+  return known.length > 0 ? known.reduce((sum, value) => sum + value, 0) / known.length : null;
+}
+
+/**
+ * Compare the variants of an experiment
+ * @param {Object} experiment - Experiment
+ * @param {Object[]} results - Rows from listResults
+ * @returns {Object[]} Per variant: { variant, articles, published, wordCount,
+ *   readability, editRatio, views, viewedPosts } (averages, null when unknown)
+ */
+function summarizeResults(experiment, results) {
+  return experiment.variants.map(variant => {
+    const rows = results.filter(row => row.variantId === variant.id);
+    const published = rows.filter(row => row.published);
+    const viewed = published.filter(row => row.views !== null);
+
+    return {
+      variant,
+      articles: rows.length,
+      published: published.length,
+      wordCount: average(rows.map(row => row.wordCount)),
+      readability: average(rows.map(row => row.readability)),
+      editRatio: average(published.map(row => row.edits.ratio)),
+      views: average(viewed.map(row => row.views)),
+      viewedPosts: viewed.length
+    };
+  });
+}
+
+module.exports = {
+  ASSIGNMENT_MODES,
+  VARIANT_FIELDS,
+  listExperiments,
+  getExperiment,
+  getRunningExperiment,
+  listExperimentArticles,
+  createExperiment,
+  updateExperiment,
+  setExperimentRunning,
+  deleteExperiment,
+  assignVariant,
+  applyVariant,
+  scoreReadability,
+  listResults,
+  summarizeResults
+};
@@ -0,0 +1,280 @@
+// src/images.js
+//
+// This module produces the featured image of an article from one of three sources:
+// - 'ai': the configured provider's image model (see llm-providers.generateImage)
+// - 'placeholder': a gradient with the title, drawn locally (see placeholder-image.js)
+// - 'upload': a file uploaded on the preview page
+//
+// Each keyword has at most one featured image. The file is kept in data/images
+// and its details in the datastore `images` table, including the WordPress
+// media ID once it has been uploaded, so publishing again reuses the upload.
+
+const fs = require('fs');
+const path = require('path');
+const store = require('./datastore');
+const { config } = require('./config');
+const llmProviders = require('./llm-providers');
+const { renderPlaceholder } = require('./placeholder-image');
+
+const IMAGE_DIR = path.join(__dirname, '../data/images');
+
+// Image types accepted by the WordPress media library, by file extension
+const MIME_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif'
+};
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Detect the type of an image file from its first bytes
+ * @param {Buffer} data - File contents
+ * @returns {string|null} MIME type, or null if it is not a supported image
+ */
+function detectMimeType(data) {
+  if (!Buffer.isBuffer(data) || data.length < 12) return null;
+  if (data[0] === 0x89 && data.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (data.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  return null;
+}
+
+/**
+ * Build the alt text of a featured image from the keyword
+ * @param {string} keyword - Keyword
+ * @returns {string} Alt text
+ */
+function buildAltText(keyword) {
+  const text = String(keyword || '').trim().replace(/\s+/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Turn a keyword into a file name for the media library
+ * @param {string} keyword - Keyword
+ * @returns {string} File name without extension
+ */
+function toFileSlug(keyword) {
+  const slug = String(keyword || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return slug || 'featured-image';
+}
+
+/**
+ * Produce a featured image
+ * @param {string} source - 'ai', 'placeholder' or 'upload'
+ * @param {Object} options - { keyword, title, prompt, template, data (uploads), log }
+ * @returns {Promise<Object>} { source, data, mimeType, prompt }
+ */
+async function createImage(source, options) {
+  const settings = config.images;
+
+  if (source === 'ai') {
+    const prompt = String(options.prompt || settings.prompt)
+      .replace(/\{keyword\}/g, options.keyword)
+      .replace(/\{title\}/g, options.title || options.keyword);
+    const image = await llmProviders.generateImage(
+      config.openai,
+      { model: settings.model, prompt, size: settings.size },
+      { log: options.log }
+    );
+    return { source, data: image.data, mimeType: detectMimeType(image.data) || image.mimeType, prompt: image.revisedPrompt || prompt };
+  }
+
+  if (source === 'placeholder') {
+    const image = renderPlaceholder(options.title || options.keyword, options.template || settings.template);
+    return { source, data: image.data, mimeType: image.mimeType, prompt: null };
+  }
+
+  if (source === 'upload') {
+    const mimeType = detectMimeType(options.data);
+    if (!mimeType) {
+      throw new Error('The file is not a PNG, JPEG, WebP or GIF image');
+    }
+    if (options.data.length > MAX_UPLOAD_BYTES) {
+      throw new Error(`The image is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+    }
+    return { source, data: options.data, mimeType, prompt: null };
+  }
+
+  throw new Error(`Unknown image source: ${source}`);
+}
+
+/**
+ * Get an image by ID
+ * @param {string} id - Image row ID
+ * @returns {Object|null} Image row
+ */
+function getImage(id) {
+  return store.get('images', id);
+}
+
+/**
+ * Get the featured image of a keyword
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object|null} Image row
+ */
+function getFeaturedImage(keywordId) {
+  return store.findOne('images', row => row.keywordId === keywordId);
+}
+
+/**
+ * Remove the featured image of a keyword and its file
+ * @param {string} keywordId - Keyword row ID
+ * @returns {boolean} True if there was an image
+ */
+function removeFeaturedImage(keywordId) {
+  const image = getFeaturedImage(keywordId);
+  if (!image) return false;
+
+  store.remove('images', image.id);
+  fs.rm(path.join(IMAGE_DIR, image.fileName), { force: true }, error => {
+    if (error) console.warn(`Could not delete image file ${image.fileName}: ${error.message}`);
+  });
+  return true;
+}
+
+/**
+ * Store an image as the featured image of a keyword, replacing the old one
+ * @param {Object} keywordRow - Keyword row
+ * @param {Object} image - Image from createImage
+ * @param {string|null} userId - User who chose the image (null for automation)
+ * @returns {Object} Image row
+ */
+function setFeaturedImage(keywordRow, image, userId = null) {
+  const keyword = keywordRow[config.app.keywordColumn];
+  const id = store.generateId();
+  const fileName = `${id}.${MIME_TYPES[image.mimeType]}`;
+
+  fs.mkdirSync(IMAGE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(IMAGE_DIR, fileName), image.data);
+  removeFeaturedImage(keywordRow.id);
+
+  return store.insert('images', {
+    id,
+    keywordId: keywordRow.id,
+    source: image.source,
+    fileName,
+    uploadName: `${toFileSlug(keyword)}.${MIME_TYPES[image.mimeType]}`,
+    mimeType: image.mimeType,
+    size: image.data.length,
+    altText: buildAltText(keyword),
+    prompt: image.prompt || null,
+    mediaId: null,
+    mediaUrl: null,
+    mediaApiUrl: null,
+    createdBy: userId,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Change the alt text of a keyword's featured image
+ * @param {string} keywordId - Keyword row ID
+ * @param {string} altText - New alt text (empty to derive it from the keyword again)
+ * @param {string} keyword - Keyword
+ * @returns {Object|null} Updated image row
+ */
+function updateAltText(keywordId, altText, keyword) {
+  const image = getFeaturedImage(keywordId);
+  if (!image) return null;
+
+  // The media library copy is re-uploaded with the new alt text
+  return store.update('images', image.id, {
+    altText: String(altText || '').trim() || buildAltText(keyword),
+    mediaId: null,
+    mediaUrl: null,
+    mediaApiUrl: null
+  });
+}
+
+/**
+ * Get the path of an image file
+ * @param {Object} image - Image row
+ * @returns {string} Absolute path
+ */
+function getImagePath(image) {
+  return path.join(IMAGE_DIR, image.fileName);
+}
+
+/**
+ * Load a keyword's featured image for publishing
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object|null} Image row with its file contents in `data`, or null
+ */
+function loadForPublishing(keywordId) {
+  const image = getFeaturedImage(keywordId);
+  if (!image) return null;
+
+  try {
+    return { ...image, data: fs.readFileSync(getImagePath(image)) };
+  } catch (error) {
+    console.warn(`Featured image file ${image.fileName} is missing: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Remember the media library copy of an image so it is not uploaded again
+ * @param {string} imageId - Image row ID
+ * @param {string} apiUrl - API URL of the site the image was uploaded to
+ * @param {Object} media - { mediaId, mediaUrl }
+ * @returns {Object|null} Updated image row
+ */
+function recordUpload(imageId, apiUrl, media) {
+  return store.update('images', imageId, {
+    mediaId: media.mediaId,
+    mediaUrl: media.mediaUrl || null,
+    mediaApiUrl: apiUrl
+  });
+}
+
+/**
+ * Give a keyword the configured default featured image, if it has none yet.
+ * An AI image that cannot be generated falls back to a placeholder.
+ * @param {Object} keywordRow - Keyword row
+ * @param {Object} article - Generated article (for the title)
+ * @param {Object} options - { userId, log }
+ * @returns {Promise<Object|null>} Image row, or null if images are off
+ */
+async function createDefaultImage(keywordRow, article, options = {}) {
+  const source = config.images.source;
+  const existing = getFeaturedImage(keywordRow.id);
+  if (source === 'none' || existing) return existing;
+
+  const log = options.log || console.log;
+  const imageOptions = { keyword: keywordRow[config.app.keywordColumn], title: article.title, log };
+
+  let image;
+  try {
+    image = await createImage(source, imageOptions);
+  } catch (error) {
+    if (source !== 'ai') throw error;
+    log(`⚠ Could not generate an AI image (${error.message}); using a placeholder`);
+    image = await createImage('placeholder', imageOptions);
+  }
+
+  return setFeaturedImage(keywordRow, image, options.userId || null);
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  createImage,
+  getImage,
+  getFeaturedImage,
+  setFeaturedImage,
+  removeFeaturedImage,
+  updateAltText,
+  getImagePath,
+  loadForPublishing,
+  recordUpload,
+  createDefaultImage
+};
@@ -0,0 +1,509 @@
+// src/job-queue.js
+//
+// This module runs background jobs (keyword processing, batch automation):
+// - Jobs are persisted in the datastore `jobs` table, so queued, running and
+//   failed jobs survive a server restart
+// - A configurable number of workers process queued jobs concurrently
+// - Each job belongs to the user who started it
+//
+// Job handlers are registered per job type and receive a context object for
+// logging and progress updates. Jobs that were running when the server
+// stopped are re-queued on startup; handlers are expected to skip work that
+// was already completed (see `context.markProcessed`).
+//
+// Job logs are kept out of the datastore in one append-only file per job
+// (data/job-logs/<id>.log), and only the most recent finished jobs of each
+// user are kept.
+//
+// Progress is pushed to subscribers (the Server-Sent Events endpoint) as it
+// happens: log lines, progress updates, step transitions, the text the model
+// streams while generating and the finished sections of multi-part articles.
+// Any number of subscribers may watch the same job. Only the streamed output
+// of running jobs is kept in memory, and it is capped; everything else is
+// read back from the datastore and the log.
+//
+// Jobs can be cancelled: queued jobs are dropped, and running jobs get their
+// AbortSignal (`context.signal`) aborted, which stops model requests.
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const store = require('./datastore');
+
+// Directory holding one log file per job
+const LOG_DIR = path.join(__dirname, '../data/job-logs');
+
+// Maximum number of log lines returned with a job
+const MAX_LOG_LINES = 200;
+
+// Number of finished jobs kept per user; older ones are deleted
+const MAX_FINISHED_JOBS_PER_USER = 50;
+
+// Upper limit for the number of concurrent workers
+const MAX_WORKERS = 10;
+
+// Maximum number of characters of streamed model output kept per job, for
+// subscribers that start watching halfway through
+const MAX_STREAMED_CHARS = 20000;
+
+// Steps of processing a keyword, in order
+const STEPS = {
+  outlining: 'Outlining',
+  generating: 'Generating',
+  formatting: 'Formatting',
+  publishing: 'Publishing',
+  updating_sheet: 'Updating sheet'
+};
+
+// Registered handlers by job type
+const handlers = {};
+
+// Job events; listeners are registered per job ID (see subscribe)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Model output streamed so far, by job ID (running jobs only):
+// { text: the part being written, sections: finished parts }
+const streams = new Map();
+
+// Abort controllers of running jobs, by job ID
+const controllers = new Map();
+
+// Worker pool state
+let workerCount = 1;
+let activeWorkers = 0;
+let started = false;
+
+/**
+ * Register the function that processes a job type
+ * @param {string} type - Job type (e.g. 'batch', 'single')
+ * @param {Function} handler - async (job, context) => void
+ */
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Store a new job
+ * @param {string} type - Job type
+ * @param {string} ownerId - ID of the user who started the job
+ * @param {Object} payload - Handler-specific job data
+ * @param {boolean} interactive - True if someone waits for the job on a page
+ * @returns {Object} The stored job
+ */
+function createJob(type, ownerId, payload, interactive) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  return store.insert('jobs', {
+    type,
+    ownerId,
+    payload,
+    interactive,
+    status: 'queued',
+    step: null,
+    total: payload.keywordIds ? payload.keywordIds.length : 1,
+    current: 0,
+    currentKeyword: '',
+    processedIds: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {string} ownerId - ID of the user who started the job
+ * @param {Object} payload - Handler-specific job data
+ * @returns {Object} The queued job
+ */
+function enqueueJob(type, ownerId, payload = {}) {
+  const job = createJob(type, ownerId, payload, false);
+  appendLog(job.id, `Job queued (${type})`);
+
+  // Pick the job up straight away if a worker is free
+  if (started) {
+    setImmediate(pump);
+  }
+
+  return getJob(job.id);
+}
+
+/**
+ * Start a job straight away, without waiting for a free worker. Used for
+ * work someone waits for on a page (e.g. generating a preview); such jobs
+ * are not resumed after a restart.
+ * @param {string} type - Job type
+ * @param {string} ownerId - ID of the user who started the job
+ * @param {Object} payload - Handler-specific job data
+ * @returns {Object} The running job
+ */
+function startJob(type, ownerId, payload = {}) {
+  const job = createJob(type, ownerId, payload, true);
+  store.update('jobs', job.id, { status: 'running' });
+
+  runJob(job).catch(error => console.error(`Error running job ${job.id}:`, error));
+  return getJob(job.id);
+}
+
+/**
+ * Get a job by ID, including the most recent lines of its log
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job or null if not found
+ */
+function getJob(id) {
+  const job = store.get('jobs', id);
+  if (!job) return null;
+
+  return { ...job, log: readLog(id) };
+}
+
+/**
+ * List jobs, newest first (without their logs)
+ * @param {string|null} ownerId - Only return jobs started by this user
+ * @returns {Object[]} Jobs
+ */
+function listJobs(ownerId = null) {
+  return store.find('jobs', job => !ownerId || job.ownerId === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * List jobs that are queued or running, oldest first
+ * @returns {Object[]} Active jobs (without their logs)
+ */
+function listActiveJobs() {
+  return store.find('jobs', isActive)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Check whether a job is still queued or running
+ * @param {Object} job - Job
+ * @returns {boolean} True if the job has not finished
+ */
+function isActive(job) {
+  return job.status === 'queued' || job.status === 'running';
+}
+
+/**
+ * Get the log file path of a job
+ * @param {string} id - Job ID
+ * @returns {string} Log file path
+ */
+function logFile(id) {
+  return path.join(LOG_DIR, `${id}.log`);
+}
+
+/**
+ * Append a line to a job's log
+ * @param {string} id - Job ID
+ * @param {string} message - Log message
+ */
+function appendLog(id, message) {
+  const timestamp = new Date().toLocaleTimeString();
+  const logMessage = `[${timestamp}] ${message}`;
+  console.log(`[job ${id}] ${logMessage}`);
+
+  fs.mkdirSync(LOG_DIR, { recursive: true });
+  fs.appendFileSync(logFile(id), logMessage.replace(/\n/g, ' ') + '\n');
+  emit(id, 'log', { line: logMessage.replace(/\n/g, ' ') });
+}
+
+/**
+ * Read the most recent lines of a job's log
+ * @param {string} id - Job ID
+ * @returns {string[]} Log lines, oldest first
+ */
+function readLog(id) {
+  try {
+    return fs.readFileSync(logFile(id), 'utf8')
+      .split('\n')
+      .filter(line => line)
+      .slice(-MAX_LOG_LINES);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Send an event to the subscribers of a job
+ * @param {string} id - Job ID
+ * @param {string} event - 'log', 'progress', 'step', 'token', 'reset', 'section' or 'done'
+ * @param {Object} data - Event data
+ */
+function emit(id, event, data) {
+  events.emit(id, event, data);
+}
+
+/**
+ * Watch the events of a job
+ * @param {string} id - Job ID
+ * @param {Function} listener - (event, data) => void, see emit
+ * @returns {Function} Call to stop watching
+ */
+function subscribe(id, listener) {
+  events.on(id, listener);
+  return () => events.removeListener(id, listener);
+}
+
+/**
+ * Get the progress fields of a job sent to subscribers
+ * @param {Object} job - Job
+ * @returns {Object} { id, type, status, step, stepLabel, total, current, currentKeyword, error, result }
+ */
+function toProgress(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    step: job.step || null,
+    stepLabel: job.step ? STEPS[job.step] : null,
+    total: job.total,
+    current: job.current,
+    currentKeyword: job.currentKeyword,
+    error: job.error,
+    result: job.result || null
+  };
+}
+
+/**
+ * Update a job and tell its subscribers
+ * @param {string} id - Job ID
+ * @param {Object} patch - Fields to change
+ * @returns {Object} Updated job
+ */
+function updateJob(id, patch) {
+  const job = store.update('jobs', id, patch);
+  if (job) emit(id, 'progress', toProgress(job));
+  return job;
+}
+
+/**
+ * Get the model output streamed so far by a running job
+ * @param {string} id - Job ID
+ * @returns {Object} { text: the part being written (the most recent part if
+ *   it is long), sections: finished parts ({ name, label, content }) }
+ */
+function getStream(id) {
+  const stream = streams.get(id);
+  return stream ? { text: stream.text, sections: [...stream.sections] } : { text: '', sections: [] };
+}
+
+/**
+ * Cancel a job: a queued job is dropped, a running job has its requests aborted
+ * @param {string} id - Job ID
+ * @returns {Object} The job
+ */
+function cancelJob(id) {
+  const job = store.get('jobs', id);
+  if (!job) {
+    throw new Error('Job not found');
+  }
+  if (!isActive(job)) {
+    throw new Error(`The job has already ${job.status === 'cancelled' ? 'been cancelled' : 'finished'}`);
+  }
+
+  const controller = controllers.get(id);
+  if (controller) {
+    // runJob records the cancellation once the handler stops
+    appendLog(id, 'Cancelling job...');
+    controller.abort();
+    return getJob(id);
+  }
+
+  updateJob(id, { status: 'cancelled', step: null, finishedAt: new Date().toISOString() });
+  appendLog(id, 'Job cancelled');
+  emit(id, 'done', toProgress(store.get('jobs', id)));
+  return getJob(id);
+}
+
+/**
+ * Delete the oldest finished jobs of a user beyond the retention limit
+ * @param {string} ownerId - User ID
+ */
+function pruneFinishedJobs(ownerId) {
+  const finished = listJobs(ownerId).filter(job => !isActive(job));
+
+  finished.slice(MAX_FINISHED_JOBS_PER_USER).forEach(job => {
+    store.remove('jobs', job.id);
+    fs.rmSync(logFile(job.id), { force: true });
+  });
+}
+
+/**
+ * Build the context object passed to job handlers
+ * @param {string} id - Job ID
+ * @returns {Object} Handler context
+ */
+function createContext(id) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  streams.set(id, { text: '', sections: [] });
+
+  return {
+    jobId: id,
+    // Aborted when the job is cancelled
+    signal: controller.signal,
+    // Add a line to the job log
+    log: message => appendLog(id, message),
+    // Update progress fields (current, total, currentKeyword, result, ...)
+    update: patch => updateJob(id, patch),
+    // Move on to a step of processing a keyword (see STEPS)
+    step: name => {
+      if (!STEPS[name]) throw new Error(`Unknown job step: ${name}`);
+      updateJob(id, { step: name });
+      emit(id, 'step', { step: name, label: STEPS[name] });
+    },
+    // Pass on text the model streams while generating
+    token: text => {
+      const stream = streams.get(id);
+      stream.text = (stream.text + text).slice(-MAX_STREAMED_CHARS);
+      emit(id, 'token', { text });
+    },
+    // Take back the last `length` streamed characters, when a failed
+    // request starts over
+    resetTokens: length => {
+      const stream = streams.get(id);
+      stream.text = stream.text.slice(0, Math.max(0, stream.text.length - length));
+      emit(id, 'reset', { length });
+    },
+    // Pass on a finished part of a multi-part article; the text streamed
+    // for it is replaced by the part
+    section: (name, label, content) => {
+      const stream = streams.get(id);
+      stream.sections.push({ name, label, content });
+      stream.text = '';
+      emit(id, 'section', { name, label, content });
+    },
+    // Remember that an item is done so a resumed job skips it
+    markProcessed: itemId => {
+      const job = store.get('jobs', id);
+      store.update('jobs', id, { processedIds: [...job.processedIds, itemId] });
+    },
+    // Check whether an item was already handled before a restart
+    isProcessed: itemId => store.get('jobs', id).processedIds.includes(itemId)
+  };
+}
+
+/**
+ * Run a single job to completion
+ * @param {Object} job - Job to run
+ */
+async function runJob(job) {
+  const context = createContext(job.id);
+
+  updateJob(job.id, {
+    status: 'running',
+    startedAt: job.startedAt || new Date().toISOString()
+  });
+  context.log('Job started');
+
+  try {
+    await handlers[job.type](store.get('jobs', job.id), context);
+    updateJob(job.id, { status: 'completed', step: null, finishedAt: new Date().toISOString() });
+    context.log('Job completed successfully!');
+  } catch (error) {
+    if (context.signal.aborted) {
+      updateJob(job.id, { status: 'cancelled', step: null, finishedAt: new Date().toISOString() });
+      context.log('Job cancelled');
+    } else {
+      updateJob(job.id, {
+        status: 'failed',
+        step: null,
+        error: error.message,
+        finishedAt: new Date().toISOString()
+      });
+      context.log(`Job failed: ${error.message}`);
+    }
+  }
+
+  streams.delete(job.id);
+  controllers.delete(job.id);
+  emit(job.id, 'done', toProgress(store.get('jobs', job.id)));
+  pruneFinishedJobs(job.ownerId);
+}
+
+/**
+ * Start queued jobs while there are free workers
+ */
+function pump() {
+  while (activeWorkers < workerCount) {
+    // Oldest queued job first
+    const next = store.find('jobs', job => job.status === 'queued' && handlers[job.type])
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+
+    if (!next) return;
+
+    activeWorkers++;
+    // Mark as running synchronously so the next loop iteration skips it
+    store.update('jobs', next.id, { status: 'running' });
+
+    runJob(next).finally(() => {
+      activeWorkers--;
+      pump();
+    });
+  }
+}
+
+/**
+ * Clamp a worker count to the supported range
+ * @param {number|string} workers - Requested number of workers
+ * @returns {number} Worker count between 1 and MAX_WORKERS
+ */
+function normalizeWorkerCount(workers) {
+  return Math.min(MAX_WORKERS, Math.max(1, parseInt(workers) || 1));
+}
+
+/**
+ * Start the worker pool and resume jobs interrupted by a restart
+ * @param {number} workers - Number of jobs to run concurrently
+ */
+function startQueue(workers = 1) {
+  workerCount = normalizeWorkerCount(workers);
+
+  if (!started) {
+    // Jobs still marked as running were interrupted by a restart; nobody
+    // waits for interactive jobs any more
+    store.find('jobs', job => job.status === 'running').forEach(job => {
+      if (job.interactive) {
+        store.update('jobs', job.id, {
+          status: 'failed',
+          step: null,
+          error: 'The server restarted before the job finished',
+          finishedAt: new Date().toISOString()
+        });
+        appendLog(job.id, 'Server restarted - job stopped');
+        return;
+      }
+      store.update('jobs', job.id, { status: 'queued', step: null });
+      appendLog(job.id, 'Server restarted - job resumed');
+    });
+    started = true;
+  }
+
+  console.log(`Job queue started with ${workerCount} worker(s)`);
+  pump();
+}
+
+module.exports = {
+  STEPS,
+  registerHandler,
+  enqueueJob,
+  startJob,
+  getJob,
+  listJobs,
+  listActiveJobs,
+  isActive,
+  subscribe,
+  toProgress,
+  getStream,
+  cancelJob,
+  normalizeWorkerCount,
+  startQueue
+};
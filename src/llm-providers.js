@@ -0,0 +1,612 @@
+// src/llm-providers.js
+//
+// This module is the provider layer for content generation. It supports:
+// - OpenAI
+// - Azure OpenAI (the model is the deployment name)
+// - Anthropic (Messages API)
+// - Any OpenAI-compatible server, such as Ollama or a llama.cpp server
+//
+// Every adapter returns a client with the OpenAI chat interface
+// (`client.chat.completions.create(params)`), so the generation code does not
+// depend on the provider. The adapters also clamp `max_tokens` to the model's
+// output limit and have their own connection test. Requests are retried after
+// rate limits and temporary failures by src/resilience.js.
+//
+// Passing `onToken` in the request options streams the reply: the function
+// receives each piece of text as the model writes it, and the request still
+// resolves to a complete chat completion (with usage). If a streamed request
+// is retried, `onStreamReset(length)` is called with the length of the text
+// streamed by the failed attempt before it starts over.
+//
+// Providers with an OpenAI images endpoint also generate featured images
+// (`generateImage`); Anthropic has no image model.
+
+const axios = require('axios');
+const { OpenAI, AzureOpenAI } = require('openai');
+const { withRetry } = require('./resilience');
+
+// Limits used for models that are not in a provider's list
+const DEFAULT_LIMITS = { contextWindow: 8192, maxOutputTokens: 4096 };
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+const AZURE_API_VERSION = '2024-10-21';
+
+const OPENAI_MODELS = [
+  { id: 'gpt-4o', name: 'GPT-4o', contextWindow: 128000, maxOutputTokens: 16384 },
+  { id: 'gpt-4o-mini', name: 'GPT-4o mini', contextWindow: 128000, maxOutputTokens: 16384 },
+  { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', contextWindow: 128000, maxOutputTokens: 4096 },
+  { id: 'gpt-4', name: 'GPT-4', contextWindow: 8192, maxOutputTokens: 8192 },
+  { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', contextWindow: 16385, maxOutputTokens: 4096 }
+];
+
+const ANTHROPIC_MODELS = [
+  { id: 'claude-3-5-sonnet-latest', name: 'Claude 3.5 Sonnet', contextWindow: 200000, maxOutputTokens: 8192 },
+  { id: 'claude-3-5-haiku-latest', name: 'Claude 3.5 Haiku', contextWindow: 200000, maxOutputTokens: 8192 },
+  { id: 'claude-3-opus-latest', name: 'Claude 3 Opus', contextWindow: 200000, maxOutputTokens: 4096 }
+];
+
+/**
+ * Get the token limits of a model
+ * @param {string} providerId - Provider ID
+ * @param {string} model - Model ID
+ * @returns {Object} { contextWindow, maxOutputTokens }
+ */
+function getModelLimits(providerId, model) {
+  const provider = getProvider(providerId);
+  const known = provider.models.find(item => item.id === model);
+  return known
+    ? { contextWindow: known.contextWindow, maxOutputTokens: known.maxOutputTokens }
+    : { ...DEFAULT_LIMITS };
+}
+
+/**
+ * Split the streaming callbacks off request options
+ * @param {Object} options - Request options
+ * @returns {Object} { onToken, requestOptions }: requestOptions without the callbacks
+ */
+function splitStreamOptions(options = {}) {
+  const { onToken, onStreamReset, ...requestOptions } = options || {};
+  return { onToken, requestOptions };
+}
+
+/**
+ * Stream a chat completion from an OpenAI SDK client and put it back together
+ * @param {Object} client - OpenAI or AzureOpenAI client
+ * @param {Object} params - Chat parameters
+ * @param {Object} requestOptions - SDK request options (signal)
+ * @param {Function} onToken - Receives each piece of text
+ * @returns {Promise<Object>} Chat completion with choices and usage
+ */
+async function streamOpenAICompletion(client, params, requestOptions, onToken) {
+  const stream = await client.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, requestOptions);
+
+  let id = null;
+  let model = params.model;
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    id = chunk.id || id;
+    model = chunk.model || model;
+    // The last chunk has the usage and no choices
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = (chunk.choices || [])[0];
+    if (!choice) continue;
+    if (choice.delta && choice.delta.content) {
+      content += choice.delta.content;
+      onToken(choice.delta.content);
+    }
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  return {
+    id,
+    model,
+    choices: [{ index: 0, finish_reason: finishReason, message: { role: 'assistant', content } }],
+    usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  };
+}
+
+/**
+ * Wrap an OpenAI SDK client so requests stay within the model's output limit
+ * @param {Object} client - OpenAI or AzureOpenAI client
+ * @param {Object} llmConfig - Generation settings
+ * @returns {Object} Client with the OpenAI chat interface
+ */
+function withTokenLimit(client, llmConfig) {
+  const { maxOutputTokens } = getModelLimits(llmConfig.provider, llmConfig.model);
+
+  return {
+    models: client.models,
+    chat: {
+      completions: {
+        create: (params, options) => {
+          const { onToken, requestOptions } = splitStreamOptions(options);
+          const limited = {
+            ...params,
+            max_tokens: params.max_tokens ? Math.min(params.max_tokens, maxOutputTokens) : undefined
+          };
+
+          // Function calls are not streamed
+          return onToken && !params.tools
+            ? streamOpenAICompletion(client, limited, requestOptions, onToken)
+            : client.chat.completions.create(limited, requestOptions);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Send a short prompt through a client to check that generation works
+ * @param {Object} client - Client with the OpenAI chat interface
+ * @param {string} model - Model to test
+ * @returns {Promise<string>} The model's reply
+ */
+async function sendTestPrompt(client, model) {
+  const response = await client.chat.completions.create({
+    model,
+    messages: [
+      { role: "system", content: "You are a test assistant." },
+      { role: "user", content: "Return only the text 'Connection successful' if you receive this message." }
+    ],
+    max_tokens: 20,
+    temperature: 0
+  });
+
+  if (!response || !response.choices || response.choices.length === 0) {
+    throw new Error('Received an empty or invalid response');
+  }
+  return String(response.choices[0].message.content || '').trim();
+}
+
+//====================================================
+// ANTHROPIC
+//====================================================
+
+/**
+ * Convert OpenAI chat parameters to an Anthropic Messages API request
+ * @param {Object} params - OpenAI chat parameters
+ * @param {number} maxOutputTokens - Output limit of the model
+ * @returns {Object} Messages API request body
+ */
+function toAnthropicRequest(params, maxOutputTokens) {
+  const system = params.messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+
+  const body = {
+    model: params.model,
+    max_tokens: Math.min(params.max_tokens || maxOutputTokens, maxOutputTokens),
+    messages: params.messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({ role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content }))
+  };
+
+  if (system) body.system = system;
+  if (params.temperature !== undefined) body.temperature = Math.min(params.temperature, 1);
+
+  if (params.tools) {
+    body.tools = params.tools.map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      input_schema: tool.function.parameters
+    }));
+  }
+  if (params.tool_choice && params.tool_choice.function) {
+    body.tool_choice = { type: 'tool', name: params.tool_choice.function.name };
+  }
+
+  return body;
+}
+
+/**
+ * Convert an Anthropic Messages API response to an OpenAI chat completion
+ * @param {Object} data - Messages API response
+ * @returns {Object} Chat completion with choices and usage
+ */
+function fromAnthropicResponse(data) {
+  const blocks = data.content || [];
+  const toolCalls = blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: JSON.stringify(block.input) }
+    }));
+  const finishReasons = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' };
+
+  return {
+    id: data.id,
+    model: data.model,
+    choices: [{
+      index: 0,
+      finish_reason: finishReasons[data.stop_reason] || data.stop_reason,
+      message: {
+        role: 'assistant',
+        content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+        tool_calls: toolCalls.length > 0 ? toolCalls : undefined
+      }
+    }],
+    usage: {
+      prompt_tokens: (data.usage && data.usage.input_tokens) || 0,
+      completion_tokens: (data.usage && data.usage.output_tokens) || 0,
+      total_tokens: ((data.usage && data.usage.input_tokens) || 0) + ((data.usage && data.usage.output_tokens) || 0)
+    }
+  };
+}
+
+/**
+ * Read a streamed Anthropic Messages API response and put the message back
+ * together
+ * @param {Object} stream - Response body stream (Server-Sent Events)
+ * @param {Function} onToken - Receives each piece of text
+ * @returns {Promise<Object>} Messages API response
+ */
+async function readAnthropicStream(stream, onToken) {
+  const message = { id: null, model: null, content: [{ type: 'text', text: '' }], stop_reason: null, usage: {} };
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+
+    // Events are separated by a blank line; the last part may be incomplete
+    const parts = buffer.split(/\r?\n\r?\n/);
+    buffer = parts.pop();
+
+    parts.forEach(part => {
+      const data = part.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('');
+      if (!data) return;
+
+      const event = JSON.parse(data);
+      if (event.type === 'message_start') {
+        message.id = event.message.id;
+        message.model = event.message.model;
+        message.usage.input_tokens = (event.message.usage || {}).input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        message.content[0].text += event.delta.text;
+        onToken(event.delta.text);
+      } else if (event.type === 'message_delta') {
+        message.stop_reason = event.delta.stop_reason;
+        message.usage.output_tokens = (event.usage || {}).output_tokens || 0;
+      } else if (event.type === 'error') {
+        throw new Error(event.error.message);
+      }
+    });
+  }
+
+  return message;
+}
+
+/**
+ * Create a client for the Anthropic Messages API
+ * @param {Object} llmConfig - Generation settings
+ * @returns {Object} Client with the OpenAI chat interface
+ */
+function createAnthropicClient(llmConfig) {
+  const baseUrl = (llmConfig.baseUrl || ANTHROPIC_API_URL).replace(/\/+$/, '');
+
+  return {
+    chat: {
+      completions: {
+        create: async (params, options = {}) => {
+          const { maxOutputTokens } = getModelLimits('anthropic', params.model);
+          const { onToken } = splitStreamOptions(options);
+          // Function calls are not streamed
+          const stream = !!onToken && !params.tools;
+
+          try {
+            const response = await axios.post(`${baseUrl}/v1/messages`, {
+              ...toAnthropicRequest(params, maxOutputTokens),
+              ...(stream ? { stream: true } : {})
+            }, {
+              headers: {
+                'x-api-key': llmConfig.apiKey,
+                'anthropic-version': ANTHROPIC_VERSION,
+                'content-type': 'application/json'
+              },
+              responseType: stream ? 'stream' : 'json',
+              signal: options.signal
+            });
+            return fromAnthropicResponse(stream ? await readAnthropicStream(response.data, onToken) : response.data);
+          } catch (error) {
+            if (!error.response) throw error;
+
+            // Surface the API's message and status like the OpenAI SDK does
+            const data = error.response.data || {};
+            const apiError = new Error(`${error.response.status} ${(data.error && data.error.message) || error.message}`);
+            apiError.status = error.response.status;
+            apiError.headers = error.response.headers;
+            throw apiError;
+          }
+        }
+      }
+    }
+  };
+}
+
+//====================================================
+// ADAPTERS
+//====================================================
+
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    models: OPENAI_MODELS,
+    needsApiKey: true,
+    needsBaseUrl: false,
+    allowCustomModel: false,
+    createClient: llmConfig => withTokenLimit(new OpenAI({
+      apiKey: llmConfig.apiKey,
+      baseURL: llmConfig.baseUrl || undefined,
+      maxRetries: 0 // Retries are handled by src/resilience.js
+    }), llmConfig),
+    createImageClient: llmConfig => new OpenAI({
+      apiKey: llmConfig.apiKey,
+      baseURL: llmConfig.baseUrl || undefined,
+      maxRetries: 0
+    }),
+    testConnection: async llmConfig => {
+      const model = llmConfig.model || 'gpt-3.5-turbo';
+      return { model, response: await sendTestPrompt(createClient(llmConfig, { retries: 0 }), model) };
+    }
+  },
+  azure: {
+    name: 'Azure OpenAI',
+    models: OPENAI_MODELS,
+    needsApiKey: true,
+    needsBaseUrl: true,
+    allowCustomModel: true,
+    createClient: llmConfig => withTokenLimit(new AzureOpenAI({
+      apiKey: llmConfig.apiKey,
+      endpoint: llmConfig.baseUrl,
+      apiVersion: llmConfig.apiVersion || AZURE_API_VERSION,
+      deployment: llmConfig.model,
+      maxRetries: 0
+    }), llmConfig),
+    // The image model is a deployment of its own
+    createImageClient: (llmConfig, imageModel) => new AzureOpenAI({
+      apiKey: llmConfig.apiKey,
+      endpoint: llmConfig.baseUrl,
+      apiVersion: llmConfig.apiVersion || AZURE_API_VERSION,
+      deployment: imageModel,
+      maxRetries: 0
+    }),
+    testConnection: async llmConfig => {
+      if (!llmConfig.model) {
+        throw new Error('Enter the name of the deployment to use as the model');
+      }
+      return { model: llmConfig.model, response: await sendTestPrompt(createClient(llmConfig, { retries: 0 }), llmConfig.model) };
+    }
+  },
+  anthropic: {
+    name: 'Anthropic',
+    models: ANTHROPIC_MODELS,
+    needsApiKey: true,
+    needsBaseUrl: false,
+    allowCustomModel: true,
+    createClient: createAnthropicClient,
+    createImageClient: null,
+    testConnection: async llmConfig => {
+      const model = llmConfig.model || ANTHROPIC_MODELS[0].id;
+      return { model, response: await sendTestPrompt(createClient({ ...llmConfig, model }, { retries: 0 }), model) };
+    }
+  },
+  compatible: {
+    name: 'OpenAI-compatible server (Ollama, llama.cpp, ...)',
+    models: [],
+    needsApiKey: false,
+    needsBaseUrl: true,
+    allowCustomModel: true,
+    createClient: llmConfig => withTokenLimit(new OpenAI({
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: llmConfig.apiKey || 'not-needed',
+      baseURL: llmConfig.baseUrl,
+      maxRetries: 0
+    }), llmConfig),
+    createImageClient: llmConfig => new OpenAI({
+      apiKey: llmConfig.apiKey || 'not-needed',
+      baseURL: llmConfig.baseUrl,
+      maxRetries: 0
+    }),
+    testConnection: async llmConfig => {
+      const client = createClient(llmConfig, { retries: 0 });
+
+      // List the server's models so the settings page can offer them
+      let models = [];
+      try {
+        const list = await client.models.list();
+        models = (list.data || []).map(item => item.id);
+      } catch (error) {
+        console.warn(`Could not list models: ${error.message}`);
+      }
+
+      const model = llmConfig.model || models[0];
+      if (!model) {
+        throw new Error('The server did not list any models; enter a model name');
+      }
+      return { model, models, response: await sendTestPrompt(client, model) };
+    }
+  }
+};
+
+/**
+ * Get a provider adapter (OpenAI if the ID is unknown)
+ * @param {string} providerId - 'openai', 'azure', 'anthropic' or 'compatible'
+ * @returns {Object} Adapter
+ */
+function getProvider(providerId) {
+  return PROVIDERS[providerId] || PROVIDERS.openai;
+}
+
+/**
+ * List the providers with their models for settings forms
+ * @returns {Object[]} [{ id, name, models, needsApiKey, needsBaseUrl, allowCustomModel }]
+ */
+function listProviders() {
+  return Object.entries(PROVIDERS).map(([id, provider]) => ({
+    id,
+    name: provider.name,
+    models: provider.models,
+    needsApiKey: provider.needsApiKey,
+    needsBaseUrl: provider.needsBaseUrl,
+    allowCustomModel: provider.allowCustomModel,
+    supportsImages: !!provider.createImageClient,
+    defaultMaxOutputTokens: DEFAULT_LIMITS.maxOutputTokens
+  }));
+}
+
+/**
+ * Check whether the generation settings are complete for their provider
+ * @param {Object} llmConfig - Generation settings
+ * @returns {boolean} True if the required key and URL are set
+ */
+function isConfigured(llmConfig) {
+  const provider = getProvider(llmConfig.provider);
+  return (!provider.needsApiKey || !!llmConfig.apiKey) && (!provider.needsBaseUrl || !!llmConfig.baseUrl);
+}
+
+/**
+ * Wrap a client so chat requests wait for the provider's rate limit and are
+ * retried after rate limits and temporary failures
+ * @param {Object} client - Client with the OpenAI chat interface
+ * @param {Object} llmConfig - Generation settings
+ * @param {Object} options - { log, retries, signal } (see resilience.withRetry)
+ * @returns {Object} Client with the same interface
+ */
+function withRetries(client, llmConfig, options) {
+  const providerId = PROVIDERS[llmConfig.provider] ? llmConfig.provider : 'openai';
+
+  return {
+    ...client,
+    chat: {
+      completions: {
+        create: (params, callOptions = {}) => {
+          // The client's signal aborts every request unless one has its own
+          const requestOptions = options.signal && !callOptions.signal
+            ? { ...callOptions, signal: options.signal }
+            : callOptions;
+
+          // Characters streamed by the current attempt
+          let streamed = 0;
+          const attemptOptions = requestOptions.onToken
+            ? { ...requestOptions, onToken: text => { streamed += text.length; requestOptions.onToken(text); } }
+            : requestOptions;
+
+          return withRetry(() => {
+            // A retried stream starts over, so the text of the failed attempt is taken back
+            if (streamed > 0 && requestOptions.onStreamReset) {
+              requestOptions.onStreamReset(streamed);
+            }
+            streamed = 0;
+            return client.chat.completions.create(params, attemptOptions);
+          }, {
+            bucket: providerId,
+            label: `${PROVIDERS[providerId].name.split(' (')[0]} request`,
+            log: options.log,
+            retries: options.retries,
+            signal: requestOptions.signal
+          });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Create a chat client for the configured provider
+ * @param {Object} llmConfig - Generation settings: { provider, apiKey, model, baseUrl, apiVersion }
+ * @param {Object} options - Optional { log, retries, signal }: where to report failed
+ *   attempts (e.g. the job log), how often to retry (defaults to the settings)
+ *   and an AbortSignal that cancels every request of the client
+ * @returns {Object} Client with the OpenAI chat interface
+ */
+function createClient(llmConfig, options = {}) {
+  return withRetries(getProvider(llmConfig.provider).createClient(llmConfig), llmConfig, options);
+}
+
+/**
+ * Generate an image with the provider's image model
+ * @param {Object} llmConfig - Generation settings (provider and credentials)
+ * @param {Object} params - { model, prompt, size }
+ * @param {Object} options - Optional { log, retries } (see createClient)
+ * @returns {Promise<Object>} { data: Buffer, mimeType, revisedPrompt }
+ */
+async function generateImage(llmConfig, params, options = {}) {
+  const providerId = PROVIDERS[llmConfig.provider] ? llmConfig.provider : 'openai';
+  const provider = PROVIDERS[providerId];
+
+  if (!provider.createImageClient) {
+    throw new Error(`${provider.name} does not generate images; use a placeholder or upload an image`);
+  }
+
+  const client = provider.createImageClient(llmConfig, params.model);
+  const response = await withRetry(() => client.images.generate({
+    model: params.model,
+    prompt: params.prompt,
+    size: params.size,
+    n: 1,
+    // DALL-E models return a URL by default; newer models always return base64
+    ...(/^dall-e/.test(params.model) ? { response_format: 'b64_json' } : {})
+  }), {
+    bucket: providerId,
+    label: `${provider.name.split(' (')[0]} image request`,
+    log: options.log,
+    retries: options.retries
+  });
+
+  const image = (response.data || [])[0];
+  if (!image) {
+    throw new Error('The image model returned no image');
+  }
+
+  let data;
+  if (image.b64_json) {
+    data = Buffer.from(image.b64_json, 'base64');
+  } else if (image.url) {
+    const download = await axios.get(image.url, { responseType: 'arraybuffer' });
+    data = Buffer.from(download.data);
+  } else {
+    throw new Error('The image model returned no image data');
+  }
+
+  return { data, mimeType: 'image/png', revisedPrompt: image.revised_prompt || null };
+}
+
+/**
+ * Test the connection to the configured provider
+ * @param {Object} llmConfig - Generation settings
+ * @returns {Promise<Object>} { model, response, models? }
+ */
+async function testConnection(llmConfig) {
+  const provider = getProvider(llmConfig.provider);
+
+  if (provider.needsApiKey && !llmConfig.apiKey) {
+    throw new Error('API key is required');
+  }
+  if (provider.needsBaseUrl && !llmConfig.baseUrl) {
+    throw new Error('Base URL is required for this provider');
+  }
+  return provider.testConnection(llmConfig);
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  getModelLimits,
+  isConfigured,
+  createClient,
+  generateImage,
+  testConnection
+};
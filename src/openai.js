@@ -1,9 +1,26 @@
 // src/openai.js
 //
-// This module handles interaction with the OpenAI API for generating content.
+// This module handles generating content with the configured AI provider.
+// The provider layer gives every provider the OpenAI chat interface.
 
-const { OpenAI } = require('openai');
+const { createClient } = require('./llm-providers');
+const { createUsage, trackUsage, priceUsage } = require('./usage');
 const { extractRecipeData } = require('./recipe-extraction');
+const { generateSeoMetadata } = require('./seo');
+const { renderTemplate, findUnknownVariables } = require('./prompt-template');
+const { normalizeOutline, formatOutline, summarizeSection, generateOutline, toHeadingHtml } = require('./outline');
+const { countWords, validateArticle, demoteH1, fixArticle } = require('./article-validator');
+
+// Prompt settings that are templates besides the main and part prompts,
+// which are filled in where they are used since each part has its own
+// {minWords}
+const TEMPLATE_FIELDS = ['toneVoice', 'seoGuidelines', 'thingsToAvoid', 'articleFormat', 'recipeFormatPrompt'];
+
+// Outline prompt used when the prompt settings have none
+const DEFAULT_OUTLINE_PROMPT = 'Create the outline of an article about "{keyword}" of about {minWords} words. ' +
+  'List the H2 sections in reading order, each with the H3 subheadings it needs (short sections need none), ' +
+  'and end with a conclusion section. Leave out the introduction; it comes before the first heading. ' +
+  'Give every section its own topic so nothing is covered twice.';
 
 /**
  * Generate article content based on keyword
@@ -11,20 +28,56 @@ const { extractRecipeData } = require('./recipe-extraction');
  * @param {string} keyword - Keyword to generate article around
  * @param {number} minWords - Minimum word count for article
  * @param {Object} promptSettings - Custom prompt settings (optional)
- * @returns {Object} Article title and content
+ * @param {Object} options - Optional {
+ *   log: where to report retried requests (e.g. the job log),
+ *   signal: AbortSignal that cancels the generation and its requests,
+ *   onToken: receives the article text as the model writes it,
+ *   onStreamReset: called with the length of the text to take back when a
+ *     streamed request starts over after a failure,
+ *   onSection: called with (name, label, content) when a part of a
+ *     multi-part article is done,
+ *   variables: the keyword row's columns, for {Column} placeholders and
+ *     {{#if Column}} blocks in the prompts (see prompt-template.js),
+ *   outline: an edited outline to write the article from (see outline.js);
+ *     the article is written outline-first even if the settings do not ask for it,
+ *   rules: content rules the article is checked and fixed against (see
+ *     article-validator.js); without them the article is not checked
+ * }
+ * @returns {Object} Article title, content, content checks (`validation`),
+ *   SEO metadata (see seo.js) and token usage (with cost)
  */
-async function generateArticleContent(openaiConfig, keyword, minWords = 800, promptSettings = null) {
+async function generateArticleContent(openaiConfig, keyword, minWords = 800, promptSettings = null, options = {}) {
   console.log(`Generating article for keyword: ${keyword}`);
   
   try {
-    // Initialize OpenAI client
-    const openai = new OpenAI({
-      apiKey: openaiConfig.apiKey,
-    });
+    // Initialize the client for the configured provider; every call's
+    // token usage is added to `usage`
+    const usage = createUsage(openaiConfig);
+    const openai = trackUsage(createClient(openaiConfig, { log: options.log, signal: options.signal }), usage);
+
+    // Fill the keyword row's columns into the prompts
+    warnUnknownVariables(promptSettings, options);
+    promptSettings = fillPromptSettings(promptSettings, keyword, minWords, options.variables);
+
+    // Outline-first: write (or take) the outline, then the article section by section
+    if (options.outline || (promptSettings && promptSettings.useOutlineGeneration)) {
+      const outline = options.outline
+        ? normalizeOutline(options.outline)
+        : await writeOutline(openai, openaiConfig, keyword, minWords, promptSettings || {}, options);
+      let article = await generateOutlineArticle(openai, openaiConfig, keyword, minWords, promptSettings || {}, outline, options);
+      article = { ...article, ...(await enforceContentRules(openai, openaiConfig, keyword, article.content, promptSettings || {}, options)) };
+      article.recipeData = await detectRecipe(openai, openaiConfig, keyword, article.content, promptSettings || {});
+      const seo = await generateSeoMetadata(openai, openaiConfig, keyword, article);
+      return { ...article, seo, usage: priceUsage(usage) };
+    }
 
     // Check if we need to use multi-part generation
     if (promptSettings && promptSettings.useMultiPartGeneration) {
-      return await generateMultiPartArticle(openai, openaiConfig, keyword, minWords, promptSettings);
+      let article = await generateMultiPartArticle(openai, openaiConfig, keyword, minWords, promptSettings, options);
+      article = { ...article, ...(await enforceContentRules(openai, openaiConfig, keyword, article.content, promptSettings, options)) };
+      article.recipeData = await detectRecipe(openai, openaiConfig, keyword, article.content, promptSettings);
+      const seo = await generateSeoMetadata(openai, openaiConfig, keyword, article);
+      return { ...article, seo, usage: priceUsage(usage) };
     }
 
     // Prepare the prompt for content generation (single part)
@@ -33,6 +86,7 @@ async function generateArticleContent(openaiConfig, keyword, minWords = 800, pro
     if (promptSettings && promptSettings.mainPrompt) {
       // Use the custom template from settings
       contentPrompt = applyPromptVariables(promptSettings.mainPrompt, {
+        ...options.variables,
         keyword: keyword,
         minWords: minWords
       });
@@ -60,11 +114,7 @@ async function generateArticleContent(openaiConfig, keyword, minWords = 800, pro
     }
     
     // Prepare system message with tone guidance if available
-    let systemMessage = "You are a professional content writer specializing in SEO-optimized articles that follow WordPress formatting standards.";
-    
-    if (promptSettings && promptSettings.toneVoice) {
-      systemMessage += `\n\nWrite in the following tone/voice: ${promptSettings.toneVoice}`;
-    }
+    const systemMessage = buildSystemMessage(promptSettings);
     
     // Add SEO guidelines if available
     if (promptSettings && promptSettings.seoGuidelines) {
@@ -82,21 +132,7 @@ async function generateArticleContent(openaiConfig, keyword, minWords = 800, pro
     }
     
     // Check if we should use recipe format
-    if (promptSettings && promptSettings.enableRecipeDetection && keyword.toLowerCase().match(/recipe|dish|cook|bake|food|meal|breakfast|lunch|dinner|dessert|appetizer|snack/)) {
-      // Add recipe format prompt
-      if (promptSettings.recipeFormatPrompt) {
-        contentPrompt += `\n\nRECIPE FORMAT INSTRUCTIONS:\n${promptSettings.recipeFormatPrompt}`;
-      } else {
-        contentPrompt += `\n\nRECIPE FORMAT INSTRUCTIONS:
-Please format this as a recipe article with the following sections:
-1. A brief introduction about the dish
-2. A "Ingredients" section with a clear, bulleted list (<ul><li>) of all ingredients with quantities
-3. A "Instructions" section with numbered steps (<ol><li>) for preparation
-4. Include preparation time, cooking time, and servings information clearly labeled (e.g., "Prep Time: 15 minutes")
-5. Add a "Tips and Notes" section with helpful advice for making this recipe
-6. If relevant, include nutrition information`;
-      }
-    }
+    contentPrompt += buildRecipeFormatInstructions(keyword, promptSettings);
     
     // Generate the article content
     const contentResponse = await openai.chat.completions.create({
@@ -107,7 +143,7 @@ Please format this as a recipe article with the following sections:
       ],
       temperature: openaiConfig.temperature,
       max_tokens: openaiConfig.maxTokens,
-    });
+    }, streamOptions(options));
     
     // Extract the content from the response
     let content = contentResponse.choices[0].message.content;
@@ -117,50 +153,29 @@ Please format this as a recipe article with the following sections:
       content = removeProhibitedContent(content, promptSettings.thingsToAvoid);
     }
     
-    // Create the prompt for the article title
-    const titlePrompt = `Create an engaging, SEO-friendly title for an article about "${keyword}" that will attract clicks and is optimized for SEO.`;
-    
-    // Add things to avoid to title generation if available
-    let fullTitlePrompt = titlePrompt;
-    if (promptSettings && promptSettings.thingsToAvoid) {
-      fullTitlePrompt += `\n\nIMPORTANT: DO NOT use ANY of the following words in the title: ${promptSettings.thingsToAvoid}`;
-    }
-    
     // Generate the title
-    const titleResponse = await openai.chat.completions.create({
-      model: openaiConfig.model,
-      messages: [
-        { role: "system", content: "Generate a compelling, SEO-friendly title for this article." },
-        { role: "user", content: fullTitlePrompt }
-      ],
-      temperature: openaiConfig.temperature,
-      max_tokens: 50,
-    });
-    
-    // Extract the title from the response and clean it up
-    let title = titleResponse.choices[0].message.content.replace(/"/g, '');
+    const title = await generateTitle(openai, openaiConfig, keyword, promptSettings || {});
     
-    // Post-process title to ensure "things to avoid" are really removed
-    if (promptSettings && promptSettings.thingsToAvoid) {
-      title = removeProhibitedContent(title, promptSettings.thingsToAvoid);
-    }
+    // Check the content rules and have the model fix what fails
+    const checked = await enforceContentRules(openai, openaiConfig, keyword, content, promptSettings || {}, options);
+    content = checked.content;
     
     console.log(`Generated article: "${title}" (${countWords(content)} words)`);
     
     // Check if the content contains a recipe (if recipe detection is enabled)
-    let recipeData = null;
-    if (promptSettings && promptSettings.enableRecipeDetection) {
-      recipeData = extractRecipeData(content, keyword);
-      if (recipeData) {
-        console.log('Recipe detected and data extracted successfully');
-      }
-    }
+    const recipeData = await detectRecipe(openai, openaiConfig, keyword, content, promptSettings || {});
+    
+    // SEO title, meta description, excerpt and slug
+    const seo = await generateSeoMetadata(openai, openaiConfig, keyword, { title, content });
     
     return {
       title,
       content,
       wordCount: countWords(content),
-      recipeData  // Will be null if no recipe is detected or detection is disabled
+      validation: checked.validation,
+      recipeData,  // Will be null if no recipe is detected or detection is disabled
+      seo,
+      usage: priceUsage(usage)
     };
   } catch (error) {
     console.error('Error generating article content:', error.message);
@@ -168,6 +183,29 @@ Please format this as a recipe article with the following sections:
   }
 }
 
+/**
+ * Write the outline of an article, to be edited before the article is
+ * written from it (see the `outline` option of generateArticleContent)
+ * @param {Object} openaiConfig - OpenAI API configuration
+ * @param {string} keyword - Keyword to generate article around
+ * @param {number} minWords - Minimum word count for article
+ * @param {Object} promptSettings - Custom prompt settings (optional)
+ * @param {Object} options - Optional { log, signal, variables } (see generateArticleContent)
+ * @returns {Object} { outline (see outline.js), usage: token usage (with cost) }
+ */
+async function generateArticleOutline(openaiConfig, keyword, minWords = 800, promptSettings = null, options = {}) {
+  console.log(`Generating outline for keyword: ${keyword}`);
+  
+  const usage = createUsage(openaiConfig);
+  const openai = trackUsage(createClient(openaiConfig, { log: options.log, signal: options.signal }), usage);
+  
+  warnUnknownVariables({ ...promptSettings, useOutlineGeneration: true }, options);
+  promptSettings = fillPromptSettings(promptSettings || {}, keyword, minWords, options.variables);
+  
+  const outline = await writeOutline(openai, openaiConfig, keyword, minWords, promptSettings, options);
+  return { outline, usage: priceUsage(usage) };
+}
+
 /**
  * Post-process content to ensure prohibited terms are removed
  * @param {string} content - The content to process
@@ -251,22 +289,19 @@ function escapeRegExp(string) {
 
 /**
  * Generate article in multiple parts (introduction, body, conclusion)
- * @param {Object} openai - OpenAI client instance
+ * @param {Object} openai - Chat client from the provider layer
  * @param {Object} openaiConfig - OpenAI API configuration
  * @param {string} keyword - Keyword to generate article around
  * @param {number} minWords - Minimum word count for article
  * @param {Object} promptSettings - Custom prompt settings
+ * @param {Object} options - Optional { onToken, onStreamReset, onSection } (see generateArticleContent)
  * @returns {Object} Article title and content
  */
-async function generateMultiPartArticle(openai, openaiConfig, keyword, minWords, promptSettings) {
+async function generateMultiPartArticle(openai, openaiConfig, keyword, minWords, promptSettings, options = {}) {
   console.log(`Generating multi-part article for keyword: ${keyword}`);
   
   // Prepare system message with tone guidance if available
-  let systemMessage = "You are a professional content writer specializing in SEO-optimized articles that follow WordPress formatting standards.";
-  
-  if (promptSettings.toneVoice) {
-    systemMessage += `\n\nWrite in the following tone/voice: ${promptSettings.toneVoice}`;
-  }
+  const systemMessage = buildSystemMessage(promptSettings);
   
   // Check if we need to include article format
   let articleFormatInstructions = "";
@@ -275,21 +310,7 @@ async function generateMultiPartArticle(openai, openaiConfig, keyword, minWords,
   }
   
   // Check if we should use recipe format
-  let recipeFormatInstructions = "";
-  if (promptSettings.enableRecipeDetection && keyword.toLowerCase().match(/recipe|dish|cook|bake|food|meal|breakfast|lunch|dinner|dessert|appetizer|snack/)) {
-    if (promptSettings.recipeFormatPrompt) {
-      recipeFormatInstructions = `\n\nRECIPE FORMAT INSTRUCTIONS:\n${promptSettings.recipeFormatPrompt}`;
-    } else {
-      recipeFormatInstructions = `\n\nRECIPE FORMAT INSTRUCTIONS:
-Please format this as a recipe article with the following sections:
-1. A brief introduction about the dish
-2. A "Ingredients" section with a clear, bulleted list (<ul><li>) of all ingredients with quantities
-3. A "Instructions" section with numbered steps (<ol><li>) for preparation
-4. Include preparation time, cooking time, and servings information clearly labeled (e.g., "Prep Time: 15 minutes")
-5. Add a "Tips and Notes" section with helpful advice for making this recipe
-6. If relevant, include nutrition information`;
-    }
-  }
+  const recipeFormatInstructions = buildRecipeFormatInstructions(keyword, promptSettings);
   
   // Calculate approximate word counts for each section
   // Introduction ~20%, Body ~60%, Conclusion ~20%
@@ -306,9 +327,12 @@ Please format this as a recipe article with the following sections:
     promptSettings.part1Prompt || "Write an engaging introduction for an article about {keyword}. The introduction should hook the reader, explain why the topic is important, and preview what the article will cover. Use approximately {minWords} words.",
     systemMessage,
     promptSettings,
-    articleFormatInstructions + recipeFormatInstructions
+    articleFormatInstructions + recipeFormatInstructions,
+    options
   );
   
+  reportSection(options, 'introduction', introPart);
+  
   // Part 2: Body
   const bodyPart = await generateArticlePart(
     openai,
@@ -318,9 +342,12 @@ Please format this as a recipe article with the following sections:
     promptSettings.part2Prompt || "Write the main body content for an article about {keyword}. This should include detailed information, breakdown of the topic into logical sections with appropriate H2 and H3 headings, practical tips, examples, and actionable advice. Use approximately {minWords} words.",
     systemMessage,
     promptSettings,
-    articleFormatInstructions + recipeFormatInstructions
+    articleFormatInstructions + recipeFormatInstructions,
+    options
   );
   
+  reportSection(options, 'body', bodyPart);
+  
   // Part 3: Conclusion
   const conclusionPart = await generateArticlePart(
     openai,
@@ -330,9 +357,12 @@ Please format this as a recipe article with the following sections:
     promptSettings.part3Prompt || "Write a conclusion for an article about {keyword}. The conclusion should summarize the key points, provide final thoughts, and possibly include a call to action. Use approximately {minWords} words.",
     systemMessage,
     promptSettings,
-    articleFormatInstructions + recipeFormatInstructions
+    articleFormatInstructions + recipeFormatInstructions,
+    options
   );
   
+  reportSection(options, 'conclusion', conclusionPart);
+  
   // Combine the parts
   let combinedContent = `${introPart}\n\n${bodyPart}\n\n${conclusionPart}`;
   
@@ -342,55 +372,152 @@ Please format this as a recipe article with the following sections:
   }
   
   // Generate title
-  const titlePrompt = `Create an engaging, SEO-friendly title for an article about "${keyword}" that will attract clicks and is optimized for SEO.`;
+  const title = await generateTitle(openai, openaiConfig, keyword, promptSettings);
   
-  // Add things to avoid to title generation if available
-  let fullTitlePrompt = titlePrompt;
-  if (promptSettings.thingsToAvoid) {
-    fullTitlePrompt += `\n\nIMPORTANT: DO NOT use ANY of the following words in the title: ${promptSettings.thingsToAvoid}`;
-  }
+  const wordCount = countWords(combinedContent);
   
-  const titleResponse = await openai.chat.completions.create({
-    model: openaiConfig.model,
-    messages: [
-      { role: "system", content: "Generate a compelling, SEO-friendly title for this article." },
-      { role: "user", content: fullTitlePrompt }
-    ],
-    temperature: openaiConfig.temperature,
-    max_tokens: 50,
+  console.log(`Generated multi-part article: "${title}" (${wordCount} words)`);
+  
+  return {
+    title,
+    content: combinedContent,
+    wordCount
+  };
+}
+
+/**
+ * Write the outline of an article with the outline prompt
+ * @param {Object} openai - Chat client from the provider layer
+ * @param {Object} openaiConfig - OpenAI API configuration
+ * @param {string} keyword - Keyword to generate article around
+ * @param {number} minWords - Minimum word count for article
+ * @param {Object} promptSettings - Prompt settings
+ * @param {Object} options - Optional { log, variables } (see generateArticleContent)
+ * @returns {Object[]} Outline (see outline.js)
+ */
+async function writeOutline(openai, openaiConfig, keyword, minWords, promptSettings, options = {}) {
+  let prompt = applyPromptVariables(promptSettings.outlinePrompt || DEFAULT_OUTLINE_PROMPT, {
+    ...options.variables,
+    keyword,
+    minWords
   });
   
-  let title = titleResponse.choices[0].message.content.replace(/"/g, '');
+  // The structure of the article is decided here, so the format instructions go with it
+  if (promptSettings.useArticleFormat && promptSettings.articleFormat) {
+    prompt += `\n\nARTICLE FORMAT INSTRUCTIONS:\nFollow this specific structure and format for the article:\n${promptSettings.articleFormat}`;
+  }
+  prompt += buildRecipeFormatInstructions(keyword, promptSettings);
   
-  // Post-process title to ensure "things to avoid" are really removed
+  if (promptSettings.seoGuidelines) {
+    prompt += `\n\nFollow these additional SEO guidelines:\n${promptSettings.seoGuidelines}`;
+  }
   if (promptSettings.thingsToAvoid) {
-    title = removeProhibitedContent(title, promptSettings.thingsToAvoid);
+    prompt += `\n\nIMPORTANT: DO NOT use ANY of the following terms or concepts in the headings:\n${promptSettings.thingsToAvoid}`;
   }
   
-  const wordCount = countWords(combinedContent);
+  const outline = await generateOutline(openai, openaiConfig, buildSystemMessage(promptSettings), prompt);
+  const subheadings = outline.reduce((sum, section) => sum + section.subheadings.length, 0);
+  (options.log || console.log)(`Outline: ${outline.length} sections, ${subheadings} subheadings`);
+  return outline;
+}
+
+/**
+ * Generate an article from an outline: the introduction, then every section
+ * with the full outline and summaries of the sections before it as context,
+ * so no section repeats another. The sections open with a transition from
+ * the one before and are stitched together under the outline's headings.
+ * @param {Object} openai - Chat client from the provider layer
+ * @param {Object} openaiConfig - OpenAI API configuration
+ * @param {string} keyword - Keyword to generate article around
+ * @param {number} minWords - Minimum word count for article
+ * @param {Object} promptSettings - Prompt settings, with the variables filled in
+ * @param {Object[]} outline - Normalized outline
+ * @param {Object} options - Optional { onToken, onStreamReset, onSection } (see generateArticleContent)
+ * @returns {Object} Article title, content and outline
+ */
+async function generateOutlineArticle(openai, openaiConfig, keyword, minWords, promptSettings, outline, options = {}) {
+  console.log(`Generating outline-first article for keyword: ${keyword} (${outline.length} sections)`);
   
-  console.log(`Generated multi-part article: "${title}" (${wordCount} words)`);
+  const systemMessage = buildSystemMessage(promptSettings);
   
-  // Check if the content contains a recipe (if recipe detection is enabled)
-  let recipeData = null;
-  if (promptSettings.enableRecipeDetection) {
-    recipeData = extractRecipeData(combinedContent, keyword);
-    if (recipeData) {
-      console.log('Recipe detected and data extracted successfully');
-    }
+  // Introduction ~10%, the rest shared by the sections
+  const introWordCount = Math.round(minWords * 0.1);
+  const sectionWordCount = Math.max(80, Math.round((minWords - introWordCount) / outline.length));
+  
+  const introduction = await generateArticlePart(
+    openai,
+    openaiConfig,
+    keyword,
+    introWordCount,
+    `Write the introduction of an article about "{keyword}" in about {minWords} words. This is the outline of the article:\n${formatOutline(outline)}\n\n` +
+      'Hook the reader, explain why the topic matters and preview what the sections cover. Do not use headings. Use <p> tags.',
+    systemMessage,
+    promptSettings,
+    '',
+    options
+  );
+  reportSection(options, 'introduction', introduction);
+  
+  const parts = [introduction];
+  const summaries = [`Introduction: ${summarizeSection(introduction)}`];
+  
+  for (let index = 0; index < outline.length; index++) {
+    const section = outline[index];
+    const subheadings = section.subheadings.length > 0
+      ? `Use these H3 subheadings, in this order, as <h3> tags: ${section.subheadings.join('; ')}.`
+      : 'Do not add H3 subheadings.';
+    const closing = index === outline.length - 1
+      ? ' This is the last section: bring the article to a close.'
+      : '';
+    
+    let content = await generateArticlePart(
+      openai,
+      openaiConfig,
+      keyword,
+      sectionWordCount,
+      `You are writing an article about "{keyword}" one section at a time. This is the outline:\n${formatOutline(outline, index)}\n\n` +
+        `What the article has covered so far:\n${summaries.join('\n')}\n\n` +
+        `Write section ${index + 1}, "${section.heading}", in about {minWords} words. ${subheadings} ` +
+        'Do not write the H2 heading; it is added for you. Do not repeat what earlier sections said, and leave the topics of later sections to them. ' +
+        `Open with a sentence that leads on from the previous section.${closing}\n\n` +
+        'Use <p>, <h3>, <ul>, <ol> and <li> tags.',
+      systemMessage,
+      promptSettings,
+      '',
+      options
+    );
+    
+    // The heading comes from the outline, even if the model wrote it too
+    content = content.replace(/^\s*<h[12][^>]*>[\s\S]*?<\/h[12]>\s*/i, '');
+    reportSection(options, `section-${index + 1}`, content, section.heading);
+    
+    parts.push(`${toHeadingHtml(section.heading)}\n${content}`);
+    summaries.push(`${section.heading}: ${summarizeSection(content)}`);
+  }
+  
+  let combinedContent = parts.join('\n\n');
+  
+  // Post-process content to ensure "things to avoid" are really removed
+  if (promptSettings.thingsToAvoid) {
+    combinedContent = removeProhibitedContent(combinedContent, promptSettings.thingsToAvoid);
   }
   
+  const title = await generateTitle(openai, openaiConfig, keyword, promptSettings);
+  const wordCount = countWords(combinedContent);
+  
+  console.log(`Generated outline-first article: "${title}" (${wordCount} words)`);
+  
   return {
     title,
     content: combinedContent,
     wordCount,
-    recipeData  // Will be null if no recipe is detected or detection is disabled
+    outline
   };
 }
 
 /**
  * Generate a specific part of an article
- * @param {Object} openai - OpenAI client instance
+ * @param {Object} openai - Chat client from the provider layer
  * @param {Object} openaiConfig - OpenAI API configuration
  * @param {string} keyword - Keyword to generate article around
  * @param {number} wordCount - Target word count for this part
@@ -398,11 +525,13 @@ Please format this as a recipe article with the following sections:
  * @param {string} systemMessage - System message with tone guidance
  * @param {Object} promptSettings - Custom prompt settings
  * @param {string} formatInstructions - Format instructions (article format, recipe format)
+ * @param {Object} options - Optional { onToken, onStreamReset } (see generateArticleContent)
  * @returns {string} Generated content for this part
  */
-async function generateArticlePart(openai, openaiConfig, keyword, wordCount, promptTemplate, systemMessage, promptSettings, formatInstructions = "") {
+async function generateArticlePart(openai, openaiConfig, keyword, wordCount, promptTemplate, systemMessage, promptSettings, formatInstructions = "", options = {}) {
   // Prepare prompt with variable replacement
   let prompt = applyPromptVariables(promptTemplate, {
+    ...options.variables,
     keyword: keyword,
     minWords: wordCount
   });
@@ -446,7 +575,7 @@ async function generateArticlePart(openai, openaiConfig, keyword, wordCount, pro
     ],
     temperature: openaiConfig.temperature,
     max_tokens: Math.min(2000, openaiConfig.maxTokens),
-  });
+  }, streamOptions(options));
   
   let content = response.choices[0].message.content;
   
@@ -458,29 +587,270 @@ async function generateArticlePart(openai, openaiConfig, keyword, wordCount, pro
   return content;
 }
 
+/**
+ * Extract the recipe of an article, if recipe detection is enabled. Runs on
+ * the final content, after the content rules were enforced.
+ * @param {Object} openai - Chat client from the provider layer
+ * @param {Object} openaiConfig - OpenAI API configuration
+ * @param {string} keyword - Keyword of the article
+ * @param {string} content - Article HTML
+ * @param {Object} promptSettings - Prompt settings
+ * @returns {Object|null} Recipe data, or null if no recipe is detected or detection is disabled
+ */
+async function detectRecipe(openai, openaiConfig, keyword, content, promptSettings) {
+  if (!promptSettings.enableRecipeDetection) {
+    return null;
+  }
+  
+  const recipeData = await extractRecipeData(content, keyword, {
+    mode: promptSettings.recipeExtractionMode,
+    openai,
+    openaiConfig
+  });
+  if (recipeData) {
+    console.log('Recipe detected and data extracted successfully');
+  }
+  return recipeData;
+}
+
+/**
+ * Check an article against the content rules and fix what fails, one
+ * follow-up request at a time, until the rules pass or the fix passes are
+ * used up. The checks and fixes are reported to the job log.
+ * @param {Object} openai - Chat client from the provider layer
+ * @param {Object} openaiConfig - OpenAI API configuration
+ * @param {string} keyword - Keyword of the article
+ * @param {string} content - Article HTML
+ * @param {Object} promptSettings - Prompt settings
+ * @param {Object} options - Generation options with `rules` and `log`
+ * @returns {Object} { content, wordCount, validation: { passed, wordCount,
+ *   checks, fixes, passes } or null without rules }
+ */
+async function enforceContentRules(openai, openaiConfig, keyword, content, promptSettings, options = {}) {
+  const rules = options.rules;
+  if (!rules) {
+    return { content, wordCount: countWords(content), validation: null };
+  }
+  
+  const log = options.log || console.log;
+  const fixes = [];
+  const prompt = {
+    systemMessage: buildSystemMessage(promptSettings),
+    instructions: promptSettings.thingsToAvoid
+      ? `\n\nIMPORTANT: DO NOT mention, include, or reference ANY of the following in your content:\n${promptSettings.thingsToAvoid}`
+      : ''
+  };
+  
+  // The title is the page's H1, so H1s in the content become H2s
+  let validation = validateArticle(content, keyword, rules);
+  if (validation.checks.some(check => check.id === 'noH1' && !check.passed)) {
+    content = demoteH1(content);
+    fixes.push('turned the H1 headings into H2s');
+    log('Content check: turned the H1 headings into H2s');
+    validation = validateArticle(content, keyword, rules);
+  }
+  
+  let passes = 0;
+  while (!validation.passed && passes < rules.maxFixPasses) {
+    const failed = validation.checks.filter(check => !check.passed).map(check => check.message).join('; ');
+    log(`⚠ Content check failed: ${failed}`);
+    
+    const fix = await fixArticle(openai, openaiConfig, content, keyword, validation, rules, prompt);
+    if (!fix) break;
+    
+    passes++;
+    content = demoteH1(fix.content);
+    if (promptSettings.thingsToAvoid) {
+      content = removeProhibitedContent(content, promptSettings.thingsToAvoid);
+    }
+    fixes.push(fix.description);
+    log(`Fix pass ${passes}/${rules.maxFixPasses}: ${fix.description}`);
+    
+    validation = validateArticle(content, keyword, rules);
+  }
+  
+  if (validation.passed) {
+    log(`✓ Content checks passed (${validation.checks.map(check => check.message).join('; ')})`);
+  } else {
+    const failed = validation.checks.filter(check => !check.passed).map(check => check.message).join('; ');
+    log(`⚠ Content checks still failing after ${passes} fix pass${passes === 1 ? '' : 'es'}: ${failed}`);
+  }
+  
+  return {
+    content,
+    wordCount: countWords(content),
+    validation: { ...validation, fixes, passes }
+  };
+}
+
+/**
+ * Build the system message of article requests, with tone guidance if available
+ * @param {Object|null} promptSettings - Prompt settings
+ * @returns {string} System message
+ */
+function buildSystemMessage(promptSettings) {
+  let systemMessage = "You are a professional content writer specializing in SEO-optimized articles that follow WordPress formatting standards.";
+  
+  if (promptSettings && promptSettings.toneVoice) {
+    systemMessage += `\n\nWrite in the following tone/voice: ${promptSettings.toneVoice}`;
+  }
+  return systemMessage;
+}
+
+/**
+ * Build the recipe format instructions for keywords that look like recipes
+ * @param {string} keyword - Keyword
+ * @param {Object|null} promptSettings - Prompt settings
+ * @returns {string} Instructions to append to a prompt, or '' if recipe detection is off
+ */
+function buildRecipeFormatInstructions(keyword, promptSettings) {
+  if (!promptSettings || !promptSettings.enableRecipeDetection || !keyword.toLowerCase().match(/recipe|dish|cook|bake|food|meal|breakfast|lunch|dinner|dessert|appetizer|snack/)) {
+    return '';
+  }
+  
+  if (promptSettings.recipeFormatPrompt) {
+    return `\n\nRECIPE FORMAT INSTRUCTIONS:\n${promptSettings.recipeFormatPrompt}`;
+  }
+  return `\n\nRECIPE FORMAT INSTRUCTIONS:
+Please format this as a recipe article with the following sections:
+1. A brief introduction about the dish
+2. A "Ingredients" section with a clear, bulleted list (<ul><li>) of all ingredients with quantities
+3. A "Instructions" section with numbered steps (<ol><li>) for preparation
+4. Include preparation time, cooking time, and servings information clearly labeled (e.g., "Prep Time: 15 minutes")
+5. Add a "Tips and Notes" section with helpful advice for making this recipe
+6. If relevant, include nutrition information`;
+}
+
+/**
+ * Generate the title of an article
+ * @param {Object} openai - Chat client from the provider layer
+ * @param {Object} openaiConfig - OpenAI API configuration
+ * @param {string} keyword - Keyword of the article
+ * @param {Object} promptSettings - Prompt settings
+ * @returns {string} Title
+ */
+async function generateTitle(openai, openaiConfig, keyword, promptSettings) {
+  const titlePrompt = `Create an engaging, SEO-friendly title for an article about "${keyword}" that will attract clicks and is optimized for SEO.`;
+  
+  // Add things to avoid to title generation if available
+  let fullTitlePrompt = titlePrompt;
+  if (promptSettings.thingsToAvoid) {
+    fullTitlePrompt += `\n\nIMPORTANT: DO NOT use ANY of the following words in the title: ${promptSettings.thingsToAvoid}`;
+  }
+  
+  const titleResponse = await openai.chat.completions.create({
+    model: openaiConfig.model,
+    messages: [
+      { role: "system", content: "Generate a compelling, SEO-friendly title for this article." },
+      { role: "user", content: fullTitlePrompt }
+    ],
+    temperature: openaiConfig.temperature,
+    max_tokens: 50,
+  });
+  
+  let title = titleResponse.choices[0].message.content.replace(/"/g, '');
+  
+  // Post-process title to ensure "things to avoid" are really removed
+  if (promptSettings.thingsToAvoid) {
+    title = removeProhibitedContent(title, promptSettings.thingsToAvoid);
+  }
+  return title;
+}
+
+// Labels of the parts of a multi-part article
+const SECTION_LABELS = {
+  introduction: 'Introduction',
+  body: 'Body',
+  conclusion: 'Conclusion'
+};
+
+/**
+ * Report a finished part of a multi-part or outline-first article
+ * @param {Object} options - Generation options with onSection
+ * @param {string} name - 'introduction', 'body', 'conclusion' or 'section-<n>'
+ * @param {string} content - Content of the part
+ * @param {string} label - Label of the part (defaults to the label of the name)
+ */
+function reportSection(options, name, content, label = SECTION_LABELS[name]) {
+  if (options.onSection) {
+    options.onSection(name, label, content);
+  }
+}
+
+/**
+ * Get the request options that stream a reply (see llm-providers.js)
+ * @param {Object} options - Generation options with onToken and onStreamReset
+ * @returns {Object} Request options; empty if nobody watches the text
+ */
+function streamOptions(options = {}) {
+  return options.onToken
+    ? { onToken: options.onToken, onStreamReset: options.onStreamReset }
+    : {};
+}
+
 /**
  * Replace variables in prompt template
- * @param {string} template - Template with {variable} placeholders
+ * @param {string} template - Template with {variable} placeholders and {{#if variable}} blocks
  * @param {Object} variables - Object with variable values
  * @returns {string} Template with replaced variables
  */
 function applyPromptVariables(template, variables) {
-  let result = template;
-  for (const [key, value] of Object.entries(variables)) {
-    result = result.replace(new RegExp(`\\{${key}\\}`, 'g'), value);
-  }
-  return result;
+  return renderTemplate(template, variables);
 }
 
 /**
- * Count the number of words in a string
- * @param {string} text - The text to count words in
- * @returns {number} The word count
+ * Fill the variables into the prompt settings that do not depend on the part
+ * being written
+ * @param {Object} promptSettings - Prompt settings
+ * @param {string} keyword - Keyword
+ * @param {number} minWords - Minimum word count for article
+ * @param {Object} variables - The keyword row's columns
+ * @returns {Object} Prompt settings with the templates filled in
+ */
+function fillPromptSettings(promptSettings, keyword, minWords, variables = {}) {
+  if (!promptSettings || typeof promptSettings !== 'object') return promptSettings;
+
+  const filled = { ...promptSettings };
+  TEMPLATE_FIELDS.forEach(field => {
+    if (filled[field]) {
+      filled[field] = applyPromptVariables(filled[field], { ...variables, keyword, minWords });
+    }
+  });
+  return filled;
+}
+
+/**
+ * Report the variables the prompts use that are not columns of the keyword
+ * sheet; they are sent to the model as written
+ * @param {Object} promptSettings - Prompt settings
+ * @param {Object} options - Generation options with `variables` and `log`
  */
-function countWords(text) {
-  return text.split(/\s+/).filter(word => word.length > 0).length;
+function warnUnknownVariables(promptSettings, options) {
+  if (!options.variables || !promptSettings || typeof promptSettings !== 'object') return;
+
+  // Only the prompts this generation uses
+  let fields = ['mainPrompt', 'toneVoice', 'seoGuidelines', 'thingsToAvoid'];
+  if (options.outline || promptSettings.useOutlineGeneration) {
+    fields = ['outlinePrompt', 'toneVoice', 'seoGuidelines', 'thingsToAvoid'];
+  } else if (promptSettings.useMultiPartGeneration) {
+    fields = ['part1Prompt', 'part2Prompt', 'part3Prompt', 'toneVoice', 'seoGuidelines', 'thingsToAvoid'];
+  }
+  if (promptSettings.useArticleFormat) fields.push('articleFormat');
+  if (promptSettings.enableRecipeDetection) fields.push('recipeFormatPrompt');
+
+  const columns = Object.keys(options.variables);
+  const unknown = new Set();
+  fields.forEach(field => {
+    findUnknownVariables(promptSettings[field], columns).forEach(name => unknown.add(name));
+  });
+
+  if (unknown.size > 0) {
+    const names = [...unknown].map(name => `{${name}}`).join(', ');
+    (options.log || console.warn)(`⚠ The prompts use ${names}, which the keyword sheet has no column for`);
+  }
 }
 
 module.exports = {
-  generateArticleContent
+  generateArticleContent,
+  generateArticleOutline
 };
\ No newline at end of file
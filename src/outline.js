@@ -0,0 +1,261 @@
+// src/outline.js
+//
+// This module handles the outline of outline-first generation. The model
+// first returns the article's H2 sections with their H3 subheadings; the
+// outline can then be reordered or edited (on the generate page) before each
+// section is written with the full outline and summaries of the sections
+// before it as context (see generateOutlineArticle in src/openai.js).
+//
+// An outline is a list of sections: [{ heading, subheadings: [string] }].
+// The introduction comes before the first heading and is not part of it.
+//
+// The outline is requested through function calling. Servers that do not
+// support tools (many OpenAI-compatible builds of Ollama or llama.cpp) get a
+// second, plain-text request whose reply is parsed line by line.
+
+// Limits keeping the outline, and the number of requests it takes, sensible
+const MAX_SECTIONS = 15;
+const MAX_SUBHEADINGS = 8;
+const MAX_HEADING_LENGTH = 150;
+
+// Longest summary of a written section passed on to the next ones (words)
+const SUMMARY_WORDS = 60;
+
+// JSON schema of the outline the model returns (the function parameters)
+const OUTLINE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['sections'],
+  properties: {
+    sections: {
+      type: 'array',
+      description: 'H2 sections of the article in reading order, ending with the conclusion',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['heading', 'subheadings'],
+        properties: {
+          heading: { type: 'string', description: 'H2 heading' },
+          subheadings: { type: 'array', items: { type: 'string' }, description: 'H3 subheadings of the section; may be empty' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Turn a heading into plain, single-line text
+ * @param {*} heading - Heading from the model or a form
+ * @returns {string} Heading without tags, at most MAX_HEADING_LENGTH characters
+ */
+function cleanHeading(heading) {
+  return String(heading || '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/^\s*(?:#+|\d+[.)])\s*/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_HEADING_LENGTH);
+}
+
+/**
+ * Validate and tidy an outline from the model or the generate page. Empty
+ * headings are dropped.
+ * @param {Object[]} outline - [{ heading, subheadings }]
+ * @returns {Object[]} Normalized outline
+ * @throws {Error} If no section is left
+ */
+function normalizeOutline(outline) {
+  const sections = (Array.isArray(outline) ? outline : [])
+    .map(section => ({
+      heading: cleanHeading(section && section.heading),
+      subheadings: (section && Array.isArray(section.subheadings) ? section.subheadings : [])
+        .map(cleanHeading)
+        .filter(Boolean)
+        .slice(0, MAX_SUBHEADINGS)
+    }))
+    .filter(section => section.heading)
+    .slice(0, MAX_SECTIONS);
+
+  if (sections.length === 0) {
+    throw new Error('The outline needs at least one section');
+  }
+  return sections;
+}
+
+/**
+ * Write an outline as text for prompts
+ * @param {Object[]} outline - Normalized outline
+ * @param {number} currentIndex - Section to mark as the one being written (-1 for none)
+ * @returns {string} One line per heading, H3s indented
+ */
+function formatOutline(outline, currentIndex = -1) {
+  return outline.map((section, index) => {
+    const marker = index === currentIndex ? '  <-- write this section' : '';
+    const subheadings = section.subheadings.map(subheading => `\n   - H3: ${subheading}`).join('');
+    return `${index + 1}. H2: ${section.heading}${marker}${subheadings}`;
+  }).join('\n');
+}
+
+/**
+ * Write a heading as an HTML element
+ * @param {string} heading - Plain-text heading
+ * @param {number} level - Heading level (2 or 3)
+ * @returns {string} Heading element with the text escaped
+ */
+function toHeadingHtml(heading, level = 2) {
+  const text = heading.replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return `<h${level}>${text}</h${level}>`;
+}
+
+/**
+ * Summarize a written section for the sections after it: the first sentence
+ * of each paragraph, which is where articles state their point
+ * @param {string} html - Section content
+ * @returns {string} Summary of at most SUMMARY_WORDS words
+ */
+function summarizeSection(html) {
+  const paragraphs = String(html || '').match(/<(?:p|li)[^>]*>[\s\S]*?<\/(?:p|li)>/gi) || [html];
+  const sentences = paragraphs
+    .map(paragraph => String(paragraph).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map(text => (text.match(/^.*?[.!?](?=\s|$)/) || [text])[0]);
+
+  const words = sentences.join(' ').split(' ').filter(Boolean);
+  return words.length > SUMMARY_WORDS ? `${words.slice(0, SUMMARY_WORDS).join(' ')}…` : words.join(' ');
+}
+
+/**
+ * Read an outline from a plain-text reply: JSON with `sections`, or one
+ * heading per line with "## " (or a number) before the H2 headings and
+ * "- " (or "### ") before the H3 subheadings
+ * @param {string} text - Model reply
+ * @returns {Object[]} Normalized outline
+ * @throws {Error} If the reply has no section
+ */
+function parseOutlineText(text) {
+  const json = String(text || '').match(/\{[\s\S]*\}/);
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      if (Array.isArray(parsed.sections)) {
+        return normalizeOutline(parsed.sections);
+      }
+    } catch (error) {
+      // Not JSON; read it line by line
+    }
+  }
+
+  const sections = [];
+  String(text || '').split('\n').forEach(line => {
+    if (/^\s*(?:[-*•]|###|\d+\.\d+[.)]?)\s+/.test(line)) {
+      if (sections.length > 0) {
+        sections[sections.length - 1].subheadings.push(line.replace(/^\s*(?:[-*•]|###|\d+\.\d+[.)]?)\s+/, ''));
+      }
+    } else if (/^\s*(?:#{1,2}|\d+[.)])\s+/.test(line)) {
+      sections.push({ heading: line.replace(/^\s*(?:#{1,2}|\d+[.)])\s+/, '').replace(/^H2:\s*/i, ''), subheadings: [] });
+    }
+  });
+  return normalizeOutline(sections);
+}
+
+/**
+ * Ask the model for the outline of an article as plain text, for servers
+ * that do not support function calling
+ * @param {Object} openai - Chat client
+ * @param {Object} openaiConfig - Generation settings (model and temperature)
+ * @param {string} systemMessage - System message with tone guidance
+ * @param {string} prompt - Outline prompt, with the variables filled in
+ * @returns {Promise<Object[]>} Normalized outline
+ */
+async function generateOutlineText(openai, openaiConfig, systemMessage, prompt) {
+  const response = await openai.chat.completions.create({
+    model: openaiConfig.model,
+    messages: [
+      { role: 'system', content: systemMessage },
+      {
+        role: 'user',
+        content: `${prompt}\n\nReply with the outline only, one heading per line: each H2 section as "## Heading", ` +
+          'with its H3 subheadings on the lines below it as "- Subheading".'
+      }
+    ],
+    temperature: openaiConfig.temperature
+  });
+
+  return parseOutlineText(response.choices[0].message.content);
+}
+
+/**
+ * Ask the model for the outline of an article. If the server rejects the
+ * function call or ignores it, the outline is asked for as plain text.
+ * @param {Object} openai - Chat client
+ * @param {Object} openaiConfig - Generation settings (model and temperature)
+ * @param {string} systemMessage - System message with tone guidance
+ * @param {string} prompt - Outline prompt, with the variables filled in
+ * @returns {Promise<Object[]>} Normalized outline
+ */
+async function generateOutline(openai, openaiConfig, systemMessage, prompt) {
+  let response;
+  try {
+    response = await requestOutlineTool(openai, openaiConfig, systemMessage, prompt);
+  } catch (error) {
+    if (/abort/i.test(error.name) || /abort/i.test(error.message)) {
+      throw error;
+    }
+    console.warn(`Outline function call failed, asking for a plain-text outline: ${error.message}`);
+    return generateOutlineText(openai, openaiConfig, systemMessage, prompt);
+  }
+
+  const toolCalls = response.choices[0].message.tool_calls || [];
+  if (toolCalls.length > 0) {
+    return normalizeOutline(JSON.parse(toolCalls[0].function.arguments).sections);
+  }
+
+  // The server ignored the tools; the reply may still hold an outline
+  const content = response.choices[0].message.content;
+  if (content) {
+    try {
+      return parseOutlineText(content);
+    } catch (error) {
+      // No outline in the reply
+    }
+  }
+  console.warn('The model did not call the outline function, asking for a plain-text outline');
+  return generateOutlineText(openai, openaiConfig, systemMessage, prompt);
+}
+
+/**
+ * Request the outline through function calling
+ * @param {Object} openai - Chat client
+ * @param {Object} openaiConfig - Generation settings (model and temperature)
+ * @param {string} systemMessage - System message with tone guidance
+ * @param {string} prompt - Outline prompt, with the variables filled in
+ * @returns {Promise<Object>} Chat completion
+ */
+function requestOutlineTool(openai, openaiConfig, systemMessage, prompt) {
+  return openai.chat.completions.create({
+    model: openaiConfig.model,
+    messages: [
+      { role: 'system', content: systemMessage },
+      { role: 'user', content: prompt }
+    ],
+    tools: [{
+      type: 'function',
+      function: {
+        name: 'save_outline',
+        description: 'Save the outline of the article',
+        parameters: OUTLINE_SCHEMA
+      }
+    }],
+    tool_choice: { type: 'function', function: { name: 'save_outline' } },
+    temperature: openaiConfig.temperature
+  });
+}
+
+module.exports = {
+  normalizeOutline,
+  formatOutline,
+  toHeadingHtml,
+  summarizeSection,
+  parseOutlineText,
+  generateOutline
+};
@@ -0,0 +1,328 @@
+// src/placeholder-image.js
+//
+// This module draws placeholder featured images without an image model or
+// graphics library: a colour gradient from a template with the article title
+// in a built-in pixel font, encoded as PNG (WordPress does not accept SVG
+// uploads by default).
+
+const zlib = require('zlib');
+
+// Featured image size used by most themes (and social previews)
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+// Colour templates: [top colour, bottom colour]
+const TEMPLATES = {
+  ocean: { name: 'Ocean', colors: ['#1e3c72', '#2a5298'] },
+  sunset: { name: 'Sunset', colors: ['#d9480f', '#f59f00'] },
+  forest: { name: 'Forest', colors: ['#134e5e', '#4c9a6a'] },
+  berry: { name: 'Berry', colors: ['#5f0f99', '#b5179e'] },
+  slate: { name: 'Slate', colors: ['#232526', '#4b4f52'] }
+};
+
+// 5x7 pixel font; every glyph is seven rows of five pixels
+const FONT = {
+  'A': '01110 10001 10001 11111 10001 10001 10001',
+  'B': '11110 10001 10001 11110 10001 10001 11110',
+  'C': '01110 10001 10000 10000 10000 10001 01110',
+  'D': '11110 10001 10001 10001 10001 10001 11110',
+  'E': '11111 10000 10000 11110 10000 10000 11111',
+  'F': '11111 10000 10000 11110 10000 10000 10000',
+  'G': '01110 10001 10000 10111 10001 10001 01111',
+  'H': '10001 10001 10001 11111 10001 10001 10001',
+  'I': '01110 00100 00100 00100 00100 00100 01110',
+  'J': '00111 00010 00010 00010 00010 10010 01100',
+  'K': '10001 10010 10100 11000 10100 10010 10001',
+  'L': '10000 10000 10000 10000 10000 10000 11111',
+  'M': '10001 11011 10101 10101 10001 10001 10001',
+  'N': '10001 10001 11001 10101 10011 10001 10001',
+  'O': '01110 10001 10001 10001 10001 10001 01110',
+  'P': '11110 10001 10001 11110 10000 10000 10000',
+  'Q': '01110 10001 10001 10001 10101 10010 01101',
+  'R': '11110 10001 10001 11110 10100 10010 10001',
+  'S': '01111 10000 10000 01110 00001 00001 11110',
+  'T': '11111 00100 00100 00100 00100 00100 00100',
+  'U': '10001 10001 10001 10001 10001 10001 01110',
+  'V': '10001 10001 10001 10001 10001 01010 00100',
+  'W': '10001 10001 10001 10101 10101 10101 01010',
+  'X': '10001 10001 01010 00100 01010 10001 10001',
+  'Y': '10001 10001 10001 01010 00100 00100 00100',
+  'Z': '11111 00001 00010 00100 01000 10000 11111',
+  '0': '01110 10001 10011 10101 11001 10001 01110',
+  '1': '00100 01100 00100 00100 00100 00100 01110',
+  '2': '01110 10001 00001 00010 00100 01000 11111',
+  '3': '11111 00010 00100 00010 00001 10001 01110',
+  '4': '00010 00110 01010 10010 11111 00010 00010',
+  '5': '11111 10000 11110 00001 00001 10001 01110',
+  '6': '00110 01000 10000 11110 10001 10001 01110',
+  '7': '11111 00001 00010 00100 01000 01000 01000',
+  '8': '01110 10001 10001 01110 10001 10001 01110',
+  '9': '01110 10001 10001 01111 00001 00010 01100',
+  ' ': '00000 00000 00000 00000 00000 00000 00000',
+  '-': '00000 00000 00000 11111 00000 00000 00000',
+  '.': '00000 00000 00000 00000 00000 01100 01100',
+  ',': '00000 00000 00000 00000 01100 00100 01000',
+  ':': '00000 01100 01100 00000 01100 01100 00000',
+  '!': '00100 00100 00100 00100 00100 00000 00100',
+  '?': '01110 10001 00001 00010 00100 00000 00100',
+  '\'': '01100 00100 01000 00000 00000 00000 00000',
+  '&': '01100 10010 10100 01000 10101 10010 01101'
+};
+
+// Every glyph cell is 6x9 font pixels: the glyph plus spacing
+const CELL_WIDTH = 6;
+const CELL_HEIGHT = 9;
+const MARGIN = 90;
+const MAX_LINES = 4;
+
+/**
+ * Convert a "#rrggbb" colour to [r, g, b]
+ * @param {string} hex - Colour
+ * @returns {number[]} RGB values
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Pick a template for a text: the named one, or one chosen from the text so
+ * the same article always gets the same colours
+ * @param {string} templateId - Template ID or 'auto'
+ * @param {string} text - Text on the image
+ * @returns {Object} Template
+ */
+function pickTemplate(templateId, text) {
+  if (TEMPLATES[templateId]) return TEMPLATES[templateId];
+
+  const ids = Object.keys(TEMPLATES);
+  const hash = [...String(text)].reduce((total, char) => (total * 31 + char.charCodeAt(0)) >>> 0, 7);
+  return TEMPLATES[ids[hash % ids.length]];
+}
+
+/**
+ * Prepare text for the pixel font: upper case, accents removed and
+ * characters without a glyph dropped
+ * @param {string} text - Text
+ * @returns {string} Printable text
+ */
+function toPrintable(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, '\'')
+    .replace(/[\u2013\u2014]/g, '-')
+    .toUpperCase()
+    .split('')
+    .filter(char => FONT[char])
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Break text into lines of at most `maxChars` characters
+ * @param {string} text - Text
+ * @param {number} maxChars - Characters per line
+ * @returns {string[]} Lines
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+
+  text.split(' ').forEach(word => {
+    // Words longer than a line are split
+    while (word.length > maxChars) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    if (!word) return;
+
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+
+  return lines;
+}
+
+/**
+ * Find the largest font scale at which the text fits the image
+ * @param {string} text - Printable text
+ * @returns {Object} { scale, lines }
+ */
+function layoutText(text) {
+  for (let scale = 12; scale > 3; scale--) {
+    const maxChars = Math.floor((WIDTH - 2 * MARGIN) / (CELL_WIDTH * scale));
+    const lines = wrapText(text, maxChars);
+    if (lines.length <= MAX_LINES && lines.length * CELL_HEIGHT * scale <= HEIGHT - 2 * MARGIN) {
+      return { scale, lines };
+    }
+  }
+
+  // Very long titles are cut off at the smallest scale
+  const maxChars = Math.floor((WIDTH - 2 * MARGIN) / (CELL_WIDTH * 4));
+  const lines = wrapText(text, maxChars).slice(0, MAX_LINES);
+  lines[MAX_LINES - 1] = lines[MAX_LINES - 1] && `${lines[MAX_LINES - 1].slice(0, maxChars - 3)}...`;
+  return { scale: 4, lines: lines.filter(Boolean) };
+}
+
+/**
+ * Draw a text onto an RGB pixel buffer
+ * @param {Buffer} pixels - RGB pixels (WIDTH x HEIGHT)
+ * @param {string[]} lines - Lines of printable text
+ * @param {number} scale - Size of a font pixel
+ * @param {number} offset - Shift in pixels (for the shadow)
+ * @param {number[]} color - [r, g, b]
+ */
+function drawText(pixels, lines, scale, offset, color) {
+  const blockHeight = (lines.length * CELL_HEIGHT - 2) * scale;
+  const top = Math.round((HEIGHT - blockHeight) / 2) + offset;
+
+  lines.forEach((line, lineIndex) => {
+    const left = Math.round((WIDTH - (line.length * CELL_WIDTH - 1) * scale) / 2) + offset;
+
+    [...line].forEach((char, charIndex) => {
+      const rows = FONT[char].split(' ');
+      rows.forEach((row, rowIndex) => {
+        [...row].forEach((bit, colIndex) => {
+          if (bit !== '1') return;
+
+          const x0 = left + (charIndex * CELL_WIDTH + colIndex) * scale;
+          const y0 = top + (lineIndex * CELL_HEIGHT + rowIndex) * scale;
+          for (let y = y0; y < y0 + scale && y < HEIGHT; y++) {
+            for (let x = x0; x < x0 + scale && x < WIDTH; x++) {
+              const index = (y * WIDTH + x) * 3;
+              pixels[index] = color[0];
+              pixels[index + 1] = color[1];
+              pixels[index + 2] = color[2];
+            }
+          }
+        });
+      });
+    });
+  });
+}
+
+// CRC-32 table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Data
+ * @returns {number} CRC
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 255] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Chunk
+ */
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGB pixels as a PNG file
+ * @param {Buffer} pixels - RGB pixels
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @returns {Buffer} PNG file
+ */
+function encodePng(pixels, width, height) {
+  // Every row starts with filter type 0 (none)
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Colour type: RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Render a placeholder featured image
+ * @param {string} text - Text on the image (the article title)
+ * @param {string} templateId - Template ID, or 'auto' to pick one from the text
+ * @returns {Object} { data: Buffer, mimeType, width, height, template }
+ */
+function renderPlaceholder(text, templateId = 'auto') {
+  const template = pickTemplate(templateId, text);
+  const [top, bottom] = template.colors.map(parseColor);
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+
+  // Vertical gradient from the top colour to the bottom colour
+  for (let y = 0; y < HEIGHT; y++) {
+    const ratio = y / (HEIGHT - 1);
+    const color = top.map((value, i) => Math.round(value + (bottom[i] - value) * ratio));
+    for (let x = 0; x < WIDTH; x++) {
+      const index = (y * WIDTH + x) * 3;
+      pixels[index] = color[0];
+      pixels[index + 1] = color[1];
+      pixels[index + 2] = color[2];
+    }
+  }
+
+  const { scale, lines } = layoutText(toPrintable(text));
+  const shadow = top.map(value => Math.round(value * 0.5));
+  drawText(pixels, lines, scale, Math.max(2, Math.round(scale / 2)), shadow);
+  drawText(pixels, lines, scale, 0, [255, 255, 255]);
+
+  return {
+    data: encodePng(pixels, WIDTH, HEIGHT),
+    mimeType: 'image/png',
+    width: WIDTH,
+    height: HEIGHT,
+    template: Object.keys(TEMPLATES).find(id => TEMPLATES[id] === template)
+  };
+}
+
+/**
+ * List the placeholder templates for settings forms
+ * @returns {Object[]} [{ id, name }]
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([id, template]) => ({ id, name: template.name }));
+}
+
+module.exports = {
+  renderPlaceholder,
+  listTemplates
+};
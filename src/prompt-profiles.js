@@ -0,0 +1,230 @@
+// src/prompt-profiles.js
+//
+// This module manages named prompt profiles ("Recipe – casual", "Listicle –
+// expert", ...). A profile is a complete set of article prompts that keyword
+// rows can reference through their ProfileId; rows without a profile use the
+// global prompt settings and their site's overrides.
+//
+// Profiles belong to the user who created them. A shared profile can be
+// used (and cloned) by everyone, but only its owner and admins change it.
+// Recipe detection stays a global setting because it feeds the site's
+// recipe plugin rather than the prompts.
+//
+// Profiles are stored in the datastore `promptProfiles` table.
+
+const store = require('./datastore');
+
+// Prompt settings a profile holds
+const PROFILE_FIELDS = [
+  'useMultiPartGeneration',
+  'useOutlineGeneration',
+  'outlinePrompt',
+  'mainPrompt',
+  'part1Prompt',
+  'part2Prompt',
+  'part3Prompt',
+  'toneVoice',
+  'seoGuidelines',
+  'thingsToAvoid',
+  'articleFormat',
+  'useArticleFormat',
+  'recipeFormatPrompt'
+];
+
+// Fields that are switches rather than text
+const BOOLEAN_FIELDS = ['useMultiPartGeneration', 'useOutlineGeneration', 'useArticleFormat'];
+
+/**
+ * Get a profile by ID
+ * @param {string} id - Profile ID
+ * @returns {Object|null} Profile or null
+ */
+function getProfile(id) {
+  return id ? store.get('promptProfiles', id) : null;
+}
+
+/**
+ * Check whether a user may use a profile for their keywords
+ * @param {Object} profile - Profile
+ * @param {Object} user - Session user ({ id, role })
+ * @returns {boolean} True for shared profiles, the owner's and for admins
+ */
+function canUse(profile, user) {
+  return !!profile && !!user && (profile.shared || profile.ownerId === user.id || user.role === 'admin');
+}
+
+/**
+ * Check whether a user may change or delete a profile
+ * @param {Object} profile - Profile
+ * @param {Object} user - Session user ({ id, role })
+ * @returns {boolean} True for the owner and for admins
+ */
+function canEdit(profile, user) {
+  return !!profile && !!user && (profile.ownerId === user.id || user.role === 'admin');
+}
+
+/**
+ * List the profiles a user may use, by name
+ * @param {Object} user - Session user ({ id, role })
+ * @returns {Object[]} Profiles
+ */
+function listProfiles(user) {
+  return store.find('promptProfiles', profile => canUse(profile, user))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a profile by its name (case-insensitive)
+ * @param {string} name - Profile name
+ * @returns {Object|null} Profile or null
+ */
+function findProfileByName(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return wanted ? store.findOne('promptProfiles', profile => profile.name.toLowerCase() === wanted) : null;
+}
+
+/**
+ * Validate and normalize profile input
+ * @param {Object} data - Raw profile data ({ name, description, shared, settings })
+ * @param {Object|null} existing - Profile being edited
+ * @returns {Object} Normalized profile fields
+ */
+function normalizeProfile(data, existing = null) {
+  const name = String(data.name || '').trim();
+  if (!name) {
+    throw new Error('Profile name is required');
+  }
+
+  const sameName = findProfileByName(name);
+  if (sameName && (!existing || sameName.id !== existing.id)) {
+    throw new Error(`A profile named "${name}" already exists`);
+  }
+
+  const source = data.settings || {};
+  const settings = {};
+  PROFILE_FIELDS.forEach(field => {
+    settings[field] = BOOLEAN_FIELDS.includes(field) ? !!source[field] : String(source[field] || '');
+  });
+
+  return {
+    name,
+    description: String(data.description || '').trim(),
+    shared: !!data.shared,
+    settings
+  };
+}
+
+/**
+ * Create a profile
+ * @param {Object} data - Profile fields ({ name, description, shared, settings })
+ * @param {Object} user - Owner of the new profile
+ * @returns {Object} The new profile
+ */
+function createProfile(data, user) {
+  const now = new Date().toISOString();
+
+  return store.insert('promptProfiles', {
+    ...normalizeProfile(data),
+    ownerId: user.id,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Update a profile
+ * @param {string} id - Profile ID
+ * @param {Object} data - Profile fields; fields left out keep their value
+ * @param {Object} user - User making the change
+ * @returns {Object} The updated profile
+ */
+function updateProfile(id, data, user) {
+  const profile = getProfile(id);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+  if (!canEdit(profile, user)) {
+    throw new Error('Only the owner of a profile can change it');
+  }
+
+  return store.update('promptProfiles', id, {
+    ...normalizeProfile({ ...profile, ...data }, profile),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Copy a profile the user may use into a new, unshared profile of their own
+ * @param {string} id - Profile ID
+ * @param {Object} user - Owner of the copy
+ * @param {string} name - Name of the copy (defaults to "<name> (copy)")
+ * @returns {Object} The new profile
+ */
+function cloneProfile(id, user, name = '') {
+  const profile = getProfile(id);
+  if (!canUse(profile, user)) {
+    throw new Error('Profile not found');
+  }
+
+  // Find a free name for the copy
+  let copyName = String(name || '').trim();
+  if (!copyName) {
+    copyName = `${profile.name} (copy)`;
+    for (let number = 2; findProfileByName(copyName); number++) {
+      copyName = `${profile.name} (copy ${number})`;
+    }
+  }
+
+  return createProfile({
+    name: copyName,
+    description: profile.description,
+    shared: false,
+    settings: profile.settings
+  }, user);
+}
+
+/**
+ * Delete a profile. Keywords that used it go back to the default prompts.
+ * @param {string} id - Profile ID
+ * @param {Object} user - User deleting the profile
+ * @returns {number} Number of keywords that used the profile
+ */
+function deleteProfile(id, user) {
+  const profile = getProfile(id);
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+  if (!canEdit(profile, user)) {
+    throw new Error('Only the owner of a profile can delete it');
+  }
+
+  const keywords = store.find('keywords', row => row.ProfileId === id);
+  keywords.forEach(row => store.update('keywords', row.id, { ProfileId: null }));
+  store.remove('promptProfiles', id);
+  return keywords.length;
+}
+
+/**
+ * Apply a profile's prompts to the global prompt settings. The profile
+ * replaces every prompt; global-only settings (recipe detection) are kept.
+ * @param {Object} profile - Profile
+ * @param {Object} prompts - Global prompt settings
+ * @returns {Object} Prompt settings for keywords using the profile
+ */
+function resolvePrompts(profile, prompts) {
+  return { ...prompts, ...profile.settings, profile: profile.name };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  getProfile,
+  canUse,
+  canEdit,
+  listProfiles,
+  findProfileByName,
+  createProfile,
+  updateProfile,
+  cloneProfile,
+  deleteProfile,
+  resolvePrompts
+};
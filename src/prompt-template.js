@@ -0,0 +1,110 @@
+// src/prompt-template.js
+//
+// This module fills prompt templates with the values of a keyword row.
+// Every column of the keyword sheet is a variable: {Audience} and
+// {Secondary Keywords} are replaced by the row's values, next to the
+// built-in {keyword} and {minWords}. Names are matched case-insensitively.
+//
+// Conditional blocks keep text only when a column has a value:
+//
+//   {{#if Cuisine}}Focus on {Cuisine} cooking.{{/if}}
+//
+// Blocks may be nested. Placeholders of unknown variables are left as they
+// are, so braces in a prompt (JSON examples, ...) are never lost.
+
+// {Name}: a letter followed by letters, digits, spaces, _ or -
+const PLACEHOLDER = /\{([A-Za-z][\w -]*)\}/g;
+
+// The innermost {{#if Name}}...{{/if}} block
+const CONDITIONAL = /\{\{#if\s+([^{}]+?)\s*\}\}((?:(?!\{\{#if\s)[\s\S])*?)\{\{\/if\}\}/g;
+
+// Any {{#if Name}}, for listing the variables a template uses
+const CONDITIONAL_START = /\{\{#if\s+([^{}]+?)\s*\}\}/g;
+
+// Variables every template has, whatever the sheet's columns
+const BUILT_IN_VARIABLES = ['keyword', 'minWords'];
+
+/**
+ * Normalize a variable name for lookups
+ * @param {string} name - Variable name
+ * @returns {string} Trimmed, lower-case name
+ */
+function toKey(name) {
+  return String(name).trim().toLowerCase();
+}
+
+/**
+ * Fill a template with variables
+ * @param {string} template - Template with {Name} placeholders and {{#if Name}} blocks
+ * @param {Object} variables - { name: value }; empty values make {{#if}} blocks false
+ * @returns {string} The filled template
+ */
+function renderTemplate(template, variables = {}) {
+  const values = {};
+  Object.entries(variables).forEach(([name, value]) => {
+    values[toKey(name)] = value === null || value === undefined ? '' : String(value);
+  });
+
+  // Resolve the innermost blocks until none are left, so blocks can nest
+  let result = String(template || '');
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(CONDITIONAL, (match, name, body) =>
+      (values[toKey(name)] || '').trim() ? body : ''
+    );
+  } while (result !== previous);
+
+  return result.replace(PLACEHOLDER, (match, name) =>
+    toKey(name) in values ? values[toKey(name)] : match
+  );
+}
+
+/**
+ * List the variables a template uses
+ * @param {string} template - Template
+ * @returns {string[]} Variable names as written, without duplicates
+ */
+function listTemplateVariables(template) {
+  const text = String(template || '');
+  const names = [];
+  const add = name => {
+    if (!names.some(existing => toKey(existing) === toKey(name))) {
+      names.push(name.trim());
+    }
+  };
+
+  for (const match of text.matchAll(CONDITIONAL_START)) add(match[1]);
+  for (const match of text.matchAll(PLACEHOLDER)) add(match[1]);
+  return names;
+}
+
+/**
+ * List every variable templates can use
+ * @param {string[]} columns - Columns of the keyword sheet
+ * @returns {string[]} Built-in variables, then the columns that are not built in
+ */
+function listAvailableVariables(columns) {
+  const builtIn = BUILT_IN_VARIABLES.map(toKey);
+  return [...BUILT_IN_VARIABLES, ...columns.filter(column => !builtIn.includes(toKey(column)))];
+}
+
+/**
+ * Find the variables a template uses that are neither built in nor columns
+ * of the keyword sheet
+ * @param {string} template - Template
+ * @param {string[]} columns - Columns of the keyword sheet
+ * @returns {string[]} Unknown variable names as written
+ */
+function findUnknownVariables(template, columns) {
+  const known = new Set([...BUILT_IN_VARIABLES, ...columns].map(toKey));
+  return listTemplateVariables(template).filter(name => !known.has(toKey(name)));
+}
+
+module.exports = {
+  BUILT_IN_VARIABLES,
+  renderTemplate,
+  listTemplateVariables,
+  listAvailableVariables,
+  findUnknownVariables
+};
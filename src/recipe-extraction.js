@@ -1,14 +1,322 @@
 // src/recipe-extraction.js
 //
-// This module handles detecting and extracting recipe data from article content
+// This module handles detecting and extracting recipe data from article content.
+// There are two extraction paths:
+// - 'llm': the model returns the recipe as JSON through function calling, and
+//   the JSON is validated against RECIPE_SCHEMA before it is used
+// - 'regex': pattern matching on the article HTML, which works offline
+//
+// In 'llm' mode the regex extractor fills the fields the model left empty,
+// and takes over completely if the model call fails. Fields neither path
+// finds stay empty and are reported as warnings; no values are made up.
+// The recipe data records where each field came from in `Extraction`.
+
+// Recipe fields as [group, field] paths in the recipe data
+const RECIPE_FIELDS = [
+  ['Description'], ['Ingredients'], ['Instructions'], ['Notes'],
+  ['Details', 'Prep Time'], ['Details', 'Cook Time'], ['Details', 'Total Time'], ['Details', 'Yield'],
+  ['Details', 'Category'], ['Details', 'Method'], ['Details', 'Cuisine'], ['Details', 'Diet'],
+  ['Keywords'],
+  ['Nutrition', 'Serving Size'], ['Nutrition', 'Calories'], ['Nutrition', 'Sugar'], ['Nutrition', 'Sodium'],
+  ['Nutrition', 'Fat'], ['Nutrition', 'Saturated Fat'], ['Nutrition', 'Unsaturated Fat'], ['Nutrition', 'Trans Fat'],
+  ['Nutrition', 'Carbohydrates'], ['Nutrition', 'Fiber'], ['Nutrition', 'Protein'], ['Nutrition', 'Cholesterol']
+];
+
+// Fields a recipe card cannot do without, and fields worth flagging when missing
+const REQUIRED_FIELDS = ['Ingredients', 'Instructions'];
+const RECOMMENDED_FIELDS = ['Description', 'Details.Prep Time', 'Details.Cook Time', 'Details.Total Time', 'Details.Yield'];
+
+// Nutrition fields and their property names in the model's JSON
+const NUTRITION_KEYS = {
+  'Serving Size': 'servingSize',
+  'Calories': 'calories',
+  'Sugar': 'sugar',
+  'Sodium': 'sodium',
+  'Fat': 'fat',
+  'Saturated Fat': 'saturatedFat',
+  'Unsaturated Fat': 'unsaturatedFat',
+  'Trans Fat': 'transFat',
+  'Carbohydrates': 'carbohydrates',
+  'Fiber': 'fiber',
+  'Protein': 'protein',
+  'Cholesterol': 'cholesterol'
+};
+
+const nullableString = description => ({ type: ['string', 'null'], description });
+const stringList = description => ({ type: 'array', items: { type: 'string' }, description });
+
+// JSON schema of the recipe the model returns (also the function parameters)
+const RECIPE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['isRecipe', 'description', 'ingredients', 'instructions', 'notes', 'prepTime', 'cookTime',
+    'totalTime', 'yield', 'category', 'method', 'cuisine', 'diet', 'keywords', 'nutrition'],
+  properties: {
+    isRecipe: { type: 'boolean', description: 'Whether the article contains a recipe' },
+    description: nullableString('One or two sentence summary of the dish'),
+    ingredients: stringList('Ingredients with quantities, one per item'),
+    instructions: stringList('Preparation steps in order, one per item'),
+    notes: stringList('Tips and notes for the recipe'),
+    prepTime: nullableString('Preparation time, e.g. "15 minutes"'),
+    cookTime: nullableString('Cooking time, e.g. "1 hour"'),
+    totalTime: nullableString('Total time, e.g. "1 hour 15 minutes"'),
+    yield: nullableString('Yield, e.g. "4 servings"'),
+    category: nullableString('Course, e.g. "Dessert"'),
+    method: nullableString('Cooking method, e.g. "Baking"'),
+    cuisine: nullableString('Cuisine, e.g. "Italian"'),
+    diet: nullableString('Diet, e.g. "Vegan"'),
+    keywords: stringList('Short search keywords for the recipe'),
+    nutrition: {
+      type: 'object',
+      additionalProperties: false,
+      required: Object.values(NUTRITION_KEYS),
+      properties: Object.values(NUTRITION_KEYS).reduce((properties, key) => {
+        properties[key] = nullableString(`${key} per serving with unit, e.g. "12g"`);
+        return properties;
+      }, {})
+    }
+  }
+};
+
+/**
+ * Validate a value against the subset of JSON schema used by RECIPE_SCHEMA
+ * (type, properties, required, additionalProperties and items)
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Object[]} Errors as { path, message }
+ */
+function validateSchema(value, schema, path = '') {
+  const types = [].concat(schema.type);
+  const typeOf = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+  if (!types.includes(typeOf)) {
+    return [{ path, message: `expected ${types.join(' or ')}, got ${typeOf}` }];
+  }
+
+  let errors = [];
+  if (typeOf === 'object' && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push({ path: path ? `${path}.${key}` : key, message: 'is missing' });
+    });
+    Object.keys(value).forEach(key => {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (schema.properties[key]) {
+        errors = errors.concat(validateSchema(value[key], schema.properties[key], keyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: keyPath, message: 'is not allowed' });
+      }
+    });
+  }
+  if (typeOf === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors = errors.concat(validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Escape text from the model for use inside HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[char]));
+}
+
+/**
+ * Turn a list of strings into an HTML list ('' for an empty list)
+ * @param {string[]} items - List items
+ * @param {string} tag - 'ul' or 'ol'
+ * @returns {string} HTML list
+ */
+function toHtmlList(items, tag) {
+  const cleaned = (items || []).map(item => String(item).trim()).filter(Boolean);
+  return cleaned.length > 0
+    ? `<${tag}>${cleaned.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`
+    : '';
+}
+
+/**
+ * Convert the model's JSON into the recipe data format used by the recipe
+ * plugins and structured data
+ * @param {Object} recipe - Validated model output
+ * @returns {Object} Recipe data
+ */
+function fromModelRecipe(recipe) {
+  const text = value => (typeof value === 'string' ? value.trim() : '');
+  const nutrition = recipe.nutrition || {};
+
+  return {
+    "Description": text(recipe.description),
+    "Ingredients": toHtmlList(recipe.ingredients, 'ul'),
+    "Instructions": toHtmlList(recipe.instructions, 'ol'),
+    "Notes": toHtmlList(recipe.notes, 'ul'),
+    "Details": {
+      "Prep Time": text(recipe.prepTime),
+      "Cook Time": text(recipe.cookTime),
+      "Total Time": text(recipe.totalTime),
+      "Yield": text(recipe.yield),
+      "Category": text(recipe.category),
+      "Method": text(recipe.method),
+      "Cuisine": text(recipe.cuisine),
+      "Diet": text(recipe.diet)
+    },
+    "Keywords": (recipe.keywords || []).map(keyword => String(keyword).trim()).filter(Boolean).join(', '),
+    "Nutrition": Object.entries(NUTRITION_KEYS).reduce((values, [field, key]) => {
+      values[field] = text(nutrition[key]);
+      return values;
+    }, {})
+  };
+}
+
+/**
+ * Ask the model for the recipe as JSON and validate it. Properties with an
+ * invalid value are dropped (and reported) instead of failing the whole recipe.
+ * @param {Object} openai - Chat client from the provider layer
+ * @param {Object} openaiConfig - OpenAI API configuration
+ * @param {string} content - Article content
+ * @param {string} keyword - Article keyword
+ * @returns {Object} { isRecipe, recipeData, warnings }
+ */
+async function extractWithModel(openai, openaiConfig, content, keyword) {
+  const response = await openai.chat.completions.create({
+    model: openaiConfig.model,
+    messages: [
+      {
+        role: "system",
+        content: "You extract recipe data from articles. Only use information stated in the article. " +
+          "Use null or an empty list for anything the article does not state; never estimate or invent values."
+      },
+      { role: "user", content: `Keyword: ${keyword}\n\nArticle:\n${content}` }
+    ],
+    tools: [{
+      type: 'function',
+      function: {
+        name: 'save_recipe',
+        description: 'Save the recipe found in the article',
+        parameters: RECIPE_SCHEMA
+      }
+    }],
+    tool_choice: { type: 'function', function: { name: 'save_recipe' } },
+    temperature: 0
+  });
+
+  const toolCalls = response.choices[0].message.tool_calls || [];
+  if (toolCalls.length === 0) {
+    throw new Error('The model did not return recipe data');
+  }
+
+  let recipe;
+  try {
+    recipe = JSON.parse(toolCalls[0].function.arguments);
+  } catch (error) {
+    throw new Error(`The model returned invalid JSON: ${error.message}`);
+  }
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    throw new Error('The model returned recipe data that is not an object');
+  }
+
+  const warnings = [];
+  validateSchema(recipe, RECIPE_SCHEMA).forEach(error => {
+    warnings.push(`AI extraction: ${error.path} ${error.message}`);
+
+    // Drop the offending top-level (or nutrition) property
+    const [key, subKey] = error.path.replace(/\[\d+\]$/, '').split('.');
+    if (key === 'nutrition' && subKey && recipe.nutrition && typeof recipe.nutrition === 'object') {
+      delete recipe.nutrition[subKey];
+    } else {
+      delete recipe[key];
+    }
+  });
+
+  return {
+    isRecipe: recipe.isRecipe !== false,
+    recipeData: fromModelRecipe(recipe),
+    warnings
+  };
+}
+
+/**
+ * Extract recipe data with pattern matching only
+ * @param {string} content - Article content
+ * @param {string} keyword - Article keyword
+ * @returns {Object} Recipe data (fields that were not found are empty)
+ */
+function extractWithRegex(content, keyword) {
+  const keywords = extractKeywords(content);
+
+  return {
+    "Description": extractDescription(content),
+    "Ingredients": extractIngredients(content),
+    "Instructions": extractInstructions(content),
+    "Notes": extractNotes(content),
+    "Details": {
+      "Prep Time": extractTime(content, 'prep'),
+      "Cook Time": extractTime(content, 'cook'),
+      "Total Time": extractTime(content, 'total'),
+      "Yield": extractYield(content),
+      "Category": determineCategory(content, keyword),
+      "Method": determineMethod(content),
+      "Cuisine": determineCuisine(content, keyword),
+      "Diet": determineDiet(content)
+    },
+    "Keywords": keywords ? `${keyword}, ${keywords}` : keyword,
+    "Nutrition": extractNutrition(content)
+  };
+}
+
+/**
+ * Combine the model's and the regex extractor's recipe data field by field,
+ * recording the source of each field and warning about missing fields
+ * @param {Object|null} modelData - Recipe data from the model (null if not used)
+ * @param {Object} regexData - Recipe data from pattern matching
+ * @param {string} method - Extraction path that was used: 'llm' or 'regex'
+ * @param {string[]} warnings - Warnings collected so far
+ * @returns {Object} Recipe data with an `Extraction` entry: { method, sources, warnings }
+ */
+function mergeRecipeData(modelData, regexData, method, warnings) {
+  const recipeData = { "Details": {}, "Nutrition": {} };
+  const sources = {};
+  const read = (data, path) => (data ? (path.length === 1 ? data[path[0]] : (data[path[0]] || {})[path[1]]) : '') || '';
+
+  RECIPE_FIELDS.forEach(path => {
+    const fromModel = read(modelData, path);
+    const value = fromModel || read(regexData, path);
+    const source = fromModel ? 'llm' : (value ? 'regex' : null);
+
+    if (path.length === 1) {
+      recipeData[path[0]] = value;
+    } else {
+      recipeData[path[0]][path[1]] = value;
+    }
+    sources[path.join('.')] = source;
+  });
+
+  REQUIRED_FIELDS.concat(RECOMMENDED_FIELDS).forEach(field => {
+    if (!sources[field]) {
+      const required = REQUIRED_FIELDS.includes(field) ? ' (required for recipe cards)' : '';
+      warnings.push(`${field.replace('Details.', '')} not found in the article${required}`);
+    }
+  });
+  if (Object.keys(NUTRITION_KEYS).every(field => !sources[`Nutrition.${field}`])) {
+    warnings.push('No nutrition information found in the article');
+  }
+
+  recipeData.Extraction = { method, sources, warnings };
+  return recipeData;
+}
 
 /**
  * Detect if content contains a recipe and extract recipe data
  * @param {string} content - The article content
  * @param {string} keyword - The keyword used to generate the article
- * @returns {Object|null} - Recipe data or null if no recipe found
+ * @param {Object} options - { mode: 'llm'|'regex', openai, openaiConfig }; 'llm' needs the client
+ * @returns {Promise<Object|null>} - Recipe data or null if no recipe found
  */
-function extractRecipeData(content, keyword) {
+async function extractRecipeData(content, keyword, options = {}) {
     // Check if content likely contains a recipe
     const recipeIndicators = [
       'ingredients', 'instructions', 'preparation', 'minutes', 
@@ -29,27 +337,24 @@ function extractRecipeData(content, keyword) {
     
     console.log("Recipe detected in content. Extracting recipe data...");
     
-    // Extract recipe components
-    const recipeData = {
-      "Description": extractDescription(content),
-      "Ingredients": extractIngredients(content),
-      "Instructions": extractInstructions(content),
-      "Notes": extractNotes(content),
-      "Details": {
-        "Prep Time": extractTime(content, 'prep'),
-        "Cook Time": extractTime(content, 'cook'),
-        "Total Time": extractTime(content, 'total'),
-        "Yield": extractYield(content),
-        "Category": determineCategory(content, keyword),
-        "Method": determineMethod(content),
-        "Cuisine": determineCuisine(content, keyword),
-        "Diet": determineDiet(content)
-      },
-      "Keywords": keyword + extractKeywords(content),
-      "Nutrition": extractNutrition(content)
-    };
+    const regexData = extractWithRegex(content, keyword);
+    const warnings = [];
+    
+    if (options.mode !== 'regex' && options.openai) {
+      try {
+        const result = await extractWithModel(options.openai, options.openaiConfig, content, keyword);
+        if (!result.isRecipe) {
+          console.log("The model found no recipe in the content");
+          return null;
+        }
+        return mergeRecipeData(result.recipeData, regexData, 'llm', warnings.concat(result.warnings));
+      } catch (error) {
+        console.warn(`AI recipe extraction failed, using pattern matching: ${error.message}`);
+        warnings.push(`AI extraction failed (${error.message}); pattern matching was used instead`);
+      }
+    }
     
-    return recipeData;
+    return mergeRecipeData(null, regexData, 'regex', warnings);
   }
   
   /**
@@ -72,7 +377,7 @@ function extractRecipeData(content, keyword) {
       
       return description;
     }
-    return "A delicious and easy recipe that everyone will love.";
+    return "";
   }
   
   /**
@@ -124,12 +429,7 @@ function extractRecipeData(content, keyword) {
       }
     }
     
-    // If still empty, provide a placeholder
-    if (!ingredients || ingredients === "<ul></ul>") {
-      ingredients = "<ul><li>Ingredient 1</li><li>Ingredient 2</li><li>Ingredient 3</li></ul>";
-    }
-    
-    return ingredients;
+    return ingredients === "<ul></ul>" ? "" : ingredients;
   }
   
   /**
@@ -180,12 +480,7 @@ function extractRecipeData(content, keyword) {
       }
     }
     
-    // If still empty, provide a placeholder
-    if (!instructions || instructions === "<ol></ol>") {
-      instructions = "<ol><li>Step 1</li><li>Step 2</li><li>Step 3</li></ol>";
-    }
-    
-    return instructions;
+    return instructions === "<ol></ol>" ? "" : instructions;
   }
   
   /**
@@ -220,61 +515,34 @@ function extractRecipeData(content, keyword) {
     }
     
     // If no notes found, leave empty
-    if (!notes) {
-      notes = "<ul><li>For best results, let the dish rest for 5 minutes before serving.</li></ul>";
-    }
-    
-    return notes;
+    return notes === "<ul></ul>" ? "" : notes;
   }
   
   /**
-   * Extract time information
+   * Extract time information ("Prep Time: 1 hour 15 minutes")
    */
   function extractTime(content, timeType) {
-    const lowerContent = content.toLowerCase();
-    let timeMatch;
-    
-    switch(timeType) {
-      case 'prep':
-        timeMatch = lowerContent.match(/prep(?:aration)?\s+time:?\s*(\d+)(?:\s+to\s+(\d+))?\s+(minutes|hours)/i);
-        break;
-      case 'cook':
-        timeMatch = lowerContent.match(/cook(?:ing)?\s+time:?\s*(\d+)(?:\s+to\s+(\d+))?\s+(minutes|hours)/i);
-        break;
-      case 'total':
-        timeMatch = lowerContent.match(/total\s+time:?\s*(\d+)(?:\s+to\s+(\d+))?\s+(minutes|hours)/i);
-        break;
-    }
-    
-    if (timeMatch) {
-      let time = timeMatch[1];
-      const unit = timeMatch[3].toLowerCase();
-      
-      // Format the time properly
-      return `${time} ${unit}`;
-    }
+    // Labels are often wrapped in <strong>, so match on the text only
+    const text = content.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ');
+    const labels = {
+      prep: 'prep(?:aration)?\\s+time',
+      cook: 'cook(?:ing)?\\s+time',
+      total: 'total\\s+time'
+    };
+    const amount = '\\d+(?:\\s*(?:-|to)\\s*\\d+)?\\s*(?:hours?|hrs?|minutes?|mins?)\\b';
+    const timeMatch = text.match(new RegExp(`${labels[timeType]}:?\\s*((?:${amount}\\s*(?:and\\s+)?)+)`, 'i'));
     
-    // Default values if not found
-    switch(timeType) {
-      case 'prep':
-        return "15 minutes";
-      case 'cook':
-        return "30 minutes";
-      case 'total':
-        return "45 minutes";
-      default:
-        return "";
-    }
+    return timeMatch ? timeMatch[1].replace(/\s+and\s*$/i, '').trim().toLowerCase() : "";
   }
   
   /**
    * Extract yield/servings information
    */
   function extractYield(content) {
-    const lowerContent = content.toLowerCase();
+    const lowerContent = content.replace(/<[^>]*>/g, ' ').toLowerCase();
     
     // Look for servings or yield information
-    const servingsMatch = lowerContent.match(/(?:serves|servings|yield|makes):\s*(\d+)(?:\s*-\s*(\d+))?/i);
+    const servingsMatch = lowerContent.match(/(?:serves|servings|yield|makes):?\s*(\d+)(?:\s*-\s*(\d+))?/i);
     
     if (servingsMatch) {
       if (servingsMatch[2]) {
@@ -283,7 +551,7 @@ function extractRecipeData(content, keyword) {
       return `${servingsMatch[1]} servings`;
     }
     
-    return "4 servings";
+    return "";
   }
   
   /**
@@ -355,8 +623,7 @@ function extractRecipeData(content, keyword) {
       return "Drink";
     }
     
-    // Default to Main Course if no other category is identified
-    return "Main Course";
+    return "";
   }
   
   /**
@@ -397,7 +664,7 @@ function extractRecipeData(content, keyword) {
       return "No-Cook";
     }
     
-    return "Cooking";
+    return "";
   }
   
   /**
@@ -427,7 +694,7 @@ function extractRecipeData(content, keyword) {
       }
     }
     
-    return "American";
+    return "";
   }
   
   /**
@@ -547,17 +814,12 @@ function extractRecipeData(content, keyword) {
       if (cholesterolMatch) nutrition["Cholesterol"] = cholesterolMatch[1] + "mg";
     }
     
-    // Fill in defaults for empty values
-    if (!nutrition["Serving Size"]) nutrition["Serving Size"] = "1 serving";
-    if (!nutrition["Calories"]) nutrition["Calories"] = "250";
-    if (!nutrition["Fat"]) nutrition["Fat"] = "10g";
-    if (!nutrition["Carbohydrates"]) nutrition["Carbohydrates"] = "30g";
-    if (!nutrition["Protein"]) nutrition["Protein"] = "15g";
-    
     return nutrition;
   }
   
-  // Export the recipe extraction function
+  // Export the recipe extraction functions
   module.exports = {
+    RECIPE_SCHEMA,
+    validateSchema,
     extractRecipeData
-  };
\ No newline at end of file
+  };
@@ -0,0 +1,226 @@
+// src/recipe-plugins.js
+//
+// This module turns the recipe data extracted from an article into the
+// format expected by WordPress recipe card plugins:
+// - Tasty Recipes (`tasty_recipe` posts, embedded with [tasty-recipe])
+// - WP Recipe Maker (`wprm_recipe` posts, embedded with [wprm-recipe])
+//
+// Each adapter describes the REST route the recipe is created through, the
+// request body for that route and the markup that embeds the recipe card in
+// the post. The HTTP requests themselves are made by the WordPress module.
+
+/**
+ * Get the text of each <li> in an HTML list
+ * @param {string} html - HTML containing a list
+ * @returns {string[]} List item texts without tags
+ */
+function listItems(html) {
+  const items = String(html || '').match(/<li[^>]*>([\s\S]*?)<\/li>/gi) || [];
+  return items
+    .map(item => item.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Convert a time such as "1 hour", "15 minutes" or "10 to 15 minutes" to minutes
+ * @param {string} text - Time text
+ * @returns {number} Minutes (0 if the time is unknown)
+ */
+function parseMinutes(text) {
+  const match = String(text || '').match(/(\d+)(?:\s*(?:-|to)\s*(\d+))?\s*(hours?|hrs?|minutes?|mins?)/i);
+  if (!match) return 0;
+
+  const value = parseInt(match[2] || match[1]);
+  return /^h/i.test(match[3]) ? value * 60 : value;
+}
+
+/**
+ * Split a yield such as "4-6 servings" into an amount and a unit
+ * @param {string} text - Yield text
+ * @returns {Object} { servings, unit }
+ */
+function parseYield(text) {
+  const match = String(text || '').match(/(\d+)(?:\s*-\s*\d+)?\s*(.*)/);
+  return match
+    ? { servings: parseInt(match[1]), unit: match[2].trim() || 'servings' }
+    : { servings: 0, unit: 'servings' };
+}
+
+// Units recognised at the start of an ingredient line
+const INGREDIENT_UNITS = 'cups?|tablespoons?|tbsp|teaspoons?|tsp|ounces?|oz|pounds?|lbs?|grams?|g|kilograms?|kg|ml|milliliters?|liters?|l|cloves?|pinch(?:es)?|cans?|slices?|sticks?';
+
+/**
+ * Split an ingredient line into amount, unit, name and notes
+ * ("2 cups flour, sifted" => { amount: '2', unit: 'cups', name: 'flour', notes: 'sifted' })
+ * @param {string} line - Ingredient line
+ * @returns {Object} { amount, unit, name, notes }
+ */
+function parseIngredient(line) {
+  const match = line.match(new RegExp(`^([\\d\\s/.½¼¾⅓⅔⅛-]+)?\\s*(?:(${INGREDIENT_UNITS})\\.?\\s+)?(.+)$`, 'i'));
+  const [name, ...notes] = match[3].split(',');
+
+  return {
+    amount: (match[1] || '').trim(),
+    unit: match[2] || '',
+    name: name.trim(),
+    notes: notes.join(',').trim()
+  };
+}
+
+/**
+ * Wrap a shortcode in a Gutenberg shortcode block
+ * @param {string} shortcode - Shortcode
+ * @returns {string} Block markup
+ */
+function shortcodeBlock(shortcode) {
+  return `\n\n<!-- wp:shortcode -->${shortcode}<!-- /wp:shortcode -->`;
+}
+
+//====================================================
+// TASTY RECIPES
+//====================================================
+
+/**
+ * Build a Tasty Recipes recipe. Tasty Recipes stores the recipe fields as
+ * post meta with the same names as the extracted recipe data, with the
+ * ingredients, instructions and notes kept as HTML.
+ * @param {Object} recipeData - Extracted recipe data
+ * @param {string} title - Recipe title
+ * @returns {Object} Request body for the `tasty_recipe` route
+ */
+function buildTastyRecipe(recipeData, title) {
+  const details = recipeData.Details || {};
+  const nutrition = recipeData.Nutrition || {};
+
+  return {
+    title,
+    status: 'publish',
+    meta: {
+      description: recipeData.Description || '',
+      ingredients: recipeData.Ingredients || '',
+      instructions: recipeData.Instructions || '',
+      notes: recipeData.Notes || '',
+      prep_time: details['Prep Time'] || '',
+      cook_time: details['Cook Time'] || '',
+      total_time: details['Total Time'] || '',
+      yield: details.Yield || '',
+      category: details.Category || '',
+      method: details.Method || '',
+      cuisine: details.Cuisine || '',
+      diet: details.Diet || '',
+      keywords: recipeData.Keywords || '',
+      serving_size: nutrition['Serving Size'] || '',
+      calories: nutrition.Calories || '',
+      sugar: nutrition.Sugar || '',
+      sodium: nutrition.Sodium || '',
+      fat: nutrition.Fat || '',
+      saturated_fat: nutrition['Saturated Fat'] || '',
+      unsaturated_fat: nutrition['Unsaturated Fat'] || '',
+      trans_fat: nutrition['Trans Fat'] || '',
+      carbohydrates: nutrition.Carbohydrates || '',
+      fiber: nutrition.Fiber || '',
+      protein: nutrition.Protein || '',
+      cholesterol: nutrition.Cholesterol || ''
+    }
+  };
+}
+
+//====================================================
+// WP RECIPE MAKER
+//====================================================
+
+/**
+ * Build a WP Recipe Maker recipe. WP Recipe Maker expects the recipe in a
+ * `recipe` field with times in minutes and ingredients/instructions in groups.
+ * @param {Object} recipeData - Extracted recipe data
+ * @param {string} title - Recipe title
+ * @returns {Object} Request body for the `wprm_recipe` route
+ */
+function buildWprmRecipe(recipeData, title) {
+  const details = recipeData.Details || {};
+  const nutrition = recipeData.Nutrition || {};
+  const { servings, unit } = parseYield(details.Yield);
+  const number = value => parseFloat(value) || '';
+
+  return {
+    title,
+    status: 'publish',
+    recipe: {
+      name: title,
+      summary: recipeData.Description || '',
+      servings,
+      servings_unit: unit,
+      prep_time: parseMinutes(details['Prep Time']),
+      cook_time: parseMinutes(details['Cook Time']),
+      total_time: parseMinutes(details['Total Time']),
+      ingredients: [{
+        name: '',
+        ingredients: listItems(recipeData.Ingredients).map(parseIngredient)
+      }],
+      instructions: [{
+        name: '',
+        instructions: listItems(recipeData.Instructions).map(text => ({ text: `<p>${text}</p>` }))
+      }],
+      notes: recipeData.Notes || '',
+      tags: {
+        course: details.Category ? [details.Category] : [],
+        cuisine: details.Cuisine ? [details.Cuisine] : [],
+        keyword: String(recipeData.Keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean)
+      },
+      nutrition: {
+        serving_size: number(nutrition['Serving Size']),
+        calories: number(nutrition.Calories),
+        carbohydrates: number(nutrition.Carbohydrates),
+        protein: number(nutrition.Protein),
+        fat: number(nutrition.Fat),
+        saturated_fat: number(nutrition['Saturated Fat']),
+        trans_fat: number(nutrition['Trans Fat']),
+        cholesterol: number(nutrition.Cholesterol),
+        sodium: number(nutrition.Sodium),
+        fiber: number(nutrition.Fiber),
+        sugar: number(nutrition.Sugar)
+      }
+    }
+  };
+}
+
+//====================================================
+// ADAPTERS
+//====================================================
+
+const RECIPE_PLUGINS = {
+  tasty: {
+    name: 'Tasty Recipes',
+    route: 'tasty_recipe',
+    buildRecipe: buildTastyRecipe,
+    embed: recipeId => shortcodeBlock(`[tasty-recipe id="${recipeId}"]`)
+  },
+  wprm: {
+    name: 'WP Recipe Maker',
+    route: 'wprm_recipe',
+    buildRecipe: buildWprmRecipe,
+    embed: recipeId => shortcodeBlock(`[wprm-recipe id="${recipeId}"]`)
+  }
+};
+
+/**
+ * Get the adapter for a recipe plugin
+ * @param {string} pluginId - 'tasty', 'wprm' or empty for none
+ * @returns {Object|null} Adapter or null if no recipe plugin is used
+ */
+function getRecipePlugin(pluginId) {
+  return RECIPE_PLUGINS[pluginId] || null;
+}
+
+/**
+ * List the supported recipe plugins for settings forms
+ * @returns {Object[]} [{ id, name }]
+ */
+function listRecipePlugins() {
+  return Object.entries(RECIPE_PLUGINS).map(([id, plugin]) => ({ id, name: plugin.name }));
+}
+
+module.exports = {
+  getRecipePlugin,
+  listRecipePlugins
+};
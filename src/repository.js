@@ -0,0 +1,713 @@
+// src/repository.js
+//
+// This module is the data access layer for keywords and everything attached
+// to them. It sits on top of the datastore (src/datastore.js) and exposes
+// row-level operations so concurrent requests never overwrite each other.
+//
+// Tables:
+// - keywords:     one row per keyword, using the same columns as the Excel sheet
+//                 (Keyword, Status, Publication Date, Post URL, Post ID,
+//                 Last Updated, Modifications, OwnerId, ...)
+// - articles:     every version of a keyword's article: generated, edited or
+//                 restored, with who made it, the model and the prompt settings
+// - publications: every successful publish to WordPress, including updates
+//                 of an existing post
+// - owners:       history of keyword ownership assignments
+
+const store = require('./datastore');
+const sites = require('./sites');
+const promptProfiles = require('./prompt-profiles');
+const workflow = require('./workflow');
+const { readRowsFromExcel, writeRowsToExcel } = require('./excel');
+
+// Internal fields that are not exported to Excel (the site and prompt
+// profile are exported by name)
+const INTERNAL_FIELDS = ['id', 'SiteId', 'ProfileId'];
+
+// Fields written when a keyword is published; a sheet import must not
+// overwrite them on a row that is already published or scheduled
+const PUBLICATION_FIELDS = ['Status', 'Publication Date', 'Post URL', 'Post ID', 'Last Updated', 'Modifications'];
+
+//====================================================
+// KEYWORDS
+//====================================================
+
+/**
+ * Check whether a keyword row belongs to a user
+ * @param {Object} row - Keyword row
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user owns or created the row
+ */
+function isOwnedBy(row, userId) {
+  return row.OwnerId === userId || row.CreatedBy === userId;
+}
+
+/**
+ * Check whether a keyword row is still pending
+ * @param {Object} row - Keyword row
+ * @returns {boolean} True if the row has not been published
+ */
+function isPending(row) {
+  return !isPublished(row);
+}
+
+/**
+ * Check whether a keyword row has been sent to WordPress, either as a
+ * published post or as a post WordPress will publish at a scheduled date
+ * @param {Object} row - Keyword row
+ * @returns {boolean} True if the row is published or scheduled
+ */
+function isPublished(row) {
+  const status = String(row.Status || '').toLowerCase();
+  return status === 'published' || status === 'scheduled';
+}
+
+/**
+ * Check whether a keyword row is a WordPress post still waiting for its
+ * scheduled date
+ * @param {Object} row - Keyword row
+ * @returns {boolean} True if the scheduled date is in the future
+ */
+function isScheduled(row) {
+  if (row.Status !== 'Scheduled') return false;
+
+  const date = new Date(String(row['Publication Date'] || '').replace(' ', 'T'));
+  return !isNaN(date.getTime()) && date.getTime() > Date.now();
+}
+
+/**
+ * List keyword rows, optionally restricted to one owner and/or site
+ * @param {string|null} ownerId - Only return rows owned by this user
+ * @param {string|null} siteId - Only return rows assigned to this site
+ * @returns {Object[]} Keyword rows in insertion order
+ */
+function listKeywords(ownerId = null, siteId = null) {
+  const rows = store.all('keywords').filter(row =>
+    (!ownerId || isOwnedBy(row, ownerId)) && (!siteId || row.SiteId === siteId)
+  );
+  return rows.sort((a, b) => (a.CreatedAt || '').localeCompare(b.CreatedAt || ''));
+}
+
+/**
+ * List keywords that have not been published yet and are not waiting in
+ * editorial review (the keywords automation may generate and publish)
+ * @param {string} keywordColumn - Column name containing keywords
+ * @param {string|null} ownerId - Only return rows owned by this user
+ * @param {string|null} siteId - Only return rows assigned to this site
+ * @returns {Object[]} Pending keyword rows
+ */
+function listPendingKeywords(keywordColumn, ownerId = null, siteId = null) {
+  return listKeywords(ownerId, siteId)
+    .filter(row => row[keywordColumn] && isPending(row) && !workflow.isAwaitingReview(row.id));
+}
+
+/**
+ * List keywords that have been published or scheduled
+ * @param {string|null} ownerId - Only return rows owned by this user
+ * @param {string|null} siteId - Only return rows assigned to this site
+ * @returns {Object[]} Published keyword rows
+ */
+function listPublishedKeywords(ownerId = null, siteId = null) {
+  return listKeywords(ownerId, siteId).filter(isPublished);
+}
+
+/**
+ * Get a keyword row by ID
+ * @param {string} id - Keyword row ID
+ * @returns {Object|null} Keyword row
+ */
+function getKeyword(id) {
+  return store.get('keywords', id);
+}
+
+/**
+ * Find the keyword row a user is allowed to work on.
+ * Employees get their own row; admins and editors get the first matching row.
+ * @param {string} keywordColumn - Column name containing keywords
+ * @param {string} keyword - Keyword text
+ * @param {Object} user - Session user ({ id, role })
+ * @returns {Object|null} Keyword row or null if not found
+ */
+function findKeywordForUser(keywordColumn, keyword, user) {
+  const rows = listKeywords().filter(row => row[keywordColumn] === keyword);
+
+  if (workflow.isReviewer(user)) {
+    return rows[0] || null;
+  }
+  return rows.find(row => isOwnedBy(row, user.id)) || null;
+}
+
+/**
+ * Add a keyword owned by a user
+ * @param {string} keywordColumn - Column name containing keywords
+ * @param {string} keyword - Keyword text
+ * @param {string} userId - Owner user ID
+ * @param {Object} extraColumns - Additional sheet columns for the row (including SiteId)
+ * @returns {Object} The new keyword row
+ */
+function addKeyword(keywordColumn, keyword, userId, extraColumns = {}) {
+  // The same keyword may exist for different users, but not twice for one user
+  const existsForUser = store.findOne('keywords', row =>
+    row[keywordColumn] === keyword && isOwnedBy(row, userId)
+  );
+
+  if (existsForUser) {
+    throw new Error('You already have this keyword in your list');
+  }
+
+  const row = store.insert('keywords', {
+    ...extraColumns,
+    [keywordColumn]: keyword,
+    Status: 'Pending',
+    'Publication Date': '',
+    'Post URL': '',
+    'Post ID': '',
+    'Last Updated': '',
+    Modifications: 0,
+    SiteId: extraColumns.SiteId || getDefaultSiteId(),
+    OwnerId: userId,
+    CreatedBy: userId,
+    CreatedAt: new Date().toISOString()
+  });
+
+  recordOwner(row.id, userId, userId);
+  return row;
+}
+
+/**
+ * Update columns of a single keyword row
+ * @param {string} id - Keyword row ID
+ * @param {Object} patch - Columns to change
+ * @returns {Object|null} Updated keyword row
+ */
+function updateKeyword(id, patch) {
+  return store.update('keywords', id, patch);
+}
+
+/**
+ * Delete a keyword and everything attached to it
+ * @param {string} id - Keyword row ID
+ * @returns {boolean} True if the keyword existed
+ */
+function deleteKeyword(id) {
+  for (const table of ['articles', 'publications', 'owners']) {
+    store.find(table, row => row.keywordId === id)
+      .forEach(row => store.remove(table, row.id));
+  }
+  workflow.removeWorkflow(id);
+  return store.remove('keywords', id);
+}
+
+/**
+ * Count keywords by status
+ * @param {string|null} ownerId - Only count rows owned by this user
+ * @param {string|null} siteId - Only count rows assigned to this site
+ * @returns {Object} { total, published, scheduled, pending }
+ */
+function getKeywordStats(ownerId = null, siteId = null) {
+  const rows = listKeywords(ownerId, siteId);
+  const scheduled = rows.filter(isScheduled).length;
+  return {
+    total: rows.length,
+    published: rows.filter(isPublished).length - scheduled,
+    scheduled,
+    pending: rows.filter(isPending).length
+  };
+}
+
+//====================================================
+// ARTICLES
+//====================================================
+
+/**
+ * Save a new version of a keyword's article as its draft. Earlier versions
+ * are kept for the version history.
+ * @param {string} keywordId - Keyword row ID
+ * @param {Object} article - Article with title, content, wordCount, validation, recipeData, seo, usage
+ * @param {string|null} userId - User who generated or edited the article (null for automation)
+ * @param {Object} details - How the version was made: { source, promptSettings, model, restoredFrom, experiment }
+ *   - source: 'generate', 'regenerate', 'automation', 'refresh', 'edit' or 'restore'
+ *   - promptSettings: prompt settings the article was generated with
+ *   - model: model that wrote the article, when it is not in `article.usage`
+ *   - restoredFrom: ID of the version a restored version copies
+ *   - experiment: { id, variantId } of the prompt experiment variant it was generated with
+ * @returns {Object} The stored article row
+ */
+function saveArticle(keywordId, article, userId, details = {}) {
+  // Only one draft is live per keyword; older drafts are superseded
+  store.find('articles', row => row.keywordId === keywordId && row.status === 'draft')
+    .forEach(row => store.update('articles', row.id, { status: 'superseded' }));
+
+  return store.insert('articles', {
+    keywordId,
+    title: article.title,
+    content: article.content,
+    wordCount: article.wordCount || 0,
+    validation: article.validation || null,
+    recipeData: article.recipeData || null,
+    seo: article.seo || null,
+    usage: article.usage || null,
+    source: details.source || 'generate',
+    model: (article.usage && article.usage.model) || details.model || null,
+    promptSettings: details.promptSettings || null,
+    restoredFrom: details.restoredFrom || null,
+    experiment: details.experiment || null,
+    status: 'draft',
+    createdBy: userId,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * List every version of a keyword's article, oldest first
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object[]} Article rows, each with its `version` number
+ */
+function listArticleVersions(keywordId) {
+  return store.find('articles', row => row.keywordId === keywordId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map((row, index) => ({ ...row, version: index + 1 }));
+}
+
+/**
+ * Get one version of a keyword's article
+ * @param {string} keywordId - Keyword row ID
+ * @param {string} versionId - Article row ID
+ * @returns {Object|null} Article row with its `version` number
+ */
+function getArticleVersion(keywordId, versionId) {
+  return listArticleVersions(keywordId).find(row => row.id === versionId) || null;
+}
+
+/**
+ * Restore an earlier version of a keyword's article: a copy of it becomes
+ * the new draft, so the versions in between stay in the history
+ * @param {string} keywordId - Keyword row ID
+ * @param {string} versionId - Article row ID of the version to restore
+ * @param {string} userId - User restoring the version
+ * @returns {Object} The new draft article row
+ */
+function restoreArticleVersion(keywordId, versionId, userId) {
+  const version = getArticleVersion(keywordId, versionId);
+  if (!version) {
+    throw new Error('Version not found');
+  }
+
+  // The token usage stays with the version that was generated
+  return saveArticle(keywordId, { ...version, usage: null }, userId, {
+    source: 'restore',
+    model: version.model,
+    promptSettings: version.promptSettings,
+    restoredFrom: version.id
+  });
+}
+
+/**
+ * Get the current draft article for a keyword
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object|null} Article row or null if there is no draft
+ */
+function getDraftArticle(keywordId) {
+  return store.findOne('articles', row => row.keywordId === keywordId && row.status === 'draft');
+}
+
+/**
+ * Get the working copy of a keyword's article: the draft, or else the
+ * article as it was last sent to WordPress
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object|null} Article row or null if the keyword has no article
+ */
+function getLatestArticle(keywordId) {
+  const draft = getDraftArticle(keywordId);
+  if (draft) return draft;
+
+  const published = store.find('articles', row => row.keywordId === keywordId && row.status === 'published');
+  return published.length > 0 ? published[published.length - 1] : null;
+}
+
+/**
+ * Discard the current draft article for a keyword
+ * @param {string} keywordId - Keyword row ID
+ */
+function discardDraftArticle(keywordId) {
+  const draft = getDraftArticle(keywordId);
+  if (draft) {
+    store.update('articles', draft.id, { status: 'discarded' });
+  }
+}
+
+//====================================================
+// PUBLICATIONS
+//====================================================
+
+/**
+ * Format a date as "YYYY-MM-DD HH:MM" in the server's time zone
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatTimestamp(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Get the latest WordPress publication of a keyword
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object|null} Publication row
+ */
+function getLastPublication(keywordId) {
+  const publications = store.find('publications', row => row.keywordId === keywordId);
+  return publications.length > 0 ? publications[publications.length - 1] : null;
+}
+
+/**
+ * Record a successful WordPress publication for a keyword. An update of the
+ * existing post (`publishData.updated`) keeps the original publication date
+ * of a published post and counts as a modification.
+ * @param {string} keywordId - Keyword row ID
+ * @param {Object} publishData - Data returned by publishToWordPress (plus the generation `usage`, if any)
+ * @param {string|null} userId - User who published (null for automation)
+ * @returns {Object} Updated keyword row
+ */
+function recordPublication(keywordId, publishData, userId = null) {
+  const row = getKeyword(keywordId);
+  if (!row) {
+    throw new Error('Keyword not found');
+  }
+
+  // Scheduled posts record their scheduled date; everything else today's date
+  const now = new Date();
+  const status = publishData.status === 'Scheduled' ? 'Scheduled' : 'Published';
+  const keepDate = publishData.updated && status === 'Published' && row.Status === 'Published' && row['Publication Date'];
+  const formattedDate = keepDate ? row['Publication Date'] : publishData.publishDate || formatTimestamp(now).split(' ')[0];
+
+  store.insert('publications', {
+    keywordId,
+    postId: publishData.postId || '',
+    postUrl: publishData.postUrl || '',
+    siteId: row.SiteId || null,
+    recipeId: publishData.recipeId || null,
+    usage: publishData.usage || null,
+    action: publishData.updated ? 'update' : 'create',
+    status,
+    publicationDate: formattedDate,
+    publishedBy: userId,
+    publishedAt: now.toISOString()
+  });
+
+  // The published draft is no longer the working copy
+  const article = getLatestArticle(keywordId);
+  if (article && article.status === 'draft') {
+    store.update('articles', article.id, { status: 'published' });
+  }
+  workflow.recordPublished(row, userId, article ? article.id : null);
+
+  return updateKeyword(keywordId, {
+    Status: status,
+    'Publication Date': formattedDate,
+    'Post URL': publishData.postUrl || '',
+    'Post ID': publishData.postId || row['Post ID'] || '',
+    'Last Updated': formatTimestamp(now),
+    Modifications: publishData.updated ? (parseInt(row.Modifications) || 0) + 1 : 0
+  });
+}
+
+/**
+ * Reset a keyword back to pending (removes it from the publication history)
+ * @param {string} keywordId - Keyword row ID
+ * @param {string|null} userId - User who reset the keyword
+ * @returns {Object|null} Updated keyword row
+ */
+function resetPublication(keywordId, userId = null) {
+  const row = getKeyword(keywordId);
+  if (row) {
+    workflow.recordReset(row, userId);
+  }
+  discardDraftArticle(keywordId);
+  return updateKeyword(keywordId, {
+    Status: 'Pending',
+    'Publication Date': '',
+    'Post URL': '',
+    'Post ID': '',
+    'Last Updated': '',
+    Modifications: 0
+  });
+}
+
+//====================================================
+// OWNERS
+//====================================================
+
+/**
+ * Record an ownership assignment
+ * @param {string} keywordId - Keyword row ID
+ * @param {string} ownerId - New owner user ID
+ * @param {string|null} assignedBy - User who made the assignment
+ */
+function recordOwner(keywordId, ownerId, assignedBy = null) {
+  store.insert('owners', {
+    keywordId,
+    ownerId,
+    assignedBy,
+    assignedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Transfer a keyword to a new owner
+ * @param {string} keywordId - Keyword row ID
+ * @param {string} newOwnerId - New owner user ID
+ * @param {string|null} assignedBy - User who made the transfer
+ * @returns {Object} Updated keyword row
+ */
+function transferKeyword(keywordId, newOwnerId, assignedBy = null) {
+  const row = updateKeyword(keywordId, { OwnerId: newOwnerId });
+  if (!row) {
+    throw new Error('Keyword not found');
+  }
+  recordOwner(keywordId, newOwnerId, assignedBy);
+  return row;
+}
+
+/**
+ * Give every keyword without an owner a default owner
+ * @param {string} defaultOwnerId - Owner for unowned keywords (usually the admin)
+ * @returns {number} Number of keywords updated
+ */
+function assignDefaultOwner(defaultOwnerId) {
+  const unowned = listKeywords().filter(row => !row.OwnerId && !row.CreatedBy);
+
+  unowned.forEach(row => {
+    updateKeyword(row.id, { OwnerId: defaultOwnerId, CreatedBy: defaultOwnerId });
+    recordOwner(row.id, defaultOwnerId);
+  });
+
+  return unowned.length;
+}
+
+//====================================================
+// SITES AND PROMPT PROFILES
+//====================================================
+
+/**
+ * Get the ID of the default site
+ * @returns {string|null} Default site ID or null if there is no site yet
+ */
+function getDefaultSiteId() {
+  const site = sites.getDefaultSite();
+  return site ? site.id : null;
+}
+
+/**
+ * Assign keywords without a (known) site to a site
+ * @param {string} siteId - Site for unassigned keywords (usually the default site)
+ * @returns {number} Number of keywords updated
+ */
+function assignDefaultSite(siteId) {
+  const unassigned = listKeywords().filter(row => !sites.getSite(row.SiteId));
+
+  unassigned.forEach(row => updateKeyword(row.id, { SiteId: siteId }));
+  return unassigned.length;
+}
+
+/**
+ * Move a keyword to another site
+ * @param {string} keywordId - Keyword row ID
+ * @param {string} siteId - New site ID
+ * @returns {Object} Updated keyword row
+ */
+function assignKeywordToSite(keywordId, siteId) {
+  if (!sites.getSite(siteId)) {
+    throw new Error('Site not found');
+  }
+
+  const row = updateKeyword(keywordId, { SiteId: siteId });
+  if (!row) {
+    throw new Error('Keyword not found');
+  }
+  return row;
+}
+
+/**
+ * Set the prompt profile a keyword is generated with
+ * @param {string} keywordId - Keyword row ID
+ * @param {string|null} profileId - Profile ID, or null for the default prompts
+ * @returns {Object} Updated keyword row
+ */
+function assignKeywordToProfile(keywordId, profileId) {
+  if (profileId && !promptProfiles.getProfile(profileId)) {
+    throw new Error('Profile not found');
+  }
+
+  const row = updateKeyword(keywordId, { ProfileId: profileId || null });
+  if (!row) {
+    throw new Error('Keyword not found');
+  }
+  return row;
+}
+
+//====================================================
+// EXCEL IMPORT / EXPORT
+//====================================================
+
+/**
+ * Import keyword rows from an Excel file.
+ * Rows matching an existing keyword for the same owner update that row;
+ * everything else is added as a new keyword. Publication fields of rows
+ * that are already published are kept, so re-importing an older sheet
+ * never resets them to Pending. A "Site" column assigns rows to a site by
+ * name; rows without one go to the default site. A "Profile" column picks
+ * the prompt profile by name; rows without one use the default prompts.
+ * @param {string} filePath - Path to the Excel file
+ * @param {string} keywordColumn - Column name containing keywords
+ * @param {string} defaultOwnerId - Owner for rows without an OwnerId column
+ * @returns {Object} { added, updated }
+ */
+function importKeywordsFromExcel(filePath, keywordColumn, defaultOwnerId) {
+  const rows = readRowsFromExcel(filePath);
+  let added = 0;
+  let updated = 0;
+
+  for (const sheetRow of rows) {
+    const keyword = sheetRow[keywordColumn];
+    if (!keyword) continue;
+
+    const ownerId = sheetRow.OwnerId || defaultOwnerId;
+    const existing = store.findOne('keywords', row =>
+      row[keywordColumn] === keyword && isOwnedBy(row, ownerId)
+    );
+
+    // Never let a sheet override the row ID
+    const { id, Site, Profile, ...columns } = sheetRow;
+
+    // Resolve the site by name
+    const site = Site ? sites.findSiteByName(Site) : null;
+    if (Site && !site) {
+      console.warn(`Unknown site "${Site}" for keyword "${keyword}"; using the default site`);
+    }
+    columns.SiteId = site ? site.id : (existing && existing.SiteId) || getDefaultSiteId();
+
+    // Resolve the prompt profile by name
+    if (Profile !== undefined) {
+      const profile = Profile ? promptProfiles.findProfileByName(Profile) : null;
+      if (Profile && !profile) {
+        console.warn(`Unknown prompt profile "${Profile}" for keyword "${keyword}"; using the default prompts`);
+      }
+      columns.ProfileId = profile ? profile.id : null;
+    }
+
+    if (existing) {
+      if (isPublished(existing)) {
+        PUBLICATION_FIELDS.forEach(field => delete columns[field]);
+      }
+      updateKeyword(existing.id, columns);
+      updated++;
+    } else {
+      const row = store.insert('keywords', {
+        Status: 'Pending',
+        'Publication Date': '',
+        'Post URL': '',
+        'Post ID': '',
+        'Last Updated': '',
+        Modifications: 0,
+        ...columns,
+        OwnerId: ownerId,
+        CreatedBy: sheetRow.CreatedBy || ownerId,
+        CreatedAt: sheetRow.CreatedAt || new Date().toISOString()
+      });
+      recordOwner(row.id, ownerId);
+      added++;
+    }
+  }
+
+  console.log(`Imported keywords from ${filePath}: ${added} added, ${updated} updated`);
+  return { added, updated };
+}
+
+/**
+ * Export keyword rows to an Excel file
+ * @param {string} filePath - Path to the Excel file to write
+ * @param {string|null} ownerId - Only export rows owned by this user
+ * @param {string|null} siteId - Only export rows assigned to this site
+ * @returns {number} Number of rows exported
+ */
+function exportKeywordsToExcel(filePath, ownerId = null, siteId = null) {
+  const rows = listKeywords(ownerId, siteId).map(toSheetRow);
+
+  writeRowsToExcel(filePath, rows);
+  return rows.length;
+}
+
+/**
+ * Get a keyword row as it appears in the Excel sheet
+ * @param {Object} row - Keyword row
+ * @returns {Object} Sheet row: internal fields removed, site and profile by name
+ */
+function toSheetRow(row) {
+  const site = sites.getSite(row.SiteId);
+  const profile = promptProfiles.getProfile(row.ProfileId);
+  const sheetRow = { ...row, Site: site ? site.name : '', Profile: profile ? profile.name : '' };
+  INTERNAL_FIELDS.forEach(field => delete sheetRow[field]);
+  return sheetRow;
+}
+
+/**
+ * List the columns of the keyword sheet (every column any keyword row has)
+ * @returns {string[]} Column names
+ */
+function listSheetColumns() {
+  const columns = new Set();
+  listKeywords().forEach(row => Object.keys(toSheetRow(row)).forEach(column => columns.add(column)));
+  return [...columns];
+}
+
+/**
+ * Get the prompt template variables of a keyword row: every column of the
+ * sheet, empty where the row has no value (see src/prompt-template.js)
+ * @param {Object} row - Keyword row
+ * @returns {Object} { column: value }
+ */
+function getTemplateVariables(row) {
+  const sheetRow = toSheetRow(row);
+  const variables = {};
+  listSheetColumns().forEach(column => {
+    const value = sheetRow[column];
+    variables[column] = value === null || value === undefined ? '' : value;
+  });
+  return variables;
+}
+
+module.exports = {
+  isOwnedBy,
+  isPublished,
+  isScheduled,
+  listKeywords,
+  listPendingKeywords,
+  listPublishedKeywords,
+  getKeyword,
+  findKeywordForUser,
+  addKeyword,
+  updateKeyword,
+  deleteKeyword,
+  getKeywordStats,
+  saveArticle,
+  getDraftArticle,
+  getLatestArticle,
+  listArticleVersions,
+  getArticleVersion,
+  restoreArticleVersion,
+  discardDraftArticle,
+  getLastPublication,
+  recordPublication,
+  resetPublication,
+  transferKeyword,
+  assignDefaultOwner,
+  getDefaultSiteId,
+  assignDefaultSite,
+  assignKeywordToSite,
+  assignKeywordToProfile,
+  importKeywordsFromExcel,
+  exportKeywordsToExcel,
+  listSheetColumns,
+  getTemplateVariables
+};
@@ -0,0 +1,269 @@
+// src/resilience.js
+//
+// This module retries failed calls to the AI providers and WordPress:
+// - Rate limits (429), server errors (5xx) and dropped connections are retried
+//   with exponential backoff and random jitter
+// - A `Retry-After` header from the server is used instead of the backoff
+//   delay; when it asks for longer than the longest delay, the call fails
+//   instead of being retried early
+// - Calls that create something (a post, a media item) are only retried when
+//   they cannot have reached the server, or after a rate limit, so a failure
+//   after the server saved it does not create it twice
+// - A token bucket per provider spaces requests out to the configured
+//   requests per minute, so a batch does not run into the rate limit at all
+// - Every failed attempt is reported through a log function, so background
+//   jobs show it in the job log
+
+// Network errors that are worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ESOCKETTIMEDOUT'];
+
+// Network errors raised before a request reaches the server
+const CONNECT_CODES = ['ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// HTTP statuses that are worth another attempt
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+// Token buckets by name ("openai", "wordpress:example.com", ...)
+const buckets = new Map();
+
+/**
+ * Get the retry settings. The config module is required here rather than at
+ * the top because it loads the provider layer, which loads this module.
+ * @returns {Object} { maxRetries, baseDelayMs, maxDelayMs, rateLimits }
+ */
+function getSettings() {
+  return require('./config').config.resilience;
+}
+
+/**
+ * Wait for a time, ending early with an error if the signal is aborted
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Request aborted'));
+
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request aborted'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Read a response header from an error. OpenAI SDK errors have a plain
+ * object, axios errors an AxiosHeaders object and fetch errors a Headers object.
+ * @param {Error} error - Error with `headers`
+ * @param {string} name - Header name in lower case
+ * @returns {string|null} Header value
+ */
+function getHeader(error, name) {
+  const headers = error && (error.headers || (error.response && error.response.headers));
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name) || null;
+  return headers[name] || null;
+}
+
+/**
+ * Get the status code of a failed request
+ * @param {Error} error - Error
+ * @returns {number|null} HTTP status
+ */
+function getStatus(error) {
+  return (error && (error.status || (error.response && error.response.status))) || null;
+}
+
+/**
+ * Check whether a failed call should be tried again
+ * @param {Error} error - Error from the call
+ * @returns {boolean} True for rate limits, server errors and network errors
+ */
+function isRetryable(error) {
+  if (!error) return false;
+  if (error.name === 'AbortError' || error.name === 'APIUserAbortError' || error.name === 'CanceledError') return false;
+
+  const status = getStatus(error);
+  if (status) return RETRYABLE_STATUSES.includes(status);
+
+  // The OpenAI SDK wraps network errors; the original error is the cause
+  const code = error.code || (error.cause && error.cause.code);
+  return RETRYABLE_CODES.includes(code) ||
+    error.name === 'APIConnectionError' ||
+    error.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Check whether a failed call that creates something should be tried again:
+ * only if the request never reached the server or was rate limited, as
+ * anything else may have failed after the server created it
+ * @param {Error} error - Error from the call
+ * @returns {boolean} True for connection errors and rate limits (429)
+ */
+function isRetryableCreate(error) {
+  if (!isRetryable(error)) return false;
+
+  const status = getStatus(error);
+  if (status) return status === 429;
+
+  const code = error.code || (error.cause && error.cause.code);
+  return CONNECT_CODES.includes(code);
+}
+
+/**
+ * Read how long the server asked us to wait before the next attempt
+ * @param {Error} error - Error from the call
+ * @returns {number|null} Milliseconds, or null without a Retry-After header
+ */
+function getRetryAfter(error) {
+  const retryAfterMs = parseFloat(getHeader(error, 'retry-after-ms'));
+  if (retryAfterMs >= 0) return retryAfterMs;
+
+  const retryAfter = getHeader(error, 'retry-after');
+  if (!retryAfter) return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff with jitter,
+ * a random delay between half and all of the doubled base delay
+ * @param {number} attempt - Number of the failed attempt (1 for the first)
+ * @param {Object} settings - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, settings) {
+  const ceiling = Math.min(settings.maxDelayMs, settings.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Create a token bucket that allows a number of requests per minute.
+ * A full bucket allows a short burst; after that requests are spaced out.
+ * @param {number} perMinute - Requests per minute (0 for no limit)
+ * @returns {Object} { perMinute, take(signal) }
+ */
+function createTokenBucket(perMinute) {
+  const capacity = Math.max(1, Math.ceil(perMinute / 6));
+  const msPerToken = 60000 / perMinute;
+  let tokens = capacity;
+  let updatedAt = Date.now();
+
+  return {
+    perMinute,
+    take: async signal => {
+      if (!perMinute) return;
+
+      for (;;) {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - updatedAt) / msPerToken);
+        updatedAt = now;
+
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil((1 - tokens) * msPerToken), signal);
+      }
+    }
+  };
+}
+
+/**
+ * Get the token bucket of a provider. The rate comes from the settings
+ * (`rateLimits[provider]`); a changed rate replaces the bucket.
+ * @param {string} name - Bucket name: the provider, optionally with ":host"
+ * @returns {Object} Token bucket
+ */
+function getBucket(name) {
+  const provider = name.split(':')[0];
+  const perMinute = parseInt(getSettings().rateLimits[provider]) || 0;
+  const bucket = buckets.get(name);
+
+  if (bucket && bucket.perMinute === perMinute) return bucket;
+
+  const newBucket = createTokenBucket(perMinute);
+  buckets.set(name, newBucket);
+  return newBucket;
+}
+
+/**
+ * Call a function, retrying it after rate limits and temporary failures
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options - Options:
+ *   - bucket: token bucket name (e.g. 'openai' or 'wordpress:example.com')
+ *   - label: what is being called, for the log (e.g. 'OpenAI request')
+ *   - log: function receiving a message for every failed attempt (defaults to console.log)
+ *   - retries: number of retries (defaults to the `maxRetries` setting)
+ *   - create: true if the call creates something, so it is only retried when
+ *     it did not reach the server (see isRetryableCreate)
+ *   - signal: AbortSignal that stops waiting and retrying
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, options = {}) {
+  const settings = getSettings();
+  const retries = options.retries !== undefined ? options.retries : settings.maxRetries;
+  const maxAttempts = Math.max(parseInt(retries) || 0, 0) + 1;
+  const label = options.label || 'Request';
+  const log = options.log || console.log;
+
+  for (let attempt = 1; ; attempt++) {
+    if (options.bucket) {
+      await getBucket(options.bucket).take(options.signal);
+    }
+
+    try {
+      const result = await fn(attempt);
+      if (attempt > 1) {
+        log(`✓ ${label} succeeded on attempt ${attempt}/${maxAttempts}`);
+      }
+      return result;
+    } catch (error) {
+      const aborted = options.signal && options.signal.aborted;
+      const retryable = options.create ? isRetryableCreate(error) : isRetryable(error);
+      if (aborted || !retryable || attempt >= maxAttempts) {
+        if (attempt > 1) {
+          log(`✗ ${label} failed on attempt ${attempt}/${maxAttempts}: ${error.message}; giving up`);
+        }
+        error.attempts = attempt;
+        throw error;
+      }
+
+      // Retrying before the server's Retry-After only runs into more rate limits
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== null && retryAfter > settings.maxDelayMs) {
+        const seconds = Math.ceil(retryAfter / 1000);
+        log(`✗ ${label} failed on attempt ${attempt}/${maxAttempts}: ${error.message}; rate limited for ${seconds}s, giving up`);
+        const rateLimitError = new Error(`${label} was rate limited, retry after ${seconds}s`);
+        rateLimitError.status = getStatus(error);
+        rateLimitError.retryAfter = retryAfter;
+        rateLimitError.attempts = attempt;
+        throw rateLimitError;
+      }
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, settings);
+      log(`⟳ ${label} failed on attempt ${attempt}/${maxAttempts}: ${error.message}; ` +
+        `retrying in ${(delay / 1000).toFixed(1)}s${retryAfter !== null ? ' (Retry-After)' : ''}`);
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+module.exports = {
+  isRetryable,
+  isRetryableCreate,
+  getRetryAfter,
+  backoffDelay,
+  createTokenBucket,
+  withRetry
+};
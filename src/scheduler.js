@@ -0,0 +1,408 @@
+// src/scheduler.js
+//
+// This module drip-feeds pending keywords into the job queue on a schedule:
+// - Schedules are stored in the datastore `schedules` table, one per user,
+//   site and editorial plan (e.g. "3 posts a day at 9am, 1pm and 6pm, never
+//   on Sunday"); a schedule without a site publishes keywords of every site
+// - A schedule is either a cron expression ("0 9,13,18 * * 1-6") or a rule
+//   (times of day plus weekdays)
+// - Once a minute, due slots are handed to a callback that queues the work
+// - Upcoming slots can be planned ahead for the calendar view
+//
+// All times use the server's local time zone. Slots missed while the server
+// was down are collapsed into a single run, so a restart never triggers a
+// burst of posts.
+
+const store = require('./datastore');
+
+// How often due slots are checked
+const TICK_INTERVAL = 60 * 1000;
+
+// Upper limit for posts per slot
+const MAX_POSTS_PER_SLOT = 10;
+
+// Cron field ranges: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+let tickTimer = null;
+
+//====================================================
+// SCHEDULE EXPRESSIONS
+//====================================================
+
+/**
+ * Parse one cron field into the set of values it matches
+ * @param {string} field - Field text (e.g. "*", "9,13,18", "1-5", "*\/15")
+ * @param {Object} range - { name, min, max }
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(field, range) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${range.name} field: "${field}"`);
+    }
+
+    let start = range.min;
+    let end = range.max;
+    if (match[1] !== '*') {
+      const bounds = match[1].split('-').map(Number);
+      start = bounds[0];
+      // A single value with a step ("5/15") runs to the end of the range
+      end = bounds.length > 1 ? bounds[1] : (match[2] ? range.max : start);
+    }
+    const step = match[2] ? parseInt(match[2]) : 1;
+
+    if (start < range.min || end > range.max || start > end || step < 1) {
+      throw new Error(`Invalid ${range.name} field: "${field}"`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - Cron expression (minute hour day month weekday)
+ * @returns {Object} Parsed fields plus flags for day-of-month/week restrictions
+ */
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+
+  // Both 0 and 7 mean Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: fields[2] !== '*',
+    weekdaysRestricted: fields[4] !== '*'
+  };
+}
+
+/**
+ * Check whether a cron expression matches a given minute
+ * @param {Object} cron - Parsed cron expression
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the expression fires at this minute
+ */
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getMinutes()) ||
+      !cron.hours.has(date.getHours()) ||
+      !cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+
+  const dayMatches = cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+
+  // Standard cron: if both day fields are restricted, either may match
+  if (cron.daysRestricted && cron.weekdaysRestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+}
+
+/**
+ * Check whether a rule schedule matches a given minute
+ * @param {Object} rule - { times: ['09:00', ...], weekdays: [0-6, ...] }
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the rule fires at this minute
+ */
+function ruleMatches(rule, date) {
+  if (!rule.weekdays.includes(date.getDay())) {
+    return false;
+  }
+
+  const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return rule.times.includes(time);
+}
+
+/**
+ * Build a function that tells whether a schedule fires at a given minute
+ * @param {Object} schedule - Schedule row
+ * @returns {Function} (date) => boolean
+ */
+function createMatcher(schedule) {
+  if (schedule.type === 'cron') {
+    const cron = parseCron(schedule.cron);
+    return date => cronMatches(cron, date);
+  }
+  return date => ruleMatches(schedule.rule, date);
+}
+
+/**
+ * List the slots of a schedule in a time window
+ * @param {Object} schedule - Schedule row
+ * @param {Date} from - Start of the window (exclusive)
+ * @param {Date} until - End of the window (inclusive)
+ * @param {number} limit - Maximum number of slots to return
+ * @returns {Date[]} Slot times, oldest first
+ */
+function getSlots(schedule, from, until, limit = 500) {
+  const matches = createMatcher(schedule);
+  const slots = [];
+
+  // Start at the first whole minute after `from`
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  while (date <= until && slots.length < limit) {
+    if (matches(date)) {
+      slots.push(new Date(date.getTime()));
+    }
+    date.setMinutes(date.getMinutes() + 1);
+  }
+
+  return slots;
+}
+
+//====================================================
+// SCHEDULES
+//====================================================
+
+/**
+ * Validate and normalize schedule input
+ * @param {Object} data - Raw schedule data from a form
+ * @returns {Object} Normalized schedule fields
+ */
+function normalizeSchedule(data) {
+  const name = String(data.name || '').trim();
+  if (!name) {
+    throw new Error('Schedule name is required');
+  }
+
+  const postsPerSlot = Math.min(MAX_POSTS_PER_SLOT, Math.max(1, parseInt(data.postsPerSlot) || 1));
+  const schedule = { name, type: data.type === 'cron' ? 'cron' : 'rule', postsPerSlot, cron: '', rule: null };
+
+  if (schedule.type === 'cron') {
+    schedule.cron = String(data.cron || '').trim();
+    parseCron(schedule.cron); // throws on invalid expressions
+  } else {
+    const times = (Array.isArray(data.times) ? data.times : String(data.times || '').split(','))
+      .map(time => String(time).trim())
+      .filter(time => time);
+    const weekdays = (Array.isArray(data.weekdays) ? data.weekdays : [])
+      .map(day => parseInt(day))
+      .filter(day => day >= 0 && day <= 6);
+
+    if (times.length === 0 || times.some(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+      throw new Error('Times must be a comma-separated list like 09:00, 13:00, 18:00');
+    }
+    if (weekdays.length === 0) {
+      throw new Error('Select at least one weekday');
+    }
+
+    schedule.rule = { times: [...new Set(times)].sort(), weekdays: [...new Set(weekdays)].sort() };
+  }
+
+  return schedule;
+}
+
+/**
+ * Create a schedule
+ * @param {Object} data - Schedule fields (name, type, cron or times/weekdays, postsPerSlot)
+ * @param {string} ownerId - User who owns the schedule
+ * @param {string|null} keywordOwnerId - Only publish keywords of this user (null = all)
+ * @param {string|null} siteId - Only publish keywords of this site (null = all)
+ * @returns {Object} The new schedule
+ */
+function createSchedule(data, ownerId, keywordOwnerId, siteId = null) {
+  const now = new Date().toISOString();
+
+  return store.insert('schedules', {
+    ...normalizeSchedule(data),
+    ownerId,
+    keywordOwnerId: keywordOwnerId || null,
+    siteId: siteId || null,
+    enabled: true,
+    createdAt: now,
+    lastCheckedAt: now,
+    lastRunAt: null
+  });
+}
+
+/**
+ * Get a schedule by ID
+ * @param {string} id - Schedule ID
+ * @returns {Object|null} Schedule or null
+ */
+function getSchedule(id) {
+  return store.get('schedules', id);
+}
+
+/**
+ * List schedules, oldest first
+ * @param {string|null} ownerId - Only return schedules of this user
+ * @returns {Object[]} Schedules
+ */
+function listSchedules(ownerId = null) {
+  return store.find('schedules', schedule => !ownerId || schedule.ownerId === ownerId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Enable or disable a schedule
+ * @param {string} id - Schedule ID
+ * @param {boolean} enabled - New state
+ * @returns {Object|null} Updated schedule
+ */
+function setScheduleEnabled(id, enabled) {
+  // Slots that passed while the schedule was disabled are not caught up
+  return store.update('schedules', id, { enabled, lastCheckedAt: new Date().toISOString() });
+}
+
+/**
+ * Delete a schedule
+ * @param {string} id - Schedule ID
+ * @returns {boolean} True if the schedule was deleted
+ */
+function deleteSchedule(id) {
+  return store.remove('schedules', id);
+}
+
+//====================================================
+// CALENDAR
+//====================================================
+
+/**
+ * Format a date as a local YYYY-MM-DD string
+ * @param {Date} date - Date
+ * @returns {string} Local date string
+ */
+function formatLocalDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Plan which pending keywords land on which upcoming slot
+ * @param {Object[]} schedules - Schedules to plan
+ * @param {Function} getPendingKeywords - (schedule) => keyword rows in publishing order
+ * @param {number} days - Number of days to plan ahead
+ * @returns {Object[]} [{ date, slots: [{ at, schedule, keywords }] }] grouped by day
+ */
+function planCalendar(schedules, getPendingKeywords, days = 14) {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  // All upcoming slots of all enabled schedules, in time order
+  const slots = [];
+  schedules.filter(schedule => schedule.enabled).forEach(schedule => {
+    getSlots(schedule, now, until).forEach(at => slots.push({ at, schedule }));
+  });
+  slots.sort((a, b) => a.at - b.at);
+
+  // Hand out keywords in order; a keyword is only planned once
+  const planned = new Set();
+  const pendingBySchedule = new Map();
+  const calendar = new Map();
+
+  for (const slot of slots) {
+    if (!pendingBySchedule.has(slot.schedule.id)) {
+      pendingBySchedule.set(slot.schedule.id, getPendingKeywords(slot.schedule));
+    }
+
+    const keywords = pendingBySchedule.get(slot.schedule.id)
+      .filter(row => !planned.has(row.id))
+      .slice(0, slot.schedule.postsPerSlot);
+    keywords.forEach(row => planned.add(row.id));
+
+    const date = formatLocalDate(slot.at);
+    if (!calendar.has(date)) {
+      calendar.set(date, []);
+    }
+    calendar.get(date).push({ at: slot.at.toISOString(), schedule: slot.schedule, keywords });
+  }
+
+  return [...calendar.entries()].map(([date, daySlots]) => ({ date, slots: daySlots }));
+}
+
+//====================================================
+// SCHEDULER LOOP
+//====================================================
+
+/**
+ * Check every enabled schedule and run slots that are due
+ * @param {Function} onSlotDue - async (schedule, slot) => void
+ */
+async function tick(onSlotDue) {
+  const now = new Date();
+
+  for (const schedule of listSchedules().filter(s => s.enabled)) {
+    let due;
+    try {
+      due = getSlots(schedule, new Date(schedule.lastCheckedAt), now);
+    } catch (error) {
+      console.error(`Schedule "${schedule.name}" is invalid: ${error.message}`);
+      continue;
+    }
+
+    store.update('schedules', schedule.id, { lastCheckedAt: now.toISOString() });
+    if (due.length === 0) continue;
+
+    // Missed slots (e.g. while the server was down) collapse into one run
+    const slot = due[due.length - 1];
+    if (due.length > 1) {
+      console.log(`Schedule "${schedule.name}" missed ${due.length - 1} slot(s); running the latest one`);
+    }
+
+    try {
+      await onSlotDue(schedule, slot);
+      store.update('schedules', schedule.id, { lastRunAt: now.toISOString() });
+    } catch (error) {
+      console.error(`Error running schedule "${schedule.name}":`, error.message);
+    }
+  }
+}
+
+/**
+ * Start checking schedules once a minute
+ * @param {Function} onSlotDue - async (schedule, slot) => void, queues the slot's work
+ */
+function startScheduler(onSlotDue) {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+  }
+
+  tickTimer = setInterval(() => {
+    tick(onSlotDue).catch(error => console.error('Scheduler error:', error));
+  }, TICK_INTERVAL);
+
+  // Check right away so slots missed during a restart are picked up
+  tick(onSlotDue).catch(error => console.error('Scheduler error:', error));
+
+  console.log(`Scheduler started with ${listSchedules().filter(s => s.enabled).length} active schedule(s)`);
+}
+
+module.exports = {
+  parseCron,
+  getSlots,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  setScheduleEnabled,
+  deleteSchedule,
+  planCalendar,
+  startScheduler
+};
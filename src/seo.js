@@ -0,0 +1,236 @@
+// src/seo.js
+//
+// This module produces the search engine metadata of an article:
+// - An SEO title, a meta description and an excerpt written by the model
+//   when the article is generated, and a slug derived from the keyword
+// - Length checks against what search results show
+// - Post meta for the SEO plugin of a site:
+//   - Yoast SEO (`_yoast_wpseo_title`, `_yoast_wpseo_metadesc`, `_yoast_wpseo_focuskw`)
+//   - Rank Math (`rank_math_title`, `rank_math_description`, `rank_math_focus_keyword`)
+//
+// The plugins do not expose these keys to the REST API by themselves; the site
+// has to register them with show_in_rest before WordPress accepts them.
+
+// Lengths search results show before cutting the text off
+const LIMITS = {
+  title: 60,
+  description: 160,
+  descriptionMin: 70,
+  excerpt: 300
+};
+
+// JSON schema of the metadata the model returns (the function parameters)
+const SEO_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['seoTitle', 'metaDescription', 'excerpt'],
+  properties: {
+    seoTitle: { type: 'string', description: `Title for search results, at most ${LIMITS.title} characters, containing the keyword` },
+    metaDescription: { type: 'string', description: `Meta description under ${LIMITS.description} characters, containing the keyword` },
+    excerpt: { type: 'string', description: 'One or two sentence summary shown on archive pages' }
+  }
+};
+
+//====================================================
+// ADAPTERS
+//====================================================
+
+const SEO_PLUGINS = {
+  yoast: {
+    name: 'Yoast SEO',
+    keys: { title: '_yoast_wpseo_title', description: '_yoast_wpseo_metadesc', focusKeyword: '_yoast_wpseo_focuskw' }
+  },
+  rankmath: {
+    name: 'Rank Math',
+    keys: { title: 'rank_math_title', description: 'rank_math_description', focusKeyword: 'rank_math_focus_keyword' }
+  }
+};
+
+/**
+ * Get the adapter for an SEO plugin
+ * @param {string} pluginId - 'yoast', 'rankmath' or empty for none
+ * @returns {Object|null} Adapter or null if no SEO plugin is used
+ */
+function getSeoPlugin(pluginId) {
+  return SEO_PLUGINS[pluginId] || null;
+}
+
+/**
+ * List the supported SEO plugins for settings forms
+ * @returns {Object[]} [{ id, name }]
+ */
+function listSeoPlugins() {
+  return Object.entries(SEO_PLUGINS).map(([id, plugin]) => ({ id, name: plugin.name }));
+}
+
+//====================================================
+// METADATA
+//====================================================
+
+/**
+ * Remove tags and collapse whitespace
+ * @param {string} html - HTML or text
+ * @returns {string} Plain text
+ */
+function toPlainText(html) {
+  return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Shorten a text to a length at a word boundary
+ * @param {string} text - Text
+ * @param {number} max - Longest allowed length, including the ellipsis
+ * @returns {string} Text of at most `max` characters
+ */
+function clip(text, max) {
+  if (text.length <= max) return text;
+
+  const cut = text.substring(0, max - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > max / 2 ? cut.substring(0, lastSpace) : cut).replace(/[\s,.;:]+$/, '')}…`;
+}
+
+/**
+ * Turn a keyword into a post slug
+ * @param {string} text - Keyword or slug
+ * @returns {string} Lower-case slug of letters, digits and hyphens
+ */
+function buildSlug(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 75)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Fill in and tidy SEO metadata. Missing fields are derived from the article:
+ * the title, the first paragraph and the keyword.
+ * @param {Object} seo - { title, description, excerpt, slug } (any may be empty)
+ * @param {string} keyword - Focus keyword
+ * @param {Object} article - Article with title and content
+ * @returns {Object} { title, description, excerpt, slug, focusKeyword }
+ */
+function normalizeSeo(seo, keyword, article) {
+  const paragraph = String(article.content || '').match(/<p[^>]*>([\s\S]*?)<\/p>/i);
+  const summary = toPlainText(paragraph ? paragraph[1] : article.content);
+
+  return {
+    title: toPlainText(seo.title) || toPlainText(article.title),
+    // "Under 160 characters": the description is cut one character short of the limit
+    description: clip(toPlainText(seo.description) || summary, LIMITS.description - 1),
+    excerpt: clip(toPlainText(seo.excerpt) || summary, LIMITS.excerpt),
+    slug: buildSlug(seo.slug) || buildSlug(keyword),
+    focusKeyword: String(keyword || '').trim()
+  };
+}
+
+/**
+ * Check SEO metadata against the lengths search results show
+ * @param {Object} seo - Metadata from normalizeSeo
+ * @returns {string[]} Warnings
+ */
+function checkSeo(seo) {
+  const warnings = [];
+  const keyword = seo.focusKeyword.toLowerCase();
+
+  if (seo.title.length > LIMITS.title) {
+    warnings.push(`The SEO title has ${seo.title.length} characters; search results show about ${LIMITS.title}`);
+  }
+  if (seo.description.length >= LIMITS.description) {
+    warnings.push(`The meta description has ${seo.description.length} characters; keep it under ${LIMITS.description}`);
+  } else if (seo.description.length < LIMITS.descriptionMin) {
+    warnings.push(`The meta description has only ${seo.description.length} characters`);
+  }
+  if (keyword && !seo.title.toLowerCase().includes(keyword)) {
+    warnings.push('The SEO title does not contain the keyword');
+  }
+  if (keyword && !seo.description.toLowerCase().includes(keyword)) {
+    warnings.push('The meta description does not contain the keyword');
+  }
+  return warnings;
+}
+
+/**
+ * Ask the model for the SEO title, meta description and excerpt of an
+ * article. If the model fails, they are derived from the article instead.
+ * @param {Object} openai - Chat client
+ * @param {Object} openaiConfig - Generation settings (model and temperature)
+ * @param {string} keyword - Focus keyword
+ * @param {Object} article - Article with title and content
+ * @returns {Promise<Object>} Metadata from normalizeSeo
+ */
+async function generateSeoMetadata(openai, openaiConfig, keyword, article) {
+  try {
+    const response = await openai.chat.completions.create({
+      model: openaiConfig.model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You write search engine metadata for blog articles. Keep within the character limits ' +
+            'and use the focus keyword naturally.'
+        },
+        {
+          role: 'user',
+          content: `Keyword: ${keyword}\nTitle: ${article.title}\n\n${toPlainText(article.content).substring(0, 4000)}`
+        }
+      ],
+      tools: [{
+        type: 'function',
+        function: {
+          name: 'save_seo_metadata',
+          description: 'Save the search engine metadata of the article',
+          parameters: SEO_SCHEMA
+        }
+      }],
+      tool_choice: { type: 'function', function: { name: 'save_seo_metadata' } },
+      temperature: openaiConfig.temperature
+    });
+
+    const toolCalls = response.choices[0].message.tool_calls || [];
+    if (toolCalls.length === 0) {
+      throw new Error('The model did not return SEO metadata');
+    }
+    const metadata = JSON.parse(toolCalls[0].function.arguments);
+
+    return normalizeSeo({
+      title: metadata.seoTitle,
+      description: metadata.metaDescription,
+      excerpt: metadata.excerpt
+    }, keyword, article);
+  } catch (error) {
+    console.warn(`SEO metadata generation failed, deriving it from the article: ${error.message}`);
+    return normalizeSeo({}, keyword, article);
+  }
+}
+
+/**
+ * Build the post meta of a site's SEO plugin
+ * @param {string} pluginId - SEO plugin of the site
+ * @param {Object} seo - Metadata from normalizeSeo
+ * @returns {Object} Meta keys and values (empty without an SEO plugin)
+ */
+function buildSeoMeta(pluginId, seo) {
+  const plugin = getSeoPlugin(pluginId);
+  if (!plugin || !seo) return {};
+
+  return {
+    [plugin.keys.title]: seo.title,
+    [plugin.keys.description]: seo.description,
+    [plugin.keys.focusKeyword]: seo.focusKeyword
+  };
+}
+
+module.exports = {
+  LIMITS,
+  getSeoPlugin,
+  listSeoPlugins,
+  buildSlug,
+  normalizeSeo,
+  checkSeo,
+  generateSeoMetadata,
+  buildSeoMeta
+};
@@ -0,0 +1,307 @@
+// src/sites.js
+//
+// This module manages the registry of WordPress sites:
+// - Each site has its own credentials, default publish status, recipe
+//   card plugin, JSON-LD output and SEO plugin
+// - Sites can override the global prompt settings
+// - A category mapping turns a keyword row's Category column into
+//   WordPress category IDs (other names are looked up on the site by
+//   src/taxonomy.js)
+//
+// Sites are stored in the datastore `sites` table. Exactly one site is the
+// default; keyword rows without a site belong to it. On first start the
+// single-site `config.wordpress` block is migrated into the default site.
+
+const store = require('./datastore');
+const { getRecipePlugin } = require('./recipe-plugins');
+const { getSeoPlugin } = require('./seo');
+
+// Prompt fields a site may override
+const PROMPT_FIELDS = ['mainPrompt', 'toneVoice', 'seoGuidelines', 'thingsToAvoid'];
+
+// Where JSON-LD goes: a script block in the content, a post meta field, or nowhere
+const STRUCTURED_DATA_MODES = ['script', 'meta', 'off'];
+
+/**
+ * List all sites, default site first
+ * @returns {Object[]} Sites
+ */
+function listSites() {
+  return store.all('sites').sort((a, b) => {
+    if (a.isDefault !== b.isDefault) return a.isDefault ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Get a site by ID
+ * @param {string} id - Site ID
+ * @returns {Object|null} Site or null
+ */
+function getSite(id) {
+  return id ? store.get('sites', id) : null;
+}
+
+/**
+ * Get the default site
+ * @returns {Object|null} Default site or null if no site exists yet
+ */
+function getDefaultSite() {
+  return store.findOne('sites', site => site.isDefault) || listSites()[0] || null;
+}
+
+/**
+ * Find a site by its name (case-insensitive)
+ * @param {string} name - Site name
+ * @returns {Object|null} Site or null
+ */
+function findSiteByName(name) {
+  const wanted = String(name || '').trim().toLowerCase();
+  return wanted ? store.findOne('sites', site => site.name.toLowerCase() === wanted) : null;
+}
+
+/**
+ * Get the site a keyword row is published to
+ * @param {Object} row - Keyword row
+ * @returns {Object|null} The row's site, or the default site
+ */
+function getSiteForKeyword(row) {
+  return getSite(row.SiteId) || getDefaultSite();
+}
+
+/**
+ * Check whether a site has everything needed to publish
+ * @param {Object|null} site - Site
+ * @returns {boolean} True if URL and credentials are set
+ */
+function isSiteConfigured(site) {
+  return !!(site && site.apiUrl && site.username && site.password);
+}
+
+/**
+ * Get the connection settings expected by the WordPress module
+ * @param {Object} site - Site
+ * @returns {Object} { apiUrl, username, password, recipePlugin, structuredData, seoPlugin }
+ */
+function getWordPressConfig(site) {
+  return {
+    apiUrl: site.apiUrl,
+    username: site.username,
+    password: site.password,
+    recipePlugin: site.recipePlugin || '',
+    structuredData: site.structuredData || 'script',
+    seoPlugin: site.seoPlugin || ''
+  };
+}
+
+/**
+ * Parse a category mapping written as one "Name = 12, 15" entry per line
+ * @param {string|Object} text - Mapping text (or an already parsed mapping)
+ * @returns {Object} { name: [categoryId, ...] }
+ */
+function parseCategoryMapping(text) {
+  if (text && typeof text === 'object') return text;
+
+  const mapping = {};
+  String(text || '').split('\n').forEach(line => {
+    const [name, ids] = line.split('=');
+    if (!name || !ids || !name.trim()) return;
+
+    const categoryIds = ids.split(',')
+      .map(id => parseInt(id))
+      .filter(id => id > 0);
+    if (categoryIds.length > 0) {
+      mapping[name.trim()] = categoryIds;
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Format a category mapping for editing in a textarea
+ * @param {Object} mapping - { name: [categoryId, ...] }
+ * @returns {string} One "Name = 12, 15" entry per line
+ */
+function formatCategoryMapping(mapping) {
+  return Object.entries(mapping || {})
+    .map(([name, ids]) => `${name} = ${ids.join(', ')}`)
+    .join('\n');
+}
+
+/**
+ * Resolve the WordPress category IDs for a keyword row through the site's
+ * category mapping. The row's Category column may list several categories
+ * separated by commas; names are matched case-insensitively.
+ * @param {Object} site - Site
+ * @param {Object} row - Keyword row
+ * @returns {number[]} Category IDs (empty if nothing is mapped)
+ */
+function mapCategories(site, row) {
+  const mapping = (site && site.categoryMapping) || {};
+  const lookup = {};
+  Object.entries(mapping).forEach(([name, ids]) => {
+    lookup[name.toLowerCase()] = ids;
+  });
+
+  const ids = String(row.Category || '').split(',')
+    .map(name => lookup[name.trim().toLowerCase()] || [])
+    .reduce((all, categoryIds) => all.concat(categoryIds), []);
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Merge a site's prompt overrides onto the global prompt settings
+ * @param {Object|null} site - Site
+ * @param {Object} prompts - Global prompt settings
+ * @returns {Object} Prompt settings for this site
+ */
+function resolvePrompts(site, prompts) {
+  const resolved = { ...prompts };
+  if (!site || !site.prompts) return resolved;
+
+  PROMPT_FIELDS.forEach(field => {
+    if (site.prompts[field]) {
+      resolved[field] = site.prompts[field];
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Validate and normalize site input
+ * @param {Object} data - Raw site data from a form
+ * @param {Object|null} existing - Site being edited (keeps the password if left blank)
+ * @returns {Object} Normalized site fields
+ */
+function normalizeSite(data, existing = null) {
+  const name = String(data.name || '').trim();
+  if (!name) {
+    throw new Error('Site name is required');
+  }
+
+  const sameName = findSiteByName(name);
+  if (sameName && (!existing || sameName.id !== existing.id)) {
+    throw new Error(`A site named "${name}" already exists`);
+  }
+
+  const prompts = {};
+  PROMPT_FIELDS.forEach(field => {
+    const value = data.prompts && data.prompts[field] ? String(data.prompts[field]).trim() : '';
+    if (value) prompts[field] = value;
+  });
+
+  return {
+    name,
+    apiUrl: String(data.apiUrl || '').trim().replace(/\/+$/, ''),
+    username: String(data.username || '').trim(),
+    password: data.password ? String(data.password) : (existing ? existing.password : ''),
+    publishStatus: data.publishStatus === 'publish' ? 'publish' : 'draft',
+    recipePlugin: getRecipePlugin(data.recipePlugin) ? data.recipePlugin : '',
+    structuredData: STRUCTURED_DATA_MODES.includes(data.structuredData) ? data.structuredData : 'script',
+    seoPlugin: getSeoPlugin(data.seoPlugin) ? data.seoPlugin : '',
+    prompts: Object.keys(prompts).length > 0 ? prompts : null,
+    categoryMapping: parseCategoryMapping(data.categoryMapping)
+  };
+}
+
+/**
+ * Create a site
+ * @param {Object} data - Site fields
+ * @returns {Object} The new site
+ */
+function createSite(data) {
+  const isFirst = store.all('sites').length === 0;
+
+  return store.insert('sites', {
+    ...normalizeSite(data),
+    isDefault: isFirst,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Update a site
+ * @param {string} id - Site ID
+ * @param {Object} data - Site fields
+ * @returns {Object} The updated site
+ */
+function updateSite(id, data) {
+  const site = getSite(id);
+  if (!site) {
+    throw new Error('Site not found');
+  }
+
+  return store.update('sites', id, normalizeSite(data, site));
+}
+
+/**
+ * Make a site the default site
+ * @param {string} id - Site ID
+ * @returns {Object} The new default site
+ */
+function setDefaultSite(id) {
+  if (!getSite(id)) {
+    throw new Error('Site not found');
+  }
+
+  store.find('sites', site => site.isDefault && site.id !== id)
+    .forEach(site => store.update('sites', site.id, { isDefault: false }));
+  return store.update('sites', id, { isDefault: true });
+}
+
+/**
+ * Delete a site. The default site cannot be deleted.
+ * @param {string} id - Site ID
+ * @returns {boolean} True if the site was deleted
+ */
+function deleteSite(id) {
+  const site = getSite(id);
+  if (!site) return false;
+
+  if (site.isDefault) {
+    throw new Error('The default site cannot be deleted');
+  }
+  return store.remove('sites', id);
+}
+
+/**
+ * Create the default site from the legacy single-site configuration
+ * @param {Object} config - Application configuration
+ * @returns {Object|null} The created site, or null if sites already exist
+ */
+function migrateFromConfig(config) {
+  if (store.all('sites').length > 0) return null;
+
+  const site = createSite({
+    name: 'Default Site',
+    apiUrl: config.wordpress.apiUrl,
+    username: config.wordpress.username,
+    password: config.wordpress.password,
+    publishStatus: config.app.publishStatus
+  });
+  console.log('Created the default site from the WordPress settings');
+  return site;
+}
+
+module.exports = {
+  PROMPT_FIELDS,
+  STRUCTURED_DATA_MODES,
+  listSites,
+  getSite,
+  getDefaultSite,
+  findSiteByName,
+  getSiteForKeyword,
+  isSiteConfigured,
+  getWordPressConfig,
+  formatCategoryMapping,
+  mapCategories,
+  resolvePrompts,
+  createSite,
+  updateSite,
+  setDefaultSite,
+  deleteSite,
+  migrateFromConfig
+};
@@ -0,0 +1,333 @@
+// src/structured-data.js
+//
+// This module builds schema.org JSON-LD for articles:
+// - A `Recipe` object from the extracted recipe data
+// - An `Article` object for posts without a recipe
+// - A `FAQPage` object when the article has an FAQ section
+//
+// It also validates the objects against the properties search engines
+// require or recommend, so missing data can be flagged before publishing.
+
+// Meta field used when a site stores JSON-LD as post meta instead of in the content
+const JSON_LD_META_KEY = 'automation_json_ld';
+
+// Properties search engines need for a rich result / recommend adding
+const REQUIRED_PROPERTIES = {
+  Recipe: ['name', 'image', 'recipeIngredient', 'recipeInstructions'],
+  Article: ['headline'],
+  FAQPage: ['mainEntity']
+};
+
+const RECOMMENDED_PROPERTIES = {
+  Recipe: ['description', 'author', 'datePublished', 'prepTime', 'cookTime', 'totalTime', 'recipeYield', 'recipeCategory', 'recipeCuisine', 'keywords', 'nutrition'],
+  Article: ['description', 'image', 'author', 'datePublished'],
+  FAQPage: []
+};
+
+// Recipe diets that have a schema.org RestrictedDiet value
+const SCHEMA_DIETS = {
+  'vegan': 'VeganDiet',
+  'vegetarian': 'VegetarianDiet',
+  'gluten-free': 'GlutenFreeDiet',
+  'gluten free': 'GlutenFreeDiet',
+  'dairy-free': 'LowLactoseDiet',
+  'dairy free': 'LowLactoseDiet',
+  'low calorie': 'LowCalorieDiet',
+  'low fat': 'LowFatDiet',
+  'low sodium': 'LowSaltDiet',
+  'halal': 'HalalDiet',
+  'kosher': 'KosherDiet',
+  'diabetic': 'DiabeticDiet'
+};
+
+// Extracted nutrition fields and their NutritionInformation properties
+const NUTRITION_PROPERTIES = {
+  'Serving Size': 'servingSize',
+  'Calories': 'calories',
+  'Fat': 'fatContent',
+  'Saturated Fat': 'saturatedFatContent',
+  'Unsaturated Fat': 'unsaturatedFatContent',
+  'Trans Fat': 'transFatContent',
+  'Carbohydrates': 'carbohydrateContent',
+  'Sugar': 'sugarContent',
+  'Fiber': 'fiberContent',
+  'Protein': 'proteinContent',
+  'Cholesterol': 'cholesterolContent',
+  'Sodium': 'sodiumContent'
+};
+
+/**
+ * Remove tags and collapse whitespace
+ * @param {string} html - HTML
+ * @returns {string} Plain text
+ */
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the text of each <li> in an HTML list
+ * @param {string} html - HTML containing a list
+ * @returns {string[]} List item texts
+ */
+function listItems(html) {
+  return (String(html || '').match(/<li[^>]*>[\s\S]*?<\/li>/gi) || [])
+    .map(stripTags)
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Convert a time such as "Prep Time: 15 minutes" or "1 hour 30 minutes"
+ * to an ISO 8601 duration ("PT15M", "PT1H30M"). Ranges use the upper bound.
+ * @param {string} text - Time text
+ * @returns {string|null} ISO 8601 duration or null if no time is found
+ */
+function toIsoDuration(text) {
+  const pattern = /(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|h|minutes?|mins?|m)\b/gi;
+  let minutes = 0;
+  let match;
+
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    const value = parseFloat(match[2] || match[1]);
+    minutes += /^h/i.test(match[3]) ? value * 60 : value;
+  }
+
+  minutes = Math.round(minutes);
+  if (minutes <= 0) return null;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest ? `${rest}M` : ''}`;
+}
+
+/**
+ * Get a short description: the first paragraph of the content
+ * @param {string} content - Article HTML
+ * @returns {string} Description (at most 300 characters)
+ */
+function firstParagraph(content) {
+  const paragraph = String(content || '').match(/<p[^>]*>([\s\S]*?)<\/p>/i);
+  const text = stripTags(paragraph ? paragraph[1] : content);
+  return text.length > 300 ? `${text.substring(0, 297)}...` : text;
+}
+
+/**
+ * Drop properties without a value so the JSON-LD only states what is known
+ * @param {Object} object - Schema object
+ * @returns {Object} Object without empty properties
+ */
+function compact(object) {
+  Object.keys(object).forEach(key => {
+    const value = object[key];
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete object[key];
+    }
+  });
+  return object;
+}
+
+/**
+ * Build the common properties shared by Recipe and Article objects
+ * @param {Object} options - { image, author, datePublished, dateModified }
+ * @returns {Object} Schema properties
+ */
+function commonProperties(options) {
+  return {
+    image: options.image || null,
+    author: options.author ? { '@type': 'Person', name: options.author } : null,
+    datePublished: options.datePublished ? new Date(options.datePublished).toISOString() : null,
+    dateModified: options.dateModified ? new Date(options.dateModified).toISOString() : null
+  };
+}
+
+/**
+ * Build a schema.org Recipe object from extracted recipe data
+ * @param {Object} recipeData - Extracted recipe data
+ * @param {Object} article - Article with title and content
+ * @param {Object} options - { image, author, datePublished, dateModified }
+ * @returns {Object} Recipe JSON-LD
+ */
+function buildRecipeSchema(recipeData, article, options = {}) {
+  const details = recipeData.Details || {};
+
+  const nutrition = { '@type': 'NutritionInformation' };
+  Object.entries(NUTRITION_PROPERTIES).forEach(([field, property]) => {
+    const value = recipeData.Nutrition && recipeData.Nutrition[field];
+    if (value) {
+      nutrition[property] = property === 'calories' && /^\d+$/.test(value) ? `${value} calories` : String(value);
+    }
+  });
+
+  const diet = SCHEMA_DIETS[String(details.Diet || '').toLowerCase()];
+
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: String(article.title || ''),
+    description: stripTags(recipeData.Description) || firstParagraph(article.content),
+    ...commonProperties(options),
+    prepTime: toIsoDuration(details['Prep Time']),
+    cookTime: toIsoDuration(details['Cook Time']),
+    totalTime: toIsoDuration(details['Total Time']),
+    recipeYield: details.Yield || null,
+    recipeCategory: details.Category || null,
+    recipeCuisine: details.Cuisine || null,
+    cookingMethod: details.Method || null,
+    suitableForDiet: diet ? `https://schema.org/${diet}` : null,
+    keywords: recipeData.Keywords || null,
+    recipeIngredient: listItems(recipeData.Ingredients),
+    recipeInstructions: listItems(recipeData.Instructions).map((text, index) => ({
+      '@type': 'HowToStep',
+      position: index + 1,
+      text
+    })),
+    nutrition: Object.keys(nutrition).length > 1 ? nutrition : null
+  });
+}
+
+/**
+ * Build a schema.org Article object
+ * @param {Object} article - Article with title and content
+ * @param {string} keyword - Article keyword
+ * @param {Object} options - { image, author, datePublished, dateModified }
+ * @returns {Object} Article JSON-LD
+ */
+function buildArticleSchema(article, keyword, options = {}) {
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'Article',
+    headline: String(article.title || ''),
+    description: firstParagraph(article.content),
+    ...commonProperties(options),
+    keywords: keyword || null,
+    wordCount: article.wordCount || stripTags(article.content).split(' ').filter(Boolean).length
+  });
+}
+
+/**
+ * Build a schema.org FAQPage object from the article's FAQ section: a heading
+ * mentioning "FAQ" or "Frequently Asked Questions", followed by one H3/H4
+ * question heading per question with the answer below it.
+ * @param {string} content - Article HTML
+ * @returns {Object|null} FAQPage JSON-LD, or null if the article has no FAQ
+ */
+function buildFaqSchema(content) {
+  const section = String(content || '').match(/<h2[^>]*>[^<]*(?:FAQ|Frequently Asked Questions)[^<]*<\/h2>([\s\S]*?)(?=<h2|$)/i);
+  if (!section) return null;
+
+  const questions = [];
+  const pattern = /<h[34][^>]*>([\s\S]*?)<\/h[34]>([\s\S]*?)(?=<h[34]|$)/gi;
+  let match;
+
+  while ((match = pattern.exec(section[1])) !== null) {
+    const question = stripTags(match[1]);
+    const answer = stripTags(match[2]);
+    if (question && answer) {
+      questions.push({
+        '@type': 'Question',
+        name: question,
+        acceptedAnswer: { '@type': 'Answer', text: answer }
+      });
+    }
+  }
+
+  return questions.length > 0
+    ? { '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: questions }
+    : null;
+}
+
+/**
+ * Build all JSON-LD objects for an article: a Recipe when recipe data was
+ * extracted (unless a recipe card plugin already outputs it), an Article
+ * otherwise, plus a FAQPage when the article has an FAQ section.
+ * @param {Object} article - Article with title, content and optionally recipeData
+ * @param {string} keyword - Article keyword
+ * @param {Object} options - { image, author, datePublished, dateModified, skipRecipe }
+ * @returns {Object[]} JSON-LD objects
+ */
+function buildStructuredData(article, keyword, options = {}) {
+  const schemas = [];
+
+  if (article.recipeData && !options.skipRecipe) {
+    schemas.push(buildRecipeSchema(article.recipeData, article, options));
+  } else if (!article.recipeData) {
+    schemas.push(buildArticleSchema(article, keyword, options));
+  }
+
+  const faq = buildFaqSchema(article.content);
+  if (faq) {
+    schemas.push(faq);
+  }
+
+  return schemas;
+}
+
+/**
+ * Check JSON-LD objects for missing required and recommended properties
+ * @param {Object[]} schemas - JSON-LD objects
+ * @returns {Object[]} One report per object: { type, valid, missing, recommended, problems }
+ */
+function validateStructuredData(schemas) {
+  const isEmpty = value => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+  return schemas.map(schema => {
+    const type = schema['@type'];
+    const problems = [];
+
+    if (type === 'FAQPage') {
+      (schema.mainEntity || []).forEach((question, index) => {
+        if (!question.name) problems.push(`Question ${index + 1} has no text`);
+        if (!question.acceptedAnswer || !question.acceptedAnswer.text) problems.push(`Question ${index + 1} has no answer`);
+      });
+    }
+    if (type === 'Article' && schema.headline && schema.headline.length > 110) {
+      problems.push('headline is longer than 110 characters');
+    }
+    if (type === 'Recipe' && schema.recipeInstructions && schema.recipeInstructions.some(step => !step.text)) {
+      problems.push('recipeInstructions has empty steps');
+    }
+
+    const missing = (REQUIRED_PROPERTIES[type] || []).filter(property => isEmpty(schema[property]));
+    return {
+      type,
+      valid: missing.length === 0 && problems.length === 0,
+      missing,
+      recommended: (RECOMMENDED_PROPERTIES[type] || []).filter(property => isEmpty(schema[property])),
+      problems
+    };
+  });
+}
+
+/**
+ * Wrap JSON-LD objects in a Gutenberg HTML block with a script tag
+ * @param {Object[]} schemas - JSON-LD objects
+ * @returns {string} Block markup ('' if there is nothing to add)
+ */
+function toScriptBlock(schemas) {
+  if (schemas.length === 0) return '';
+
+  // "</" inside a string would end the script tag early
+  const json = JSON.stringify(schemas.length === 1 ? schemas[0] : schemas).replace(/<\//g, '<\\/');
+  return `\n\n<!-- wp:html --><script type="application/ld+json">${json}</script><!-- /wp:html -->`;
+}
+
+/**
+ * Remove JSON-LD blocks added by an earlier publish, so republishing
+ * content fetched from WordPress does not duplicate them
+ * @param {string} content - Article HTML
+ * @returns {string} Content without JSON-LD script blocks
+ */
+function stripScriptBlocks(content) {
+  return String(content || '')
+    .replace(/\s*(?:<!-- wp:html -->)?<script type="application\/ld\+json">[\s\S]*?<\/script>(?:<!-- \/wp:html -->)?/gi, '');
+}
+
+module.exports = {
+  JSON_LD_META_KEY,
+  toIsoDuration,
+  buildStructuredData,
+  validateStructuredData,
+  toScriptBlock,
+  stripScriptBlocks
+};
@@ -0,0 +1,358 @@
+// src/taxonomy.js
+//
+// This module assigns categories, tags and an author to a post:
+// - The keyword row's Category, Tags and Author columns (also editable on the
+//   preview page) hold names, several separated by commas
+// - Names are looked up in the site's /categories, /tags and /users; missing
+//   categories and tags are created. Names listed in the site's category
+//   mapping keep using the mapped IDs.
+// - The model can suggest categories and tags from the ones the site already has
+//
+// The resolved IDs are stored back on the keyword row (Category IDs, Tag IDs
+// and Author ID), so the sheet shows where each post ended up.
+
+const { config } = require('./config');
+const sites = require('./sites');
+const repository = require('./repository');
+const { wordpressRequest } = require('./wordpress');
+const { createClient } = require('./llm-providers');
+const { createUsage, trackUsage, priceUsage, recordUsage } = require('./usage');
+
+// Term lists are cached per site for a few minutes, so a batch does not
+// download them again for every keyword
+const TERM_CACHE_MS = 5 * 60 * 1000;
+const termCache = new Map();
+
+// WordPress returns at most 100 items per page
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;
+
+// Most terms listed in the suggestion prompt, per taxonomy
+const MAX_PROMPT_TERMS = 300;
+
+// JSON schema of the suggestion the model returns (the function parameters)
+const SUGGESTION_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['categories', 'tags'],
+  properties: {
+    categories: { type: 'array', items: { type: 'string' }, description: 'One or two categories from the list' },
+    tags: { type: 'array', items: { type: 'string' }, description: 'Tags from the list' }
+  }
+};
+
+/**
+ * Split a comma-separated list of names
+ * @param {string|string[]} value - Names
+ * @returns {string[]} Trimmed names without duplicates (case-insensitive)
+ */
+function splitNames(value) {
+  const names = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+
+  return names.map(name => String(name).trim()).filter(name => {
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Decode the HTML entities WordPress uses in term names ("Soups &amp; Stews")
+ * @param {string} text - Term name
+ * @returns {string} Plain text
+ */
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Turn a name into the slug WordPress would give it
+ * @param {string} name - Name
+ * @returns {string} Slug
+ */
+function toSlug(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Find a term or user by name, slug or numeric ID
+ * @param {Object[]} items - Terms or users ({ id, name, slug })
+ * @param {string} name - Name to look for
+ * @returns {Object|null} Matching item
+ */
+function findByName(items, name) {
+  const wanted = name.toLowerCase();
+  const slug = toSlug(name);
+
+  return items.find(item => decodeEntities(item.name).toLowerCase() === wanted) ||
+    items.find(item => item.slug === slug) ||
+    (/^\d+$/.test(name) ? items.find(item => item.id === parseInt(name)) : null) ||
+    null;
+}
+
+/**
+ * List the categories or tags of a site (cached for a few minutes)
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {Object} options - Optional { log, refresh }: refresh skips the cache
+ * @returns {Promise<Object[]>} Terms as { id, name, slug }
+ */
+async function listTerms(wpConfig, taxonomy, options = {}) {
+  const cacheKey = `${wpConfig.apiUrl}|${taxonomy}`;
+  const cached = termCache.get(cacheKey);
+  if (cached && !options.refresh && Date.now() - cached.loadedAt < TERM_CACHE_MS) {
+    return cached.terms;
+  }
+
+  const terms = [];
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    let batch;
+    try {
+      batch = await wordpressRequest(
+        wpConfig,
+        'GET',
+        `/${taxonomy}?per_page=${PAGE_SIZE}&page=${page}&_fields=id,name,slug`,
+        null,
+        options
+      );
+    } catch (error) {
+      // WordPress answers a page past the end with 400 when the total is a multiple of the page size
+      if (page > 1 && error.status === 400) break;
+      throw error;
+    }
+
+    terms.push(...batch.map(term => ({ id: term.id, name: decodeEntities(term.name), slug: term.slug })));
+    if (batch.length < PAGE_SIZE) break;
+  }
+
+  termCache.set(cacheKey, { terms, loadedAt: Date.now() });
+  return terms;
+}
+
+/**
+ * Get the IDs of categories or tags by name, creating the missing ones
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {string} taxonomy - 'categories' or 'tags'
+ * @param {string[]} names - Term names
+ * @param {Object} options - Optional { log }
+ * @returns {Promise<Object>} { ids, created, warnings }
+ */
+async function resolveTerms(wpConfig, taxonomy, names, options = {}) {
+  const result = { ids: [], created: [], warnings: [] };
+  if (names.length === 0) return result;
+
+  const label = taxonomy === 'categories' ? 'category' : 'tag';
+  const terms = await listTerms(wpConfig, taxonomy, options);
+
+  for (const name of names) {
+    const existing = findByName(terms, name);
+    if (existing) {
+      result.ids.push(existing.id);
+      continue;
+    }
+
+    try {
+      const term = await wordpressRequest(wpConfig, 'POST', `/${taxonomy}`, { name }, options);
+      terms.push({ id: term.id, name: decodeEntities(term.name), slug: term.slug });
+      result.ids.push(term.id);
+      result.created.push(name);
+    } catch (error) {
+      // Another request created the term in the meantime
+      const termId = error.body && error.body.code === 'term_exists' && error.body.data && error.body.data.term_id;
+      if (termId) {
+        termCache.delete(`${wpConfig.apiUrl}|${taxonomy}`);
+        result.ids.push(termId);
+      } else {
+        result.warnings.push(`Could not create the ${label} "${name}": ${error.message}`);
+      }
+    }
+  }
+
+  result.ids = [...new Set(result.ids)];
+  return result;
+}
+
+/**
+ * Get the ID of a WordPress user by name, slug or ID
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {string} name - Author name
+ * @param {Object} options - Optional { log }
+ * @returns {Promise<Object>} { id, name, warning }; id is null if not found
+ */
+async function resolveAuthor(wpConfig, name, options = {}) {
+  if (!name) return { id: null, name: null, warning: null };
+
+  const route = /^\d+$/.test(name)
+    ? `/users?include=${name}&_fields=id,name,slug`
+    : `/users?search=${encodeURIComponent(name)}&per_page=${PAGE_SIZE}&_fields=id,name,slug`;
+
+  try {
+    const users = await wordpressRequest(wpConfig, 'GET', route, null, options);
+    const user = findByName(users, name) || (users.length === 1 ? users[0] : null);
+    if (user) {
+      return { id: user.id, name: decodeEntities(user.name), warning: null };
+    }
+    return { id: null, name: null, warning: `Author "${name}" was not found on the site; the post keeps the default author` };
+  } catch (error) {
+    return { id: null, name: null, warning: `Could not look up the author "${name}": ${error.message}` };
+  }
+}
+
+/**
+ * Ask the model for categories and tags that fit an article, chosen from
+ * the ones the site already has
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {Object} article - { keyword, title, content }
+ * @param {Object} options - Optional { log, maxTags }
+ * @returns {Promise<Object>} { categories, tags, usage } with names as the site spells them
+ */
+async function suggestTaxonomy(wpConfig, article, options = {}) {
+  const maxTags = options.maxTags || config.taxonomy.maxTags;
+  const [categories, tags] = await Promise.all([
+    listTerms(wpConfig, 'categories', options),
+    listTerms(wpConfig, 'tags', options)
+  ]);
+
+  // WordPress always has "Uncategorized"; it is never a useful suggestion
+  const choices = categories.filter(term => term.slug !== 'uncategorized');
+  if (choices.length === 0 && tags.length === 0) {
+    throw new Error('The site has no categories or tags to choose from');
+  }
+
+  const usage = createUsage(config.openai);
+  const openai = trackUsage(createClient(config.openai, { log: options.log }), usage);
+  const text = String(article.content || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  const termList = terms => terms.slice(0, MAX_PROMPT_TERMS).map(term => term.name).join(', ') || '(none)';
+
+  const response = await openai.chat.completions.create({
+    model: config.openai.model,
+    messages: [
+      {
+        role: 'system',
+        content: 'You file blog articles. Only choose categories and tags from the lists you are given; ' +
+          'return empty lists if nothing fits.'
+      },
+      {
+        role: 'user',
+        content: `Categories: ${termList(choices)}\nTags: ${termList(tags)}\n\n` +
+          `Choose one or two categories and up to ${maxTags} tags for this article.\n\n` +
+          `Keyword: ${article.keyword}\nTitle: ${article.title || article.keyword}\n\n${text.substring(0, 4000)}`
+      }
+    ],
+    tools: [{
+      type: 'function',
+      function: {
+        name: 'suggest_terms',
+        description: 'Save the categories and tags for the article',
+        parameters: SUGGESTION_SCHEMA
+      }
+    }],
+    tool_choice: { type: 'function', function: { name: 'suggest_terms' } },
+    temperature: 0
+  });
+
+  const toolCalls = response.choices[0].message.tool_calls || [];
+  let suggestion = {};
+  try {
+    suggestion = toolCalls.length > 0 ? JSON.parse(toolCalls[0].function.arguments) : {};
+  } catch (error) {
+    throw new Error(`The model returned invalid JSON: ${error.message}`);
+  }
+
+  // Keep only names the site has, spelled the way the site spells them
+  const pick = (names, terms) => splitNames(Array.isArray(names) ? names : [])
+    .map(name => findByName(terms, name))
+    .filter(Boolean)
+    .map(term => term.name);
+
+  return {
+    categories: pick(suggestion.categories, choices).slice(0, 2),
+    tags: pick(suggestion.tags, tags).slice(0, maxTags),
+    usage: priceUsage(usage)
+  };
+}
+
+/**
+ * Resolve a keyword row's categories, tags and author for publishing, store
+ * the IDs on the row and add them to the article. With `suggest`, a row
+ * without categories and tags first gets them from the model.
+ * @param {Object} keywordRow - Keyword row
+ * @param {Object} site - Site the article is published to
+ * @param {Object} article - Article being published; gets `categories`,
+ *   `tags`, `author` and `authorName`
+ * @param {Object} options - Optional { suggest, userId, log }
+ * @returns {Promise<string[]>} Warnings (terms that could not be created, unknown author, ...)
+ */
+async function assignTaxonomy(keywordRow, site, article, options = {}) {
+  const wpConfig = sites.getWordPressConfig(site);
+  const log = options.log || console.log;
+  const warnings = [];
+  let row = keywordRow;
+
+  if (options.suggest && !row.Category && !row.Tags) {
+    try {
+      const suggestion = await suggestTaxonomy(wpConfig, {
+        keyword: row[config.app.keywordColumn],
+        title: article.title,
+        content: article.content
+      }, options);
+      recordUsage(suggestion.usage, { userId: options.userId, keywordId: row.id, siteId: site.id, purpose: 'taxonomy' });
+
+      row = repository.updateKeyword(row.id, {
+        Category: suggestion.categories.join(', '),
+        Tags: suggestion.tags.join(', ')
+      });
+      log(`Suggested categories: ${suggestion.categories.join(', ') || 'none'}; tags: ${suggestion.tags.join(', ') || 'none'}`);
+    } catch (error) {
+      warnings.push(`No category and tag suggestions: ${error.message}`);
+    }
+  }
+
+  // Names in the site's category mapping use the mapped IDs
+  const mapped = Object.keys(site.categoryMapping || {}).map(name => name.toLowerCase());
+  const categoryNames = splitNames(row.Category).filter(name => !mapped.includes(name.toLowerCase()));
+
+  const categories = await resolveTerms(wpConfig, 'categories', categoryNames, { log });
+  const tags = await resolveTerms(wpConfig, 'tags', splitNames(row.Tags), { log });
+  const author = await resolveAuthor(wpConfig, String(row.Author || '').trim(), { log });
+
+  const categoryIds = [...new Set(sites.mapCategories(site, row).concat(categories.ids))];
+  categories.created.concat(tags.created).forEach(name => log(`Created "${name}" on ${site.name}`));
+  warnings.push(...categories.warnings, ...tags.warnings);
+  if (author.warning) warnings.push(author.warning);
+
+  repository.updateKeyword(row.id, {
+    'Category IDs': categoryIds.join(', '),
+    'Tag IDs': tags.ids.join(', '),
+    'Author ID': author.id || ''
+  });
+
+  Object.assign(article, {
+    categories: categoryIds,
+    tags: tags.ids,
+    author: author.id,
+    authorName: author.name
+  });
+  return warnings;
+}
+
+module.exports = {
+  splitNames,
+  listTerms,
+  resolveTerms,
+  resolveAuthor,
+  suggestTaxonomy,
+  assignTaxonomy
+};
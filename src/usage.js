@@ -0,0 +1,251 @@
+// src/usage.js
+//
+// This module records AI token usage and what it costs:
+// - A tracker wraps the chat client and adds up the usage of every call
+//   made while generating an article
+// - Costs come from the price table in the settings (USD per million tokens)
+// - Usage rows are stored in the datastore `usage` table; they feed the admin
+//   usage report (by employee, site and month) and the monthly user budgets
+
+const store = require('./datastore');
+const { config } = require('./config');
+
+/**
+ * Start a usage record for one generation
+ * @param {Object} llmConfig - Generation settings (provider and model)
+ * @returns {Object} Usage with zero tokens
+ */
+function createUsage(llmConfig) {
+  return {
+    provider: llmConfig.provider || 'openai',
+    model: llmConfig.model,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    calls: 0
+  };
+}
+
+/**
+ * Wrap a chat client so the token usage of every call is added to `usage`
+ * @param {Object} client - Client with the OpenAI chat interface
+ * @param {Object} usage - Usage record from createUsage
+ * @returns {Object} Client with the same interface
+ */
+function trackUsage(client, usage) {
+  return {
+    ...client,
+    chat: {
+      completions: {
+        create: async (params, options) => {
+          const response = await client.chat.completions.create(params, options);
+          const counts = (response && response.usage) || {};
+
+          usage.promptTokens += counts.prompt_tokens || 0;
+          usage.completionTokens += counts.completion_tokens || 0;
+          usage.totalTokens = usage.promptTokens + usage.completionTokens;
+          usage.calls++;
+          return response;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Find the price of a model. Dated model versions ("gpt-4o-2024-08-06")
+ * use the price of the longest matching model name.
+ * @param {string} model - Model ID
+ * @param {Object} prices - { model: { input, output } } in USD per million tokens
+ * @returns {Object|null} { input, output } or null if the model has no price
+ */
+function findPrice(model, prices) {
+  const table = prices || {};
+  if (table[model]) return table[model];
+
+  const prefix = Object.keys(table)
+    .filter(name => String(model || '').startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Add the cost to a usage record
+ * @param {Object} usage - Usage record
+ * @param {Object} prices - Price table (defaults to the configured one)
+ * @returns {Object} Usage with `cost` (USD) and `priced` (false if the model has no price)
+ */
+function priceUsage(usage, prices = config.usage.prices) {
+  const price = findPrice(usage.model, prices);
+  const cost = price
+    ? (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000000
+    : 0;
+
+  return {
+    ...usage,
+    cost: Math.round(cost * 1000000) / 1000000,
+    priced: !!price
+  };
+}
+
+/**
+ * Get the month key ("2024-05") of a date
+ * @param {Date|string} date - Date
+ * @returns {string} Month key
+ */
+function monthKey(date = new Date()) {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Store the usage of a generation
+ * @param {Object} usage - Priced usage (see priceUsage)
+ * @param {Object} context - { userId, keywordId, siteId, articleId, purpose }
+ * @returns {Object|null} The usage row, or null if no tokens were used
+ */
+function recordUsage(usage, context = {}) {
+  if (!usage || usage.calls === 0) return null;
+
+  const priced = usage.cost === undefined ? priceUsage(usage) : usage;
+  const now = new Date();
+
+  return store.insert('usage', {
+    userId: context.userId || null,
+    keywordId: context.keywordId || null,
+    siteId: context.siteId || null,
+    articleId: context.articleId || null,
+    purpose: context.purpose || 'generate',
+    provider: priced.provider,
+    model: priced.model,
+    promptTokens: priced.promptTokens,
+    completionTokens: priced.completionTokens,
+    totalTokens: priced.totalTokens,
+    calls: priced.calls,
+    cost: priced.cost,
+    priced: priced.priced,
+    month: monthKey(now),
+    createdAt: now.toISOString()
+  });
+}
+
+/**
+ * Get what a user has spent in a month
+ * @param {string} userId - User ID
+ * @param {string} month - Month key (defaults to the current month)
+ * @returns {number} Cost in USD
+ */
+function getMonthlySpend(userId, month = monthKey()) {
+  return store.find('usage', row => row.userId === userId && row.month === month)
+    .reduce((total, row) => total + row.cost, 0);
+}
+
+/**
+ * Check a user's spending this month against their monthly budget
+ * @param {Object|null} user - User (budget in `monthlyBudget`, USD; empty for no limit)
+ * @returns {Object} { budget, spent, remaining, exceeded }
+ */
+function getBudgetStatus(user) {
+  const budget = user && parseFloat(user.monthlyBudget) > 0 ? parseFloat(user.monthlyBudget) : null;
+  const spent = user ? getMonthlySpend(user.id) : 0;
+
+  return {
+    budget,
+    spent,
+    remaining: budget === null ? null : Math.max(budget - spent, 0),
+    exceeded: budget !== null && spent >= budget
+  };
+}
+
+/**
+ * Add up usage rows by a key
+ * @param {Object[]} rows - Usage rows
+ * @param {Function} keyOf - row => group key
+ * @returns {Object[]} [{ key, calls, promptTokens, completionTokens, totalTokens, cost, articles }]
+ */
+function summarize(rows, keyOf) {
+  const groups = {};
+
+  rows.forEach(row => {
+    const key = keyOf(row) || '';
+    if (!groups[key]) {
+      groups[key] = { key, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, articles: 0 };
+    }
+    const group = groups[key];
+    group.calls += row.calls;
+    group.promptTokens += row.promptTokens;
+    group.completionTokens += row.completionTokens;
+    group.totalTokens += row.totalTokens;
+    group.cost += row.cost;
+    group.articles++;
+  });
+
+  return Object.values(groups).sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+}
+
+/**
+ * Build the usage report for a month
+ * @param {string} month - Month key (defaults to the current month)
+ * @returns {Object} { month, totals, byUser, bySite, byModel, byMonth, unpricedModels }
+ */
+function getUsageReport(month = monthKey()) {
+  const rows = store.all('usage');
+  const monthRows = rows.filter(row => row.month === month);
+  const totals = summarize(monthRows, () => 'total')[0] ||
+    { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, articles: 0 };
+
+  return {
+    month,
+    totals,
+    byUser: summarize(monthRows, row => row.userId),
+    bySite: summarize(monthRows, row => row.siteId),
+    byModel: summarize(monthRows, row => row.model),
+    byMonth: summarize(rows, row => row.month).sort((a, b) => b.key.localeCompare(a.key)).slice(0, 12),
+    unpricedModels: [...new Set(monthRows.filter(row => !row.priced).map(row => row.model))]
+  };
+}
+
+/**
+ * Parse a price table written as one "model = input, output" entry per line
+ * @param {string} text - Price table text (USD per million tokens)
+ * @returns {Object} { model: { input, output } }
+ */
+function parsePriceTable(text) {
+  const prices = {};
+
+  String(text || '').split('\n').forEach(line => {
+    const [model, values] = line.split('=');
+    if (!model || !values || !model.trim()) return;
+
+    const [input, output] = values.split(',').map(value => parseFloat(value));
+    if (input >= 0 && output >= 0) {
+      prices[model.trim()] = { input, output };
+    }
+  });
+
+  return prices;
+}
+
+/**
+ * Format a price table for editing in a textarea
+ * @param {Object} prices - { model: { input, output } }
+ * @returns {string} One "model = input, output" entry per line
+ */
+function formatPriceTable(prices) {
+  return Object.entries(prices || {})
+    .map(([model, price]) => `${model} = ${price.input}, ${price.output}`)
+    .join('\n');
+}
+
+module.exports = {
+  createUsage,
+  trackUsage,
+  priceUsage,
+  monthKey,
+  recordUsage,
+  getMonthlySpend,
+  getBudgetStatus,
+  getUsageReport,
+  parsePriceTable,
+  formatPriceTable
+};
@@ -1,9 +1,15 @@
 // src/wordpress.js
 //
-// This module handles WordPress API interactions without using axios
+// This module handles WordPress API interactions without using axios.
+// Requests are retried after rate limits and temporary failures by
+// src/resilience.js. Featured images go to the media library before the post.
 
 const https = require('https');
 const url = require('url');
+const { getRecipePlugin } = require('./recipe-plugins');
+const structuredData = require('./structured-data');
+const { buildSeoMeta } = require('./seo');
+const { withRetry } = require('./resilience');
 
 /**
  * Test the WordPress API connection
@@ -93,6 +99,187 @@ async function testAuthentication(wpConfig) {
   });
 }
 
+/**
+ * Send a JSON request to the WordPress REST API, retrying it after rate
+ * limits, server errors and dropped connections. A POST to a collection
+ * (e.g. '/posts', '/media') creates an item, so it is only retried when it
+ * did not reach the site or was rate limited; a POST to an item ('/media/12')
+ * updates it and is retried like the other methods.
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {string} method - HTTP method
+ * @param {string} route - Route below the API URL, e.g. '/posts'
+ * @param {Object|Buffer|null} body - JSON body, or file contents for uploads
+ * @param {Object} options - Optional { log, headers }: where to report failed
+ *   attempts (e.g. the job log) and extra headers (the file type of uploads)
+ * @returns {Object} Parsed response
+ */
+async function wordpressRequest(wpConfig, method, route, body = null, options = {}) {
+  return withRetry(() => sendWordPressRequest(wpConfig, method, route, body, options.headers), {
+    bucket: `wordpress:${url.parse(wpConfig.apiUrl).hostname}`,
+    label: `WordPress ${method} ${route}`,
+    log: options.log,
+    create: method === 'POST' && !/\/\d+$/.test(route)
+  });
+}
+
+/**
+ * Send a single JSON request to the WordPress REST API using native https.
+ * Errors carry the response `status` and `headers` so they can be retried,
+ * and the parsed error `body` (WordPress error code and data).
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {string} method - HTTP method
+ * @param {string} route - Route below the API URL
+ * @param {Object|Buffer|null} body - JSON body or file contents
+ * @param {Object} headers - Extra headers
+ * @returns {Object} Parsed response
+ */
+function sendWordPressRequest(wpConfig, method, route, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    try {
+      const parsedUrl = url.parse(wpConfig.apiUrl);
+      const encodedAuth = Buffer.from(`${wpConfig.username}:${wpConfig.password}`).toString('base64');
+      const bodyString = Buffer.isBuffer(body) ? body : (body ? JSON.stringify(body) : '');
+      
+      const options = {
+        hostname: parsedUrl.hostname,
+        port: parsedUrl.port || 443,
+        path: `${parsedUrl.pathname}${route}`,
+        method,
+        headers: {
+          'Authorization': `Basic ${encodedAuth}`,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(bodyString),
+          ...headers
+        },
+        rejectUnauthorized: false // Allow self-signed certificates
+      };
+      
+      const req = https.request(options, (res) => {
+        let data = '';
+        
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        
+        res.on('end', () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            let errorBody = null;
+            try {
+              errorBody = JSON.parse(data);
+            } catch (parseError) {
+              // Not a JSON error response
+            }
+            const message = (errorBody && errorBody.message) || '';
+            const error = new Error(`${method} ${route} failed with status ${res.statusCode}${message ? ` (${message})` : ''}`);
+            error.status = res.statusCode;
+            error.headers = res.headers;
+            error.body = errorBody;
+            return reject(error);
+          }
+          
+          try {
+            resolve(data ? JSON.parse(data) : {});
+          } catch (error) {
+            reject(new Error(`Invalid response from ${route}: ${error.message}`));
+          }
+        });
+      });
+      
+      req.on('error', reject);
+      
+      if (bodyString) {
+        req.write(bodyString);
+      }
+      req.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Create the recipe card for an article in the site's recipe plugin, or
+ * update the card created when the post was first published.
+ * A failure does not stop the article from being published: the recipe is
+ * still part of the article text, it just has no recipe card.
+ * @param {Object} wpConfig - WordPress configuration (with `recipePlugin`)
+ * @param {Object} article - Article with title and recipeData
+ * @param {Object} options - Optional { log, recipeId }: see wordpressRequest,
+ *   and the existing recipe card to update
+ * @returns {Object|null} { recipeId, embed } or { error }, or null if no card is needed
+ */
+async function createRecipeCard(wpConfig, article, options = {}) {
+  const plugin = getRecipePlugin(wpConfig.recipePlugin);
+  if (!plugin || !article.recipeData) return null;
+  
+  const body = plugin.buildRecipe(article.recipeData, String(article.title));
+  
+  if (options.recipeId) {
+    try {
+      console.log(`Updating ${plugin.name} recipe card ${options.recipeId} for "${article.title}"`);
+      await wordpressRequest(wpConfig, 'PATCH', `/${plugin.route}/${options.recipeId}`, body, options);
+      return { recipeId: options.recipeId, embed: plugin.embed(options.recipeId) };
+    } catch (error) {
+      // A card deleted in WordPress is created again
+      if (error.status !== 404) {
+        console.warn(`Could not update the ${plugin.name} recipe card: ${error.message}`);
+        return { recipeId: options.recipeId, embed: plugin.embed(options.recipeId), error: `${plugin.name} recipe card not updated: ${error.message}` };
+      }
+    }
+  }
+  
+  try {
+    console.log(`Creating ${plugin.name} recipe card for "${article.title}"`);
+    const recipe = await wordpressRequest(wpConfig, 'POST', `/${plugin.route}`, body, options);
+    
+    console.log(`✓ ${plugin.name} recipe created (ID: ${recipe.id})`);
+    return { recipeId: recipe.id, embed: plugin.embed(recipe.id) };
+  } catch (error) {
+    console.warn(`Could not create the ${plugin.name} recipe card: ${error.message}`);
+    return { error: `${plugin.name} recipe card not created: ${error.message}` };
+  }
+}
+
+/**
+ * Upload the featured image of an article to the media library, with its
+ * alt text. An image already uploaded to the same site is reused. Like the
+ * recipe card, a failure does not stop the article from being published.
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {Object|null} image - Image row with its file in `data` (see images.loadForPublishing)
+ * @param {Object} options - Optional { log } (see wordpressRequest)
+ * @returns {Object|null} { mediaId, mediaUrl } or { error }, or null without an image
+ */
+async function uploadFeaturedImage(wpConfig, image, options = {}) {
+  if (!image || !image.data) return null;
+  
+  if (image.mediaId && image.mediaApiUrl === wpConfig.apiUrl) {
+    return { mediaId: image.mediaId, mediaUrl: image.mediaUrl };
+  }
+  
+  try {
+    console.log(`Uploading featured image ${image.uploadName} (${image.data.length} bytes)`);
+    const media = await wordpressRequest(wpConfig, 'POST', '/media', image.data, {
+      ...options,
+      headers: {
+        'Content-Type': image.mimeType,
+        'Content-Disposition': `attachment; filename="${image.uploadName}"`
+      }
+    });
+    
+    // The upload endpoint only takes the file; the alt text is set afterwards
+    await wordpressRequest(wpConfig, 'POST', `/media/${media.id}`, {
+      alt_text: image.altText,
+      title: image.altText
+    }, options);
+    
+    console.log(`✓ Featured image uploaded (media ID: ${media.id})`);
+    return { mediaId: media.id, mediaUrl: media.source_url || null };
+  } catch (error) {
+    console.warn(`Could not upload the featured image: ${error.message}`);
+    return { error: `Featured image not set: ${error.message}` };
+  }
+}
+
 /**
  * Format HTML content for WordPress Gutenberg blocks
  * @param {string} content - HTML content
@@ -154,133 +341,257 @@ function htmlToText(html) {
   return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
 }
 
+/**
+ * Parse a scheduled publication date from a keyword row or form field.
+ * Accepts Date objects, Excel date serial numbers and strings such as
+ * "2025-03-14 09:30" or ISO timestamps. Times without an offset are read
+ * in the server's time zone.
+ * @param {Date|number|string} value - Scheduled date value
+ * @returns {Date|null} Parsed date or null if empty/invalid
+ */
+function parseScheduledDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  // Excel stores dates as days since 1899-12-30 (fractions are the time of day)
+  if (typeof value === 'number') {
+    const wholeDays = Math.floor(value);
+    const date = new Date(1899, 11, 30 + wholeDays);
+    date.setMinutes(Math.round((value - wholeDays) * 24 * 60));
+    return date;
+  }
+
+  // "YYYY-MM-DD HH:mm" is not a format Date parses reliably
+  const text = String(value).trim().replace(/^(\d{4}-\d{2}-\d{2})\s+(\d{1,2}:\d{2})/, '$1T$2');
+  // A bare date would be read as UTC midnight; treat it as local midnight
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00`) : new Date(text);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a date as a local "YYYY-MM-DD HH:mm" string
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatLocalDateTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Build the `date` and `date_gmt` fields WordPress expects for a post.
+ * `date` carries an explicit UTC offset so WordPress converts it to the
+ * site's time zone correctly even if that differs from the server's.
+ * @param {Date} date - Publication date
+ * @returns {Object} { date, date_gmt }
+ */
+function formatWordPressDate(date) {
+  const pad = value => String(Math.abs(value)).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const local = `${formatLocalDateTime(date).replace(' ', 'T')}:00`;
+
+  return {
+    date: `${local}${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`,
+    date_gmt: date.toISOString().split('.')[0]
+  };
+}
+
 /**
  * Publish article to WordPress using native https
- * @param {Object} wpConfig - WordPress configuration
- * @param {Object} article - Article with title and content
+ * @param {Object} wpConfig - WordPress configuration; `recipePlugin` selects the
+ *   recipe card plugin used for `article.recipeData`, `structuredData`
+ *   how JSON-LD is added ('script', 'meta' or 'off') and `seoPlugin` the
+ *   plugin `article.seo` is written to
+ * @param {Object} article - Article with title and content, and optionally
+ *   `categories` and `tags` (term IDs), `author` (user ID) and `authorName`
+ *   (see taxonomy.assignTaxonomy), `seo` (see seo.normalizeSeo), `recipeData`
+ *   and `featuredImage` (see images.loadForPublishing)
  * @param {string} keyword - Keyword for the article
  * @param {string} status - 'draft' or 'publish'
- * @returns {Object} WordPress API response
+ * @param {Date|number|string|null} scheduledDate - Future publication date; the
+ *   post is sent as `status: 'future'` so WordPress publishes it at that time
+ * @param {Object} options - Optional:
+ *   - log: where to report retried requests (e.g. the job log)
+ *   - postId: existing post to update (PATCH) instead of creating a new one
+ *   - recipeId: recipe card of the existing post
+ *   - datePublished: when the existing post was first published (for the JSON-LD)
+ * @returns {Object} { postId, postUrl, status, publishDate, updated, recipeId,
+ *   recipeWarning, mediaId, mediaUrl, imageWarning }
  */
-async function publishToWordPress(wpConfig, article, keyword, status = 'draft') {
-  return new Promise((resolve, reject) => {
-    try {
-      // Validate article input to prevent errors
-      if (!article || typeof article !== 'object') {
-        return reject(new Error('Invalid article object provided'));
-      }
-      
-      // Ensure title is a string
-      const title = article.title ? String(article.title) : '';
-      if (!title) {
-        return reject(new Error('Article title is required'));
-      }
-      
-      // Ensure content is a string (this is crucial for the lastIndexOf error)
-      const content = article.content ? String(article.content) : '';
-      if (!content) {
-        return reject(new Error('Article content is required'));
-      }
-      
-      console.log(`Publishing article: ${title} (${status})`);
-      
-      // Parse the API URL
-      const parsedUrl = url.parse(wpConfig.apiUrl);
-      
-      // Create authentication header
-      const authString = `${wpConfig.username}:${wpConfig.password}`;
-      const encodedAuth = Buffer.from(authString).toString('base64');
-      
-      // Format content for WordPress
-      let formattedContent = "";
-      try {
-        formattedContent = formatContentForWordPress(content);
-      } catch (formatError) {
-        console.error('Error formatting content, using original:', formatError);
-        formattedContent = content;
-      }
-      
-      // Create extremely simple post data
-      const postData = {
-        title: title,
-        content: formattedContent,
-        status: status
-      };
-      
-      // Convert to string
-      const postDataString = JSON.stringify(postData);
-      
-      // Log what we're sending
-      console.log(`Posting to ${parsedUrl.hostname}${parsedUrl.pathname}/posts`);
-      console.log(`Title: ${postData.title.substring(0, 30)}...`);
-      console.log(`Status: ${postData.status}`);
-      console.log(`Content size: ${postDataString.length} characters`);
-      
-      // Set up request options
-      const options = {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port || 443,
-        path: `${parsedUrl.pathname}/posts`,
-        method: 'POST',
-        headers: {
-          'Authorization': `Basic ${encodedAuth}`,
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postDataString)
-        },
-        rejectUnauthorized: false // Allow self-signed certificates
-      };
-      
-      // Make the request
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            if (res.statusCode >= 200 && res.statusCode < 300) {
-              const responseData = JSON.parse(data);
-              console.log(`✓ Article published successfully as ${status}`);
-              console.log(`Post ID: ${responseData.id}`);
-              console.log(`Post URL: ${responseData.link}`);
-              
-              resolve({
-                postId: responseData.id,
-                postUrl: responseData.link,
-                status: 'Published',
-                publishDate: new Date().toISOString().split('T')[0]
-              });
-            } else {
-              console.error(`Failed to publish with status code: ${res.statusCode}`);
-              console.error(`Response: ${data}`);
-              reject(new Error(`Failed to publish with status ${res.statusCode}`));
-            }
-          } catch (error) {
-            console.error('Error parsing publish response:', error);
-            reject(error);
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        console.error('Publish request error:', error);
-        reject(error);
-      });
-      
-      // Write data to request body
-      req.write(postDataString);
-      req.end();
-    } catch (error) {
-      console.error('Error setting up publish request:', error);
-      reject(error);
+async function publishToWordPress(wpConfig, article, keyword, status = 'draft', scheduledDate = null, options = {}) {
+  // Validate article input to prevent errors
+  if (!article || typeof article !== 'object') {
+    throw new Error('Invalid article object provided');
+  }
+  
+  // Ensure title is a string
+  const title = article.title ? String(article.title) : '';
+  if (!title) {
+    throw new Error('Article title is required');
+  }
+  
+  // Ensure content is a string (this is crucial for the lastIndexOf error)
+  const content = article.content ? String(article.content) : '';
+  if (!content) {
+    throw new Error('Article content is required');
+  }
+  
+  // The recipe card and featured image are created first so the post can use them
+  const recipeCard = await createRecipeCard(wpConfig, article, options);
+  const media = await uploadFeaturedImage(wpConfig, article.featuredImage, options);
+  
+  // A future date turns the post into a WordPress scheduled post
+  const publishAt = parseScheduledDate(scheduledDate);
+  const isScheduled = !!publishAt && publishAt.getTime() > Date.now();
+  if (publishAt && !isScheduled) {
+    console.warn(`Scheduled date ${formatLocalDateTime(publishAt)} is in the past; ignoring it`);
+  }
+  if (isScheduled) {
+    status = 'future';
+  }
+  
+  const isUpdate = !!options.postId;
+  console.log(`${isUpdate ? `Updating post ${options.postId}` : 'Publishing article'}: ${title} (${status})`);
+  
+  // Format content for WordPress (without JSON-LD from an earlier publish)
+  let formattedContent = "";
+  try {
+    formattedContent = formatContentForWordPress(structuredData.stripScriptBlocks(content));
+  } catch (formatError) {
+    console.error('Error formatting content, using original:', formatError);
+    formattedContent = content;
+  }
+  
+  if (recipeCard && recipeCard.embed) {
+    formattedContent += recipeCard.embed;
+  }
+  
+  // JSON-LD for the post. A recipe card plugin outputs its own Recipe
+  // markup, so the Recipe object is left out when a card was created.
+  const schemas = wpConfig.structuredData === 'off' ? [] : structuredData.buildStructuredData(
+    { ...article, title, content },
+    keyword,
+    {
+      datePublished: isScheduled ? publishAt : (isUpdate && options.datePublished) || new Date(),
+      dateModified: isUpdate && !isScheduled ? new Date() : null,
+      image: media && media.mediaUrl ? media.mediaUrl : null,
+      author: article.authorName || null,
+      skipRecipe: !!(recipeCard && recipeCard.recipeId)
     }
-  });
+  );
+  if (wpConfig.structuredData !== 'meta') {
+    formattedContent += structuredData.toScriptBlock(schemas);
+  }
+  
+  // Create extremely simple post data
+  const postData = {
+    title: title,
+    content: formattedContent,
+    status: status
+  };
+  
+  if (isScheduled) {
+    Object.assign(postData, formatWordPressDate(publishAt));
+  }
+  
+  if (Array.isArray(article.categories) && article.categories.length > 0) {
+    postData.categories = article.categories;
+  }
+  
+  if (Array.isArray(article.tags) && article.tags.length > 0) {
+    postData.tags = article.tags;
+  }
+  
+  if (article.author) {
+    postData.author = article.author;
+  }
+  
+  if (media && media.mediaId) {
+    postData.featured_media = media.mediaId;
+  }
+  
+  if (article.seo) {
+    postData.slug = article.seo.slug;
+    postData.excerpt = article.seo.excerpt;
+  }
+  
+  // Post meta: the SEO plugin's fields and JSON-LD stored as meta
+  const meta = buildSeoMeta(wpConfig.seoPlugin, article.seo);
+  if (wpConfig.structuredData === 'meta' && schemas.length > 0) {
+    meta[structuredData.JSON_LD_META_KEY] = JSON.stringify(schemas);
+  }
+  if (Object.keys(meta).length > 0) {
+    postData.meta = meta;
+  }
+  
+  // Log what we're sending
+  const route = isUpdate ? `/posts/${options.postId}` : '/posts';
+  const parsedUrl = url.parse(wpConfig.apiUrl);
+  console.log(`${isUpdate ? 'Patching' : 'Posting to'} ${parsedUrl.hostname}${parsedUrl.pathname}${route}`);
+  console.log(`Title: ${postData.title.substring(0, 30)}...`);
+  console.log(`Status: ${postData.status}`);
+  console.log(`Content size: ${JSON.stringify(postData).length} characters`);
+  
+  try {
+    const responseData = await wordpressRequest(wpConfig, isUpdate ? 'PATCH' : 'POST', route, postData, options);
+    console.log(`✓ Article ${isUpdate ? 'updated' : 'published'} successfully as ${status}`);
+    console.log(`Post ID: ${responseData.id}`);
+    console.log(`Post URL: ${responseData.link}`);
+    
+    return {
+      postId: responseData.id,
+      postUrl: responseData.link,
+      status: isScheduled ? 'Scheduled' : 'Published',
+      publishDate: isScheduled
+        ? formatLocalDateTime(publishAt)
+        : formatLocalDateTime(new Date()).split(' ')[0],
+      updated: isUpdate,
+      recipeId: recipeCard && recipeCard.recipeId ? recipeCard.recipeId : null,
+      recipeWarning: recipeCard && recipeCard.error ? recipeCard.error : null,
+      mediaId: media && media.mediaId ? media.mediaId : null,
+      mediaUrl: media && media.mediaUrl ? media.mediaUrl : null,
+      imageWarning: media && media.error ? media.error : null
+    };
+  } catch (error) {
+    console.error(`Failed to publish: ${error.message}`);
+    throw error;
+  }
+}
+
+// Fields in which page view plugins expose a post's views in the REST API
+// (on the post itself or as registered post meta)
+const VIEW_FIELDS = ['views', 'post_views', 'post_views_count'];
+
+/**
+ * Get the page views of a post from the site's post stats. WordPress itself
+ * does not count views, so this reads the count a stats plugin exposes.
+ * @param {Object} wpConfig - WordPress configuration
+ * @param {string|number} postId - Post ID
+ * @param {Object} options - Optional { log } (see wordpressRequest)
+ * @returns {number|null} Views, or null if the site does not expose them
+ */
+async function getPostViews(wpConfig, postId, options = {}) {
+  const post = await wordpressRequest(wpConfig, 'GET', `/posts/${postId}?context=edit`, null, options);
+  
+  for (const field of VIEW_FIELDS) {
+    const value = post[field] !== undefined ? post[field] : post.meta && post.meta[field];
+    const views = parseInt(Array.isArray(value) ? value[0] : value);
+    if (!isNaN(views)) return views;
+  }
+  return null;
 }
 
 module.exports = {
   testWordPressConnection,
   testAuthentication,
-  publishToWordPress
+  publishToWordPress,
+  getPostViews,
+  wordpressRequest,
+  parseScheduledDate,
+  formatLocalDateTime
 };
\ No newline at end of file
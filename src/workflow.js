@@ -0,0 +1,296 @@
+// src/workflow.js
+//
+// This module is the editorial review workflow of a keyword's article:
+//
+//   Draft → In Review → Approved → Published
+//              ↓    ↑
+//        Changes Requested
+//
+// Employees submit articles for review; editors (and admins) approve them or
+// request changes. Employees may only publish the version an editor approved,
+// while editors and admins publish directly.
+//
+// Tables:
+// - workflows:           the current state of each keyword's article and the
+//                        article version it applies to
+// - workflowTransitions: every state change, with who made it and when
+// - reviewComments:      review comments, optionally on a quoted passage
+
+const store = require('./datastore');
+
+const STATES = {
+  draft: 'Draft',
+  in_review: 'In Review',
+  changes_requested: 'Changes Requested',
+  approved: 'Approved',
+  published: 'Published'
+};
+
+// Actions people take, the states they are allowed from and whether only
+// reviewers may take them. Publishing is recorded by recordPublished.
+const ACTIONS = {
+  submit: { label: 'Submit for Review', from: ['draft', 'changes_requested', 'approved', 'published'], to: 'in_review', reviewer: false },
+  withdraw: { label: 'Withdraw', from: ['in_review'], to: 'draft', reviewer: false },
+  approve: { label: 'Approve', from: ['in_review'], to: 'approved', reviewer: true },
+  request_changes: { label: 'Request Changes', from: ['in_review', 'approved'], to: 'changes_requested', reviewer: true }
+};
+
+// States in which automation leaves the keyword alone
+const REVIEW_STATES = ['in_review', 'changes_requested', 'approved'];
+
+/**
+ * Check whether a user reviews articles
+ * @param {Object} user - Session user ({ id, role })
+ * @returns {boolean} True for editors and admins
+ */
+function isReviewer(user) {
+  return !!user && (user.role === 'admin' || user.role === 'editor');
+}
+
+/**
+ * Get the workflow of a keyword's article. Keywords published before the
+ * workflow existed start as published.
+ * @param {Object} keywordRow - Keyword row
+ * @returns {Object} { keywordId, state, label, articleId, updatedBy, updatedAt }
+ */
+function getWorkflow(keywordRow) {
+  const workflow = store.findOne('workflows', row => row.keywordId === keywordRow.id);
+  const published = ['published', 'scheduled'].includes(String(keywordRow.Status || '').toLowerCase());
+  const state = workflow ? workflow.state : (published ? 'published' : 'draft');
+
+  return {
+    keywordId: keywordRow.id,
+    state,
+    label: STATES[state],
+    articleId: workflow ? workflow.articleId : null,
+    updatedBy: workflow ? workflow.updatedBy : null,
+    updatedAt: workflow ? workflow.updatedAt : null
+  };
+}
+
+/**
+ * Check whether a keyword's article is waiting in the review workflow, so
+ * automation must not generate or publish it
+ * @param {string} keywordId - Keyword row ID
+ * @returns {boolean} True if it is in review, has changes requested or is approved
+ */
+function isAwaitingReview(keywordId) {
+  const workflow = store.findOne('workflows', row => row.keywordId === keywordId);
+  return !!workflow && REVIEW_STATES.includes(workflow.state);
+}
+
+/**
+ * Store a new state and record the transition
+ * @param {Object} keywordRow - Keyword row
+ * @param {string} action - Action taken ('submit', 'approve', 'publish', ...)
+ * @param {string} to - New state
+ * @param {string|null} userId - User who took the action (null for automation)
+ * @param {Object} details - { articleId, comment }
+ * @returns {Object} The new workflow (see getWorkflow)
+ */
+function saveState(keywordRow, action, to, userId, details = {}) {
+  const from = getWorkflow(keywordRow).state;
+  const now = new Date().toISOString();
+  const existing = store.findOne('workflows', row => row.keywordId === keywordRow.id);
+  const fields = { state: to, articleId: details.articleId || null, updatedBy: userId, updatedAt: now };
+
+  if (existing) {
+    store.update('workflows', existing.id, fields);
+  } else {
+    store.insert('workflows', { keywordId: keywordRow.id, ...fields });
+  }
+
+  store.insert('workflowTransitions', {
+    keywordId: keywordRow.id,
+    articleId: details.articleId || null,
+    action,
+    from,
+    to,
+    comment: details.comment || '',
+    userId,
+    createdAt: now
+  });
+
+  return getWorkflow(keywordRow);
+}
+
+/**
+ * Take a workflow action on a keyword's article
+ * @param {Object} keywordRow - Keyword row
+ * @param {string} action - 'submit', 'withdraw', 'approve' or 'request_changes'
+ * @param {Object} user - User taking the action ({ id, role })
+ * @param {Object} details - { articleId (the version reviewed), comment }
+ * @returns {Object} The new workflow (see getWorkflow)
+ */
+function transition(keywordRow, action, user, details = {}) {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    throw new Error(`Unknown workflow action: ${action}`);
+  }
+  if (definition.reviewer && !isReviewer(user)) {
+    throw new Error('Only editors can approve articles or request changes');
+  }
+
+  const current = getWorkflow(keywordRow);
+  if (!definition.from.includes(current.state)) {
+    throw new Error(`"${definition.label}" is not possible while the article is ${current.label.toLowerCase()}`);
+  }
+  if (action === 'submit' && !details.articleId) {
+    throw new Error('There is no article to submit yet');
+  }
+  if (action === 'request_changes' && !String(details.comment || '').trim()) {
+    throw new Error('Describe the changes you are asking for');
+  }
+
+  return saveState(keywordRow, action, definition.to, user.id, {
+    articleId: details.articleId || current.articleId,
+    comment: String(details.comment || '').trim()
+  });
+}
+
+/**
+ * Record that a keyword's article was sent to WordPress
+ * @param {Object} keywordRow - Keyword row
+ * @param {string|null} userId - User who published (null for automation)
+ * @param {string|null} articleId - Article version that was published
+ * @returns {Object} The new workflow (see getWorkflow)
+ */
+function recordPublished(keywordRow, userId, articleId) {
+  return saveState(keywordRow, 'publish', 'published', userId, { articleId });
+}
+
+/**
+ * Record that a keyword was reset to pending, so its article starts over as a draft
+ * @param {Object} keywordRow - Keyword row
+ * @param {string|null} userId - User who reset the keyword
+ * @returns {Object} The new workflow (see getWorkflow)
+ */
+function recordReset(keywordRow, userId = null) {
+  return saveState(keywordRow, 'reset', 'draft', userId);
+}
+
+/**
+ * Check whether a user may publish a version of a keyword's article.
+ * Editors and admins always may; employees only once that version was
+ * approved (or to send the published version again).
+ * @param {Object} keywordRow - Keyword row
+ * @param {Object} user - User publishing ({ id, role })
+ * @param {string|null} articleId - Article version to publish
+ * @returns {string|null} Why the user may not publish, or null if they may
+ */
+function getPublishError(keywordRow, user, articleId) {
+  if (isReviewer(user)) return null;
+
+  const workflow = getWorkflow(keywordRow);
+  if (workflow.state === 'approved' || workflow.state === 'published') {
+    if (workflow.articleId && workflow.articleId === articleId) return null;
+    return workflow.state === 'approved'
+      ? 'The article changed after it was approved; submit it for review again'
+      : 'The article changed since it was published; submit it for review first';
+  }
+  return `The article is ${workflow.label.toLowerCase()}; an editor has to approve it before it can be published`;
+}
+
+/**
+ * List the transitions of a keyword's article, oldest first
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object[]} Transition rows
+ */
+function listTransitions(keywordId) {
+  return store.find('workflowTransitions', row => row.keywordId === keywordId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * List the workflows in some states, most recently changed first
+ * @param {string[]} states - States to list
+ * @returns {Object[]} Workflow rows ({ keywordId, state, articleId, updatedBy, updatedAt })
+ */
+function listWorkflows(states) {
+  return store.find('workflows', row => states.includes(row.state))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+//====================================================
+// REVIEW COMMENTS
+//====================================================
+
+/**
+ * Add a review comment to a keyword's article
+ * @param {Object} keywordRow - Keyword row
+ * @param {Object} user - Commenting user ({ id })
+ * @param {Object} comment - { text, quote (the passage commented on), articleId }
+ * @returns {Object} Comment row
+ */
+function addComment(keywordRow, user, comment) {
+  const text = String(comment.text || '').trim();
+  if (!text) {
+    throw new Error('The comment is empty');
+  }
+
+  return store.insert('reviewComments', {
+    keywordId: keywordRow.id,
+    articleId: comment.articleId || null,
+    quote: String(comment.quote || '').replace(/\s+/g, ' ').trim().substring(0, 500),
+    text,
+    resolved: false,
+    resolvedBy: null,
+    userId: user.id,
+    createdAt: new Date().toISOString()
+  });
+}
+
+/**
+ * List the review comments of a keyword's article, oldest first
+ * @param {string} keywordId - Keyword row ID
+ * @returns {Object[]} Comment rows
+ */
+function listComments(keywordId) {
+  return store.find('reviewComments', row => row.keywordId === keywordId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Mark a review comment as resolved, or open it again
+ * @param {string} keywordId - Keyword row ID
+ * @param {string} commentId - Comment row ID
+ * @param {Object} user - User resolving the comment ({ id })
+ * @param {boolean} resolved - New resolved state
+ * @returns {Object} Updated comment row
+ */
+function resolveComment(keywordId, commentId, user, resolved = true) {
+  const comment = store.get('reviewComments', commentId);
+  if (!comment || comment.keywordId !== keywordId) {
+    throw new Error('Comment not found');
+  }
+  return store.update('reviewComments', commentId, { resolved, resolvedBy: resolved ? user.id : null });
+}
+
+/**
+ * Delete everything the workflow keeps for a keyword
+ * @param {string} keywordId - Keyword row ID
+ */
+function removeWorkflow(keywordId) {
+  for (const table of ['workflows', 'workflowTransitions', 'reviewComments']) {
+    store.find(table, row => row.keywordId === keywordId)
+      .forEach(row => store.remove(table, row.id));
+  }
+}
+
+module.exports = {
+  STATES,
+  ACTIONS,
+  isReviewer,
+  getWorkflow,
+  isAwaitingReview,
+  transition,
+  recordPublished,
+  recordReset,
+  getPublishError,
+  listTransitions,
+  listWorkflows,
+  addComment,
+  listComments,
+  resolveComment,
+  removeWorkflow
+};
@@ -1,5 +1,13 @@
 // web/middleware/auth.js
 // Authentication and authorization middleware
+//
+// Roles:
+// - admin:    everything, including users, sites and settings
+// - editor:   works on everyone's keywords and reviews articles (approves
+//             them or requests changes) before they are published
+// - employee: works on their own keywords; publishes once an article is approved
+
+const { isReviewer } = require('../../src/workflow');
 
 // Middleware to check if user is logged in
 function isAuthenticated(req, res, next) {
@@ -37,10 +45,11 @@ function isAdmin(req, res, next) {
   }
 }
 
-// Middleware to check if user is an employee
+// Middleware to check if user is an employee (editors and admins can do
+// everything employees can)
 function isEmployee(req, res, next) {
   if (req.session && req.session.user && 
-     (req.session.user.role === 'employee' || req.session.user.role === 'admin')) {
+     (req.session.user.role === 'employee' || isReviewer(req.session.user))) {
     return next();
   }
   
@@ -57,10 +66,29 @@ function isEmployee(req, res, next) {
   }
 }
 
+// Middleware to check if user is an editor or admin
+function isEditor(req, res, next) {
+  if (req.session && req.session.user && isReviewer(req.session.user)) {
+    return next();
+  }
+  
+  // Flash message if available
+  if (req.flash) {
+    req.flash('error', 'You need editor privileges to access this page');
+  }
+  
+  // If logged in but not an editor, go to dashboard, otherwise login
+  if (req.session && req.session.user) {
+    return res.redirect('/');
+  } else {
+    return res.redirect('/login');
+  }
+}
+
 // NEW: Middleware to check if user owns the resource or is an admin
 function isResourceOwner(req, res, next) {
-  // If user is an admin, always allow access
-  if (req.session && req.session.user && req.session.user.role === 'admin') {
+  // Admins and editors can access everyone's keywords
+  if (req.session && req.session.user && isReviewer(req.session.user)) {
     return next();
   }
   
@@ -95,6 +123,7 @@ module.exports = {
   isAuthenticated,
   isAdmin,
   isEmployee,
+  isEditor,
   isResourceOwner,
   attachUserToLocals
 };
\ No newline at end of file
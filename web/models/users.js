@@ -4,7 +4,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
-const XLSX = require('xlsx');
+const repository = require('../../src/repository');
 
 // File to store user data
 const USERS_FILE = path.join(__dirname, '../../data/users.json');
@@ -209,71 +209,16 @@ async function deleteUser(id) {
 
 // NEW FUNCTIONS FOR CONTENT OWNERSHIP
 
-// Add ownership information to excel file for new keywords
-async function addOwnershipToExcel(excelFile, keywordColumn, keyword, userId) {
-  try {
-    // Read the Excel file
-    const workbook = XLSX.readFile(excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    // Find the keyword entry
-    const keywordIndex = data.findIndex(row => row[keywordColumn] === keyword);
-    
-    if (keywordIndex === -1) {
-      throw new Error('Keyword not found in Excel file');
-    }
-    
-    // Update the row with ownership information
-    data[keywordIndex] = {
-      ...data[keywordIndex],
-      OwnerId: userId,
-      CreatedBy: userId
-    };
-    
-    // Write the updated data back to the Excel file
-    const newWorksheet = XLSX.utils.json_to_sheet(data);
-    workbook.Sheets[sheetName] = newWorksheet;
-    XLSX.writeFile(workbook, excelFile);
-    
-    return true;
-  } catch (error) {
-    console.error('Error adding ownership to Excel:', error);
-    throw error;
-  }
-}
-
 // Initialize ownership for existing keywords if needed
-async function initializeKeywordOwnership(excelFile, keywordColumn, adminUserId) {
+async function initializeKeywordOwnership(adminUserId) {
   try {
-    // Read the Excel file
-    const workbook = XLSX.readFile(excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    let updated = false;
-    
-    // Check each row for ownership information
-    for (let i = 0; i < data.length; i++) {
-      // If no ownership info, add it with admin as default owner
-      if (!data[i].OwnerId && !data[i].CreatedBy) {
-        data[i].OwnerId = adminUserId;
-        data[i].CreatedBy = adminUserId;
-        updated = true;
-      }
-    }
+    const updated = repository.assignDefaultOwner(adminUserId);
     
-    // If any rows were updated, write back to the Excel file
-    if (updated) {
-      const newWorksheet = XLSX.utils.json_to_sheet(data);
-      workbook.Sheets[sheetName] = newWorksheet;
-      XLSX.writeFile(workbook, excelFile);
-      console.log('Initialized ownership information for existing keywords');
+    if (updated > 0) {
+      console.log(`Initialized ownership information for ${updated} existing keywords`);
     }
     
-    return updated;
+    return updated > 0;
   } catch (error) {
     console.error('Error initializing keyword ownership:', error);
     return false;
@@ -281,29 +226,9 @@ async function initializeKeywordOwnership(excelFile, keywordColumn, adminUserId)
 }
 
 // Transfer ownership of keywords
-async function transferKeywordOwnership(excelFile, keywordColumn, keyword, newOwnerId) {
+async function transferKeywordOwnership(keywordId, newOwnerId, assignedBy = null) {
   try {
-    // Read the Excel file
-    const workbook = XLSX.readFile(excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    // Find the keyword entry
-    const keywordIndex = data.findIndex(row => row[keywordColumn] === keyword);
-    
-    if (keywordIndex === -1) {
-      throw new Error('Keyword not found in Excel file');
-    }
-    
-    // Update the owner ID
-    data[keywordIndex].OwnerId = newOwnerId;
-    
-    // Write the updated data back to the Excel file
-    const newWorksheet = XLSX.utils.json_to_sheet(data);
-    workbook.Sheets[sheetName] = newWorksheet;
-    XLSX.writeFile(workbook, excelFile);
-    
+    repository.transferKeyword(keywordId, newOwnerId, assignedBy);
     return true;
   } catch (error) {
     console.error('Error transferring keyword ownership:', error);
@@ -319,7 +244,6 @@ module.exports = {
   updateUser,
   deleteUser,
   hashPassword,
-  addOwnershipToExcel,
   initializeKeywordOwnership,
   transferKeywordOwnership
 };
\ No newline at end of file
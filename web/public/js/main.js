@@ -10,6 +10,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // Common elements
     const logContainer = document.getElementById('log-container');
     
+    // Number of log lines kept on the page (the server sends as many)
+    const MAX_LOG_LINES = 200;
+    
     // Handle the dashboard page
     if (currentPath === '/' || currentPath === '/index') {
         initializeDashboard();
@@ -33,9 +36,19 @@ document.addEventListener('DOMContentLoaded', function() {
         const processSingleKeywordBtn = document.getElementById('process-single-keyword-btn');
         const singleKeywordSelect = document.getElementById('single-keyword-select');
         
-        // If a job is already running, start the status polling
+        // If a job is already running, watch its progress
         if (typeof isJobRunning !== 'undefined' && isJobRunning) {
-            pollJobStatus();
+            watchJobProgress(activeJobId);
+        }
+        
+        // Cancel job button click handler
+        const cancelJobBtn = document.getElementById('cancel-job-btn');
+        if (cancelJobBtn) {
+            cancelJobBtn.addEventListener('click', function() {
+                if (confirm('Are you sure you want to cancel this job? The keyword being generated is left as it is.')) {
+                    cancelJob(activeJobId, cancelJobBtn);
+                }
+            });
         }
         
         // Start job button click handler
@@ -118,6 +131,20 @@ if (processSingleKeywordBtn) {
             });
         }
         
+        // Move a keyword to another site
+        document.querySelectorAll('.keyword-site-select').forEach(select => {
+            select.addEventListener('change', function() {
+                moveKeywordToSite(this.getAttribute('data-keyword'), this.value);
+            });
+        });
+        
+        // Choose the prompt profile of a keyword
+        document.querySelectorAll('.keyword-profile-select').forEach(select => {
+            select.addEventListener('change', function() {
+                setKeywordProfile(this.getAttribute('data-keyword'), this.value);
+            });
+        });
+        
         // Delete keyword buttons
         deleteButtons.forEach(button => {
             button.addEventListener('click', function() {
@@ -151,7 +178,8 @@ if (processSingleKeywordBtn) {
         
         // Create a new XMLHttpRequest object to get the keywords page
         const xhr = new XMLHttpRequest();
-        xhr.open('GET', '/keywords', true);
+        const siteId = getSelectedSiteId();
+        xhr.open('GET', siteId ? `/keywords?site=${encodeURIComponent(siteId)}` : '/keywords', true);
         xhr.onreadystatechange = function() {
             if (xhr.readyState === 4 && xhr.status === 200) {
                 try {
@@ -239,8 +267,8 @@ if (processSingleKeywordBtn) {
         })
         .then(data => {
             if (data.success) {
-                showAlert(`Started processing keyword: ${keyword}`, 'success');
-                pollJobStatus();
+                showAlert(`Queued keyword for processing: ${keyword}`, 'success');
+                watchJobProgress(data.jobId);
                 
                 // Disable the buttons
                 const startJobBtn = document.getElementById('start-job-btn');
@@ -267,13 +295,15 @@ if (processSingleKeywordBtn) {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
-            }
+            },
+            // Only process the site selected in the dashboard filter
+            body: JSON.stringify({ siteId: getSelectedSiteId() })
         })
         .then(response => response.json())
         .then(data => {
             if (data.success) {
-                showAlert('Job started successfully', 'success');
-                pollJobStatus();
+                showAlert('Job queued successfully', 'success');
+                watchJobProgress(data.jobId);
                 
                 // Disable the start button
                 const startJobBtn = document.getElementById('start-job-btn');
@@ -291,81 +321,250 @@ if (processSingleKeywordBtn) {
     }
     
     /**
-     * Poll for job status updates
+     * Watch a job's progress as the server pushes it (Server-Sent Events).
+     * The browser reconnects by itself and every connection starts with a
+     * snapshot, so nothing is missed.
+     * @param {string} jobId - ID of the job to watch
      */
-    function pollJobStatus() {
-        const statusInterval = setInterval(function() {
-            fetch('/api/job-status')
-                .then(response => response.json())
-                .then(data => {
-                    updateJobStatus(data);
-                    
-                    // Stop polling if the job is no longer running
-                    if (!data.isRunning) {
-                        clearInterval(statusInterval);
-                        setTimeout(() => {
-                            window.location.reload();
-                        }, 3000);
-                    }
-                })
-                .catch(error => {
-                    console.error('Error fetching job status:', error);
-                });
-        }, 2000);
+    function watchJobProgress(jobId) {
+        const source = new EventSource(`/api/jobs/${jobId}/events`);
+        const streamElement = document.getElementById('job-stream');
+        
+        // Full state when (re)connecting
+        source.addEventListener('snapshot', function(event) {
+            const data = JSON.parse(event.data);
+            updateJobStatus(data.job);
+            
+            if (logContainer) {
+                logContainer.innerHTML = '';
+                data.log.forEach(appendLogLine);
+            }
+            if (streamElement) {
+                streamElement.textContent = data.text;
+                streamElement.scrollTop = streamElement.scrollHeight;
+            }
+        });
+        
+        source.addEventListener('progress', function(event) {
+            updateJobStatus(JSON.parse(event.data));
+        });
+        
+        source.addEventListener('log', function(event) {
+            appendLogLine(JSON.parse(event.data).line);
+        });
+        
+        // A new step starts with fresh model output
+        source.addEventListener('step', function(event) {
+            const data = JSON.parse(event.data);
+            if (streamElement && data.step === 'generating') {
+                streamElement.textContent = '';
+            }
+        });
+        
+        source.addEventListener('token', function(event) {
+            if (!streamElement) return;
+            streamElement.textContent += JSON.parse(event.data).text;
+            streamElement.scrollTop = streamElement.scrollHeight;
+        });
+        
+        // A part of a multi-part article is done; the next part follows
+        source.addEventListener('section', function() {
+            if (streamElement) {
+                streamElement.textContent = '';
+            }
+        });
+        
+        // A failed request starts over: take back its text
+        source.addEventListener('reset', function(event) {
+            if (!streamElement) return;
+            const text = streamElement.textContent;
+            streamElement.textContent = text.slice(0, Math.max(0, text.length - JSON.parse(event.data).length));
+        });
+        
+        source.addEventListener('done', function(event) {
+            source.close();
+            updateJobStatus(JSON.parse(event.data));
+            setTimeout(() => {
+                window.location.reload();
+            }, 3000);
+        });
+        
+        source.onerror = function() {
+            // The job no longer exists or may not be watched
+            if (source.readyState === EventSource.CLOSED) {
+                console.error('Stopped watching job', jobId);
+            }
+        };
+    }
+    
+    /**
+     * Cancel a job; the server aborts its model requests
+     * @param {string} jobId - ID of the job
+     * @param {HTMLElement} button - Button to disable while cancelling
+     */
+    function cancelJob(jobId, button) {
+        button.disabled = true;
+        
+        fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' })
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    showAlert('Cancelling the job...', 'info');
+                } else {
+                    showAlert(`Failed to cancel the job: ${data.error}`, 'danger');
+                    button.disabled = false;
+                }
+            })
+            .catch(error => {
+                showAlert(`Error: ${error.message}`, 'danger');
+                button.disabled = false;
+            });
     }
     
     /**
      * Update the job status display
+     * @param {Object} progress - Job progress (status, step, current, total, currentKeyword)
      */
-    function updateJobStatus(data) {
-        const progress = data.progress;
+    function updateJobStatus(progress) {
+        const percentage = Math.round((progress.current / progress.total) * 100) || 0;
         
-        // Update progress bar if it exists
-        const progressBar = document.querySelector('.progress-bar');
+        const progressBar = document.getElementById('job-progress-bar');
         if (progressBar) {
-            const percentage = Math.round((progress.current / progress.total) * 100) || 0;
             progressBar.style.width = `${percentage}%`;
-            progressBar.textContent = `${percentage}%`;
-            progressBar.setAttribute('aria-valuenow', percentage);
         }
+        setText('job-progress-percentage', `${percentage}%`);
+        setText('job-progress-count', `${progress.current} of ${progress.total}`);
+        setText('job-current-keyword', progress.currentKeyword);
+        setText('job-status', progress.status);
         
-        // Update status text
-        const statusElements = document.querySelectorAll('strong');
-        statusElements.forEach(element => {
-            if (element.textContent.includes('Current Keyword:')) {
-                element.nextSibling.textContent = ` ${progress.currentKeyword}`;
-            } else if (element.textContent.includes('Progress:')) {
-                element.nextSibling.textContent = ` ${progress.current} of ${progress.total}`;
-            } else if (element.textContent.includes('Status:')) {
-                element.nextSibling.textContent = ` ${progress.status}`;
-            }
+        // Highlight the current step
+        document.querySelectorAll('#job-steps [data-step]').forEach(element => {
+            const current = element.dataset.step === progress.step;
+            element.classList.toggle('bg-primary', current);
+            element.classList.toggle('bg-secondary', !current);
         });
+    }
+    
+    /**
+     * Set the text of an element if it is on the page
+     * @param {string} id - Element ID
+     * @param {string} text - New text
+     */
+    function setText(id, text) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = text;
+        }
+    }
+    
+    /**
+     * Add a line to the activity log, keeping the most recent lines
+     * @param {string} line - Log line
+     */
+    function appendLogLine(line) {
+        if (!logContainer) return;
         
-        // Update log
-        if (logContainer && progress.log) {
-            logContainer.innerHTML = '';
-            progress.log.forEach(logItem => {
-                const logLine = document.createElement('div');
-                logLine.className = 'log-line';
-                logLine.textContent = logItem;
-                logContainer.appendChild(logLine);
-            });
-            
-            // Scroll to bottom
-            logContainer.scrollTop = logContainer.scrollHeight;
+        const emptyLog = logContainer.querySelector('.empty-log');
+        if (emptyLog) emptyLog.remove();
+        
+        const entry = document.createElement('div');
+        entry.className = 'log-entry';
+        
+        const icon = document.createElement('span');
+        if (line.includes('✓')) {
+            icon.className = 'log-success';
+            icon.innerHTML = '<i class="bi bi-check-circle"></i>';
+        } else if (line.includes('✗')) {
+            icon.className = 'log-error';
+            icon.innerHTML = '<i class="bi bi-x-circle"></i>';
+        } else {
+            icon.className = 'log-info';
+            icon.innerHTML = '<i class="bi bi-info-circle"></i>';
         }
+        
+        const text = document.createElement('span');
+        text.className = 'log-text';
+        text.textContent = line;
+        
+        entry.appendChild(icon);
+        entry.appendChild(text);
+        logContainer.appendChild(entry);
+        
+        while (logContainer.children.length > MAX_LOG_LINES) {
+            logContainer.removeChild(logContainer.firstChild);
+        }
+        
+        // Scroll to bottom
+        logContainer.scrollTop = logContainer.scrollHeight;
+    }
+    
+    /**
+     * Get the site selected with the ?site= filter
+     * @returns {string|null} Site ID or null for all sites
+     */
+    function getSelectedSiteId() {
+        return new URLSearchParams(window.location.search).get('site');
+    }
+    
+    /**
+     * Move a keyword to another site
+     */
+    function moveKeywordToSite(keyword, siteId) {
+        fetch('/api/keyword-site', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ keyword, siteId })
+        })
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                showAlert(`Moved "${keyword}" to another site`, 'success');
+            } else {
+                showAlert(`Failed to move keyword: ${data.error}`, 'danger');
+            }
+        })
+        .catch(error => {
+            showAlert(`Error: ${error.message}`, 'danger');
+        });
+    }
+    
+    /**
+     * Set the prompt profile a keyword is generated with
+     */
+    function setKeywordProfile(keyword, profileId) {
+        fetch('/api/keyword-profile', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ keyword, profileId })
+        })
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                showAlert(profileId ? `"${keyword}" now uses another prompt profile` : `"${keyword}" now uses the default prompts`, 'success');
+            } else {
+                showAlert(`Failed to change the prompt profile: ${data.error}`, 'danger');
+            }
+        })
+        .catch(error => {
+            showAlert(`Error: ${error.message}`, 'danger');
+        });
     }
     
     /**
      * Add a new keyword
      */
     function addKeyword(keyword) {
+        const siteSelect = document.getElementById('keyword-site');
         fetch('/api/add-keyword', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ keyword })
+            body: JSON.stringify({ keyword, siteId: siteSelect ? siteSelect.value : null })
         })
         .then(response => response.json())
         .then(data => {
@@ -567,7 +766,7 @@ function updateProcessSingleKeyword() {
         startJobBtn.disabled = true;
       } else {
         startJobBtn.innerHTML = '<i class="bi bi-play-fill"></i> Start Full Automation';
-        startJobBtn.disabled = (!configValid || !wpConnectionStatus || !excelFileExists);
+        startJobBtn.disabled = (!configValid || !wpConnectionStatus || !keywordsAvailable);
       }
     }
     
@@ -609,8 +808,9 @@ function fetchKeywordStats() {
       return;
     }
     
-    // Fetch the latest stats from the server
-    fetch('/api/keyword-stats')
+    // Fetch the latest stats from the server for the selected site
+    const siteId = new URLSearchParams(window.location.search).get('site');
+    fetch(siteId ? `/api/keyword-stats?site=${encodeURIComponent(siteId)}` : '/api/keyword-stats')
       .then(response => response.json())
       .then(data => {
         // Update the dashboard with real counts
@@ -643,9 +843,9 @@ function fetchKeywordStats() {
     // Set up periodic refresh of keyword stats (every 30 seconds)
     const statsInterval = setInterval(fetchKeywordStats, 30000);
     
-    // If a job is already running, start the status polling
+    // If a job is already running, watch its progress
     if (typeof isJobRunning !== 'undefined' && isJobRunning) {
-      pollJobStatus();
+      watchJobProgress(activeJobId);
     }
     
     // Start job button click handler
@@ -278,8 +278,12 @@ router.get('/admin/employee-dashboard', isAuthenticated, isAdmin, async (req, re
             row.Status === 'Pending' || !row.Status || row.Status === ''
           ).length;
           
-          // Create dummy activity log for now
-          activityLog = createDummyActivityLog(keywords, publications, selectedEmployeeId);
+          // The employee's most recent entries in the audit log
+          activityLog = auditLog.listEntries({ userId: selectedEmployeeId }).slice(0, 100).map(entry => ({
+            type: entry.type,
+            timestamp: entry.createdAt,
+            message: entry.targetLabel ? `${entry.label}: "${entry.targetLabel}"` : entry.label
+          }));
           
           // Count today's activity
           const today = new Date().toISOString().split('T')[0];
@@ -315,6 +319,7 @@ router.get('/admin/employee-dashboard', isAuthenticated, isAdmin, async (req, re
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs').promises;
+const auditLog = require('../../src/audit-log');
 
 // Add this helper function
 async function fileExists(filePath) {
@@ -324,32 +329,4 @@ async function fileExists(filePath) {
   } catch {
     return false;
   }
-}
-
-// Add this helper function
-function createDummyActivityLog(keywords, publications, employeeId) {
-  const log = [];
-  
-  // Add keyword creation log entries
-  keywords.forEach(keyword => {
-    if (keyword.CreatedBy === employeeId) {
-      log.push({
-        type: 'info',
-        timestamp: keyword.CreatedAt || new Date().toISOString(),
-        message: `Created keyword: "${keyword[config.app.keywordColumn]}"`
-      });
-    }
-  });
-  
-  // Add publication log entries
-  publications.forEach(pub => {
-    log.push({
-      type: 'success',
-      timestamp: pub['Publication Date'] || new Date().toISOString(),
-      message: `Published article for: "${pub[config.app.keywordColumn]}"`
-    });
-  });
-  
-  // Sort by timestamp (newest first)
-  return log.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 }
\ No newline at end of file
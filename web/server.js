@@ -11,7 +11,7 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const multer = require('multer');
-const XLSX = require('xlsx');
+const os = require('os');
 const fs = require('fs').promises;  // Use promise-based fs
 const axios = require('axios');
 const session = require('express-session');
@@ -19,15 +19,35 @@ const flash = require('connect-flash');
 
 // Import our existing automation modules
 const { config, validateConfig, saveConfig, loadConfig } = require('../src/config');
-const { readKeywordsFromExcel, updateExcelWithPublicationStatus, addKeywordsToExcel } = require('../src/excel');
-const { generateArticleContent } = require('../src/openai');
-const { testWordPressConnection, publishToWordPress } = require('../src/wordpress');
+const repository = require('../src/repository');
+const { generateArticleContent, generateArticleOutline } = require('../src/openai');
+const { buildRules, countWords, validateArticle } = require('../src/article-validator');
+const { testWordPressConnection, publishToWordPress, parseScheduledDate, formatLocalDateTime, getPostViews } = require('../src/wordpress');
+const jobQueue = require('../src/job-queue');
+const scheduler = require('../src/scheduler');
+const sites = require('../src/sites');
+const recipePlugins = require('../src/recipe-plugins');
+const structuredData = require('../src/structured-data');
+const llmProviders = require('../src/llm-providers');
+const usage = require('../src/usage');
+const images = require('../src/images');
+const placeholderImage = require('../src/placeholder-image');
+const taxonomy = require('../src/taxonomy');
+const seo = require('../src/seo');
+const articleDiff = require('../src/article-diff');
+const workflow = require('../src/workflow');
+const auditLog = require('../src/audit-log');
+const promptProfiles = require('../src/prompt-profiles');
+const promptTemplate = require('../src/prompt-template');
+const experiments = require('../src/experiments');
+const { normalizeOutline } = require('../src/outline');
 
 // Import updated authentication middleware
 const { 
   isAuthenticated, 
   isAdmin, 
   isEmployee, 
+  isEditor,
   isResourceOwner,
   attachUserToLocals 
 } = require('./middleware/auth');
@@ -93,6 +113,9 @@ app.use(flash());
 // Configure file uploads
 const upload = multer({ dest: 'uploads/' });
 
+// Featured images stay in memory until they are checked and stored
+const imageUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: images.MAX_UPLOAD_BYTES } });
+
 // API endpoint to get article content by keyword - With ownership check
 app.get('/api/article-content', isAuthenticated, async (req, res) => {
   try {
@@ -104,31 +127,14 @@ app.get('/api/article-content', isAuthenticated, async (req, res) => {
     
     console.log(`Getting article content for keyword: ${keyword}`);
     
-    // Check if the keyword exists in Excel
+    // Check if the keyword exists in the datastore
     try {
-      // Load the Excel file directly to avoid any potential issues with the utility function
-      const workbook = XLSX.readFile(config.app.excelFile);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const data = XLSX.utils.sheet_to_json(worksheet);
-      
-      // Find the keyword
-      const keywordRow = data.find(row => row[config.app.keywordColumn] === keyword);
+      // Employees only see their own keyword rows
+      const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
       
       if (!keywordRow) {
-        console.log(`Keyword "${keyword}" not found in Excel file`);
-        return res.status(404).json({ success: false, error: 'Keyword not found in Excel file' });
-      }
-      
-      // Check ownership for employees
-      if (req.session.user.role === 'employee') {
-        if (keywordRow.OwnerId && keywordRow.OwnerId !== req.session.user.id &&
-            keywordRow.CreatedBy && keywordRow.CreatedBy !== req.session.user.id) {
-          return res.status(403).json({ 
-            success: false, 
-            error: 'You do not have permission to access this content' 
-          });
-        }
+        console.log(`Keyword "${keyword}" not found`);
+        return res.status(404).json({ success: false, error: 'Keyword not found' });
       }
       
       console.log('Found keyword row:', keywordRow);
@@ -139,11 +145,12 @@ app.get('/api/article-content', isAuthenticated, async (req, res) => {
           console.log(`Fetching content from WordPress for Post ID: ${keywordRow['Post ID']}`);
           
           // Create authentication header
-          const authString = `${config.wordpress.username}:${config.wordpress.password}`;
+          const wpConfig = sites.getWordPressConfig(getPublishingSite(keywordRow));
+          const authString = `${wpConfig.username}:${wpConfig.password}`;
           const encodedAuth = Buffer.from(authString).toString('base64');
           
-          // Get post content from WordPress
-          const response = await axios.get(`${config.wordpress.apiUrl}/posts/${keywordRow['Post ID']}`, {
+          // Get post content from the keyword's site
+          const response = await axios.get(`${wpConfig.apiUrl}/posts/${keywordRow['Post ID']}`, {
             headers: {
               'Authorization': `Basic ${encodedAuth}`
             }
@@ -167,14 +174,15 @@ app.get('/api/article-content', isAuthenticated, async (req, res) => {
         console.log('Post ID not found in Excel row');
       }
       
-      // If we get here, try cache
-      console.log('Trying cache...');
-      if (req.app.locals.cachedArticles && req.app.locals.cachedArticles[keyword]) {
-        console.log('Found article in cache');
+      // If we get here, try the stored draft
+      console.log('Trying stored draft...');
+      const draft = repository.getDraftArticle(keywordRow.id);
+      if (draft) {
+        console.log('Found stored draft article');
         return res.json({ 
           success: true, 
-          article: req.app.locals.cachedArticles[keyword],
-          source: 'cache'
+          article: draft,
+          source: 'draft'
         });
       }
       
@@ -190,11 +198,11 @@ app.get('/api/article-content', isAuthenticated, async (req, res) => {
         source: 'dummy'
       });
       
-    } catch (excelError) {
-      console.error('Error reading Excel file:', excelError);
+    } catch (storeError) {
+      console.error('Error reading keyword data:', storeError);
       return res.status(500).json({ 
         success: false, 
-        error: `Failed to read Excel file: ${excelError.message}` 
+        error: `Failed to read keyword data: ${storeError.message}` 
       });
     }
   } catch (error) {
@@ -216,73 +224,33 @@ app.post('/api/delete-article-history', isAuthenticated, isEmployee, async (req,
     console.log(`Deleting article history for keyword: ${keyword}`);
     
     try {
-      // Read the Excel file
-      const workbook = XLSX.readFile(config.app.excelFile);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const data = XLSX.utils.sheet_to_json(worksheet);
-      
-      // Find the keyword entry
-      const keywordIndex = data.findIndex(row => row[config.app.keywordColumn] === keyword);
-      
-      if (keywordIndex === -1) {
-        console.log(`Keyword "${keyword}" not found in Excel file`);
-        return res.status(404).json({ success: false, error: 'Keyword not found in Excel file' });
-      }
+      // Find the keyword entry (employees only see their own rows)
+      const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
       
-      // Check ownership for employees
-      if (req.session.user.role === 'employee') {
-        if (data[keywordIndex].OwnerId && data[keywordIndex].OwnerId !== req.session.user.id &&
-            data[keywordIndex].CreatedBy && data[keywordIndex].CreatedBy !== req.session.user.id) {
-          return res.status(403).json({
-            success: false,
-            error: 'You do not have permission to modify this article history'
-          });
-        }
+      if (!keywordRow) {
+        console.log(`Keyword "${keyword}" not found`);
+        return res.status(404).json({ success: false, error: 'Keyword not found' });
       }
       
-      console.log(`Found keyword at index ${keywordIndex}`);
-      
       // Reset the status and publication data but keep the keyword
-      const updatedRow = {};
-      
-      // Copy all fields from the original row
-      Object.keys(data[keywordIndex]).forEach(key => {
-        updatedRow[key] = data[keywordIndex][key];
+      const updatedRow = repository.resetPublication(keywordRow.id, req.session.user.id);
+      recordAudit(req, 'keyword.reset', keywordTarget(keywordRow), {
+        before: { status: keywordRow.Status, postId: keywordRow['Post ID'] },
+        after: { status: updatedRow.Status, postId: updatedRow['Post ID'] }
       });
       
-      // Override the fields we want to change
-      updatedRow['Status'] = 'Pending';
-      updatedRow['Publication Date'] = '';
-      updatedRow['Post URL'] = '';
-      updatedRow['Post ID'] = '';
-      
-      // Update the row
-      data[keywordIndex] = updatedRow;
-      
-      // Write the updated data back to the Excel file
-      const newWorksheet = XLSX.utils.json_to_sheet(data);
-      workbook.Sheets[sheetName] = newWorksheet;
-      XLSX.writeFile(workbook, config.app.excelFile);
-      
       console.log('Successfully reset keyword status to pending');
       
-      // Remove from cache if it exists
-      if (req.app.locals.cachedArticles && req.app.locals.cachedArticles[keyword]) {
-        delete req.app.locals.cachedArticles[keyword];
-        console.log('Removed from cache');
-      }
-      
       // Return success
       return res.json({ 
         success: true, 
         message: 'Article deleted from history successfully' 
       });
-    } catch (excelError) {
-      console.error('Error manipulating Excel file:', excelError);
+    } catch (storeError) {
+      console.error('Error updating keyword data:', storeError);
       return res.status(500).json({ 
         success: false, 
-        error: `Failed to update Excel file: ${excelError.message}` 
+        error: `Failed to update keyword data: ${storeError.message}` 
       });
     }
   } catch (error) {
@@ -295,179 +263,568 @@ app.post('/api/delete-article-history', isAuthenticated, isEmployee, async (req,
 // AUTOMATION FUNCTIONS
 //====================================================
 
+// Get the site a keyword row is published to, failing if it cannot publish
+function getPublishingSite(keywordRow) {
+  const site = sites.getSiteForKeyword(keywordRow);
+  if (!sites.isSiteConfigured(site)) {
+    throw new Error(`Site "${site ? site.name : 'unknown'}" is missing WordPress credentials`);
+  }
+  return site;
+}
+
+// Get the publishToWordPress options that update the keyword's existing post
+// instead of creating a new one (none if it has not been sent to the site yet)
+function getUpdateOptions(keywordRow, site) {
+  const lastPublication = repository.getLastPublication(keywordRow.id);
+  if (!keywordRow['Post ID'] || (lastPublication && lastPublication.siteId && lastPublication.siteId !== site.id)) {
+    return {};
+  }
+  
+  return {
+    postId: keywordRow['Post ID'],
+    recipeId: lastPublication ? lastPublication.recipeId : null,
+    datePublished: parseScheduledDate(keywordRow['Publication Date'])
+  };
+}
+
+// Build the prompt settings passed to generateArticleContent. A keyword with
+// a prompt profile uses the profile's prompts; otherwise the site's prompt
+// overrides are applied on top of the global prompt settings.
+function buildPromptSettings(site, keywordRow = null) {
+  const profile = keywordRow ? promptProfiles.getProfile(keywordRow.ProfileId) : null;
+  if (keywordRow && keywordRow.ProfileId && !profile) {
+    console.warn(`Prompt profile ${keywordRow.ProfileId} no longer exists; using the default prompts`);
+  }
+  
+  if (config.prompts || profile) {
+    const prompts = profile
+      ? promptProfiles.resolvePrompts(profile, config.prompts || {})
+      : sites.resolvePrompts(site, config.prompts);
+    return {
+      ...prompts,
+      mainPrompt: prompts.mainPrompt || config.app.contentTemplate
+    };
+  }
+  
+  // Fallback to just using content template
+  return config.app.contentTemplate || null;
+}
+
+// Get the error message for a user who has used up their monthly AI budget
+// (null if the user may generate)
+async function getBudgetError(userId) {
+  const user = (await getAllUsers()).find(item => item.id === userId);
+  const status = usage.getBudgetStatus(user);
+  
+  return status.exceeded
+    ? `Monthly AI budget of $${status.budget.toFixed(2)} reached ($${status.spent.toFixed(2)} used this month)`
+    : null;
+}
+
+// Record an audit log entry for the user of a request (or for automation,
+// without a request). The log never stops the action it records.
+function recordAudit(req, action, target = null, values = {}) {
+  try {
+    auditLog.recordEntry(action, {
+      actor: req ? req.session.user : values.actor,
+      ip: req ? req.ip : null,
+      target,
+      ...values
+    });
+  } catch (error) {
+    console.warn(`Could not write the audit log entry "${action}": ${error.message}`);
+  }
+}
+
+// Describe a keyword as the target of an audit log entry
+function keywordTarget(keywordRow) {
+  return { type: 'keyword', id: keywordRow.id, label: keywordRow[config.app.keywordColumn] };
+}
+
+// Describe a user as the target of an audit log entry
+function userTarget(user) {
+  return { type: 'user', id: user.id, label: user.username };
+}
+
+// Describe a site as the target of an audit log entry
+function siteTarget(site) {
+  return { type: 'site', id: site.id, label: site.name };
+}
+
+// Describe a prompt profile as the target of an audit log entry
+function profileTarget(profile) {
+  return { type: 'prompt_profile', id: profile.id, label: profile.name };
+}
+
+// The fields of a prompt profile the audit log compares
+function toAuditProfile(profile) {
+  return {
+    name: profile.name,
+    description: profile.description,
+    shared: profile.shared,
+    ...profile.settings
+  };
+}
+
+// Describe a prompt experiment as the target of an audit log entry
+function experimentTarget(experiment) {
+  return { type: 'experiment', id: experiment.id, label: experiment.name };
+}
+
+// The fields of a prompt experiment the audit log compares
+function toAuditExperiment(experiment) {
+  return {
+    name: experiment.name,
+    description: experiment.description,
+    assignment: experiment.assignment,
+    variants: experiment.variants.map(variant => variant.name).join(', ')
+  };
+}
+
+// Describe a publishing schedule as the target of an audit log entry
+function scheduleTarget(schedule) {
+  return { type: 'schedule', id: schedule.id, label: schedule.name };
+}
+
+// The fields of a publishing schedule the audit log compares
+function toAuditSchedule(schedule) {
+  return {
+    name: schedule.name,
+    when: schedule.type === 'cron'
+      ? schedule.cron
+      : `${schedule.rule.times.join(', ')} on ${schedule.rule.weekdays.map(day => ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][day]).join(', ')}`,
+    postsPerSlot: schedule.postsPerSlot,
+    siteId: schedule.siteId || null,
+    keywordOwnerId: schedule.keywordOwnerId,
+    enabled: schedule.enabled
+  };
+}
+
+// The article fields the audit log compares (the content itself stays in
+// the version history)
+function toAuditArticle(article) {
+  return article
+    ? { versionId: article.id, title: article.title, wordCount: article.wordCount }
+    : null;
+}
+
+// The WordPress fields of a keyword row the audit log compares
+function toAuditPost(keywordRow) {
+  return {
+    status: keywordRow.Status || '',
+    postId: keywordRow['Post ID'] || '',
+    postUrl: keywordRow['Post URL'] || '',
+    publicationDate: keywordRow['Publication Date'] || ''
+  };
+}
+
+// The user fields the audit log compares (never the password)
+function toAuditUser(user) {
+  return user
+    ? { name: user.name, email: user.email, role: user.role, monthlyBudget: user.monthlyBudget || null }
+    : null;
+}
+
+// Function to get the generation options of a job: retries go to the job
+// log, cancelling the job aborts the model requests, the model output is
+// streamed to whoever watches the job, the prompts are filled with the
+// keyword row's columns and the article is checked against the content rules
+function getJobGenerationOptions(job, keywordRow) {
+  return {
+    variables: repository.getTemplateVariables(keywordRow),
+    rules: buildRules(config.validation, config.app.minWords),
+    log: job.log,
+    signal: job.signal,
+    onToken: job.token,
+    onStreamReset: job.resetTokens,
+    onSection: job.section
+  };
+}
+
 // Function to process a single keyword
-async function processSingleKeyword(keywordRow) {
+// `job` is the job-queue context used for logging; `userId` is the job owner.
+// With an `experiment` (automation batches) the article is written with one
+// of the experiment's prompt variants.
+// Articles of employees are submitted for review instead of being published.
+// Returns 'published' or 'submitted'.
+async function processSingleKeyword(keywordRow, job, userId, experiment = null) {
+  const keyword = keywordRow[config.app.keywordColumn];
+  
   try {
-    const keyword = keywordRow[config.app.keywordColumn];
+    job.log(`Processing keyword: "${keyword}"`);
     
-    // Update progress
-    jobProgress.current = 0;
-    jobProgress.currentKeyword = keyword;
-    jobProgress.status = 'Processing';
-    
-    logProgress(`Processing keyword: "${keyword}"`);
+    // Generation counts against the job owner's monthly budget
+    const owner = (await getAllUsers()).find(user => user.id === userId);
+    const budgetError = await getBudgetError(userId);
+    if (budgetError) {
+      throw new Error(budgetError);
+    }
     
     // Generate article content
-    logProgress(`Generating content for "${keyword}"...`);
-    
-    // Check if we should use prompts settings
-    let promptSettings = null;
-    
-    if (config.prompts) {
-      promptSettings = {
-        useMultiPartGeneration: config.prompts.useMultiPartGeneration,
-        mainPrompt: config.prompts.mainPrompt || config.app.contentTemplate,
-        part1Prompt: config.prompts.part1Prompt,
-        part2Prompt: config.prompts.part2Prompt,
-        part3Prompt: config.prompts.part3Prompt,
-        toneVoice: config.prompts.toneVoice,
-        seoGuidelines: config.prompts.seoGuidelines,
-        thingsToAvoid: config.prompts.thingsToAvoid
-      };
-    } else if (config.app.contentTemplate) {
-      // Fallback to just using content template
-      promptSettings = config.app.contentTemplate;
+    job.step('generating');
+    job.log(`Generating content for "${keyword}"...`);
+    
+    // Each keyword is published to its own site with that site's prompts,
+    // or with the keyword's prompt profile
+    const site = getPublishingSite(keywordRow);
+    let promptSettings = buildPromptSettings(site, keywordRow);
+    if (promptSettings && promptSettings.profile) {
+      job.log(`Using prompt profile "${promptSettings.profile}"`);
+    }
+    
+    // A running prompt experiment picks the variant for this keyword
+    const variant = experiment ? experiments.assignVariant(experiment.id) : null;
+    if (variant) {
+      promptSettings = experiments.applyVariant(promptSettings, variant);
+      job.log(`Experiment "${experiment.name}": using variant "${variant.name}"`);
     }
     
     const article = await generateArticleContent(
       config.openai, 
       keyword, 
       config.app.minWords,
-      promptSettings
+      promptSettings,
+      getJobGenerationOptions(job, keywordRow)
     );
+    const saved = repository.saveArticle(keywordRow.id, article, userId, {
+      source: 'automation',
+      promptSettings,
+      experiment: variant ? { id: experiment.id, variantId: variant.id } : null
+    });
+    usage.recordUsage(article.usage, { userId, keywordId: keywordRow.id, siteId: site.id, articleId: saved.id, purpose: 'automation' });
+    recordAudit(null, 'article.generate', keywordTarget(keywordRow), {
+      actor: owner,
+      after: toAuditArticle(saved),
+      details: { model: saved.model, tokens: article.usage.totalTokens, jobId: job.id }
+    });
+    job.log(`Used ${article.usage.totalTokens} tokens ($${article.usage.cost.toFixed(4)})`);
+    
+    // Featured image from the default source in the settings (an image
+    // chosen on the preview page is kept)
+    job.step('formatting');
+    const featuredImage = await images.createDefaultImage(keywordRow, article, { userId, log: job.log });
+    if (featuredImage) {
+      job.log(`Featured image: ${featuredImage.source}`);
+    }
+    
+    // Categories, tags and author, suggested by the model if enabled
+    const taxonomyWarnings = await taxonomy.assignTaxonomy(keywordRow, site, article, {
+      suggest: config.taxonomy.suggestTerms,
+      userId,
+      log: job.log
+    });
+    taxonomyWarnings.forEach(warning => job.log(`⚠ ${warning}`));
+    
+    // An editor has to approve the article before it is published
+    if (owner && !workflow.isReviewer(owner)) {
+      workflow.transition(keywordRow, 'submit', owner, { articleId: saved.id });
+      recordAudit(null, 'article.review', keywordTarget(keywordRow), {
+        actor: owner,
+        after: { state: workflow.STATES.in_review },
+        details: { action: 'submit', jobId: job.id }
+      });
+      job.log(`✓ Submitted "${keyword}" for review`);
+      return 'submitted';
+    }
     
     // Publish to WordPress
-    logProgress(`Publishing "${keyword}" to WordPress...`);
+    job.step('publishing');
+    job.log(`Publishing "${keyword}" to ${site.name}...`);
+    const wpConfig = sites.getWordPressConfig(site);
+    article.featuredImage = images.loadForPublishing(keywordRow.id);
     const publishData = await publishToWordPress(
-      config.wordpress,
+      wpConfig,
       article,
       keyword,
-      config.app.publishStatus
+      site.publishStatus,
+      keywordRow['Scheduled Date'],
+      { log: job.log }
     );
     
-    // Update Excel with publication status
-    updateExcelWithPublicationStatus(config.app.excelFile, keywordRow, publishData);
+    // Record the publication on the keyword row
+    job.step('updating_sheet');
+    repository.recordPublication(keywordRow.id, { ...publishData, usage: article.usage });
+    recordAudit(null, 'article.publish', keywordTarget(keywordRow), {
+      actor: owner,
+      before: toAuditPost(keywordRow),
+      after: toAuditPost(repository.getKeyword(keywordRow.id)),
+      details: { jobId: job.id }
+    });
     
-    // Log success with a checkmark
-    logProgress(`✓ Published "${keyword}" successfully as ${config.app.publishStatus}`);
+    if (publishData.recipeId) {
+      job.log(`Added recipe card ${publishData.recipeId} to "${keyword}"`);
+    } else if (publishData.recipeWarning) {
+      job.log(`⚠ ${publishData.recipeWarning}`);
+    }
     
-    // Update progress
-    jobProgress.current = 1;
-    jobProgress.status = 'Completed';
+    if (publishData.mediaId) {
+      images.recordUpload(article.featuredImage.id, wpConfig.apiUrl, publishData);
+    } else if (publishData.imageWarning) {
+      job.log(`⚠ ${publishData.imageWarning}`);
+    }
     
-    return true;
+    // Log success with a checkmark
+    if (publishData.status === 'Scheduled') {
+      job.log(`✓ Scheduled "${keyword}" for ${publishData.publishDate}`);
+    } else {
+      job.log(`✓ Published "${keyword}" successfully as ${site.publishStatus}`);
+    }
+    
+    return 'published';
   } catch (error) {
     // Log error with an X mark
-    logProgress(`✗ Failed to process "${keywordRow[config.app.keywordColumn]}": ${error.message}`);
+    job.log(`✗ Failed to process "${keyword}": ${error.message}`);
     throw error;
   }
 }
 
-// Function to run the automation
-async function runAutomation(keywordFilter = null) {
-  try {
-    // Read keywords from Excel
-    let keywordRows = readKeywordsFromExcel(config.app.excelFile, config.app.keywordColumn);
+// Function to run the automation over the keywords captured when the job was queued
+async function runAutomation(jobData, job) {
+  const keywordIds = jobData.payload.keywordIds || [];
+  
+  if (keywordIds.length === 0) {
+    job.log('No pending keywords found. Nothing to do.');
+    return;
+  }
+  
+  // Track success and failures
+  let successCount = 0;
+  let submittedCount = 0;
+  let failureCount = 0;
+  
+  // Start with a summary log
+  job.log(`Started processing ${keywordIds.length} keywords`);
+  
+  // The batch takes part in the running prompt experiment, if any
+  const experiment = experiments.getRunningExperiment();
+  if (experiment) {
+    job.log(`Prompt experiment "${experiment.name}" is running: ${experiment.variants.length} variants, ${experiments.ASSIGNMENT_MODES[experiment.assignment].toLowerCase()} assignment`);
+  }
+  
+  // Process each keyword
+  for (let i = 0; i < keywordIds.length; i++) {
+    // Stop when the job was cancelled
+    if (job.signal.aborted) {
+      job.log(`Automation cancelled: ${successCount} published, ${submittedCount} submitted for review, ${failureCount} failed`);
+      throw new Error('Job cancelled');
+    }
     
-    // Apply filter if provided (for employee access)
-    if (keywordFilter) {
-      keywordRows = keywordRows.filter(keywordFilter);
+    // Skip keywords handled before a server restart
+    if (job.isProcessed(keywordIds[i])) {
+      continue;
     }
     
-    if (keywordRows.length === 0) {
-      logProgress('No pending keywords found in Excel file. Nothing to do.');
-      return;
+    const keywordRow = repository.getKeyword(keywordIds[i]);
+    
+    // The keyword may have been deleted, published or submitted for review
+    // since the job was queued
+    if (!keywordRow || repository.isPublished(keywordRow) || workflow.isAwaitingReview(keywordRow.id)) {
+      job.markProcessed(keywordIds[i]);
+      continue;
     }
     
-    // Update progress info
-    jobProgress.total = keywordRows.length;
-    jobProgress.current = 0;
-    jobProgress.status = 'Processing keywords';
+    const keyword = keywordRow[config.app.keywordColumn];
     
-    // Track success and failures
-    let successCount = 0;
-    let failureCount = 0;
+    // Update progress
+    job.update({ current: i + 1, currentKeyword: keyword });
     
-    // Start with a summary log
-    logProgress(`Started processing ${keywordRows.length} keywords`);
+    // Log in a simplified format
+    job.log(`Processing: "${keyword}" (${i + 1}/${keywordIds.length})`);
     
-    // Process each keyword
-    for (let i = 0; i < keywordRows.length; i++) {
-      const keywordRow = keywordRows[i];
-      const keyword = keywordRow[config.app.keywordColumn];
-      
-      // Update progress
-      jobProgress.current = i + 1;
-      jobProgress.currentKeyword = keyword;
-      
-      // Log in a simplified format
-      logProgress(`Processing: "${keyword}" (${i + 1}/${keywordRows.length})`);
-      
-      try {
-        // Generate article content
-        logProgress(`Generating content for "${keyword}"...`);
-        
-        // Check if we should use prompts settings
-        let promptSettings = null;
-        
-        if (config.prompts) {
-          promptSettings = {
-            useMultiPartGeneration: config.prompts.useMultiPartGeneration,
-            mainPrompt: config.prompts.mainPrompt || config.app.contentTemplate,
-            part1Prompt: config.prompts.part1Prompt,
-            part2Prompt: config.prompts.part2Prompt,
-            part3Prompt: config.prompts.part3Prompt,
-            toneVoice: config.prompts.toneVoice,
-            seoGuidelines: config.prompts.seoGuidelines,
-            thingsToAvoid: config.prompts.thingsToAvoid
-          };
-        } else if (config.app.contentTemplate) {
-          // Fallback to just using content template
-          promptSettings = config.app.contentTemplate;
-        }
-        
-        const article = await generateArticleContent(
-          config.openai, 
-          keyword, 
-          config.app.minWords,
-          promptSettings
-        );
-        
-        // Publish to WordPress
-        logProgress(`Publishing "${keyword}" to WordPress...`);
-        const publishData = await publishToWordPress(
-          config.wordpress,
-          article,
-          keyword,
-          config.app.publishStatus
-        );
-        
-        // Update Excel with publication status
-        updateExcelWithPublicationStatus(config.app.excelFile, keywordRow, publishData);
-        
-        // Log success with a checkmark
-        logProgress(`✓ Published "${keyword}" successfully as ${config.app.publishStatus}`);
+    try {
+      const result = await processSingleKeyword(keywordRow, job, jobData.ownerId, experiment);
+      if (result === 'submitted') {
+        submittedCount++;
+      } else {
         successCount++;
-        
-        // Add a delay between keywords
-        if (i < keywordRows.length - 1) {
-          logProgress(`Waiting before next keyword...`);
-          await new Promise(resolve => setTimeout(resolve, config.app.delayBetweenPosts));
-        }
-      } catch (error) {
-        // Log error with an X mark
-        logProgress(`✗ Failed to process "${keyword}": ${error.message}`);
-        failureCount++;
-        // Continue with next keyword
       }
+      
+      // Add a delay between keywords
+      if (i < keywordIds.length - 1) {
+        job.log(`Waiting before next keyword...`);
+        await new Promise(resolve => setTimeout(resolve, config.app.delayBetweenPosts));
+      }
+    } catch (error) {
+      failureCount++;
+      // Continue with next keyword
     }
     
-    // Log completion summary
-    logProgress(`Automation completed: ${successCount} published, ${failureCount} failed`);
-  } catch (error) {
-    logProgress(`Automation failed: ${error.message}`);
-    throw error;
+    job.markProcessed(keywordIds[i]);
+  }
+  
+  // Log completion summary
+  job.log(`Automation completed: ${successCount} published, ${submittedCount} submitted for review, ${failureCount} failed`);
+}
+
+// Get the IDs of keywords that a queued or running job still has to process.
+// Checked when queueing so two jobs never generate and publish the same keyword.
+function getKeywordIdsInActiveJobs() {
+  const ids = new Set();
+  
+  jobQueue.listActiveJobs().forEach(job => {
+    if (job.payload.keywordId) {
+      ids.add(job.payload.keywordId);
+    } else {
+      (job.payload.keywordIds || [])
+        .filter(id => !job.processedIds.includes(id))
+        .forEach(id => ids.add(id));
+    }
+  });
+  
+  return ids;
+}
+
+// Job handlers for the background job queue
+jobQueue.registerHandler('batch', runAutomation);
+
+jobQueue.registerHandler('single', async (jobData, job) => {
+  const keywordRow = repository.getKeyword(jobData.payload.keywordId);
+  
+  if (!keywordRow) {
+    throw new Error('Keyword no longer exists');
+  }
+  
+  // A resumed job may find its keyword already published or in review
+  if (repository.isPublished(keywordRow)) {
+    job.log(`"${keywordRow[config.app.keywordColumn]}" is already published`);
+    return;
+  }
+  if (workflow.isAwaitingReview(keywordRow.id)) {
+    job.log(`"${keywordRow[config.app.keywordColumn]}" is already in review`);
+    return;
+  }
+  
+  job.update({ currentKeyword: keywordRow[config.app.keywordColumn] });
+  await processSingleKeyword(keywordRow, job, jobData.ownerId);
+  job.update({ current: 1 });
+});
+
+// Generate a keyword's draft for the preview page, which watches the job
+jobQueue.registerHandler('generate', async (jobData, job) => {
+  const keywordRow = repository.getKeyword(jobData.payload.keywordId);
+  
+  if (!keywordRow) {
+    throw new Error('Keyword no longer exists');
+  }
+  
+  const keyword = keywordRow[config.app.keywordColumn];
+  const owner = (await getAllUsers()).find(user => user.id === jobData.ownerId);
+  job.update({ currentKeyword: keyword });
+  
+  // Use the keyword's prompt profile or the prompt settings of its site
+  const site = sites.getSiteForKeyword(keywordRow);
+  const promptSettings = buildPromptSettings(site, keywordRow);
+  if (promptSettings && promptSettings.profile) {
+    job.log(`Using prompt profile "${promptSettings.profile}"`);
   }
+  
+  job.step('generating');
+  job.log(`Generating content for "${keyword}"...`);
+  if (jobData.payload.outline) {
+    job.log(`Writing the article from the edited outline (${jobData.payload.outline.length} sections)`);
+  }
+  const article = await generateArticleContent(
+    config.openai, 
+    keyword, 
+    config.app.minWords,
+    promptSettings,
+    { ...getJobGenerationOptions(job, keywordRow), outline: jobData.payload.outline }
+  );
+  
+  // Store the article as the keyword's draft, with its token usage
+  const saved = repository.saveArticle(keywordRow.id, article, jobData.ownerId, { source: 'generate', promptSettings });
+  usage.recordUsage(article.usage, {
+    userId: jobData.ownerId,
+    keywordId: keywordRow.id,
+    siteId: site ? site.id : null,
+    articleId: saved.id,
+    purpose: 'generate'
+  });
+  recordAudit(null, 'article.generate', keywordTarget(keywordRow), {
+    actor: owner,
+    ip: jobData.payload.ip,
+    after: toAuditArticle(saved),
+    details: { model: saved.model, tokens: article.usage.totalTokens, jobId: job.id }
+  });
+  job.log(`Generated "${article.title}" (${article.wordCount} words, ${article.usage.totalTokens} tokens)`);
+  
+  // The default featured image can be changed on the preview page, so a
+  // failure here does not fail the generation
+  job.step('formatting');
+  try {
+    await images.createDefaultImage(keywordRow, article, { userId: jobData.ownerId, log: job.log });
+  } catch (imageError) {
+    job.log(`⚠ Could not create a featured image: ${imageError.message}`);
+  }
+  
+  job.update({ current: 1, result: { redirect: `/preview/${encodeURIComponent(keyword)}` } });
+});
+
+// Write the outline of a keyword's article for the generate page, where it
+// can be edited before a 'generate' job writes the article from it
+jobQueue.registerHandler('outline', async (jobData, job) => {
+  const keywordRow = repository.getKeyword(jobData.payload.keywordId);
+  
+  if (!keywordRow) {
+    throw new Error('Keyword no longer exists');
+  }
+  
+  const keyword = keywordRow[config.app.keywordColumn];
+  job.update({ currentKeyword: keyword });
+  
+  // Use the keyword's prompt profile or the prompt settings of its site
+  const site = sites.getSiteForKeyword(keywordRow);
+  const promptSettings = buildPromptSettings(site, keywordRow);
+  if (promptSettings && promptSettings.profile) {
+    job.log(`Using prompt profile "${promptSettings.profile}"`);
+  }
+  
+  job.step('outlining');
+  job.log(`Writing the outline for "${keyword}"...`);
+  const { outline, usage: outlineUsage } = await generateArticleOutline(
+    config.openai,
+    keyword,
+    config.app.minWords,
+    promptSettings,
+    getJobGenerationOptions(job, keywordRow)
+  );
+  usage.recordUsage(outlineUsage, {
+    userId: jobData.ownerId,
+    keywordId: keywordRow.id,
+    siteId: site ? site.id : null,
+    purpose: 'outline'
+  });
+  job.log(`Used ${outlineUsage.totalTokens} tokens ($${outlineUsage.cost.toFixed(4)})`);
+  
+  job.update({ current: 1, result: { outline } });
+});
+
+// Get the pending keywords a schedule publishes, in publishing order,
+// leaving out keywords that an active job already covers
+function getScheduledKeywords(schedule) {
+  const activeIds = getKeywordIdsInActiveJobs();
+  
+  return repository.listPendingKeywords(config.app.keywordColumn, schedule.keywordOwnerId, schedule.siteId || null)
+    .filter(row => !activeIds.has(row.id));
+}
+
+// Queue the next pending keywords when a schedule slot is due
+async function runScheduledSlot(schedule, slot) {
+  const keywordIds = getScheduledKeywords(schedule)
+    .slice(0, schedule.postsPerSlot)
+    .map(row => row.id);
+  
+  if (keywordIds.length === 0) {
+    console.log(`Schedule "${schedule.name}": no pending keywords for the ${slot.toLocaleString()} slot`);
+    return;
+  }
+  
+  if (!validateConfig()) {
+    throw new Error('Invalid configuration. Check your settings.');
+  }
+  
+  const job = jobQueue.enqueueJob('batch', schedule.ownerId, { keywordIds, scheduleId: schedule.id });
+  console.log(`Schedule "${schedule.name}": queued job ${job.id} for the ${slot.toLocaleString()} slot`);
 }
 
 // Ensure data directory exists before starting
@@ -486,17 +843,26 @@ async function initializeApp() {
     await ensureUsersFileExists();
     console.log('User authentication system initialized');
     
-    // Initialize ownership for existing keywords if Excel file exists
+    // Turn the single-site WordPress settings into the default site
+    sites.migrateFromConfig(config);
+    
+    // Import the Excel sheet into the datastore on first run, then make sure
+    // every keyword has an owner
     try {
-      if (await fileExists(config.app.excelFile)) {
-        // Get admin user ID
-        const users = await getAllUsers();
-        const adminUser = users.find(user => user.role === 'admin');
-        
-        if (adminUser) {
-          await userModel.initializeKeywordOwnership(config.app.excelFile, config.app.keywordColumn, adminUser.id);
+      const users = await getAllUsers();
+      const adminUser = users.find(user => user.role === 'admin');
+      
+      if (adminUser) {
+        if (repository.listKeywords().length === 0 && await fileExists(config.app.excelFile)) {
+          console.log(`Importing keywords from ${config.app.excelFile} into the datastore`);
+          repository.importKeywordsFromExcel(config.app.excelFile, config.app.keywordColumn, adminUser.id);
         }
+        
+        await userModel.initializeKeywordOwnership(adminUser.id);
       }
+      
+      // Keywords without a site belong to the default site
+      repository.assignDefaultSite(repository.getDefaultSiteId());
     } catch (ownershipError) {
       console.warn('Error initializing keyword ownership:', ownershipError);
       // Continue without failing - application will still work
@@ -534,42 +900,35 @@ app.get('/admin/employee-dashboard', isAuthenticated, isAdmin, async (req, res)
       
       if (selectedEmployee) {
         // Get employee's keywords
-        const excelFileExists = await fileExists(config.app.excelFile);
+        keywords = repository.listKeywords(selectedEmployeeId);
         
-        if (excelFileExists) {
-          const workbook = XLSX.readFile(config.app.excelFile);
-          const sheetName = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[sheetName];
-          const data = XLSX.utils.sheet_to_json(worksheet);
-          
-          // Filter data for the selected employee
-          keywords = data.filter(row => 
-            row.OwnerId === selectedEmployeeId || row.CreatedBy === selectedEmployeeId
-          );
-          
-          // Filter for published articles
-          publications = keywords.filter(row => row.Status === 'Published');
-          
-          // Calculate statistics
-          stats.totalKeywords = keywords.length;
-          stats.publishedKeywords = publications.length;
-          stats.pendingKeywords = keywords.filter(row => 
-            row.Status === 'Pending' || !row.Status || row.Status === ''
-          ).length;
-          
-          // Create dummy activity log for now (can be replaced with actual logging system)
-          // In a real implementation, you would read from a proper activity log
-          activityLog = createDummyActivityLog(keywords, publications, selectedEmployeeId);
-          
-          // Count today's activity
-          const today = new Date().toISOString().split('T')[0]; // Get YYYY-MM-DD
-          stats.todayActivity = activityLog.filter(log => 
-            log.timestamp.startsWith(today)
-          ).length;
-        }
+        // Filter for published articles
+        publications = keywords.filter(repository.isPublished);
+        
+        // Calculate statistics
+        stats.totalKeywords = keywords.length;
+        stats.publishedKeywords = publications.length;
+        stats.pendingKeywords = keywords.filter(row => 
+          row.Status === 'Pending' || !row.Status || row.Status === ''
+        ).length;
+        
+        // The employee's most recent entries in the audit log
+        activityLog = auditLog.listEntries({ userId: selectedEmployeeId }).slice(0, 100).map(entry => ({
+          type: entry.type,
+          timestamp: entry.createdAt,
+          message: entry.targetLabel ? `${entry.label}: "${entry.targetLabel}"` : entry.label
+        }));
+        
+        // Count today's activity
+        stats.todayActivity = auditLog.listEntries({ userId: selectedEmployeeId, from: toLocalDate(new Date()) }).length;
       }
     }
     
+    // The audit log of everyone, filtered by user, date range and action
+    // (the selected employee by default)
+    const auditFilters = getAuditFilters(req, selectedEmployeeId);
+    const auditEntries = auditLog.listEntries(auditFilters);
+    
     // Render the employee dashboard view
     res.render('employee-dashboard', {
       page: 'employee-dashboard',
@@ -580,6 +939,12 @@ app.get('/admin/employee-dashboard', isAuthenticated, isAdmin, async (req, res)
       publications,
       activityLog,
       stats,
+      allUsers,
+      auditFilters,
+      auditEntries: auditEntries.slice(0, AUDIT_PAGE_SIZE),
+      auditTotal: auditEntries.length,
+      auditActions: auditLog.listActions(),
+      describeChanges: auditLog.describeChanges,
       keywordColumn: config.app.keywordColumn,
       error: req.flash('error'),
       success: req.flash('success')
@@ -591,35 +956,41 @@ app.get('/admin/employee-dashboard', isAuthenticated, isAdmin, async (req, res)
   }
 });
 
-// Helper function to create dummy activity log for demo purposes
-// This would be replaced with real logging in a production system
-function createDummyActivityLog(keywords, publications, employeeId) {
-  const log = [];
-  
-  // Add keyword creation log entries
-  keywords.forEach(keyword => {
-    if (keyword.CreatedBy === employeeId) {
-      log.push({
-        type: 'info',
-        timestamp: keyword.CreatedAt || new Date().toISOString(),
-        message: `Created keyword: "${keyword[config.app.keywordColumn]}"`
-      });
-    }
-  });
-  
-  // Add publication log entries
-  publications.forEach(pub => {
-    log.push({
-      type: 'success',
-      timestamp: pub['Publication Date'] || new Date().toISOString(),
-      message: `Published article for: "${pub[config.app.keywordColumn]}"`
-    });
-  });
-  
-  // Sort by timestamp (newest first)
-  return log.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+// Audit log entries shown on the employee dashboard (the CSV export has all)
+const AUDIT_PAGE_SIZE = 500;
+
+// Format a date as YYYY-MM-DD in local time
+function toLocalDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Read the audit log filters of the dashboard and the CSV export
+function getAuditFilters(req, defaultUserId = '') {
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  return {
+    userId: req.query.userId !== undefined ? String(req.query.userId) : defaultUserId,
+    from: isDate(req.query.from) ? req.query.from : '',
+    to: isDate(req.query.to) ? req.query.to : '',
+    action: auditLog.ACTIONS[req.query.action] ? req.query.action : ''
+  };
 }
 
+// Export the audit log as CSV, with the dashboard's filters - Admin only
+app.get('/admin/audit-log.csv', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const entries = auditLog.listEntries(getAuditFilters(req));
+    
+    res.attachment(`audit-log-${toLocalDate(new Date())}.csv`);
+    res.type('text/csv');
+    res.send(auditLog.toCsv(entries));
+  } catch (error) {
+    console.error('Error exporting the audit log:', error);
+    req.flash('error', 'Failed to export the audit log: ' + error.message);
+    res.redirect('/admin/employee-dashboard');
+  }
+});
+
 // Add this new route to server.js
 // This route is specifically for the admin to view articles from the employee dashboard
 app.get('/admin/view-article/:keyword/:userId', isAuthenticated, isAdmin, async (req, res) => {
@@ -629,17 +1000,9 @@ app.get('/admin/view-article/:keyword/:userId', isAuthenticated, isAdmin, async
     
     console.log(`Admin viewing article for keyword: "${keyword}" by user ID: ${userId}`);
     
-    // Load the Excel file
-    const workbook = XLSX.readFile(config.app.excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
     // Find the specific keyword for the specific user
-    const keywordRow = data.find(row => 
-      row[config.app.keywordColumn] === keyword && 
-      (row.OwnerId === userId || row.CreatedBy === userId)
-    );
+    const keywordRow = repository.listKeywords(userId)
+      .find(row => row[config.app.keywordColumn] === keyword);
     
     if (!keywordRow) {
       req.flash('error', `Article for keyword "${keyword}" by this employee not found`);
@@ -652,11 +1015,12 @@ app.get('/admin/view-article/:keyword/:userId', isAuthenticated, isAdmin, async
         console.log(`Fetching content from WordPress for Post ID: ${keywordRow['Post ID']}`);
         
         // Create authentication header
-        const authString = `${config.wordpress.username}:${config.wordpress.password}`;
+        const wpConfig = sites.getWordPressConfig(getPublishingSite(keywordRow));
+        const authString = `${wpConfig.username}:${wpConfig.password}`;
         const encodedAuth = Buffer.from(authString).toString('base64');
         
-        // Get post content from WordPress
-        const response = await axios.get(`${config.wordpress.apiUrl}/posts/${keywordRow['Post ID']}`, {
+        // Get post content from the keyword's site
+        const response = await axios.get(`${wpConfig.apiUrl}/posts/${keywordRow['Post ID']}`, {
           headers: {
             'Authorization': `Basic ${encodedAuth}`
           }
@@ -707,6 +1071,12 @@ async function startServer() {
     // Continue with existing initialization
     await initializeApp();
     
+    // Start background workers (resumes jobs interrupted by a restart)
+    jobQueue.startQueue(config.app.jobWorkers);
+    
+    // Start publishing scheduled keywords
+    scheduler.startScheduler(runScheduledSlot);
+    
     // Use PORT from environment variable (Cloudways sets this)
     const port = process.env.PORT || 5000;
     
@@ -725,31 +1095,6 @@ startServer();
 // Attach user to locals
 app.use(attachUserToLocals);
 
-// Track running job
-let isJobRunning = false;
-let jobProgress = {
-  total: 0,
-  current: 0,
-  currentKeyword: '',
-  status: '',
-  log: []
-};
-
-// Helper function to log progress (simplified activity logging)
-function logProgress(message) {
-  const timestamp = new Date().toLocaleTimeString();
-  const logMessage = `[${timestamp}] ${message}`;
-  console.log(logMessage);
-  
-  // Add to the job progress log
-  jobProgress.log.push(logMessage);
-  
-  // Keep log size reasonable
-  if (jobProgress.log.length > 50) {
-    jobProgress.log.shift();
-  }
-}
-
 //====================================================
 // USER MANAGEMENT
 //====================================================
@@ -824,6 +1169,12 @@ function hashPassword(password) {
   return crypto.createHash('sha256').update(password).digest('hex');
 }
 
+// Parse a monthly AI budget from a form (null means no limit)
+function parseBudget(value) {
+  const budget = parseFloat(value);
+  return budget > 0 ? Math.round(budget * 100) / 100 : null;
+}
+
 // Generate user ID
 function generateId() {
   const crypto = require('crypto');
@@ -869,6 +1220,7 @@ async function createUser(userData) {
     name: userData.name,
     email: userData.email,
     role: userData.role || 'employee', // Default to employee if not specified
+    monthlyBudget: parseBudget(userData.monthlyBudget),
     createdAt: new Date().toISOString()
   };
   
@@ -978,12 +1330,14 @@ app.post('/login', async (req, res) => {
     const user = await authenticateUser(username, password);
     
     if (!user) {
+      recordAudit(null, 'auth.login_failed', { type: 'user', id: null, label: String(username) }, { ip: req.ip });
       req.flash('error', 'Invalid username or password');
       return res.redirect('/login');
     }
     
     // Set user in session
     req.session.user = user;
+    recordAudit(req, 'auth.login', userTarget(user));
     
     // Redirect to saved returnTo URL or dashboard
     const returnUrl = req.session.returnTo || '/';
@@ -999,6 +1353,10 @@ app.post('/login', async (req, res) => {
 
 // Logout
 app.get('/logout', (req, res) => {
+  if (req.session && req.session.user) {
+    recordAudit(req, 'auth.logout', userTarget(req.session.user));
+  }
+  
   // Destroy session
   req.session.destroy(err => {
     if (err) {
@@ -1029,7 +1387,7 @@ app.get('/users', isAuthenticated, isAdmin, async (req, res) => {
 // Create user (admin only)
 app.post('/users', isAuthenticated, isAdmin, async (req, res) => {
   try {
-    const { username, password, name, email, role } = req.body;
+    const { username, password, name, email, role, monthlyBudget } = req.body;
     
     // Validate required fields
     if (!username || !password || !name || !email || !role) {
@@ -1038,13 +1396,15 @@ app.post('/users', isAuthenticated, isAdmin, async (req, res) => {
     }
     
     // Create user
-    await createUser({
+    const createdUser = await createUser({
       username,
       password,
       name,
       email,
-      role
+      role,
+      monthlyBudget
     });
+    recordAudit(req, 'user.create', userTarget(createdUser), { after: toAuditUser(createdUser) });
     
     req.flash('success', 'User created successfully');
     res.redirect('/users');
@@ -1059,7 +1419,7 @@ app.post('/users', isAuthenticated, isAdmin, async (req, res) => {
 app.post('/users/:id', isAuthenticated, isAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, role, password } = req.body;
+    const { name, email, role, password, monthlyBudget } = req.body;
     
     // Validate required fields
     if (!name || !email || !role) {
@@ -1068,7 +1428,7 @@ app.post('/users/:id', isAuthenticated, isAdmin, async (req, res) => {
     }
     
     // Update data
-    const updateData = { name, email, role };
+    const updateData = { name, email, role, monthlyBudget: parseBudget(monthlyBudget) };
     
     // Add password if provided
     if (password) {
@@ -1076,7 +1436,13 @@ app.post('/users/:id', isAuthenticated, isAdmin, async (req, res) => {
     }
     
     // Update user
-    await updateUser(id, updateData);
+    const previousUser = (await getAllUsers()).find(user => user.id === id);
+    const updatedUser = await updateUser(id, updateData);
+    recordAudit(req, 'user.update', userTarget(updatedUser), {
+      before: toAuditUser(previousUser),
+      after: toAuditUser(updatedUser),
+      details: password ? { passwordChanged: true } : null
+    });
     
     req.flash('success', 'User updated successfully');
     res.redirect('/users');
@@ -1099,7 +1465,8 @@ app.post('/users/:id/delete', isAuthenticated, isAdmin, async (req, res) => {
     }
     
     // Delete user
-    await deleteUser(id);
+    const deletedUser = await deleteUser(id);
+    recordAudit(req, 'user.delete', userTarget(deletedUser), { before: toAuditUser(deletedUser) });
     
     req.flash('success', 'User deleted successfully');
     res.redirect('/users');
@@ -1155,6 +1522,11 @@ app.post('/profile', isAuthenticated, async (req, res) => {
     
     // Update user
     const updatedUser = await updateUser(req.session.user.id, updateData);
+    recordAudit(req, 'user.profile', userTarget(updatedUser), {
+      before: toAuditUser(req.session.user),
+      after: toAuditUser(updatedUser),
+      details: newPassword ? { passwordChanged: true } : null
+    });
     
     // Update session
     req.session.user = updatedUser;
@@ -1172,40 +1544,51 @@ app.post('/profile', isAuthenticated, async (req, res) => {
 // UPDATED PAGE ROUTES WITH ACCESS CONTROL
 //====================================================
 
+// Get the site selected with the ?site= filter (null means all sites)
+function getSelectedSiteId(req) {
+  const siteId = req.query.site || (req.body && req.body.siteId);
+  return sites.getSite(siteId) ? siteId : null;
+}
+
 // Home page route - Requires authentication and filters data for employees
 app.get('/', isAuthenticated, isResourceOwner, async (req, res) => {
   // Check if the configuration is valid
   const configValid = validateConfig();
   
+  // The dashboard can be narrowed down to one site; the connection test
+  // uses the selected site or the default site
+  const selectedSiteId = getSelectedSiteId(req);
+  const site = sites.getSite(selectedSiteId) || sites.getDefaultSite();
+  
   // Check connection to WordPress only if config is valid
   let wpConnectionStatus = false;
-  if (configValid) {
+  if (configValid && sites.isSiteConfigured(site)) {
     try {
-      wpConnectionStatus = await testWordPressConnection(config.wordpress);
+      wpConnectionStatus = await testWordPressConnection(sites.getWordPressConfig(site));
     } catch (error) {
       console.error('Error testing WordPress connection:', error.message);
     }
   }
   
-  // Check if keywords file exists
-  const excelFileExists = await fileExists(config.app.excelFile);
-  
-  // For regular employees, only pass their own job progress data
-  let filteredJobProgress = jobProgress;
+  // Check if there are any keywords to work on
+  const keywordsAvailable = repository.listKeywords(req.ownerId || null, selectedSiteId).length > 0;
   
-  if (req.session.user.role === 'employee' && req.ownerId) {
-    // If we're going to track job progress per user in the future,
-    // we would filter the job progress here based on req.ownerId
-  }
+  // Show the most recent job started by this user
+  const newestJob = jobQueue.listJobs(req.session.user.id)[0];
+  const latestJob = newestJob ? jobQueue.getJob(newestJob.id) : null;
   
   res.render('index', {
     page: 'home',
     configValid,
     wpConnectionStatus,
-    excelFileExists,
-    isJobRunning,
-    jobProgress: filteredJobProgress,
+    keywordsAvailable,
+    isJobRunning: !!(latestJob && jobQueue.isActive(latestJob)),
+    latestJob,
+    jobSteps: jobQueue.STEPS,
     config,
+    site,
+    sites: sites.listSites(),
+    selectedSiteId,
     error: req.flash('error'),
     success: req.flash('success')
   });
@@ -1216,39 +1599,24 @@ app.get('/keywords', isAuthenticated, isResourceOwner, async (req, res) => {
   let keywords = [];
   let error = null;
   
-  // Check if Excel file exists and load keywords
-  const excelFileExists = await fileExists(config.app.excelFile);
-  
-  if (excelFileExists) {
-    try {
-      const allKeywords = readKeywordsFromExcel(config.app.excelFile, config.app.keywordColumn);
-      
-      // For employees, filter keywords to only show their own
-      if (req.session.user.role === 'employee' && req.ownerId) {
-        // Filter keywords based on user ID
-        // This requires adding a "CreatedBy" or "OwnerId" column to the Excel file
-        keywords = allKeywords.filter(keyword => {
-          // If the keyword has a "CreatedBy" field and it matches the user ID, include it
-          // Otherwise, don't include it for employees
-          return keyword.CreatedBy === req.ownerId || keyword.OwnerId === req.ownerId;
-        });
-      } else {
-        // For admins, show all keywords
-        keywords = allKeywords;
-      }
-    } catch (err) {
-      error = `Error reading Excel file: ${err.message}`;
-    }
-  } else {
-    error = `Excel file not found at: ${config.app.excelFile}`;
+  try {
+    // For employees, only show their own keywords; admins see everything
+    keywords = repository.listKeywords(
+      req.session.user.role === 'employee' ? req.ownerId : null,
+      getSelectedSiteId(req)
+    );
+  } catch (err) {
+    error = `Error reading keywords: ${err.message}`;
   }
   
   res.render('keywords', {
     page: 'keywords',
     keywords,
+    sites: sites.listSites(),
+    profiles: promptProfiles.listProfiles(req.session.user),
+    selectedSiteId: getSelectedSiteId(req),
     error: error || req.flash('error'),
     success: req.flash('success'),
-    excelFile: config.app.excelFile,
     keywordColumn: config.app.keywordColumn
   });
 });
@@ -1256,69 +1624,218 @@ app.get('/keywords', isAuthenticated, isResourceOwner, async (req, res) => {
 // History page route - Requires authentication with resource ownership check
 app.get('/history', isAuthenticated, isResourceOwner, async (req, res) => {
   let publications = [];
+  let scheduled = [];
   let error = null;
   
-  // Read all data from Excel including published articles
-  const excelFileExists = await fileExists(config.app.excelFile);
-  
-  if (excelFileExists) {
-    try {
-      const workbook = XLSX.readFile(config.app.excelFile);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const data = XLSX.utils.sheet_to_json(worksheet);
-      
-      // Filter published articles
-      let allPublications = data.filter(row => row.Status === 'Published');
-      
-      // Filter publications for employees to only show their own
-      if (req.session.user.role === 'employee' && req.ownerId) {
-        // Only show publications created by this employee
-        publications = allPublications.filter(pub => {
-          return pub.CreatedBy === req.ownerId || pub.OwnerId === req.ownerId;
-        });
-      } else {
-        // For admins, show all publications
-        publications = allPublications;
+  try {
+    // Only show publications created by this employee; admins see everything
+    publications = repository.listPublishedKeywords(
+      req.session.user.role === 'employee' ? req.ownerId : null,
+      getSelectedSiteId(req)
+    );
+    
+    // Make sure the keyword column is accessible as 'Keyword'
+    publications = publications.map(row => {
+      // If the keyword column name is different from 'Keyword', create an alias
+      if (config.app.keywordColumn !== 'Keyword' && row[config.app.keywordColumn]) {
+        row['Keyword'] = row[config.app.keywordColumn];
       }
-      
-      // Make sure the keyword column is accessible as 'Keyword'
-      publications = publications.map(row => {
-        // If the keyword column name is different from 'Keyword', create an alias
-        if (config.app.keywordColumn !== 'Keyword' && row[config.app.keywordColumn]) {
-          row['Keyword'] = row[config.app.keywordColumn];
-        }
-        return row;
-      });
-      
-      // Set error to null explicitly
-      error = null;
-    } catch (err) {
-      error = `Error reading Excel file: ${err.message}`;
-    }
-  } else {
-    error = `Excel file not found at: ${config.app.excelFile}`;
+      return row;
+    });
+    
+    // Posts WordPress has not published yet are listed separately
+    scheduled = publications.filter(repository.isScheduled)
+      .sort((a, b) => a['Publication Date'].localeCompare(b['Publication Date']));
+    publications = publications.filter(row => !repository.isScheduled(row));
+  } catch (err) {
+    error = `Error reading publications: ${err.message}`;
   }
   
   res.render('history', {
     page: 'history',
     publications: publications || [],
+    scheduled,
+    sites: sites.listSites(),
+    selectedSiteId: getSelectedSiteId(req),
     error: typeof error === 'string' ? error : null,
     success: req.flash('success'),
     config // Pass config to the view to access keywordColumn
   });
 });
 
+// Calendar page route - Shows publishing schedules and upcoming slots
+app.get('/calendar', isAuthenticated, isEmployee, async (req, res) => {
+  let calendar = [];
+  let schedules = [];
+  let users = [];
+  let error = null;
+  
+  try {
+    // Employees manage their own schedules; admins see all of them
+    schedules = scheduler.listSchedules(req.session.user.role === 'admin' ? null : req.session.user.id);
+    calendar = scheduler.planCalendar(schedules, getScheduledKeywords, 14);
+    
+    if (req.session.user.role === 'admin') {
+      users = await getAllUsers();
+    }
+  } catch (err) {
+    error = `Error building calendar: ${err.message}`;
+  }
+  
+  res.render('calendar', {
+    page: 'calendar',
+    schedules,
+    calendar,
+    users,
+    sites: sites.listSites(),
+    keywordColumn: config.app.keywordColumn,
+    error: error || req.flash('error'),
+    success: req.flash('success')
+  });
+});
+
+// Sites page route - Manage the WordPress sites (admin only)
+app.get('/sites', isAuthenticated, isAdmin, async (req, res) => {
+  let siteList = [];
+  let error = null;
+  
+  try {
+    // Count the keywords of each site for the overview
+    siteList = sites.listSites().map(site => ({
+      ...site,
+      stats: repository.getKeywordStats(null, site.id)
+    }));
+  } catch (err) {
+    error = `Error reading sites: ${err.message}`;
+  }
+  
+  res.render('sites', {
+    page: 'sites',
+    sites: siteList,
+    promptFields: sites.PROMPT_FIELDS,
+    recipePlugins: recipePlugins.listRecipePlugins(),
+    seoPlugins: seo.listSeoPlugins(),
+    jsonLdMetaKey: structuredData.JSON_LD_META_KEY,
+    formatCategoryMapping: sites.formatCategoryMapping,
+    defaultPublishStatus: config.app.publishStatus,
+    error: error || req.flash('error'),
+    success: req.flash('success')
+  });
+});
+
+// Prompt experiments page route - Admin only
+app.get('/experiments', isAuthenticated, isAdmin, (req, res) => {
+  const experimentList = experiments.listExperiments().map(experiment => ({
+    ...experiment,
+    articleCount: experiments.listExperimentArticles(experiment.id).length
+  }));
+  
+  res.render('experiments', {
+    page: 'experiments',
+    experiments: experimentList,
+    assignmentModes: experiments.ASSIGNMENT_MODES,
+    error: req.flash('error'),
+    success: req.flash('success')
+  });
+});
+
+// Prompt experiment report route - Admin only. With ?views=1 the page views
+// of the published posts are read from their sites.
+app.get('/experiments/:id', isAuthenticated, isAdmin, async (req, res) => {
+  const experiment = experiments.getExperiment(req.params.id);
+  if (!experiment) {
+    req.flash('error', 'Experiment not found');
+    return res.redirect('/experiments');
+  }
+  
+  const results = experiments.listResults(experiment, config.app.keywordColumn);
+  const withViews = req.query.views === '1';
+  
+  if (withViews) {
+    for (const row of results) {
+      const site = row.postId ? sites.getSite(row.siteId) : null;
+      if (!sites.isSiteConfigured(site)) continue;
+      
+      try {
+        row.views = await getPostViews(sites.getWordPressConfig(site), row.postId);
+      } catch (error) {
+        console.warn(`Could not read the page views of post ${row.postId}: ${error.message}`);
+      }
+    }
+  }
+  
+  res.render('experiment-report', {
+    page: 'experiments',
+    experiment,
+    results,
+    summary: experiments.summarizeResults(experiment, results),
+    withViews,
+    assignmentModes: experiments.ASSIGNMENT_MODES
+  });
+});
+
 // Settings page route - Requires admin
 app.get('/settings', isAuthenticated, isAdmin, async (req, res) => {
   res.render('settings', {
     page: 'settings',
     config,
+    sites: sites.listSites(),
+    providers: llmProviders.listProviders(),
+    imageTemplates: placeholderImage.listTemplates(),
     error: req.flash('error'),
     success: req.flash('success')
   });
 });
 
+// AI usage report - Requires admin
+app.get('/admin/usage', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : usage.monthKey();
+    const users = await getAllUsers();
+    
+    // Each user's spending this month against their budget
+    const budgets = {};
+    users.forEach(user => {
+      budgets[user.id] = usage.getBudgetStatus(user);
+    });
+    
+    res.render('usage', {
+      page: 'usage',
+      month,
+      report: usage.getUsageReport(month),
+      users,
+      budgets,
+      sites: sites.listSites(),
+      priceTable: usage.formatPriceTable(config.usage.prices),
+      error: req.flash('error'),
+      success: req.flash('success')
+    });
+  } catch (error) {
+    console.error('Error loading usage report:', error);
+    req.flash('error', 'Failed to load usage report: ' + error.message);
+    res.redirect('/');
+  }
+});
+
+// Save the token price table - Requires admin
+app.post('/admin/usage/prices', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const before = { prices: config.usage.prices };
+    config.usage = { ...config.usage, prices: usage.parsePriceTable(req.body.priceTable) };
+    await saveConfig(config);
+    recordAudit(req, 'settings.prices', { type: 'settings', label: 'Token prices' }, {
+      before,
+      after: { prices: config.usage.prices }
+    });
+    
+    req.flash('success', 'Token prices saved. They apply to usage recorded from now on.');
+  } catch (error) {
+    console.error('Error saving token prices:', error);
+    req.flash('error', 'Failed to save token prices: ' + error.message);
+  }
+  res.redirect('/admin/usage');
+});
+
 // Prompt settings page route - Requires authentication
 app.get('/prompt-settings', isAuthenticated, (req, res) => {
   try {
@@ -1336,9 +1853,20 @@ app.get('/prompt-settings', isAuthenticated, (req, res) => {
       };
     }
     
+    // A selected profile is shown with the global settings it leaves alone
+    const profile = promptProfiles.getProfile(req.query.profile);
+    const selectedProfile = promptProfiles.canUse(profile, req.session.user) ? profile : null;
+    
     res.render('prompt-settings', {
       page: 'prompt-settings',
       config: config,
+      prompts: selectedProfile ? { ...config.prompts, ...selectedProfile.settings } : config.prompts,
+      templateVariables: promptTemplate.listAvailableVariables(repository.listSheetColumns()),
+      profiles: promptProfiles.listProfiles(req.session.user),
+      selectedProfile,
+      canSave: selectedProfile
+        ? promptProfiles.canEdit(selectedProfile, req.session.user)
+        : req.session.user.role === 'admin',
       error: req.flash('error'),
       success: req.flash('success')
     });
@@ -1349,51 +1877,60 @@ app.get('/prompt-settings', isAuthenticated, (req, res) => {
   }
 });
 
+// Describe a keyword's WordPress post for the preview page (null before it is sent)
+function toPublicationJson(keywordRow) {
+  return keywordRow['Post ID'] ? {
+    postId: keywordRow['Post ID'],
+    postUrl: keywordRow['Post URL'],
+    status: keywordRow.Status,
+    publicationDate: keywordRow['Publication Date'],
+    lastUpdated: keywordRow['Last Updated'] || '',
+    modifications: parseInt(keywordRow.Modifications) || 0
+  } : null;
+}
+
+// Format a Scheduled Date value for a datetime-local input ('' if unset)
+function toDateTimeLocal(value) {
+  const date = parseScheduledDate(value);
+  return date ? formatLocalDateTime(date).replace(' ', 'T') : '';
+}
+
 // Route to handle the article preview page - Requires authentication
 app.get('/preview/:keyword', isAuthenticated, async (req, res) => {
   try {
     const keyword = req.params.keyword;
     console.log(`Preview requested for keyword: "${keyword}"`);
     
-    // Load the Excel file
-    const workbook = XLSX.readFile(config.app.excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    // Find all rows with this keyword (may be owned by different users)
-    const keywordRows = data.filter(row => row[config.app.keywordColumn] === keyword);
+    // Find the keyword row (employees only see their own)
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
     
-    if (keywordRows.length === 0) {
-      console.log(`Keyword "${keyword}" not found in Excel file`);
-      req.flash('error', `Keyword "${keyword}" not found in Excel file`);
+    if (!keywordRow) {
+      console.log(`Keyword "${keyword}" not found`);
+      req.flash('error', `Keyword "${keyword}" not found`);
       return res.redirect('/keywords');
     }
     
-    let keywordRow = null;
-    
-    // For employees, find their own keyword
-    if (req.session.user.role === 'employee') {
-      keywordRow = keywordRows.find(row => 
-        row.OwnerId === req.session.user.id || row.CreatedBy === req.session.user.id
-      );
-      
-      if (!keywordRow) {
-        req.flash('error', 'You do not have permission to view this keyword');
-        return res.redirect('/keywords');
-      }
-    } else {
-      // For admins, just use the first match (or could add a user parameter to select which employee's version)
-      keywordRow = keywordRows[0];
-    }
+    // The search result mock-up shows the site's address (previewing does
+    // not need the site's credentials)
+    const keywordSite = sites.getSiteForKeyword(keywordRow);
+    const siteUrl = String((keywordSite && keywordSite.apiUrl) || '').replace(/\/wp-json.*$/, '');
     
-    // Check if a cached article exists for this keyword in session
-    if (req.app.locals.cachedArticles && req.app.locals.cachedArticles[keyword]) {
-      // Render preview with cached article
+    // Check if a stored draft, or the copy last sent to WordPress, exists
+    const draft = repository.getLatestArticle(keywordRow.id);
+    if (draft) {
+      // Render preview with the stored article (articles from before SEO
+      // metadata was generated get it derived from the article)
       return res.render('preview', {
         page: 'preview',
         keyword: keyword,
-        article: req.app.locals.cachedArticles[keyword],
+        article: draft,
+        seoData: draft.seo || seo.normalizeSeo({}, keyword, draft),
+        seoLimits: seo.LIMITS,
+        siteUrl,
+        scheduledDate: toDateTimeLocal(keywordRow['Scheduled Date']),
+        featuredImage: images.getFeaturedImage(keywordRow.id),
+        taxonomy: toTaxonomyJson(keywordRow),
+        publication: toPublicationJson(keywordRow),
         error: req.flash('error'),
         success: req.flash('success')
       });
@@ -1405,11 +1942,12 @@ app.get('/preview/:keyword', isAuthenticated, async (req, res) => {
         console.log(`Fetching content from WordPress for Post ID: ${keywordRow['Post ID']}`);
         
         // Create authentication header
-        const authString = `${config.wordpress.username}:${config.wordpress.password}`;
+        const wpConfig = sites.getWordPressConfig(getPublishingSite(keywordRow));
+        const authString = `${wpConfig.username}:${wpConfig.password}`;
         const encodedAuth = Buffer.from(authString).toString('base64');
         
-        // Get post content from WordPress
-        const response = await axios.get(`${config.wordpress.apiUrl}/posts/${keywordRow['Post ID']}`, {
+        // Get post content from the keyword's site
+        const response = await axios.get(`${wpConfig.apiUrl}/posts/${keywordRow['Post ID']}`, {
           headers: {
             'Authorization': `Basic ${encodedAuth}`
           }
@@ -1417,20 +1955,27 @@ app.get('/preview/:keyword', isAuthenticated, async (req, res) => {
         
         if (response.data && response.data.id) {
           console.log('Successfully retrieved content from WordPress');
-          // Cache the article
-          if (!req.app.locals.cachedArticles) {
-            req.app.locals.cachedArticles = {};
-          }
-          req.app.locals.cachedArticles[keyword] = {
+          
+          // Render preview with WordPress article; the SEO fields start from
+          // the post's slug and excerpt
+          const article = {
             title: response.data.title.rendered || 'No Title',
             content: response.data.content.rendered || 'No Content'
           };
-          
-          // Render preview with WordPress article
           return res.render('preview', {
             page: 'preview',
             keyword: keyword,
-            article: req.app.locals.cachedArticles[keyword],
+            article,
+            seoData: seo.normalizeSeo({
+              slug: response.data.slug,
+              excerpt: response.data.excerpt ? response.data.excerpt.rendered : ''
+            }, keyword, article),
+            seoLimits: seo.LIMITS,
+            siteUrl,
+            scheduledDate: toDateTimeLocal(keywordRow['Scheduled Date']),
+            featuredImage: images.getFeaturedImage(keywordRow.id),
+            taxonomy: toTaxonomyJson(keywordRow),
+            publication: toPublicationJson(keywordRow),
             error: req.flash('error'),
             success: req.flash('success')
           });
@@ -1441,13 +1986,7 @@ app.get('/preview/:keyword', isAuthenticated, async (req, res) => {
       }
     }
     
-    // If no cached article or WordPress content, generate one
-    // Initialize app.locals.cachedArticles if it doesn't exist
-    if (!req.app.locals.cachedArticles) {
-      req.app.locals.cachedArticles = {};
-    }
-    
-    // Show generation is not yet started
+    // If there is no draft or WordPress content, generate one
     return res.redirect(`/generate-preview/${encodeURIComponent(keyword)}`);
     
   } catch (error) {
@@ -1457,6 +1996,259 @@ app.get('/preview/:keyword', isAuthenticated, async (req, res) => {
   }
 });
 
+// API endpoint to build and validate the JSON-LD of an article being edited
+app.post('/api/structured-data', isAuthenticated, (req, res) => {
+  try {
+    const { keyword, title, content } = req.body;
+    
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
+    
+    // Recipe data comes from the draft, as it is extracted during generation
+    const draft = repository.getDraftArticle(keywordRow.id);
+    const site = sites.getSiteForKeyword(keywordRow);
+    const wpConfig = site ? sites.getWordPressConfig(site) : { structuredData: 'script' };
+    const recipePlugin = recipePlugins.getRecipePlugin(wpConfig.recipePlugin);
+    
+    // Until it is published, the featured image is served by this app
+    const featuredImage = images.getFeaturedImage(keywordRow.id);
+    const imageUrl = featuredImage
+      ? featuredImage.mediaUrl || `${req.protocol}://${req.get('host')}/images/${featuredImage.id}`
+      : null;
+    
+    const article = { title: String(title || ''), content: String(content || ''), recipeData: draft ? draft.recipeData : null };
+    const schemas = wpConfig.structuredData === 'off' ? [] : structuredData.buildStructuredData(article, keyword, {
+      datePublished: new Date(),
+      image: imageUrl,
+      skipRecipe: !!recipePlugin
+    });
+    
+    let note = '';
+    if (wpConfig.structuredData === 'off') {
+      note = `JSON-LD is turned off for ${site.name}.`;
+    } else if (article.recipeData && recipePlugin) {
+      note = `The Recipe markup is output by the ${recipePlugin.name} recipe card.`;
+    }
+    
+    res.json({
+      success: true,
+      schemas,
+      report: structuredData.validateStructuredData(schemas),
+      note
+    });
+  } catch (error) {
+    console.error('Error building structured data:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to check an article being edited against the content rules
+app.post('/api/content-checks', isAuthenticated, (req, res) => {
+  try {
+    const { keyword, content } = req.body;
+    
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
+    
+    const rules = buildRules(config.validation, config.app.minWords);
+    if (!rules) {
+      return res.json({ success: true, enabled: false });
+    }
+    
+    // The fixes were made when the draft was generated
+    const draft = repository.getLatestArticle(keywordRow.id);
+    const validation = draft && draft.validation;
+    res.json({
+      success: true,
+      enabled: true,
+      ...validateArticle(String(content || ''), keyword, rules),
+      fixes: validation ? validation.fixes : []
+    });
+  } catch (error) {
+    console.error('Error checking content:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+//====================================================
+// FEATURED IMAGES
+//====================================================
+
+// Describe a featured image for the preview page
+function toImageJson(image) {
+  return image ? {
+    id: image.id,
+    url: `/images/${image.id}`,
+    source: image.source,
+    altText: image.altText,
+    prompt: image.prompt,
+    mediaId: image.mediaId
+  } : null;
+}
+
+// Serve a featured image file - With ownership check
+app.get('/images/:id', isAuthenticated, (req, res) => {
+  const image = images.getImage(req.params.id);
+  const keywordRow = image ? repository.getKeyword(image.keywordId) : null;
+  
+  if (!keywordRow || (!workflow.isReviewer(req.session.user) && !repository.isOwnedBy(keywordRow, req.session.user.id))) {
+    return res.status(404).send('Image not found');
+  }
+  
+  res.type(image.mimeType);
+  res.sendFile(images.getImagePath(image));
+});
+
+// API endpoint to create a featured image with the image model or as a placeholder
+app.post('/api/generate-featured-image', isAuthenticated, isEmployee, async (req, res) => {
+  try {
+    const { keyword, source, title, prompt, template } = req.body;
+    
+    if (!['ai', 'placeholder'].includes(source)) {
+      return res.status(400).json({ success: false, error: 'Unknown image source' });
+    }
+    
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
+    
+    // AI images count as generation for the monthly budget
+    if (source === 'ai') {
+      const budgetError = await getBudgetError(req.session.user.id);
+      if (budgetError) {
+        return res.status(403).json({ success: false, error: budgetError });
+      }
+    }
+    
+    const image = await images.createImage(source, {
+      keyword,
+      title: title || keyword,
+      prompt: prompt || null,
+      template: template || null
+    });
+    const saved = images.setFeaturedImage(keywordRow, image, req.session.user.id);
+    
+    res.json({ success: true, image: toImageJson(saved) });
+  } catch (error) {
+    console.error('Error creating featured image:', error);
+    res.status(500).json({ success: false, error: `Could not create the image: ${error.message}` });
+  }
+});
+
+// API endpoint to upload a featured image
+app.post('/api/upload-featured-image', isAuthenticated, isEmployee, (req, res, next) => {
+  // Report a file that is too large as JSON rather than an error page
+  imageUpload.single('image')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ success: false, error: error.code === 'LIMIT_FILE_SIZE' ? 'The image is larger than 10 MB' : error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No image uploaded' });
+  }
+  
+  const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, req.body.keyword, req.session.user);
+  if (!keywordRow) {
+    return res.status(404).json({ success: false, error: 'Keyword not found' });
+  }
+  
+  try {
+    // createImage checks that the file is a supported image
+    const image = await images.createImage('upload', { data: req.file.buffer });
+    const saved = images.setFeaturedImage(keywordRow, image, req.session.user.id);
+    res.json({ success: true, image: toImageJson(saved) });
+  } catch (error) {
+    console.error('Error uploading featured image:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to change the alt text of a featured image
+app.post('/api/update-featured-image', isAuthenticated, isEmployee, (req, res) => {
+  const { keyword, altText } = req.body;
+  
+  const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+  if (!keywordRow) {
+    return res.status(404).json({ success: false, error: 'Keyword not found' });
+  }
+  
+  const image = images.updateAltText(keywordRow.id, altText, keyword);
+  if (!image) {
+    return res.status(404).json({ success: false, error: 'This article has no featured image' });
+  }
+  res.json({ success: true, image: toImageJson(image) });
+});
+
+// API endpoint to remove a featured image
+app.post('/api/remove-featured-image', isAuthenticated, isEmployee, (req, res) => {
+  const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, req.body.keyword, req.session.user);
+  if (!keywordRow) {
+    return res.status(404).json({ success: false, error: 'Keyword not found' });
+  }
+  
+  images.removeFeaturedImage(keywordRow.id);
+  res.json({ success: true });
+});
+
+//====================================================
+// CATEGORIES, TAGS AND AUTHOR
+//====================================================
+
+// Describe a keyword row's categories, tags and author for the preview page
+function toTaxonomyJson(keywordRow) {
+  return {
+    category: keywordRow.Category || '',
+    tags: keywordRow.Tags || '',
+    author: keywordRow.Author || '',
+    categoryIds: keywordRow['Category IDs'] || '',
+    tagIds: keywordRow['Tag IDs'] || '',
+    authorId: keywordRow['Author ID'] || ''
+  };
+}
+
+// API endpoint to let the model suggest categories and tags from the site's existing ones
+app.post('/api/suggest-taxonomy', isAuthenticated, isEmployee, async (req, res) => {
+  try {
+    const { keyword, title, content } = req.body;
+    
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
+    
+    // Suggestions count as generation for the monthly budget
+    const budgetError = await getBudgetError(req.session.user.id);
+    if (budgetError) {
+      return res.status(403).json({ success: false, error: budgetError });
+    }
+    
+    const site = getPublishingSite(keywordRow);
+    const suggestion = await taxonomy.suggestTaxonomy(sites.getWordPressConfig(site), {
+      keyword,
+      title: title || keyword,
+      content: content || ''
+    });
+    usage.recordUsage(suggestion.usage, {
+      userId: req.session.user.id,
+      keywordId: keywordRow.id,
+      siteId: site.id,
+      purpose: 'taxonomy'
+    });
+    
+    res.json({ success: true, categories: suggestion.categories, tags: suggestion.tags });
+  } catch (error) {
+    console.error('Error suggesting categories and tags:', error);
+    res.status(500).json({ success: false, error: `Could not suggest categories and tags: ${error.message}` });
+  }
+});
+
 // Route to generate content for preview - Requires authentication
 app.get('/generate-preview/:keyword', isAuthenticated, async (req, res) => {
   try {
@@ -1467,6 +2259,7 @@ app.get('/generate-preview/:keyword', isAuthenticated, async (req, res) => {
     res.render('generate', {
       page: 'generate',
       keyword: keyword,
+      minWords: config.app.minWords,
       error: req.flash('error'),
       success: req.flash('success')
     });
@@ -1484,7 +2277,16 @@ app.get('/generate-preview/:keyword', isAuthenticated, async (req, res) => {
 // API endpoint to test WordPress connection with provided credentials - Admin only
 app.post('/api/test-connection', isAuthenticated, isAdmin, async (req, res) => {
   try {
-    const { apiUrl, username, password } = req.body;
+    // Test a saved site, or credentials entered in a form. A blank password
+    // for a saved site means "keep the stored password".
+    const site = sites.getSite(req.body.siteId);
+    if (req.body.siteId && !site) {
+      return res.status(404).json({ success: false, error: 'Site not found' });
+    }
+    
+    const apiUrl = req.body.apiUrl || (site && site.apiUrl);
+    const username = req.body.username || (site && site.username);
+    const password = req.body.password || (site && site.password);
     
     if (!apiUrl || !username || !password) {
       return res.status(400).json({ success: false, error: 'Missing required parameters' });
@@ -1532,68 +2334,38 @@ app.post('/api/test-connection', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
-// API endpoint to test OpenAI API connection - Admin only
+// API endpoint to test the AI provider connection - Admin only
 app.post('/api/test-openai', isAuthenticated, isAdmin, async (req, res) => {
   try {
-    const { apiKey, model } = req.body;
-    
-    if (!apiKey) {
-      return res.status(400).json({ success: false, error: 'API key is required' });
-    }
-    
-    // Initialize OpenAI client with the provided API key
-    const { OpenAI } = require('openai');
-    const openai = new OpenAI({
-      apiKey: apiKey,
+    const { provider, apiKey, model, baseUrl, apiVersion } = req.body;
+    
+    // Each provider has its own test routine
+    const result = await llmProviders.testConnection({
+      provider: provider || 'openai',
+      apiKey,
+      model,
+      baseUrl: String(baseUrl || '').trim(),
+      apiVersion
     });
     
-    // Test the API with a simple completion
-    const testModel = model || 'gpt-3.5-turbo';
-    const response = await openai.chat.completions.create({
-      model: testModel,
-      messages: [
-        { role: "system", content: "You are a test assistant." },
-        { role: "user", content: "Return only the text 'OpenAI API connection successful' if you receive this message." }
-      ],
-      max_tokens: 20,
-      temperature: 0,
+    res.json({
+      success: true,
+      provider: llmProviders.getProvider(provider).name,
+      model: result.model,
+      models: result.models || null,
+      message: 'AI provider connection successful',
+      response: result.response
     });
-    
-    // Check if we got a valid response
-    if (response && response.choices && response.choices.length > 0) {
-      const content = response.choices[0].message.content.trim();
-      
-      // Return success response with model information
-      res.json({
-        success: true,
-        model: testModel,
-        message: 'OpenAI API connection successful',
-        response: content
-      });
-    } else {
-      res.json({
-        success: false,
-        error: 'Received an empty or invalid response from OpenAI'
-      });
-    }
   } catch (error) {
     // Format the error message
-    let errorMessage = 'OpenAI API connection failed';
-    
-    if (error.response) {
-      // API returned an error
-      const status = error.response.status;
-      const data = error.response.data;
-      
-      if (status === 401) {
-        errorMessage = 'Authentication error: Invalid API key';
-      } else if (status === 429) {
-        errorMessage = 'Rate limit exceeded or insufficient quota';
-      } else if (data && data.error) {
-        errorMessage = `Error: ${data.error.message || data.error.type}`;
-      } else {
-        errorMessage = `Error ${status}: ${error.message}`;
-      }
+    let errorMessage = 'AI provider connection failed';
+    
+    if (error.status === 401) {
+      errorMessage = 'Authentication error: Invalid API key';
+    } else if (error.status === 429) {
+      errorMessage = 'Rate limit exceeded or insufficient quota';
+    } else if (error.status === 404) {
+      errorMessage = `Model or endpoint not found: ${error.message}`;
     } else if (error.message) {
       errorMessage = `Connection failed: ${error.message}`;
     }
@@ -1609,22 +2381,30 @@ app.post('/api/test-openai', isAuthenticated, isAdmin, async (req, res) => {
 // Add this to your server.js file, replacing the existing /api/save-settings endpoint
 app.post('/api/save-settings', isAuthenticated, isAdmin, async (req, res) => {
   try {
-    const { wordpress, openai, app } = req.body;
+    const { openai, app, resilience, images: imageSettings, taxonomy: taxonomySettings, validation } = req.body;
     
-    // Validate required fields
-    if (!wordpress || !openai || !app) {
+    // Validate required fields (WordPress credentials are managed per site)
+    if (!openai || !app) {
       return res.status(400).json({ success: false, error: 'Missing required settings' });
     }
     
-    // Update the config object
-    config.wordpress = {
-      apiUrl: wordpress.apiUrl,
-      username: wordpress.username,
-      password: wordpress.password
-    };
+    // The audit log records what changed
+    const auditedSections = () => JSON.parse(JSON.stringify({
+      openai: config.openai,
+      app: config.app,
+      images: config.images,
+      taxonomy: config.taxonomy,
+      validation: config.validation,
+      resilience: config.resilience
+    }));
+    const before = auditedSections();
     
+    // Update the config object
     config.openai = {
+      provider: llmProviders.listProviders().some(item => item.id === openai.provider) ? openai.provider : 'openai',
       apiKey: openai.apiKey,
+      baseUrl: String(openai.baseUrl || '').trim().replace(/\/+$/, ''),
+      apiVersion: String(openai.apiVersion || '').trim(),
       model: openai.model,
       temperature: parseFloat(openai.temperature),
       maxTokens: parseInt(openai.maxTokens)
@@ -1637,9 +2417,54 @@ app.post('/api/save-settings', isAuthenticated, isAdmin, async (req, res) => {
       minWords: parseInt(app.minWords),
       publishStatus: app.publishStatus,
       delayBetweenPosts: parseInt(app.delayBetweenPosts),
+      jobWorkers: jobQueue.normalizeWorkerCount(app.jobWorkers || config.app.jobWorkers),
       contentTemplate: app.contentTemplate
     };
     
+    // Featured images
+    if (imageSettings) {
+      config.images = {
+        source: ['none', 'placeholder', 'ai'].includes(imageSettings.source) ? imageSettings.source : 'none',
+        model: String(imageSettings.model || '').trim() || config.images.model,
+        size: /^\d+x\d+$/.test(imageSettings.size) ? imageSettings.size : config.images.size,
+        template: String(imageSettings.template || 'auto'),
+        prompt: String(imageSettings.prompt || '').trim() || config.images.prompt
+      };
+    }
+    
+    // Categories and tags
+    if (taxonomySettings) {
+      config.taxonomy = {
+        suggestTerms: taxonomySettings.suggestTerms === true,
+        maxTags: Math.min(Math.max(parseInt(taxonomySettings.maxTags) || 0, 1), 20)
+      };
+    }
+    
+    // Content checks of generated articles
+    if (validation) {
+      config.validation = {
+        enabled: validation.enabled === true,
+        minH2: Math.min(Math.max(parseInt(validation.minH2) || 0, 0), 20),
+        requireKeyword: validation.requireKeyword === true,
+        maxFixPasses: Math.min(Math.max(parseInt(validation.maxFixPasses) || 0, 0), 10)
+      };
+    }
+    
+    // Retries and rate limits for AI provider and WordPress calls
+    if (resilience) {
+      const rateLimits = {};
+      Object.keys(config.resilience.rateLimits).forEach(provider => {
+        rateLimits[provider] = Math.max(parseInt((resilience.rateLimits || {})[provider]) || 0, 0);
+      });
+      
+      config.resilience = {
+        maxRetries: Math.min(Math.max(parseInt(resilience.maxRetries) || 0, 0), 10),
+        baseDelayMs: Math.max(parseInt(resilience.baseDelayMs) || 0, 100),
+        maxDelayMs: Math.max(parseInt(resilience.maxDelayMs) || 0, 1000),
+        rateLimits
+      };
+    }
+    
     // Save configuration to file
     const saved = await saveConfig(config);
     
@@ -1650,6 +2475,11 @@ app.post('/api/save-settings', isAuthenticated, isAdmin, async (req, res) => {
       });
     }
     
+    recordAudit(req, 'settings.update', { type: 'settings', label: 'Settings' }, { before, after: auditedSections() });
+    
+    // Apply the new worker count without a restart
+    jobQueue.startQueue(config.app.jobWorkers);
+    
     req.flash('success', 'Settings saved successfully');
     res.json({ success: true, message: 'Settings saved successfully' });
   } catch (error) {
@@ -1658,14 +2488,18 @@ app.post('/api/save-settings', isAuthenticated, isAdmin, async (req, res) => {
   }
 });
 
-// API endpoint to save prompt settings - Requires authentication
-app.post('/api/save-prompt-settings', isAuthenticated, async (req, res) => {
+// API endpoint to save the global prompt settings - Admin only, since they
+// apply to every keyword without a prompt profile
+app.post('/api/save-prompt-settings', isAuthenticated, isAdmin, async (req, res) => {
   try {
     const promptSettings = req.body;
+    const before = { ...config.prompts };
     
     // Update config object in memory
     if (!config.prompts) config.prompts = {};
     config.prompts.useMultiPartGeneration = promptSettings.useMultiPartGeneration;
+    config.prompts.useOutlineGeneration = !!promptSettings.useOutlineGeneration;
+    config.prompts.outlinePrompt = promptSettings.outlinePrompt || '';
     config.prompts.mainPrompt = promptSettings.mainPrompt;
     config.prompts.part1Prompt = promptSettings.part1Prompt;
     config.prompts.part2Prompt = promptSettings.part2Prompt;
@@ -1678,6 +2512,15 @@ app.post('/api/save-prompt-settings', isAuthenticated, async (req, res) => {
     config.prompts.articleFormat = promptSettings.articleFormat;
     config.prompts.useArticleFormat = promptSettings.useArticleFormat;
     
+    // Recipe detection feeds the recipe plugin of each site
+    config.prompts.enableRecipeDetection = !!promptSettings.enableRecipeDetection;
+    config.prompts.recipeExtractionMode = promptSettings.recipeExtractionMode === 'regex' ? 'regex' : 'llm';
+    config.prompts.recipeFormatPrompt = promptSettings.recipeFormatPrompt || '';
+    
+    // Keep the prompt settings across restarts
+    await saveConfig(config);
+    recordAudit(req, 'settings.prompts', { type: 'settings', label: 'Prompt settings' }, { before, after: config.prompts });
+    
     // Try to update .env file if possible
     try {
       const envPath = path.join(__dirname, '../.env');
@@ -1737,13 +2580,78 @@ app.post('/api/save-prompt-settings', isAuthenticated, async (req, res) => {
   }
 });
 
-// API endpoint to test prompt generation - Requires authentication
-app.post('/api/test-prompt-generation', isAuthenticated, async (req, res) => {
+// API endpoint to create a prompt profile - Requires authentication
+app.post('/api/prompt-profiles', isAuthenticated, (req, res) => {
   try {
-    const { keyword, promptSettings } = req.body;
-    
-    if (!keyword) {
-      return res.status(400).json({ success: false, error: 'Keyword is required' });
+    const profile = promptProfiles.createProfile(req.body, req.session.user);
+    recordAudit(req, 'prompt_profile.create', profileTarget(profile), {
+      after: toAuditProfile(profile)
+    });
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to update a prompt profile - Owner or admin only
+app.post('/api/prompt-profiles/:id', isAuthenticated, (req, res) => {
+  const before = promptProfiles.getProfile(req.params.id);
+  
+  try {
+    const profile = promptProfiles.updateProfile(req.params.id, req.body, req.session.user);
+    recordAudit(req, 'prompt_profile.update', profileTarget(profile), {
+      before: toAuditProfile(before),
+      after: toAuditProfile(profile)
+    });
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(before ? 400 : 404).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to copy a prompt profile into a new profile of the user's own
+app.post('/api/prompt-profiles/:id/clone', isAuthenticated, (req, res) => {
+  try {
+    const profile = promptProfiles.cloneProfile(req.params.id, req.session.user, req.body.name);
+    recordAudit(req, 'prompt_profile.create', profileTarget(profile), {
+      after: toAuditProfile(profile),
+      details: { clonedFrom: req.params.id }
+    });
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to delete a prompt profile - Owner or admin only. Keywords
+// that used it go back to the default prompts.
+app.post('/api/prompt-profiles/:id/delete', isAuthenticated, (req, res) => {
+  const profile = promptProfiles.getProfile(req.params.id);
+  
+  try {
+    const keywordCount = promptProfiles.deleteProfile(req.params.id, req.session.user);
+    recordAudit(req, 'prompt_profile.delete', profileTarget(profile), {
+      before: toAuditProfile(profile),
+      details: { keywords: keywordCount }
+    });
+    res.json({ success: true, keywords: keywordCount });
+  } catch (error) {
+    res.status(profile ? 400 : 404).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to test prompt generation - Requires authentication
+app.post('/api/test-prompt-generation', isAuthenticated, async (req, res) => {
+  try {
+    const { keyword, promptSettings } = req.body;
+    
+    if (!keyword) {
+      return res.status(400).json({ success: false, error: 'Keyword is required' });
+    }
+    
+    const budgetError = await getBudgetError(req.session.user.id);
+    if (budgetError) {
+      return res.status(403).json({ success: false, error: budgetError });
     }
     
     // Use a lower word count for testing
@@ -1762,6 +2670,7 @@ app.post('/api/test-prompt-generation', isAuthenticated, async (req, res) => {
       testWordCount,
       promptSettings
     );
+    usage.recordUsage(article.usage, { userId: req.session.user.id, purpose: 'test' });
     
     res.json({
       success: true,
@@ -1779,58 +2688,43 @@ app.post('/api/test-prompt-generation', isAuthenticated, async (req, res) => {
 
 // API endpoint to start the automation - Requires employee privileges
 app.post('/api/start-job', isAuthenticated, isEmployee, async (req, res) => {
-  if (isJobRunning) {
-    return res.status(400).json({ error: 'A job is already running' });
-  }
-  
   // Validate configuration
   if (!validateConfig()) {
     return res.status(400).json({ error: 'Invalid configuration. Check your .env file.' });
   }
   
-  // Start the job
-  isJobRunning = true;
-  jobProgress = {
-    total: 0,
-    current: 0,
-    currentKeyword: '',
-    status: 'Starting...',
-    log: [],
-    userId: req.session.user.id // Track which user started the job
-  };
-  
-  logProgress('Starting WordPress automation job');
-  
-  // For employees, only run automation on their own keywords
-  let keywordFilter = null;
-  if (req.session.user.role === 'employee') {
-    keywordFilter = (row) => row.OwnerId === req.session.user.id || row.CreatedBy === req.session.user.id;
+  try {
+    // For employees, only run automation on their own keywords
+    const ownerId = req.session.user.role === 'employee' ? req.session.user.id : null;
+    const pendingIds = repository.listPendingKeywords(config.app.keywordColumn, ownerId, getSelectedSiteId(req))
+      .map(row => row.id);
+    
+    // Leave out keywords another active job will already process
+    const activeIds = getKeywordIdsInActiveJobs();
+    const keywordIds = pendingIds.filter(id => !activeIds.has(id));
+    
+    if (pendingIds.length > 0 && keywordIds.length === 0) {
+      return res.status(409).json({ error: 'All pending keywords are already queued in another job' });
+    }
+    
+    // Queue the job; a worker picks it up in the background
+    const job = jobQueue.enqueueJob('batch', req.session.user.id, { keywordIds });
+    
+    const skipped = pendingIds.length - keywordIds.length;
+    const message = skipped > 0
+      ? `Job queued successfully (${skipped} keyword(s) already queued in another job)`
+      : 'Job queued successfully';
+    
+    res.json({ success: true, message, jobId: job.id });
+  } catch (error) {
+    console.error('Error starting job:', error);
+    res.status(500).json({ error: `Failed to start job: ${error.message}` });
   }
-  
-  // Run the automation in the background
-  runAutomation(keywordFilter)
-    .then(() => {
-      isJobRunning = false;
-      jobProgress.status = 'Completed';
-      logProgress('Job completed successfully!');
-    })
-    .catch(error => {
-      isJobRunning = false;
-      jobProgress.status = 'Failed';
-      logProgress(`Job failed: ${error.message}`);
-    });
-  
-  // Return success response
-  res.json({ success: true, message: 'Job started successfully' });
 });
 
 // Updated API endpoint to process a single keyword - With ownership check
 app.post('/api/process-single-keyword', isAuthenticated, isEmployee, async (req, res) => {
   try {
-    if (isJobRunning) {
-      return res.status(400).json({ error: 'A job is already running' });
-    }
-    
     const { keyword } = req.body;
     
     if (!keyword) {
@@ -1842,146 +2736,413 @@ app.post('/api/process-single-keyword', isAuthenticated, isEmployee, async (req,
       return res.status(400).json({ error: 'Invalid configuration. Check your .env file.' });
     }
     
-    // Try to find the keyword in the Excel file
-    try {
-      const keywordRows = readKeywordsFromExcel(config.app.excelFile, config.app.keywordColumn);
-      const keywordRow = keywordRows.find(row => row[config.app.keywordColumn] === keyword);
-      
-      if (!keywordRow) {
-        return res.status(404).json({ error: 'Keyword not found in Excel file' });
-      }
-      
-      // Check ownership for employees
-      if (req.session.user.role === 'employee') {
-        if (keywordRow.OwnerId && keywordRow.OwnerId !== req.session.user.id && 
-            keywordRow.CreatedBy && keywordRow.CreatedBy !== req.session.user.id) {
-          return res.status(403).json({ 
-            error: 'You do not have permission to process this keyword' 
-          });
-        }
-      }
-      
-      // Check if keyword is already published
-      if (keywordRow.Status === 'Published') {
-        return res.status(400).json({ error: 'This keyword has already been published' });
-      }
-      
-      // Start the job
-      isJobRunning = true;
-      jobProgress = {
-        total: 1,
-        current: 0,
-        currentKeyword: keyword,
-        status: 'Starting...',
-        log: [],
-        userId: req.session.user.id // Track which user started the job
-      };
-      
-      logProgress(`Starting to process single keyword: "${keyword}"`);
-      
-      // Process the single keyword (non-blocking)
-      processSingleKeyword(keywordRow)
-        .then(() => {
-          isJobRunning = false;
-          jobProgress.status = 'Completed';
-          logProgress(`Single keyword processed successfully!`);
-        })
-        .catch(error => {
-          isJobRunning = false;
-          jobProgress.status = 'Failed';
-          logProgress(`Processing failed: ${error.message}`);
-        });
-      
-      // Return success response
-      return res.json({ success: true, message: 'Started processing keyword' });
-      
-    } catch (error) {
-      console.error('Error processing keyword request:', error);
-      return res.status(500).json({ error: `Failed to process keyword: ${error.message}` });
-    }
-  } catch (error) {
-    console.error('Unexpected error in process-single-keyword endpoint:', error);
-    return res.status(500).json({ error: 'An unexpected error occurred' });
-  }
-});
-
-// API endpoint to get job status - Requires authentication
-app.get('/api/job-status', isAuthenticated, (req, res) => {
-  // For employees, only return job status for jobs they started
-  if (req.session.user.role === 'employee' &&
-      jobProgress.userId && 
-      jobProgress.userId !== req.session.user.id) {
-    // Return empty job status for jobs started by other users
-    return res.json({
-      isRunning: false,
-      progress: {
-        total: 0,
-        current: 0,
-        currentKeyword: '',
-        status: 'No job running',
-        log: []
-      }
-    });
+    // Try to find the keyword (employees only see their own)
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    
+    if (!keywordRow) {
+      return res.status(404).json({ error: 'Keyword not found' });
+    }
+    
+    // Check if keyword is already published
+    if (repository.isPublished(keywordRow)) {
+      return res.status(400).json({ error: 'This keyword has already been published' });
+    }
+    
+    // Articles in review are finished on the preview page
+    if (workflow.isAwaitingReview(keywordRow.id)) {
+      return res.status(400).json({ error: 'This keyword is in review' });
+    }
+    
+    // Refuse keywords another active job will already process
+    if (getKeywordIdsInActiveJobs().has(keywordRow.id)) {
+      return res.status(409).json({ error: 'This keyword is already queued in another job' });
+    }
+    
+    // Queue the job; a worker picks it up in the background
+    const job = jobQueue.enqueueJob('single', req.session.user.id, { keywordId: keywordRow.id });
+    
+    return res.json({ success: true, message: 'Keyword queued for processing', jobId: job.id });
+  } catch (error) {
+    console.error('Error processing keyword request:', error);
+    return res.status(500).json({ error: `Failed to process keyword: ${error.message}` });
+  }
+});
+
+// API endpoint to list jobs - Employees only see jobs they started
+app.get('/api/jobs', isAuthenticated, (req, res) => {
+  let ownerId = req.session.user.id;
+  
+  // Admins see every job, optionally filtered by user
+  if (req.session.user.role === 'admin') {
+    ownerId = req.query.ownerId || null;
+  }
+  
+  const jobs = jobQueue.listJobs(ownerId).map(job => ({
+    id: job.id,
+    type: job.type,
+    ownerId: job.ownerId,
+    status: job.status,
+    total: job.total,
+    current: job.current,
+    currentKeyword: job.currentKeyword,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  }));
+  
+  res.json({ success: true, jobs });
+});
+
+// API endpoint to get job status - Employees only see jobs they started
+app.get('/api/jobs/:id', isAuthenticated, (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  
+  if (req.session.user.role !== 'admin' && job.ownerId !== req.session.user.id) {
+    return res.status(403).json({ success: false, error: 'You do not have permission to view this job' });
   }
   
-  // Return full job status for admins or for the user who started the job
   res.json({
-    isRunning: isJobRunning,
-    progress: jobProgress
+    success: true,
+    isRunning: jobQueue.isActive(job),
+    job
   });
 });
 
-// Endpoint to add a new keyword - Allow duplicates across different employees
-app.post('/api/add-keyword', isAuthenticated, isEmployee, async (req, res) => {
-  const { keyword } = req.body;
+// API endpoint to cancel a job - Employees only cancel jobs they started
+app.post('/api/jobs/:id/cancel', isAuthenticated, (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
   
-  if (!keyword) {
-    return res.status(400).json({ success: false, error: 'Keyword is required' });
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  
+  if (req.session.user.role !== 'admin' && job.ownerId !== req.session.user.id) {
+    return res.status(403).json({ success: false, error: 'You do not have permission to cancel this job' });
   }
   
   try {
-    // Load the Excel file
-    const workbook = XLSX.readFile(config.app.excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
+    const cancelled = jobQueue.cancelJob(job.id);
+    res.json({ success: true, job: jobQueue.toProgress(cancelled) });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Server-Sent Events endpoint that pushes a job's progress as it happens -
+// Employees only watch jobs they started. Every connection first gets a
+// snapshot (progress, recent log and the model output streamed so far), so
+// several tabs can watch the same job and reconnects catch up.
+app.get('/api/jobs/:id/events', isAuthenticated, (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  
+  if (req.session.user.role !== 'admin' && job.ownerId !== req.session.user.id) {
+    return res.status(403).json({ success: false, error: 'You do not have permission to view this job' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Keep proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  send('snapshot', {
+    job: jobQueue.toProgress(job),
+    log: job.log,
+    ...jobQueue.getStream(job.id)
+  });
+  
+  if (!jobQueue.isActive(job)) {
+    send('done', jobQueue.toProgress(job));
+    return res.end();
+  }
+  
+  // Comments keep idle connections open
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  const unsubscribe = jobQueue.subscribe(job.id, (event, data) => {
+    send(event, data);
+    if (event === 'done') {
+      res.end();
+    }
+  });
+  
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Find a schedule the current user may change
+function findScheduleForUser(id, user) {
+  const schedule = scheduler.getSchedule(id);
+  
+  if (!schedule || (user.role !== 'admin' && schedule.ownerId !== user.id)) {
+    return null;
+  }
+  return schedule;
+}
+
+// API endpoint to create a publishing schedule
+app.post('/api/schedules', isAuthenticated, isEmployee, async (req, res) => {
+  try {
+    // Employees schedule their own keywords; admins may pick a user or all keywords
+    const keywordOwnerId = req.session.user.role === 'admin'
+      ? (req.body.keywordOwnerId || null)
+      : req.session.user.id;
     
-    // Check if keyword already exists FOR THIS USER ONLY
-    // This allows different employees to have the same keyword
-    const existsForUser = data.some(row => 
-      row[config.app.keywordColumn] === keyword && 
-      (row.OwnerId === req.session.user.id || row.CreatedBy === req.session.user.id)
-    );
+    // A schedule publishes the keywords of one site, or of every site
+    const siteId = req.body.siteId || null;
+    if (siteId && !sites.getSite(siteId)) {
+      return res.status(400).json({ success: false, error: 'Site not found' });
+    }
     
-    if (existsForUser) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'You already have this keyword in your list' 
-      });
+    const schedule = scheduler.createSchedule(req.body, req.session.user.id, keywordOwnerId, siteId);
+    recordAudit(req, 'schedule.create', scheduleTarget(schedule), { after: toAuditSchedule(schedule) });
+    
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// API endpoint to pause or resume a schedule
+app.post('/api/schedules/:id/toggle', isAuthenticated, isEmployee, (req, res) => {
+  const schedule = findScheduleForUser(req.params.id, req.session.user);
+  
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  
+  const updated = scheduler.setScheduleEnabled(schedule.id, !schedule.enabled);
+  recordAudit(req, 'schedule.update', scheduleTarget(updated), {
+    before: { enabled: schedule.enabled },
+    after: { enabled: updated.enabled }
+  });
+  res.json({ success: true, schedule: updated });
+});
+
+// API endpoint to delete a schedule
+app.post('/api/schedules/:id/delete', isAuthenticated, isEmployee, (req, res) => {
+  const schedule = findScheduleForUser(req.params.id, req.session.user);
+  
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  
+  scheduler.deleteSchedule(schedule.id);
+  recordAudit(req, 'schedule.delete', scheduleTarget(schedule), { before: toAuditSchedule(schedule) });
+  res.json({ success: true });
+});
+
+//====================================================
+// SITE API ROUTES
+//====================================================
+
+// Create a site - Admin only
+app.post('/api/sites', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const site = sites.createSite(req.body);
+    console.log(`User ${req.session.user.username} added site "${site.name}"`);
+    recordAudit(req, 'site.create', siteTarget(site), { after: site });
+    
+    // The first site becomes the default site for all existing keywords
+    if (site.isDefault) {
+      repository.assignDefaultSite(site.id);
     }
     
-    // Add the new keyword with ownership information
-    const newRow = {
-      [config.app.keywordColumn]: keyword,
-      Status: 'Pending',
-      'Publication Date': '',
-      'Post URL': '',
-      'Post ID': '',
-      // Add ownership information
-      OwnerId: req.session.user.id,
-      CreatedBy: req.session.user.id,
-      CreatedAt: new Date().toISOString() // Add creation timestamp for activity tracking
-    };
+    res.json({ success: true, siteId: site.id });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a site - Admin only
+app.post('/api/sites/:id', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const before = sites.getSite(req.params.id);
+    const site = sites.updateSite(req.params.id, req.body);
+    recordAudit(req, 'site.update', siteTarget(site), { before, after: site });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Make a site the default site - Admin only
+app.post('/api/sites/:id/default', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const previous = sites.getDefaultSite();
+    const site = sites.setDefaultSite(req.params.id);
+    recordAudit(req, 'site.update', siteTarget(site), {
+      before: { defaultSite: previous ? previous.name : null },
+      after: { defaultSite: site.name }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a site; its keywords move to the default site - Admin only
+app.post('/api/sites/:id/delete', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const site = sites.getSite(req.params.id);
+    if (!sites.deleteSite(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Site not found' });
+    }
+    recordAudit(req, 'site.delete', siteTarget(site), { before: site });
+    
+    const moved = repository.assignDefaultSite(repository.getDefaultSiteId());
+    res.json({ success: true, moved });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+//====================================================
+// EXPERIMENT API ROUTES
+//====================================================
+
+// Create a prompt experiment - Admin only
+app.post('/api/experiments', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const experiment = experiments.createExperiment(req.body, req.session.user.id);
+    recordAudit(req, 'experiment.create', experimentTarget(experiment), { after: toAuditExperiment(experiment) });
+    res.json({ success: true, experimentId: experiment.id });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Update a prompt experiment - Admin only
+app.post('/api/experiments/:id', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const before = experiments.getExperiment(req.params.id);
+    const experiment = experiments.updateExperiment(req.params.id, req.body);
+    recordAudit(req, 'experiment.update', experimentTarget(experiment), {
+      before: toAuditExperiment(before),
+      after: toAuditExperiment(experiment)
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Start or stop a prompt experiment - Admin only
+app.post('/api/experiments/:id/:action(start|stop)', isAuthenticated, isAdmin, (req, res) => {
+  try {
+    const before = experiments.getExperiment(req.params.id);
+    const experiment = experiments.setExperimentRunning(req.params.id, req.params.action === 'start');
+    recordAudit(req, 'experiment.update', experimentTarget(experiment), {
+      before: { status: before.status },
+      after: { status: experiment.status }
+    });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a prompt experiment; its articles keep their variant - Admin only
+app.post('/api/experiments/:id/delete', isAuthenticated, isAdmin, (req, res) => {
+  const experiment = experiments.getExperiment(req.params.id);
+  if (!experiment || !experiments.deleteExperiment(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Experiment not found' });
+  }
+  
+  recordAudit(req, 'experiment.delete', experimentTarget(experiment), { before: toAuditExperiment(experiment) });
+  res.json({ success: true });
+});
+
+// Move a keyword to another site - With ownership check
+app.post('/api/keyword-site', isAuthenticated, isEmployee, (req, res) => {
+  const { keyword, siteId } = req.body;
+  
+  if (!keyword || !siteId) {
+    return res.status(400).json({ success: false, error: 'Keyword and site are required' });
+  }
+  
+  try {
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
     
-    data.push(newRow);
+    repository.assignKeywordToSite(keywordRow.id, siteId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Set the prompt profile of a keyword - With ownership check
+app.post('/api/keyword-profile', isAuthenticated, isEmployee, (req, res) => {
+  const { keyword, profileId } = req.body;
+  
+  if (!keyword) {
+    return res.status(400).json({ success: false, error: 'Keyword is required' });
+  }
+  
+  try {
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
     
-    // Write back to the Excel file
-    const newWorksheet = XLSX.utils.json_to_sheet(data);
-    workbook.Sheets[sheetName] = newWorksheet;
-    XLSX.writeFile(workbook, config.app.excelFile);
+    if (profileId && !promptProfiles.canUse(promptProfiles.getProfile(profileId), req.session.user)) {
+      return res.status(400).json({ success: false, error: 'Profile not found' });
+    }
+    
+    repository.assignKeywordToProfile(keywordRow.id, profileId || null);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Endpoint to add a new keyword - Allow duplicates across different employees
+app.post('/api/add-keyword', isAuthenticated, isEmployee, async (req, res) => {
+  const { keyword, siteId } = req.body;
+  
+  if (!keyword) {
+    return res.status(400).json({ success: false, error: 'Keyword is required' });
+  }
+  
+  if (siteId && !sites.getSite(siteId)) {
+    return res.status(400).json({ success: false, error: 'Site not found' });
+  }
+  
+  try {
+    // Duplicates are only rejected for the same user, so different
+    // employees can have the same keyword
+    let keywordRow;
+    try {
+      keywordRow = repository.addKeyword(config.app.keywordColumn, keyword, req.session.user.id, { SiteId: siteId || null });
+    } catch (duplicateError) {
+      return res.status(400).json({ success: false, error: duplicateError.message });
+    }
     
-    // Log this activity (in a production system, you would use a proper logging system)
     console.log(`User ${req.session.user.username} (${req.session.user.id}) added keyword: ${keyword}`);
+    recordAudit(req, 'keyword.add', keywordTarget(keywordRow), { after: { keyword, siteId: keywordRow.SiteId } });
     
     res.json({ success: true, message: 'Keyword added successfully' });
   } catch (error) {
@@ -1999,40 +3160,17 @@ app.post('/api/delete-keyword', isAuthenticated, isEmployee, async (req, res) =>
   }
   
   try {
-    // Load the Excel file
-    const workbook = XLSX.readFile(config.app.excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
+    // Find the keyword entry (employees can only delete their own)
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
     
-    // Find the keyword entry
-    const keywordIndex = data.findIndex(row => row[config.app.keywordColumn] === keyword);
-    
-    if (keywordIndex === -1) {
+    if (!keywordRow) {
       return res.status(404).json({ success: false, error: 'Keyword not found' });
     }
     
-    // Check ownership if user is an employee (not admin)
-    if (req.session.user.role === 'employee') {
-      const keywordRow = data[keywordIndex];
-      
-      // If the keyword doesn't belong to this user, deny access
-      if (keywordRow.OwnerId && keywordRow.OwnerId !== req.session.user.id &&
-          keywordRow.CreatedBy && keywordRow.CreatedBy !== req.session.user.id) {
-        return res.status(403).json({ 
-          success: false, 
-          error: 'You do not have permission to delete this keyword' 
-        });
-      }
-    }
-    
-    // Remove the keyword
-    data.splice(keywordIndex, 1);
-    
-    // Write back to the Excel file
-    const newWorksheet = XLSX.utils.json_to_sheet(data);
-    workbook.Sheets[sheetName] = newWorksheet;
-    XLSX.writeFile(workbook, config.app.excelFile);
+    // Remove the keyword and its featured image file
+    images.removeFeaturedImage(keywordRow.id);
+    repository.deleteKeyword(keywordRow.id);
+    recordAudit(req, 'keyword.delete', keywordTarget(keywordRow), { before: keywordRow });
     
     res.json({ success: true, message: 'Keyword deleted successfully' });
   } catch (error) {
@@ -2040,92 +3178,62 @@ app.post('/api/delete-keyword', isAuthenticated, isEmployee, async (req, res) =>
   }
 });
 
-// Upload a new Excel file - Requires admin privileges
+// Import keywords from an Excel file - Requires admin privileges
 app.post('/api/upload-excel', isAuthenticated, isAdmin, upload.single('excelFile'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ success: false, error: 'No file uploaded' });
   }
   
   try {
-    // Move the uploaded file to the correct location
-    await fs.rename(req.file.path, config.app.excelFile);
-    
-    // Initialize ownership for all keywords in the file
-    try {
-      // Get admin user ID
-      const users = await getAllUsers();
-      const adminUser = users.find(user => user.role === 'admin');
-      
-      if (adminUser) {
-        // Load the Excel file
-        const workbook = XLSX.readFile(config.app.excelFile);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const data = XLSX.utils.sheet_to_json(worksheet);
-        
-        let updated = false;
-        
-        // Check each row for ownership information
-        for (let i = 0; i < data.length; i++) {
-          // If no ownership info, add it with admin as default owner
-          if (!data[i].OwnerId || !data[i].CreatedBy) {
-            data[i].OwnerId = adminUser.id;
-            data[i].CreatedBy = adminUser.id;
-            updated = true;
-          }
-        }
-        
-        // If any rows were updated, write back to the Excel file
-        if (updated) {
-          const newWorksheet = XLSX.utils.json_to_sheet(data);
-          workbook.Sheets[sheetName] = newWorksheet;
-          XLSX.writeFile(workbook, config.app.excelFile);
-          console.log('Initialized ownership information for all keywords in the uploaded file');
-        }
-      }
-    } catch (initError) {
-      console.warn('Error initializing ownership for uploaded file:', initError);
-      // Continue without failing - file was still uploaded
-    }
+    // Rows without ownership information are assigned to the uploading admin
+    const result = repository.importKeywordsFromExcel(
+      req.file.path,
+      config.app.keywordColumn,
+      req.session.user.id
+    );
+    recordAudit(req, 'keyword.import', { type: 'file', label: req.file.originalname }, {
+      details: { added: result.added, updated: result.updated }
+    });
     
-    res.json({ success: true, message: 'Excel file uploaded successfully' });
+    res.json({
+      success: true,
+      message: `Excel file imported successfully (${result.added} added, ${result.updated} updated)`
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: `Failed to upload file: ${error.message}` });
+    res.status(500).json({ success: false, error: `Failed to import file: ${error.message}` });
+  } finally {
+    // The uploaded file is only needed for the import
+    await fs.unlink(req.file.path).catch(() => {});
   }
 });
 
-// API endpoint to get keyword statistics for the dashboard - Requires authentication
-app.get('/api/keyword-stats', isAuthenticated, async (req, res) => {
+// Export keywords to an Excel file - Employees export their own keywords
+app.get('/api/export-excel', isAuthenticated, isResourceOwner, async (req, res) => {
   try {
-    // Check if Excel file exists
-    const excelFileExists = await fileExists(config.app.excelFile);
-    
-    if (!excelFileExists) {
-      return res.json({
-        total: 0,
-        published: 0,
-        pending: 0
-      });
-    }
-    
-    // Load the Excel file
-    const workbook = XLSX.readFile(config.app.excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    
-    // For employees, filter to only their keywords
-    let filteredData = data;
-    if (req.session.user.role === 'employee') {
-      filteredData = data.filter(row => 
-        row.OwnerId === req.session.user.id || row.CreatedBy === req.session.user.id
-      );
-    }
+    const exportPath = path.join(os.tmpdir(), `keywords-export-${Date.now()}.xlsx`);
+    repository.exportKeywordsToExcel(
+      exportPath,
+      req.session.user.role === 'employee' ? req.ownerId : null,
+      getSelectedSiteId(req)
+    );
     
-    // Calculate stats
-    const total = filteredData.length;
-    const published = filteredData.filter(row => row.Status === 'Published').length;
-    const pending = filteredData.filter(row => row.Status === 'Pending' || row.Status === undefined || row.Status === '').length;
+    res.download(exportPath, 'keywords.xlsx', () => {
+      fs.unlink(exportPath).catch(() => {});
+    });
+  } catch (error) {
+    console.error('Error exporting keywords:', error);
+    res.status(500).json({ success: false, error: `Failed to export keywords: ${error.message}` });
+  }
+});
+
+// API endpoint to get keyword statistics for the dashboard - Requires authentication
+app.get('/api/keyword-stats', isAuthenticated, async (req, res) => {
+  try {
+    // For employees, only count their own keywords
+    const { total, published, pending } = repository.getKeywordStats(
+      req.session.user.role === 'employee' ? req.session.user.id : null,
+      getSelectedSiteId(req)
+    );
     
     // Return stats as JSON
     res.json({
@@ -2153,101 +3261,51 @@ app.post('/api/generate-content', isAuthenticated, isEmployee, async (req, res)
       return res.status(400).json({ success: false, error: 'Keyword is required' });
     }
     
-    console.log(`Generating content for keyword: "${keyword}" by user ${req.session.user.username}`);
-    
-    // Load the Excel file
-    const workbook = XLSX.readFile(config.app.excelFile);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
+    // Users who have used up their monthly budget cannot generate more
+    const budgetError = await getBudgetError(req.session.user.id);
+    if (budgetError) {
+      return res.status(403).json({ success: false, error: budgetError });
+    }
     
-    // Find keyword rows that match this keyword
-    const keywordRows = data.filter(row => row[config.app.keywordColumn] === keyword);
+    console.log(`Generating content for keyword: "${keyword}" by user ${req.session.user.username}`);
     
     // Check if keyword exists for this user
-    let keywordRow = null;
-    
-    if (req.session.user.role === 'employee') {
-      // For employees, find their own keyword
-      keywordRow = keywordRows.find(row => 
-        row.OwnerId === req.session.user.id || row.CreatedBy === req.session.user.id
-      );
-    } else {
-      // For admins, use the first matching keyword
-      keywordRow = keywordRows[0];
-    }
+    let keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
     
     if (!keywordRow) {
       // If keyword doesn't exist for this user, create it on-the-fly
       console.log(`Keyword "${keyword}" not found for user. Creating it automatically.`);
       
-      // Create a new row with ownership
-      const newRow = {
-        [config.app.keywordColumn]: keyword,
-        Status: 'Pending',
-        'Publication Date': '',
-        'Post URL': '',
-        'Post ID': '',
-        OwnerId: req.session.user.id,
-        CreatedBy: req.session.user.id,
-        CreatedAt: new Date().toISOString()
-      };
-      
-      // Add the new row
-      data.push(newRow);
-      
-      // Write back to the Excel file
-      const newWorksheet = XLSX.utils.json_to_sheet(data);
-      workbook.Sheets[sheetName] = newWorksheet;
-      XLSX.writeFile(workbook, config.app.excelFile);
-      
-      // Use the new row as our keyword row
-      keywordRow = newRow;
+      keywordRow = repository.addKeyword(config.app.keywordColumn, keyword, req.session.user.id);
       
       console.log(`Created keyword "${keyword}" for user ${req.session.user.username}`);
     }
     
-    // Check if we should use prompts settings
-    let promptSettings = null;
-    
-    if (config.prompts) {
-      promptSettings = {
-        useMultiPartGeneration: config.prompts.useMultiPartGeneration,
-        mainPrompt: config.prompts.mainPrompt || config.app.contentTemplate,
-        part1Prompt: config.prompts.part1Prompt,
-        part2Prompt: config.prompts.part2Prompt,
-        part3Prompt: config.prompts.part3Prompt,
-        toneVoice: config.prompts.toneVoice,
-        seoGuidelines: config.prompts.seoGuidelines,
-        thingsToAvoid: config.prompts.thingsToAvoid
-      };
-    } else if (config.app.contentTemplate) {
-      // Fallback to just using content template
-      promptSettings = config.app.contentTemplate;
+    // With outline-first generation the outline is written first; the page
+    // sends it back, edited, to have the article written from it
+    let outline = null;
+    if (req.body.outline) {
+      try {
+        outline = normalizeOutline(req.body.outline);
+      } catch (outlineError) {
+        return res.status(400).json({ success: false, error: outlineError.message });
+      }
     }
+    const promptSettings = buildPromptSettings(sites.getSiteForKeyword(keywordRow), keywordRow);
+    const type = !outline && promptSettings && promptSettings.useOutlineGeneration ? 'outline' : 'generate';
     
-    // Generate article
-    console.log(`Starting content generation for "${keyword}"`);
-    const article = await generateArticleContent(
-      config.openai, 
-      keyword, 
-      config.app.minWords,
-      promptSettings
-    );
-    console.log(`Successfully generated content for "${keyword}"`);
-    
-    // Cache the article
-    if (!req.app.locals.cachedArticles) {
-      req.app.locals.cachedArticles = {};
+    // Another tab may already be generating this keyword; watch that job
+    // instead of generating it twice
+    const runningJob = jobQueue.listActiveJobs()
+      .find(job => job.type === type && job.payload.keywordId === keywordRow.id && job.ownerId === req.session.user.id);
+    if (runningJob) {
+      return res.json({ success: true, jobId: runningJob.id });
     }
-    req.app.locals.cachedArticles[keyword] = article;
     
-    // Return success
-    res.json({
-      success: true,
-      article,
-      redirect: `/preview/${encodeURIComponent(keyword)}`
-    });
+    // Generate in the background; the page follows the job's events
+    const job = jobQueue.startJob(type, req.session.user.id, { keywordId: keywordRow.id, ip: req.ip, outline });
+    
+    res.json({ success: true, jobId: job.id });
   } catch (error) {
     console.error(`Error generating content for "${req.body.keyword}":`, error);
     res.status(500).json({ success: false, error: error.message });
@@ -2263,61 +3321,50 @@ app.post('/api/regenerate-content', isAuthenticated, isEmployee, async (req, res
       return res.status(400).json({ success: false, error: 'Keyword is required' });
     }
     
-    // Check ownership for employees
-    if (req.session.user.role === 'employee') {
-      // Load the Excel file to check ownership
-      const workbook = XLSX.readFile(config.app.excelFile);
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      const data = XLSX.utils.sheet_to_json(worksheet);
-      
-      // Find the keyword
-      const keywordRow = data.find(row => row[config.app.keywordColumn] === keyword);
-      
-      if (keywordRow) {
-        // Check if the user owns this keyword
-        if (keywordRow.OwnerId && keywordRow.OwnerId !== req.session.user.id &&
-            keywordRow.CreatedBy && keywordRow.CreatedBy !== req.session.user.id) {
-          return res.status(403).json({
-            success: false,
-            error: 'You do not have permission to regenerate content for this keyword'
-          });
-        }
-      }
+    // Users who have used up their monthly budget cannot generate more
+    const budgetError = await getBudgetError(req.session.user.id);
+    if (budgetError) {
+      return res.status(403).json({ success: false, error: budgetError });
     }
     
-    // Check if we should use prompts settings
-    let promptSettings = null;
+    // Find the keyword (employees can only regenerate their own)
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
     
-    if (config.prompts) {
-      promptSettings = {
-        useMultiPartGeneration: config.prompts.useMultiPartGeneration,
-        mainPrompt: config.prompts.mainPrompt || config.app.contentTemplate,
-        part1Prompt: config.prompts.part1Prompt,
-        part2Prompt: config.prompts.part2Prompt,
-        part3Prompt: config.prompts.part3Prompt,
-        toneVoice: config.prompts.toneVoice,
-        seoGuidelines: config.prompts.seoGuidelines,
-        thingsToAvoid: config.prompts.thingsToAvoid
-      };
-    } else if (config.app.contentTemplate) {
-      // Fallback to just using content template
-      promptSettings = config.app.contentTemplate;
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
     }
     
+    // Use the keyword's prompt profile or the prompt settings of its site
+    const site = sites.getSiteForKeyword(keywordRow);
+    const promptSettings = buildPromptSettings(site, keywordRow);
+    
     // Generate article
     const article = await generateArticleContent(
       config.openai, 
       keyword, 
       config.app.minWords,
-      promptSettings
+      promptSettings,
+      {
+        variables: repository.getTemplateVariables(keywordRow),
+        rules: buildRules(config.validation, config.app.minWords)
+      }
     );
     
-    // Cache the article
-    if (!req.app.locals.cachedArticles) {
-      req.app.locals.cachedArticles = {};
-    }
-    req.app.locals.cachedArticles[keyword] = article;
+    // Store the article as the keyword's new draft, with its token usage
+    const previous = repository.getLatestArticle(keywordRow.id);
+    const saved = repository.saveArticle(keywordRow.id, article, req.session.user.id, { source: 'regenerate', promptSettings });
+    usage.recordUsage(article.usage, {
+      userId: req.session.user.id,
+      keywordId: keywordRow.id,
+      siteId: site ? site.id : null,
+      articleId: saved.id,
+      purpose: 'regenerate'
+    });
+    recordAudit(req, 'article.regenerate', keywordTarget(keywordRow), {
+      before: toAuditArticle(previous),
+      after: toAuditArticle(saved),
+      details: { model: saved.model, tokens: article.usage.totalTokens }
+    });
     
     // Return success with the article data
     res.json({
@@ -2333,63 +3380,119 @@ app.post('/api/regenerate-content', isAuthenticated, isEmployee, async (req, res
 // API endpoint to publish content - With ownership check
 app.post('/api/publish-content', isAuthenticated, isEmployee, async (req, res) => {
   try {
-    const { keyword, title, content, status } = req.body;
+    const { keyword, title, content, status, scheduledDate, category, tags, author, seo: seoFields } = req.body;
     
     if (!keyword || !title || !content) {
       return res.status(400).json({ success: false, error: 'Keyword, title, and content are required' });
     }
     
-    // Check if the keyword exists in Excel
-    const keywordRows = readKeywordsFromExcel(config.app.excelFile, config.app.keywordColumn);
-    const keywordRow = keywordRows.find(row => row[config.app.keywordColumn] === keyword);
+    // Check if the keyword exists (employees can only publish their own)
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
     
     if (!keywordRow) {
-      return res.status(404).json({ success: false, error: 'Keyword not found in Excel file' });
-    }
-    
-    // Check ownership for employees
-    if (req.session.user.role === 'employee') {
-      if (keywordRow.OwnerId && keywordRow.OwnerId !== req.session.user.id &&
-          keywordRow.CreatedBy && keywordRow.CreatedBy !== req.session.user.id) {
-        return res.status(403).json({
-          success: false,
-          error: 'You do not have permission to publish content for this keyword'
-        });
-      }
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
     }
     
-    // Create article object with validated content
+    // Create article object with validated content; the recipe data
+    // extracted when the article was generated goes to the recipe plugin
+    const draft = repository.getLatestArticle(keywordRow.id);
     const article = {
       title: String(title),
       content: String(content),
-      wordCount: String(content).split(/\s+/).filter(word => word.length > 0).length
+      wordCount: countWords(String(content)),
+      recipeData: draft ? draft.recipeData : null
     };
     
+    // SEO title, meta description, excerpt and slug as edited on the preview page
+    article.seo = seo.normalizeSeo(seoFields || (draft && draft.seo) || {}, keyword, article);
+    
+    // Employees publish only the version an editor approved
+    const publishError = workflow.getPublishError(
+      keywordRow,
+      req.session.user,
+      isSameVersion(draft, article) ? draft.id : null
+    );
+    if (publishError) {
+      return res.status(403).json({ success: false, error: publishError });
+    }
+    
+    // A date set in the editor replaces the row's Scheduled Date
+    if (scheduledDate !== undefined) {
+      const parsedDate = parseScheduledDate(scheduledDate);
+      if (scheduledDate && !parsedDate) {
+        return res.status(400).json({ success: false, error: 'Invalid scheduled date' });
+      }
+      if (parsedDate && parsedDate.getTime() <= Date.now()) {
+        return res.status(400).json({ success: false, error: 'The scheduled date must be in the future' });
+      }
+      keywordRow['Scheduled Date'] = parsedDate ? formatLocalDateTime(parsedDate) : '';
+      repository.updateKeyword(keywordRow.id, { 'Scheduled Date': keywordRow['Scheduled Date'] });
+    }
+    
+    // Categories, tags and author set in the editor replace the row's columns
+    if (category !== undefined || tags !== undefined || author !== undefined) {
+      Object.assign(keywordRow, repository.updateKeyword(keywordRow.id, {
+        Category: category !== undefined ? taxonomy.splitNames(category).join(', ') : keywordRow.Category || '',
+        Tags: tags !== undefined ? taxonomy.splitNames(tags).join(', ') : keywordRow.Tags || '',
+        Author: author !== undefined ? String(author).trim() : keywordRow.Author || ''
+      }));
+    }
+    
     console.log(`Publishing article: "${article.title}" for keyword "${keyword}"`);
     console.log(`Content length: ${article.content.length} characters`);
     
+    // The article as edited becomes the stored copy, so it can be opened and
+    // updated again once it is on WordPress
+    const saved = saveEditedVersion(keywordRow, draft, article, req.session.user.id);
+    if (saved !== draft) {
+      recordAudit(req, 'article.edit', keywordTarget(keywordRow), { before: toAuditArticle(draft), after: toAuditArticle(saved) });
+    }
+    
     try {
-      // Publish to WordPress
+      // Publish to WordPress; a keyword that already has a post updates it
+      const site = getPublishingSite(keywordRow);
+      const wpConfig = sites.getWordPressConfig(site);
+      const taxonomyWarnings = await taxonomy.assignTaxonomy(keywordRow, site, article);
+      article.featuredImage = images.loadForPublishing(keywordRow.id);
       const publishData = await publishToWordPress(
-        config.wordpress,
+        wpConfig,
         article,
         keyword,
-        status || 'draft'
+        status || 'draft',
+        keywordRow['Scheduled Date'],
+        getUpdateOptions(keywordRow, site)
       );
       
-      // Update Excel with publication status
-      updateExcelWithPublicationStatus(config.app.excelFile, keywordRow, publishData);
+      // Record the publication (this also retires the draft)
+      const updatedRow = repository.recordPublication(keywordRow.id, publishData, req.session.user.id);
+      recordAudit(req, publishData.updated ? 'article.republish' : 'article.publish', keywordTarget(keywordRow), {
+        before: toAuditPost(keywordRow),
+        after: toAuditPost(updatedRow),
+        details: { versionId: saved.id, status: status || 'draft' }
+      });
+      if (publishData.mediaId) {
+        images.recordUpload(article.featuredImage.id, wpConfig.apiUrl, publishData);
+      }
       
-      // Remove from cache
-      if (req.app.locals.cachedArticles && req.app.locals.cachedArticles[keyword]) {
-        delete req.app.locals.cachedArticles[keyword];
+      let message = `Article ${status === 'publish' ? 'published' : 'saved as draft'} successfully`;
+      if (publishData.status === 'Scheduled') {
+        message = `Article scheduled for ${publishData.publishDate}`;
+      } else if (publishData.updated) {
+        message = `Post ${publishData.postId} updated${status === 'publish' ? '' : ' as a draft'}`;
       }
       
+      // Parts that could not be set up do not stop the post from being published
+      const warnings = [publishData.recipeWarning, publishData.imageWarning, ...taxonomyWarnings].filter(Boolean);
+      warnings.forEach(warning => {
+        message += `. ${warning}`;
+      });
+      
       // Return success
       res.json({
         success: true,
         publishData,
-        message: `Article ${status === 'publish' ? 'published' : 'saved as draft'} successfully`
+        message,
+        warnings
       });
     } catch (publishError) {
       console.error('Error in publishing process:', publishError);
@@ -2402,4 +3505,483 @@ app.post('/api/publish-content', isAuthenticated, isEmployee, async (req, res) =
     console.error('Error publishing content:', error);
     res.status(500).json({ success: false, error: error.message });
   }
-});
\ No newline at end of file
+});
+
+// API endpoint to send a published article to WordPress again, updating its
+// post. With `regenerate` the article is written again first, for articles
+// that have gone stale - With ownership check
+app.post('/api/republish-content', isAuthenticated, isEmployee, async (req, res) => {
+  try {
+    const { keyword, regenerate } = req.body;
+    
+    if (!keyword) {
+      return res.status(400).json({ success: false, error: 'Keyword is required' });
+    }
+    
+    // Find the keyword (employees can only republish their own)
+    const keywordRow = repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user);
+    
+    if (!keywordRow) {
+      return res.status(404).json({ success: false, error: 'Keyword not found' });
+    }
+    if (!keywordRow['Post ID']) {
+      return res.status(400).json({ success: false, error: 'This keyword has not been published yet' });
+    }
+    
+    // Employees republish only the version an editor approved; a regenerated
+    // article is reviewed on the preview page first
+    if (regenerate && !workflow.isReviewer(req.session.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Regenerated articles have to be reviewed; regenerate it on the preview page and submit it for review'
+      });
+    }
+    
+    const site = getPublishingSite(keywordRow);
+    const stored = repository.getLatestArticle(keywordRow.id);
+    let article = stored;
+    
+    const publishError = workflow.getPublishError(keywordRow, req.session.user, stored ? stored.id : null);
+    if (publishError) {
+      return res.status(403).json({ success: false, error: publishError });
+    }
+    
+    if (regenerate) {
+      // Users who have used up their monthly budget cannot generate more
+      const budgetError = await getBudgetError(req.session.user.id);
+      if (budgetError) {
+        return res.status(403).json({ success: false, error: budgetError });
+      }
+      
+      console.log(`Regenerating "${keyword}" to refresh post ${keywordRow['Post ID']}`);
+      const promptSettings = buildPromptSettings(site, keywordRow);
+      const generated = await generateArticleContent(
+        config.openai,
+        keyword,
+        config.app.minWords,
+        promptSettings,
+        {
+          variables: repository.getTemplateVariables(keywordRow),
+          rules: buildRules(config.validation, config.app.minWords)
+        }
+      );
+      
+      // The post keeps its address
+      if (generated.seo && stored && stored.seo) {
+        generated.seo.slug = stored.seo.slug;
+      }
+      
+      article = repository.saveArticle(keywordRow.id, generated, req.session.user.id, { source: 'refresh', promptSettings });
+      recordAudit(req, 'article.regenerate', keywordTarget(keywordRow), {
+        before: toAuditArticle(stored),
+        after: toAuditArticle(article),
+        details: { model: article.model, tokens: generated.usage.totalTokens }
+      });
+      usage.recordUsage(generated.usage, {
+        userId: req.session.user.id,
+        keywordId: keywordRow.id,
+        siteId: site.id,
+        articleId: article.id,
+        purpose: 'refresh'
+      });
+    }
+    
+    if (!article) {
+      return res.status(400).json({
+        success: false,
+        error: 'There is no stored copy of this article; open it in the editor and publish it from there'
+      });
+    }
+    
+    // Republish the stored copy with the row's current categories, tags,
+    // author and featured image
+    const post = {
+      title: article.title,
+      content: article.content,
+      wordCount: article.wordCount,
+      recipeData: article.recipeData,
+      seo: article.seo || seo.normalizeSeo({}, keyword, article)
+    };
+    const wpConfig = sites.getWordPressConfig(site);
+    const taxonomyWarnings = await taxonomy.assignTaxonomy(keywordRow, site, post);
+    post.featuredImage = images.loadForPublishing(keywordRow.id);
+    const publishData = await publishToWordPress(
+      wpConfig,
+      post,
+      keyword,
+      'publish',
+      keywordRow['Scheduled Date'],
+      getUpdateOptions(keywordRow, site)
+    );
+    
+    // Record the update (a regenerated or unpublished draft is retired)
+    const updatedRow = repository.recordPublication(keywordRow.id, publishData, req.session.user.id);
+    recordAudit(req, 'article.republish', keywordTarget(keywordRow), {
+      before: toAuditPost(keywordRow),
+      after: toAuditPost(updatedRow),
+      details: { versionId: article.id, regenerated: !!regenerate }
+    });
+    if (publishData.mediaId) {
+      images.recordUpload(post.featuredImage.id, wpConfig.apiUrl, publishData);
+    }
+    
+    res.json({
+      success: true,
+      publishData,
+      lastUpdated: updatedRow['Last Updated'],
+      modifications: updatedRow.Modifications,
+      warnings: [publishData.recipeWarning, publishData.imageWarning, ...taxonomyWarnings].filter(Boolean)
+    });
+  } catch (error) {
+    console.error(`Error republishing "${req.body.keyword}":`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+//====================================================
+// ARTICLE VERSIONS
+//====================================================
+
+// Check whether the article as edited on the preview page is the stored
+// version it was edited from
+function isSameVersion(stored, article) {
+  return !!stored &&
+    String(stored.title).trim() === article.title.trim() &&
+    String(stored.content).trim() === article.content.trim() &&
+    JSON.stringify(stored.seo || null) === JSON.stringify(article.seo || null);
+}
+
+// Store the article as edited on the preview page as a new version, unless
+// it is the same as the stored version it was edited from
+function saveEditedVersion(keywordRow, stored, article, userId) {
+  if (isSameVersion(stored, article)) return stored;
+  
+  return repository.saveArticle(keywordRow.id, { ...article, usage: null }, userId, {
+    source: 'edit',
+    model: stored ? stored.model : null,
+    promptSettings: stored ? stored.promptSettings : null
+  });
+}
+
+// Get the name shown for the user who made a version or a change
+// (null is automation)
+function getUserName(usersById, userId) {
+  const author = usersById[userId];
+  return author ? author.name || author.username : (userId ? 'Deleted user' : 'Automation');
+}
+
+// Describe an article version for the version sidebar
+function toVersionJson(version, usersById, versions) {
+  const restored = version.restoredFrom ? versions.find(row => row.id === version.restoredFrom) : null;
+  return {
+    id: version.id,
+    version: version.version,
+    title: version.title,
+    wordCount: version.wordCount,
+    status: version.status,
+    source: version.source || 'generate',
+    model: version.model || (version.usage && version.usage.model) || null,
+    author: getUserName(usersById, version.createdBy),
+    createdAt: version.createdAt,
+    restoredFrom: restored ? restored.version : null
+  };
+}
+
+// Find the keyword row of a version request (employees only see their own)
+function findVersionKeyword(req, res) {
+  const keyword = req.query.keyword || req.body.keyword;
+  const keywordRow = keyword
+    ? repository.findKeywordForUser(config.app.keywordColumn, keyword, req.session.user)
+    : null;
+  
+  if (!keywordRow) {
+    res.status(404).json({ success: false, error: 'Keyword not found' });
+    return null;
+  }
+  return keywordRow;
+}
+
+// List the versions of a keyword's article - With ownership check
+app.get('/api/article-versions', isAuthenticated, async (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const usersById = Object.fromEntries((await getAllUsers()).map(user => [user.id, user]));
+    const versions = repository.listArticleVersions(keywordRow.id);
+    
+    res.json({
+      success: true,
+      versions: versions.map(version => toVersionJson(version, usersById, versions)).reverse()
+    });
+  } catch (error) {
+    console.error('Error listing article versions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get one version of a keyword's article, with the prompt settings it was
+// generated with - With ownership check
+app.get('/api/article-versions/:id', isAuthenticated, async (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const version = repository.getArticleVersion(keywordRow.id, req.params.id);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+    
+    const usersById = Object.fromEntries((await getAllUsers()).map(user => [user.id, user]));
+    res.json({
+      success: true,
+      version: {
+        ...toVersionJson(version, usersById, repository.listArticleVersions(keywordRow.id)),
+        content: version.content,
+        seo: version.seo,
+        promptSettings: version.promptSettings || null
+      }
+    });
+  } catch (error) {
+    console.error('Error loading article version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compare two versions of a keyword's article - With ownership check
+app.get('/api/article-diff', isAuthenticated, (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const before = repository.getArticleVersion(keywordRow.id, req.query.from);
+    const after = repository.getArticleVersion(keywordRow.id, req.query.to);
+    if (!before || !after) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+    
+    res.json({
+      success: true,
+      from: before.version,
+      to: after.version,
+      diff: articleDiff.diffArticles(before, after, req.query.mode === 'html' ? 'html' : 'text')
+    });
+  } catch (error) {
+    console.error('Error comparing article versions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Save the article as edited on the preview page as a new version - With ownership check
+app.post('/api/article-versions/save', isAuthenticated, isEmployee, (req, res) => {
+  try {
+    const { title, content, seo: seoFields } = req.body;
+    if (!title || !content) {
+      return res.status(400).json({ success: false, error: 'Title and content are required' });
+    }
+    
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const keyword = keywordRow[config.app.keywordColumn];
+    const stored = repository.getLatestArticle(keywordRow.id);
+    const article = {
+      title: String(title),
+      content: String(content),
+      wordCount: countWords(String(content)),
+      recipeData: stored ? stored.recipeData : null
+    };
+    article.seo = seo.normalizeSeo(seoFields || (stored && stored.seo) || {}, keyword, article);
+    
+    const saved = saveEditedVersion(keywordRow, stored, article, req.session.user.id);
+    if (saved !== stored) {
+      recordAudit(req, 'article.edit', keywordTarget(keywordRow), { before: toAuditArticle(stored), after: toAuditArticle(saved) });
+    }
+    res.json({ success: true, versionId: saved.id, unchanged: saved === stored });
+  } catch (error) {
+    console.error('Error saving article version:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore an earlier version as the keyword's draft - With ownership check
+app.post('/api/article-versions/:id/restore', isAuthenticated, isEmployee, (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const previous = repository.getLatestArticle(keywordRow.id);
+    const restored = repository.restoreArticleVersion(keywordRow.id, req.params.id, req.session.user.id);
+    recordAudit(req, 'article.restore', keywordTarget(keywordRow), {
+      before: toAuditArticle(previous),
+      after: toAuditArticle(restored),
+      details: { restoredFrom: req.params.id }
+    });
+    console.log(`User ${req.session.user.username} restored a version of "${keywordRow[config.app.keywordColumn]}"`);
+    
+    res.json({
+      success: true,
+      article: {
+        title: restored.title,
+        content: restored.content,
+        seo: restored.seo
+      }
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+//====================================================
+// REVIEW WORKFLOW
+//====================================================
+
+// Describe the workflow of a keyword's article for the preview page: the
+// state, the actions the user can take, every transition and the comments
+function toWorkflowJson(keywordRow, user, usersById) {
+  const current = workflow.getWorkflow(keywordRow);
+  const latest = repository.getLatestArticle(keywordRow.id);
+  
+  return {
+    state: current.state,
+    label: current.label,
+    // The state applies to this version; edits since need another review
+    articleId: current.articleId,
+    changedSince: !!(current.articleId && latest && latest.id !== current.articleId),
+    actions: Object.entries(workflow.ACTIONS)
+      .filter(([, action]) => action.from.includes(current.state) && (!action.reviewer || workflow.isReviewer(user)))
+      .map(([id, action]) => ({ id, label: action.label })),
+    publishError: workflow.getPublishError(keywordRow, user, latest ? latest.id : null),
+    transitions: workflow.listTransitions(keywordRow.id).map(item => ({
+      action: item.action,
+      from: workflow.STATES[item.from],
+      to: workflow.STATES[item.to],
+      comment: item.comment,
+      user: getUserName(usersById, item.userId),
+      createdAt: item.createdAt
+    })),
+    comments: workflow.listComments(keywordRow.id).map(item => ({
+      id: item.id,
+      quote: item.quote,
+      text: item.text,
+      resolved: item.resolved,
+      user: getUserName(usersById, item.userId),
+      createdAt: item.createdAt
+    }))
+  };
+}
+
+// Get the workflow of a keyword's article - With ownership check
+app.get('/api/workflow', isAuthenticated, async (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const usersById = Object.fromEntries((await getAllUsers()).map(user => [user.id, user]));
+    res.json({ success: true, workflow: toWorkflowJson(keywordRow, req.session.user, usersById) });
+  } catch (error) {
+    console.error('Error loading workflow:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Submit, withdraw, approve or request changes to the latest version of an
+// article - With ownership check
+app.post('/api/workflow/transition', isAuthenticated, isEmployee, async (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const { action, comment } = req.body;
+    const latest = repository.getLatestArticle(keywordRow.id);
+    const before = workflow.getWorkflow(keywordRow);
+    
+    let after;
+    try {
+      after = workflow.transition(keywordRow, action, req.session.user, {
+        articleId: latest ? latest.id : null,
+        comment
+      });
+    } catch (transitionError) {
+      return res.status(400).json({ success: false, error: transitionError.message });
+    }
+    recordAudit(req, 'article.review', keywordTarget(keywordRow), {
+      before: { state: before.label },
+      after: { state: after.label },
+      details: { action, comment: comment || '' }
+    });
+    console.log(`User ${req.session.user.username} took "${action}" on "${keywordRow[config.app.keywordColumn]}"`);
+    
+    const usersById = Object.fromEntries((await getAllUsers()).map(user => [user.id, user]));
+    res.json({ success: true, workflow: toWorkflowJson(keywordRow, req.session.user, usersById) });
+  } catch (error) {
+    console.error('Error changing workflow state:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a review comment, optionally on a passage of the article - With ownership check
+app.post('/api/review-comments', isAuthenticated, isEmployee, (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    const latest = repository.getLatestArticle(keywordRow.id);
+    const comment = workflow.addComment(keywordRow, req.session.user, {
+      text: req.body.text,
+      quote: req.body.quote,
+      articleId: latest ? latest.id : null
+    });
+    
+    res.json({ success: true, commentId: comment.id });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Resolve a review comment or open it again - With ownership check
+app.post('/api/review-comments/:id/resolve', isAuthenticated, isEmployee, (req, res) => {
+  try {
+    const keywordRow = findVersionKeyword(req, res);
+    if (!keywordRow) return;
+    
+    workflow.resolveComment(keywordRow.id, req.params.id, req.session.user, req.body.resolved !== false);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Review queue - Articles waiting for an editor, and the ones sent back
+app.get('/review', isAuthenticated, isEditor, async (req, res) => {
+  const usersById = Object.fromEntries((await getAllUsers()).map(user => [user.id, user]));
+  
+  const items = workflow.listWorkflows(['in_review', 'changes_requested', 'approved'])
+    .map(item => {
+      const keywordRow = repository.getKeyword(item.keywordId);
+      if (!keywordRow) return null;
+      
+      const site = sites.getSiteForKeyword(keywordRow);
+      const openComments = workflow.listComments(item.keywordId).filter(comment => !comment.resolved).length;
+      return {
+        keyword: keywordRow[config.app.keywordColumn],
+        state: item.state,
+        label: workflow.STATES[item.state],
+        owner: getUserName(usersById, keywordRow.OwnerId || keywordRow.CreatedBy),
+        site: site ? site.name : '',
+        updatedBy: getUserName(usersById, item.updatedBy),
+        updatedAt: item.updatedAt,
+        openComments
+      };
+    })
+    .filter(Boolean);
+  
+  res.render('review', {
+    page: 'review',
+    inReview: items.filter(item => item.state === 'in_review'),
+    changesRequested: items.filter(item => item.state === 'changes_requested'),
+    approved: items.filter(item => item.state === 'approved'),
+    error: req.flash('error'),
+    success: req.flash('success')
+  });
+});